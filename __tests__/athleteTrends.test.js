@@ -0,0 +1,135 @@
+const basketball = require('../services/sports/basketball');
+const { periodKey, buildTrends } = require('../services/athleteTrends');
+
+const sessions = [
+  { id: 's1', createdAt: '2024-05-06T18:00:00.000Z', originalVideo: 'monday.mp4' },
+  { id: 's2', createdAt: '2024-05-20T18:00:00.000Z', originalVideo: 'drill.mp4' },
+  { id: 's3', createdAt: '2024-06-03T18:00:00.000Z', originalVideo: 'june.mp4' }
+];
+
+const event = (analysisId, type, result, feedback) => ({ analysisId, type, result, feedback });
+
+const events = [
+  event('s1', 'Layup', 'made', 'Good follow through'),
+  event('s1', 'Layup', 'made'),
+  event('s1', 'Three-pointer', 'missed', 'Elbow flared out'),
+  event('s1', 'Three-pointer', 'missed'),
+  event('s2', 'Layup', 'made'),
+  event('s2', 'Three-pointer', 'made'),
+  event('s2', 'Three-pointer', 'missed', 'Elbow in, better arc'),
+  event('s3', 'Layup', 'missed'),
+  event('s3', 'Layup', 'made', 'Follow-through held'),
+  event('s3', 'Corner 3pt', 'made'),
+  event('s3', 'Three-pointer', 'made'),
+  event('deleted', 'Layup', 'missed')
+];
+
+describe('periodKey', () => {
+  test('buckets timestamps by UTC day, week starting Monday and month', () => {
+    expect(periodKey('2024-05-08T23:30:00.000Z', 'day')).toBe('2024-05-08');
+    expect(periodKey('2024-05-08T23:30:00.000Z', 'week')).toBe('2024-05-06');
+    expect(periodKey('2024-05-12T10:00:00.000Z', 'week')).toBe('2024-05-06');
+    expect(periodKey('2024-05-08T23:30:00.000Z', 'month')).toBe('2024-05');
+  });
+});
+
+describe('buildTrends', () => {
+  const trends = buildTrends({ sessions, events, profile: basketball, period: 'month', minAttempts: 2, changeThreshold: 10 });
+
+  test('totals the events of known sessions', () => {
+    expect(trends).toMatchObject({ period: 'month', sessions: 3, attempts: 11, successful: 7, successRate: 63.6 });
+  });
+
+  test('aggregates each period by category and theme', () => {
+    expect(trends.periods).toEqual([
+      {
+        period: '2024-05',
+        sessions: 2,
+        attempts: 7,
+        successful: 4,
+        successRate: 57.1,
+        categories: [
+          { category: 'Finish at the rim', attempts: 3, successful: 3, successRate: 100 },
+          { category: 'Three-pointer', attempts: 4, successful: 1, successRate: 25 }
+        ],
+        themes: { 'Follow-through': 1, 'Elbow alignment': 2, 'Arc': 1 }
+      },
+      {
+        period: '2024-06',
+        sessions: 1,
+        attempts: 4,
+        successful: 3,
+        successRate: 75,
+        categories: [
+          { category: 'Finish at the rim', attempts: 2, successful: 1, successRate: 50 },
+          { category: 'Three-pointer', attempts: 2, successful: 2, successRate: 100 }
+        ],
+        themes: { 'Follow-through': 1 }
+      }
+    ]);
+  });
+
+  test('orders categories by volume with their trend', () => {
+    expect(trends.categories.map(category => [category.category, category.attempts, category.successRate])).toEqual([
+      ['Three-pointer', 6, 50],
+      ['Finish at the rim', 5, 80]
+    ]);
+    expect(trends.categories[0].trend).toEqual([
+      { period: '2024-05', attempts: 4, successRate: 25 },
+      { period: '2024-06', attempts: 2, successRate: 100 }
+    ]);
+  });
+
+  test('marks themes raised in more than one session as recurring', () => {
+    expect(trends.themes).toEqual([
+      { theme: 'Follow-through', events: 2, sessions: 2, recurring: true, firstSeen: sessions[0].createdAt, lastSeen: sessions[2].createdAt },
+      { theme: 'Elbow alignment', events: 2, sessions: 2, recurring: true, firstSeen: sessions[0].createdAt, lastSeen: sessions[1].createdAt },
+      { theme: 'Arc', events: 1, sessions: 1, recurring: false, firstSeen: sessions[1].createdAt, lastSeen: sessions[1].createdAt }
+    ]);
+  });
+
+  test('finds personal bests within single sessions', () => {
+    const { personalBests } = trends;
+
+    expect(personalBests.successRate).toEqual({ analysisId: 's3', createdAt: sessions[2].createdAt, originalVideo: 'june.mp4', value: 75, attempts: 4 });
+    expect(personalBests.volume).toMatchObject({ analysisId: 's1', value: 4 });
+    expect(personalBests.streak).toMatchObject({ analysisId: 's3', value: 3 });
+    expect(personalBests.categories.map(best => [best.category, best.analysisId, best.value])).toEqual([
+      ['Finish at the rim', 's1', 100],
+      ['Three-pointer', 's3', 100]
+    ]);
+  });
+
+  test('reports changes between the last two periods past the threshold', () => {
+    expect(trends.changes).toEqual({
+      from: '2024-05',
+      to: '2024-06',
+      improvements: [
+        { category: null, previous: { attempts: 7, successRate: 57.1 }, current: { attempts: 4, successRate: 75 }, change: 17.9 },
+        { category: 'Three-pointer', previous: { attempts: 4, successRate: 25 }, current: { attempts: 2, successRate: 100 }, change: 75 }
+      ],
+      regressions: [
+        { category: 'Finish at the rim', previous: { attempts: 3, successRate: 100 }, current: { attempts: 2, successRate: 50 }, change: -50 }
+      ]
+    });
+  });
+
+  test('leaves rates, bests and changes empty below minAttempts', () => {
+    const sparse = buildTrends({ sessions, events, profile: basketball, minAttempts: 5 });
+
+    expect(sparse.personalBests.successRate).toBeNull();
+    expect(sparse.personalBests.categories).toEqual([]);
+    expect(sparse.changes).toMatchObject({ from: '2024-05', to: '2024-06', improvements: [], regressions: [] });
+  });
+
+  test('handles an athlete without sessions', () => {
+    expect(buildTrends({ sessions: [], events: [], profile: basketball })).toMatchObject({
+      sessions: 0,
+      attempts: 0,
+      successRate: null,
+      periods: [],
+      personalBests: { successRate: null, volume: null, streak: null, categories: [] },
+      changes: { from: null, to: null }
+    });
+  });
+});
@@ -0,0 +1,112 @@
+const {
+  detectOnsets,
+  classifyOnset,
+  detectAudioCues,
+  attachAudioCues
+} = require('../services/audioCues');
+
+const STEP = 0.02;
+
+// An evenly spaced envelope at `background` dB with sounds of { at, level, length }
+// (sample indexes), as FFmpeg's astats reports it
+function envelope(background, sounds = [], size = 150) {
+  const samples = Array.from({ length: size }, (_, index) => ({
+    time: Number((index * STEP).toFixed(2)),
+    value: background
+  }));
+  sounds.forEach(({ at, level, length = 1 }) => {
+    for (let index = at; index < at + length; index++) {
+      samples[index].value = level;
+    }
+  });
+  return samples;
+}
+
+describe('detectOnsets', () => {
+  test('finds sounds rising above the background with how long they last', () => {
+    const onsets = detectOnsets(envelope(-60, [
+      { at: 50, level: -20, length: 3 },
+      { at: 100, level: -10, length: 20 }
+    ]));
+
+    expect(onsets).toEqual([
+      { time: 1, peak: -20, rise: 40, sustain: 0.06 },
+      { time: 2, peak: -10, rise: 50, sustain: 0.4 }
+    ]);
+  });
+
+  test('ignores quiet sounds and small rises', () => {
+    expect(detectOnsets(envelope(-60, [{ at: 50, level: -50 }]))).toEqual([]);
+    expect(detectOnsets(envelope(-40, [{ at: 50, level: -35 }]))).toEqual([]);
+  });
+
+  test('keeps the stronger of two onsets closer than the minimum gap', () => {
+    const onsets = detectOnsets(envelope(-60, [
+      { at: 50, level: -20 },
+      { at: 53, level: -10 }
+    ]));
+
+    expect(onsets).toEqual([{ time: 1.06, peak: -10, rise: 50, sustain: 0.02 }]);
+  });
+
+  test('treats -inf as silence and needs at least three samples', () => {
+    expect(detectOnsets(envelope(-Infinity, [{ at: 50, level: -30 }]))).toEqual([
+      { time: 1, peak: -30, rise: 90, sustain: 0.02 }
+    ]);
+    expect(detectOnsets(envelope(-60, [], 2))).toEqual([]);
+  });
+});
+
+describe('classifyOnset', () => {
+  const highBand = envelope(-10);
+  const lowBand = envelope(-30);
+
+  test('labels high-pitched sounds by how long they last', () => {
+    expect(classifyOnset({ time: 1, sustain: 0.3 }, lowBand, highBand)).toBe('whistle');
+    expect(classifyOnset({ time: 1, sustain: 0.1 }, lowBand, highBand)).toBe('rim');
+    expect(classifyOnset({ time: 1, sustain: 0.02 }, lowBand, highBand)).toBe('contact');
+  });
+
+  test('labels low sounds as bounces and balanced ones as contact', () => {
+    expect(classifyOnset({ time: 1, sustain: 0.02 }, highBand, lowBand)).toBe('bounce');
+    expect(classifyOnset({ time: 1, sustain: 0.3 }, lowBand, lowBand)).toBe('contact');
+  });
+});
+
+describe('detectAudioCues', () => {
+  const full = envelope(-60, [
+    { at: 50, level: -20 },
+    { at: 100, level: -10, length: 20 }
+  ]);
+  // Low band loud around the first sound, high band around the second
+  const low = envelope(-60, [{ at: 45, level: -20, length: 10 }]);
+  const high = envelope(-60, [{ at: 95, level: -10, length: 30 }]);
+
+  test('labels each onset with its strength relative to the strongest', () => {
+    expect(detectAudioCues(full, low, high)).toEqual([
+      { time: 1, type: 'bounce', strength: 0.8, peak: -20, sustain: 0.02 },
+      { time: 2, type: 'whistle', strength: 1, peak: -10, sustain: 0.4 }
+    ]);
+  });
+
+  test('keeps only the cue types asked for', () => {
+    expect(detectAudioCues(full, low, high, ['whistle']).map(cue => cue.type)).toEqual(['whistle']);
+    expect(detectAudioCues(envelope(-60), low, high)).toEqual([]);
+  });
+});
+
+describe('attachAudioCues', () => {
+  test('attaches the nearest cue within the tolerance', () => {
+    const timeline = [{ seconds: 1 }, { seconds: 5 }];
+    const cues = [
+      { time: 0.6, type: 'contact' },
+      { time: 1.2, type: 'rim' },
+      { time: 3, type: 'bounce' }
+    ];
+
+    expect(attachAudioCues(timeline, cues, 0.5)).toEqual([
+      { seconds: 1, audio_cue: { type: 'rim', seconds: 1.2 } },
+      { seconds: 5 }
+    ]);
+  });
+});
@@ -0,0 +1,20 @@
+const basketball = require('../services/sports/basketball');
+
+describe('basketball aggregate', () => {
+  const shot = (result, type) => ({ result, shot_type: type });
+
+  test('counts only three-point shot types as three-pointers', () => {
+    const stats = basketball.aggregate([
+      shot('made', 'Three-pointer'),
+      shot('made', '3-point jumper'),
+      shot('made', 'Corner 3pt'),
+      shot('made', 'Jump shot (3 dribbles)'),
+      shot('made', 'Layup'),
+      shot('missed', 'Three-pointer')
+    ]);
+
+    expect(stats.totalThreePointers).toBe(3);
+    expect(stats.totalLayupsMade).toBe(1);
+    expect(stats).toMatchObject({ totalShots: 6, totalShotsMade: 5, totalShotsMissed: 1 });
+  });
+});
@@ -0,0 +1,47 @@
+const { COLUMNS, formatRows } = require('../services/eventExport');
+
+const header = COLUMNS.map(([name]) => name).join(',');
+
+function row(values) {
+  return Object.fromEntries(COLUMNS.map(([name]) => [name, values[name] === undefined ? null : values[name]]));
+}
+
+describe('formatRows', () => {
+  test('writes a header and CRLF-terminated CSV rows in column order', () => {
+    const csv = formatRows([row({ analysis_id: 'a1', event_index: 0, seconds: 12.5, success: true })], 'csv');
+    const lines = csv.split('\r\n');
+
+    expect(lines[0]).toBe(header);
+    expect(lines[1].split(',').slice(0, 10)).toEqual(['a1', '', '', '', '', '', '', '0', '12.5', '']);
+    expect(lines[2]).toBe('');
+  });
+
+  test('quotes fields with commas, quotes and line breaks', () => {
+    const csv = formatRows([row({ feedback: 'Bend, then "snap"\nfollow through' })], 'csv');
+    expect(csv).toContain('"Bend, then ""snap""\nfollow through"\r\n');
+  });
+
+  test('prefixes text that would run as a formula but leaves numbers alone', () => {
+    const csv = formatRows([row({ original_video: '=HYPERLINK("x")', feedback: '-drop the elbow', location_x: -0.25 })], 'csv');
+    const fields = csv.split('\r\n')[1];
+
+    expect(fields).toContain(`"'=HYPERLINK(""x"")"`);
+    expect(fields).toContain(",-0.25,");
+    expect(fields.endsWith(",'-drop the elbow")).toBe(true);
+  });
+
+  test('writes JSON Lines with every column and text unchanged', () => {
+    const jsonl = formatRows([row({ analysis_id: 'a1', feedback: '@coach' }), row({ analysis_id: 'a2' })], 'jsonl');
+    const objects = jsonl.trim().split('\n').map(line => JSON.parse(line));
+
+    expect(objects).toHaveLength(2);
+    expect(Object.keys(objects[0])).toEqual(COLUMNS.map(([name]) => name));
+    expect(objects[0].feedback).toBe('@coach');
+    expect(objects[1].feedback).toBeNull();
+  });
+
+  test('writes only the header when there are no rows', () => {
+    expect(formatRows([], 'csv')).toBe(`${header}\r\n`);
+    expect(formatRows([], 'jsonl')).toBe('');
+  });
+});
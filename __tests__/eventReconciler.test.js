@@ -0,0 +1,144 @@
+const basketball = require('../services/sports/basketball');
+const {
+  parseTimestamp,
+  formatTimestamp,
+  typesMatch,
+  reconcileEvents
+} = require('../services/eventReconciler');
+
+// A frame's response repeats every shot seen so far
+const frame = (index, shots) => ({ frame: `frame_${index}.jpg`, structuredData: { shots } });
+const shot = (timestamp, shotType, result, feedback) => ({
+  timestamp_of_outcome: timestamp,
+  shot_type: shotType,
+  result,
+  feedback
+});
+
+describe('parseTimestamp', () => {
+  test('reads m:ss.s, h:mm:ss.s, seconds with an s and numbers', () => {
+    expect(parseTimestamp('1:05.5')).toBe(65.5);
+    expect(parseTimestamp('1:00:02')).toBe(3602);
+    expect(parseTimestamp('7.5s')).toBe(7.5);
+    expect(parseTimestamp(12)).toBe(12);
+  });
+
+  test('rejects anything else', () => {
+    expect(parseTimestamp('1:2:3:4')).toBeNull();
+    expect(parseTimestamp('soon')).toBeNull();
+    expect(parseTimestamp('1:')).toBeNull();
+    expect(parseTimestamp(NaN)).toBeNull();
+    expect(parseTimestamp(undefined)).toBeNull();
+  });
+});
+
+describe('formatTimestamp', () => {
+  test('formats seconds as m:ss.s', () => {
+    expect(formatTimestamp(0)).toBe('0:00.0');
+    expect(formatTimestamp(7.5)).toBe('0:07.5');
+    expect(formatTimestamp(65.5)).toBe('1:05.5');
+  });
+
+  test('rounds to a tenth without producing 60 seconds', () => {
+    expect(formatTimestamp(59.96)).toBe('1:00.0');
+    expect(formatTimestamp(3.04)).toBe('0:03.0');
+  });
+});
+
+describe('typesMatch', () => {
+  test('matches overlapping wording and rejects different shots', () => {
+    expect(typesMatch('Jump shot (free-throw line)', 'Jump shot (around free-throw line)')).toBe(true);
+    expect(typesMatch('Layup', 'Three-pointer')).toBe(false);
+    expect(typesMatch('', undefined)).toBe(true);
+  });
+});
+
+describe('reconcileEvents', () => {
+  test('merges the same shot reported by adjacent frames', () => {
+    const timeline = reconcileEvents([
+      frame(1, [shot('0:04.0', 'Layup', 'made', 'Good extension')]),
+      frame(2, [shot('0:04.5', 'Layup', 'made', 'Good extension, soft touch')])
+    ], basketball, 1.5);
+
+    expect(timeline).toHaveLength(1);
+    expect(timeline[0]).toMatchObject({
+      timestamp_of_outcome: '0:04.3',
+      seconds: 4.25,
+      shot_type: 'Layup',
+      result: 'made',
+      feedback: 'Good extension, soft touch',
+      observations: 2,
+      frames: ['frame_1.jpg', 'frame_2.jpg'],
+      successful_so_far: 1,
+      unsuccessful_so_far: 0,
+      total_layups_made_so_far: 1
+    });
+  });
+
+  test('resolves conflicting results by majority, later frames winning ties', () => {
+    const majority = reconcileEvents([
+      frame(1, [shot('0:10.0', 'Jump shot', 'missed')]),
+      frame(2, [shot('0:10.0', 'Jump shot', 'made')]),
+      frame(3, [shot('0:10.0', 'Jump shot', 'missed')])
+    ], basketball, 1.5);
+    expect(majority[0].result).toBe('missed');
+
+    const tie = reconcileEvents([
+      frame(1, [shot('0:10.0', 'Jump shot', 'missed')]),
+      frame(2, [shot('0:10.0', 'Jump shot', 'made')])
+    ], basketball, 1.5);
+    expect(tie[0].result).toBe('made');
+  });
+
+  test('keeps shots from the same frame, of other types or outside the tolerance apart', () => {
+    const timeline = reconcileEvents([
+      frame(1, [shot('0:20.0', 'Layup', 'made'), shot('0:20.5', 'Layup', 'missed')]),
+      frame(2, [shot('0:21.0', 'Three-pointer', 'made'), shot('0:30.0', 'Layup', 'made')])
+    ], basketball, 1.5);
+
+    expect(timeline.map(event => [event.timestamp_of_outcome, event.shot_type, event.result])).toEqual([
+      ['0:20.0', 'Layup', 'made'],
+      ['0:20.5', 'Layup', 'missed'],
+      ['0:21.0', 'Three-pointer', 'made'],
+      ['0:30.0', 'Layup', 'made']
+    ]);
+  });
+
+  test('merges shots exactly at the tolerance but not past it', () => {
+    const atTolerance = reconcileEvents([
+      frame(1, [shot('0:10.0', 'Layup', 'made')]),
+      frame(2, [shot('0:11.5', 'Layup', 'made')])
+    ], basketball, 1.5);
+    expect(atTolerance).toHaveLength(1);
+
+    const pastTolerance = reconcileEvents([
+      frame(1, [shot('0:10.0', 'Layup', 'made')]),
+      frame(2, [shot('0:11.6', 'Layup', 'made')])
+    ], basketball, 1.5);
+    expect(pastTolerance).toHaveLength(2);
+  });
+
+  test('orders the timeline by time and recomputes the running totals', () => {
+    const timeline = reconcileEvents([
+      frame(1, [shot('0:30.0', 'Jump shot', 'missed')]),
+      frame(2, [shot('0:05.0', 'Layup', 'made'), shot('0:30.0', 'Jump shot', 'missed')]),
+      frame(3, [shot('0:15.0', 'Three-pointer', 'made')])
+    ], basketball, 1.5);
+
+    expect(timeline.map(event => event.seconds)).toEqual([5, 15, 30]);
+    expect(timeline.map(event => [event.successful_so_far, event.unsuccessful_so_far])).toEqual([
+      [1, 0],
+      [2, 0],
+      [2, 1]
+    ]);
+  });
+
+  test('returns an empty timeline without usable events', () => {
+    expect(reconcileEvents([], basketball, 1.5)).toEqual([]);
+    expect(reconcileEvents([
+      { frame: 'frame_1.jpg', structuredData: null },
+      { frame: 'frame_2.jpg', structuredData: { shots: 'none' } },
+      frame(3, [shot('later', 'Layup', 'made')])
+    ], basketball, 1.5)).toEqual([]);
+  });
+});
@@ -0,0 +1,23 @@
+const { clampTimestamp, frameTimestamps } = require('../services/frameSelector');
+
+describe('clampTimestamp', () => {
+  test('keeps timestamps inside the video', () => {
+    expect(clampTimestamp(3.25, 10)).toBe(3.25);
+  });
+
+  test('reads timestamps at or past the end a little before it', () => {
+    expect(clampTimestamp(10, 10)).toBe(9.9);
+    expect(clampTimestamp(42, 10)).toBe(9.9);
+  });
+
+  test('clamps negative timestamps and very short videos to the start', () => {
+    expect(clampTimestamp(-1, 10)).toBe(0);
+    expect(clampTimestamp(0.5, 0.05)).toBe(0);
+  });
+});
+
+describe('frameTimestamps', () => {
+  test('sorts and removes duplicates, including ones made by clamping', () => {
+    expect(frameTimestamps([5, 1, 5, 12, 11, 1.0004], 10)).toEqual([1, 5, 9.9]);
+  });
+});
@@ -0,0 +1,98 @@
+const basketball = require('../services/sports/basketball');
+const {
+  validateFilter,
+  selectEvents,
+  planClips,
+  titleCard,
+  describeClips
+} = require('../services/highlights');
+
+const event = (seconds, result, shotType, feedback) => ({ seconds, result, shot_type: shotType, feedback });
+
+const timeline = [
+  event(4, 'made', 'Layup'),
+  event(12, 'missed', 'Three-pointer'),
+  event(20, 'made', 'Corner three'),
+  event(31, 'missed', 'Jump shot')
+];
+
+describe('validateFilter', () => {
+  test('accepts outcome filters and the result values of the sport', () => {
+    expect(validateFilter('all', basketball)).toBeNull();
+    expect(validateFilter('failure', basketball)).toBeNull();
+    expect(validateFilter('made, missed', basketball)).toBeNull();
+  });
+
+  test('names unknown results and what is allowed', () => {
+    expect(validateFilter('made,goal', basketball, 'compare filter'))
+      .toBe('Unsupported compare filter for basketball: goal. Use all, success, failure, made, missed');
+  });
+});
+
+describe('selectEvents', () => {
+  const seconds = events => events.map(selected => selected.seconds);
+
+  test('selects every event by default', () => {
+    expect(seconds(selectEvents(timeline, basketball))).toEqual([4, 12, 20, 31]);
+  });
+
+  test('selects by outcome or result values', () => {
+    expect(seconds(selectEvents(timeline, basketball, { filter: 'success' }))).toEqual([4, 20]);
+    expect(seconds(selectEvents(timeline, basketball, { filter: 'failure' }))).toEqual([12, 31]);
+    expect(seconds(selectEvents(timeline, basketball, { filter: 'missed' }))).toEqual([12, 31]);
+  });
+
+  test('selects types containing any of the words, ignoring case', () => {
+    expect(seconds(selectEvents(timeline, basketball, { types: ['THREE'] }))).toEqual([12, 20]);
+    expect(seconds(selectEvents(timeline, basketball, { filter: 'success', types: ['three', 'layup'] }))).toEqual([4, 20]);
+  });
+});
+
+describe('planClips', () => {
+  const options = { preRoll: 3, postRoll: 2, duration: 40 };
+
+  test('cuts a clip around each event in time order', () => {
+    const clips = planClips([timeline[2], timeline[0]], options);
+    expect(clips.map(clip => [clip.start, clip.end])).toEqual([[1, 6], [17, 22]]);
+    expect(clips[0].events).toEqual([timeline[0]]);
+  });
+
+  test('merges overlapping and touching clips so no footage repeats', () => {
+    const clips = planClips([event(10, 'made'), event(13, 'made'), event(18, 'made'), event(30, 'made')], options);
+
+    expect(clips.map(clip => [clip.start, clip.end, clip.events.length])).toEqual([
+      [7, 20, 3],
+      [27, 32, 1]
+    ]);
+  });
+
+  test('clamps clips to the video', () => {
+    const clips = planClips([event(1, 'made'), event(39.5, 'made')], options);
+    expect(clips.map(clip => [clip.start, clip.end])).toEqual([[0, 3], [36.5, 40]]);
+  });
+
+  test('drops events past the end of the video and plans nothing without events', () => {
+    expect(planClips([event(45, 'made')], options)).toEqual([]);
+    expect(planClips([], options)).toEqual([]);
+  });
+});
+
+describe('titleCard', () => {
+  test('heads each event and shows the last feedback', () => {
+    const clip = { events: [event(10, 'made', 'Layup', 'Good extension'), event(13.5, 'missed', 'Three-pointer')] };
+
+    expect(titleCard(clip, basketball)).toEqual({
+      heading: 'Layup - made at 0:10.0\nThree-pointer - missed at 0:13.5',
+      body: 'Good extension'
+    });
+  });
+});
+
+describe('describeClips', () => {
+  test('keeps the time, type and result of each event', () => {
+    const clips = planClips([event(10, 'made', 'Layup', 'Good extension')], { preRoll: 3, postRoll: 2, duration: 40 });
+    expect(describeClips(clips, basketball)).toEqual([
+      { start: 7, end: 12, events: [{ seconds: 10, shot_type: 'Layup', result: 'made' }] }
+    ]);
+  });
+});
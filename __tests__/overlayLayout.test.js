@@ -0,0 +1,143 @@
+const {
+  measureText,
+  wrapText,
+  safeArea,
+  layoutOverlay,
+  layoutTitleCard,
+  layoutLabel
+} = require('../services/overlayLayout');
+
+const theme = {
+  bold: false,
+  captionSize: 26,
+  statsSize: 22,
+  captions: 'bottom',
+  stats: 'top-left',
+  chart: 'top-right',
+  maxLines: 3,
+  maxVisible: 2
+};
+
+const frame = { width: 1280, height: 720 };
+
+function overlaps(a, b) {
+  return a.x < b.x + b.width && b.x < a.x + a.width && a.y < b.y + b.height && b.y < a.y + a.height;
+}
+
+describe('measureText', () => {
+  test('adds up glyph widths and widens bold text', () => {
+    expect(measureText('Hi', 10)).toBeCloseTo(10.3);
+    expect(measureText('42', 10)).toBeCloseTo(12.72);
+    expect(measureText('Hi', 10, true)).toBeCloseTo(11.33);
+  });
+});
+
+describe('wrapText', () => {
+  test('wraps words to the width', () => {
+    const lines = wrapText('keep your elbow under the ball', 20, 150);
+    expect(lines.length).toBeGreaterThan(1);
+    expect(lines.join(' ')).toBe('keep your elbow under the ball');
+    lines.forEach(line => expect(measureText(line, 20)).toBeLessThanOrEqual(150));
+  });
+
+  test('breaks words wider than a line', () => {
+    const lines = wrapText('supercalifragilistic', 20, 60);
+    expect(lines.join('')).toBe('supercalifragilistic');
+    lines.forEach(line => expect(measureText(line, 20)).toBeLessThanOrEqual(60));
+  });
+
+  test('ends with an ellipsis past maxLines', () => {
+    const lines = wrapText('one two three four five six seven eight', 20, 100, { maxLines: 2 });
+    expect(lines).toHaveLength(2);
+    expect(lines[1].endsWith('…')).toBe(true);
+    expect(measureText(lines[1], 20)).toBeLessThanOrEqual(100);
+  });
+
+  test('returns no lines for empty text', () => {
+    expect(wrapText('  ', 20, 100)).toEqual([]);
+  });
+});
+
+describe('layoutOverlay', () => {
+  const layout = options => layoutOverlay({ statsLines: [], width: frame.width, height: frame.height, theme, duration: 3, ...options });
+
+  test('keeps captions inside the safe area, clear of the stats panel and chart', () => {
+    const result = layout({
+      captions: [{ timestamp: '1.00', analysis: 'Great follow through, keep the elbow tucked in on every shot' }],
+      statsLines: ['Made: 4', 'Missed: 2'],
+      chartAspect: 0.9
+    });
+    const safe = safeArea(frame.width, frame.height);
+    const [caption] = result.captions;
+
+    expect(result.stats).toMatchObject({ x: safe.left, y: safe.top, lines: ['Made: 4', 'Missed: 2'] });
+    expect(result.chart).toMatchObject({ x: safe.right - 216, y: safe.top, width: 216, height: 194 });
+    expect(caption.y + caption.height).toBe(safe.bottom);
+    expect(caption.x).toBeGreaterThanOrEqual(safe.left);
+    expect(caption.x + caption.width).toBeLessThanOrEqual(safe.right);
+    expect(overlaps(caption, result.stats) || overlaps(caption, result.chart)).toBe(false);
+  });
+
+  test('stacks captions shown at the same time', () => {
+    const result = layout({
+      captions: [
+        { timestamp: '1.00', analysis: 'First' },
+        { timestamp: '1.50', analysis: 'Second' }
+      ]
+    });
+    const [first, second] = result.captions;
+
+    expect(second.y + second.height).toBeLessThan(first.y);
+    expect(second).toMatchObject({ start: 1.5, end: 4.5, delay: 0 });
+  });
+
+  test('delays captions past maxVisible and drops them after maxDelay', () => {
+    const captions = [
+      { timestamp: '1.00', analysis: 'First' },
+      { timestamp: '1.00', analysis: 'Second' },
+      { timestamp: '1.50', analysis: 'Third' }
+    ];
+
+    const delayed = layout({ captions });
+    expect(delayed.captions[2]).toMatchObject({ text: 'Third', start: 4, delay: 2.5 });
+
+    const dropped = layout({ captions, maxDelay: 1 });
+    expect(dropped.captions).toHaveLength(2);
+    expect(dropped.dropped).toEqual([{ timestamp: 1.5, analysis: 'Third' }]);
+  });
+
+  test('uses the duration a caption gives and scales with the video', () => {
+    const result = layoutOverlay({
+      captions: [{ timestamp: '2', analysis: 'Replay', duration: 1 }],
+      statsLines: [],
+      width: 2560,
+      height: 1440,
+      theme,
+      duration: 3
+    });
+
+    expect(result.scale).toBe(2);
+    expect(result.captions[0]).toMatchObject({ fontSize: 52, start: 2, end: 3 });
+  });
+});
+
+describe('layoutTitleCard', () => {
+  test('centers a bold heading above the body', () => {
+    const [heading, body] = layoutTitleCard({ heading: 'Layup\n0:12.5', body: 'Soft touch off the glass', ...frame, theme });
+
+    expect(heading).toMatchObject({ bold: true, lines: ['Layup', '0:12.5'], fontSize: 34 });
+    expect(body.lines).toEqual(['Soft touch off the glass']);
+    expect(body.y).toBeGreaterThan(heading.y + heading.height);
+    expect(heading.x).toBe(Math.round((frame.width - heading.width) / 2));
+  });
+});
+
+describe('layoutLabel', () => {
+  test('centers one line in a strip of even height', () => {
+    const label = layoutLabel({ text: 'Session A', ...frame, theme });
+
+    expect(label.height % 2).toBe(0);
+    expect(label.block.lines).toEqual(['Session A']);
+    expect(label.block.y + label.block.height).toBeLessThanOrEqual(label.height);
+  });
+});
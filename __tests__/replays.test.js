@@ -0,0 +1,81 @@
+const { planReplays, mapTime, retimeCaptions, describeReplays } = require('../services/replays');
+
+const options = { before: 2, after: 1, speed: 0.5, duration: 40 };
+
+const events = [
+  { seconds: 12.05, feedback: 'Late release' },
+  { seconds: 5, feedback: 'Good extension' },
+  { seconds: 12, feedback: 'Early release' },
+  { seconds: 39 },
+  { seconds: 45, feedback: 'After the end' }
+];
+
+describe('planReplays', () => {
+  test('places each replay after its window, shifted by the replays before it', () => {
+    const replays = planReplays(events, options);
+
+    expect(replays.map(({ start, end, at, duration }) => ({ start, end, at, duration }))).toEqual([
+      { start: 3, end: 6, at: 6, duration: 6 },
+      { start: 10, end: 13, at: 19, duration: 6 },
+      { start: 37, end: 40, at: 52, duration: 6 }
+    ]);
+  });
+
+  test('shares a replay between events whose windows end within MIN_GAP', () => {
+    const replays = planReplays(events, options);
+    expect(replays[1].events.map(event => event.seconds)).toEqual([12, 12.05]);
+  });
+
+  test('replays overlapping windows that end apart separately', () => {
+    const replays = planReplays([{ seconds: 5 }, { seconds: 6 }], options);
+    expect(replays.map(replay => [replay.start, replay.end, replay.at])).toEqual([[3, 6, 6], [4, 7, 13]]);
+  });
+
+  test('plans nothing without events inside the video', () => {
+    expect(planReplays([{ seconds: 40 }], options)).toEqual([]);
+  });
+});
+
+describe('mapTime', () => {
+  const replays = planReplays(events, options);
+
+  test('adds the length of every replay that ended before the moment', () => {
+    expect(mapTime(replays, 5)).toBe(5);
+    expect(mapTime(replays, 6)).toBe(12);
+    expect(mapTime(replays, 12.5)).toBe(18.5);
+    expect(mapTime(replays, 13)).toBe(25);
+    expect(mapTime(replays, 40)).toBe(58);
+    expect(mapTime([], 7)).toBe(7);
+  });
+});
+
+describe('retimeCaptions', () => {
+  const replays = planReplays(events, options);
+  const captions = [
+    { timestamp: '5.00', analysis: 'A' },
+    { timestamp: '12.50', analysis: 'B', duration: 0.2 },
+    { timestamp: '20.00', analysis: 'C', frame: 'frame_20.jpg' }
+  ];
+
+  test('shifts captions, cuts off those running into a replay and captions the replays', () => {
+    expect(retimeCaptions(captions, replays, 0.5, 3)).toEqual([
+      { timestamp: 5, analysis: 'A', duration: 1 },
+      { timestamp: 6, duration: 6, analysis: 'Replay (0.5x): Good extension' },
+      { timestamp: 18.5, analysis: 'B', duration: 0.2 },
+      { timestamp: 19, duration: 6, analysis: 'Replay (0.5x): Late release' },
+      { timestamp: 32, analysis: 'C', frame: 'frame_20.jpg' }
+    ]);
+  });
+
+  test('leaves captions alone without replays', () => {
+    expect(retimeCaptions(captions, [], 0.5, 3).map(caption => caption.timestamp)).toEqual([5, 12.5, 20]);
+  });
+});
+
+describe('describeReplays', () => {
+  test('lists the event times of each replay', () => {
+    expect(describeReplays(planReplays(events, options))[1]).toEqual({
+      start: 10, end: 13, at: 19, duration: 6, events: [12, 12.05]
+    });
+  });
+});
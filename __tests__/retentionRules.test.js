@@ -0,0 +1,87 @@
+const { DEFAULT_RULES, resolveRules, selectDeletions } = require('../services/retentionRules');
+
+const HOUR = 3600000;
+const now = Date.parse('2024-05-06T12:00:00Z');
+const noLimits = { maxAgeHours: null, maxBytes: null, keepLast: null };
+
+// Items named by age in hours
+function items(...ages) {
+  return ages.map(age => ({ name: `${age}h`, size: 100, modifiedAt: now - age * HOUR }));
+}
+
+function names(deletions) {
+  return deletions.map(item => `${item.name}:${item.reason}`);
+}
+
+describe('resolveRules', () => {
+  test('uses the defaults without RETENTION_RULES', () => {
+    expect(resolveRules('')).toEqual(DEFAULT_RULES);
+  });
+
+  test('keeps processed files by default', () => {
+    expect(DEFAULT_RULES.processed).toEqual(noLimits);
+  });
+
+  test('merges configured rules over the defaults', () => {
+    const rules = resolveRules('{"processed": {"keepLast": 10, "maxAgeHours": null}}');
+    expect(rules.processed).toEqual({ maxAgeHours: null, maxBytes: null, keepLast: 10 });
+    expect(rules.uploads).toEqual(DEFAULT_RULES.uploads);
+  });
+
+  test('names the variable when the JSON is malformed', () => {
+    expect(() => resolveRules('{processed:')).toThrow(/^RETENTION_RULES is not valid JSON/);
+  });
+
+  test('rejects anything but an object of known directories', () => {
+    expect(() => resolveRules('[]')).toThrow('RETENTION_RULES must be a JSON object');
+    expect(() => resolveRules('{"cache": {}}')).toThrow('RETENTION_RULES has unknown directories: cache');
+    expect(() => resolveRules('{"temp": 5}')).toThrow('RETENTION_RULES.temp must be an object');
+  });
+
+  test('rejects unknown rules and invalid limits', () => {
+    expect(() => resolveRules('{"temp": {"maxAge": 1}}')).toThrow('RETENTION_RULES.temp has an unknown rule: maxAge');
+    expect(() => resolveRules('{"temp": {"maxBytes": -1}}')).toThrow('RETENTION_RULES.temp.maxBytes must be null or a number, 0 or more');
+    expect(() => resolveRules('{"temp": {"maxAgeHours": "6"}}')).toThrow('RETENTION_RULES.temp.maxAgeHours');
+    expect(() => resolveRules('{"temp": {"keepLast": 2.5}}')).toThrow('RETENTION_RULES.temp.keepLast must be null or a whole number');
+  });
+});
+
+describe('selectDeletions', () => {
+  test('deletes nothing without limits', () => {
+    expect(selectDeletions(items(1, 500, 9000), noLimits, now)).toEqual([]);
+  });
+
+  test('deletes items older than maxAgeHours', () => {
+    expect(names(selectDeletions(items(30, 1, 25, 23), { ...noLimits, maxAgeHours: 24 }, now))).toEqual(['25h:age', '30h:age']);
+  });
+
+  test('keeps the newest keepLast items whatever order they come in', () => {
+    expect(names(selectDeletions(items(3, 1, 4, 2), { ...noLimits, keepLast: 2 }, now))).toEqual(['3h:count', '4h:count']);
+  });
+
+  test('keeps the newest items that fit in maxBytes', () => {
+    const deletions = selectDeletions(items(1, 2, 3, 4), { ...noLimits, maxBytes: 250 }, now);
+    expect(names(deletions)).toEqual(['3h:size', '4h:size']);
+  });
+
+  test('items deleted for age leave room for older ones under the other limits', () => {
+    const rules = { maxAgeHours: 24, maxBytes: null, keepLast: 1 };
+    expect(names(selectDeletions(items(1, 2, 30), rules, now))).toEqual(['2h:count', '30h:age']);
+  });
+
+  test('never deletes protected items but counts them toward the limits', () => {
+    const list = items(1, 2, 3, 100);
+    list[1].protected = true;
+    list[3].protected = true;
+
+    const deletions = selectDeletions(list, { maxAgeHours: 24, maxBytes: null, keepLast: 1 }, now);
+    expect(names(deletions)).toEqual(['3h:count']);
+  });
+
+  test('a large protected item takes up the room of older ones', () => {
+    const list = items(1, 2);
+    list[0].size = 1000;
+    list[0].protected = true;
+    expect(names(selectDeletions(list, { ...noLimits, maxBytes: 500 }, now))).toEqual(['2h:size']);
+  });
+});
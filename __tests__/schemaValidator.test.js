@@ -0,0 +1,59 @@
+const { validate } = require('../services/schemaValidator');
+
+const schema = {
+  type: 'object',
+  required: ['feedback', 'events'],
+  properties: {
+    feedback: { type: 'string' },
+    confidence: { type: 'number' },
+    events: {
+      type: 'array',
+      items: {
+        type: 'object',
+        required: ['outcome'],
+        properties: {
+          outcome: { type: 'string', enum: ['made', 'missed'] },
+          count: { type: 'integer' }
+        }
+      }
+    }
+  }
+};
+
+describe('validate', () => {
+  test('accepts data matching the schema', () => {
+    expect(validate(schema, {
+      feedback: 'Good arc',
+      confidence: 0.8,
+      events: [{ outcome: 'made', count: 2 }]
+    })).toEqual([]);
+  });
+
+  test('reports missing required properties', () => {
+    expect(validate(schema, { feedback: 'x' })).toEqual(['$.events is required']);
+  });
+
+  test('reports type mismatches with their path', () => {
+    expect(validate(schema, { feedback: 3, events: 'none' })).toEqual([
+      '$.feedback should be string but is integer',
+      '$.events should be array but is string'
+    ]);
+  });
+
+  test('accepts integers where numbers are expected but not the reverse', () => {
+    expect(validate(schema, { feedback: 'x', confidence: 1, events: [] })).toEqual([]);
+    expect(validate(schema, { feedback: 'x', events: [{ outcome: 'made', count: 1.5 }] }))
+      .toEqual(['$.events[0].count should be integer but is number']);
+  });
+
+  test('checks enums and array items', () => {
+    expect(validate(schema, { feedback: 'x', events: [{ outcome: 'made' }, { outcome: 'blocked' }, {}] })).toEqual([
+      '$.events[1].outcome should be one of "made", "missed" but is "blocked"',
+      '$.events[2].outcome is required'
+    ]);
+  });
+
+  test('treats null as its own type', () => {
+    expect(validate(schema, null)).toEqual(['$ should be object but is null']);
+  });
+});
@@ -0,0 +1,132 @@
+const basketball = require('../services/sports/basketball');
+const {
+  matchEvents,
+  syncWindow,
+  processedTime,
+  diffStats,
+  describePair
+} = require('../services/sessionComparison');
+
+const event = (seconds, shotType, result, feedback) => ({ seconds, shot_type: shotType, result, feedback });
+
+const beforeTimeline = [
+  event(2, 'Layup', 'made', 'Good extension'),
+  event(5, 'Three-pointer', 'missed'),
+  event(9, 'Layup', 'made'),
+  event(12, 'Jump shot', 'missed')
+];
+const afterTimeline = [
+  event(4, 'Corner 3pt', 'missed'),
+  event(6, 'Reverse layup', 'made'),
+  event(8, 'Three-pointer', 'made')
+];
+
+describe('matchEvents', () => {
+  test('pairs events of the same category and outcome in order', () => {
+    const pairs = matchEvents(beforeTimeline, afterTimeline, basketball);
+
+    expect(pairs.map(pair => [pair.category, pair.success, pair.before.seconds, pair.after.seconds])).toEqual([
+      ['Finish at the rim', true, 2, 6],
+      ['Three-pointer', false, 5, 4]
+    ]);
+  });
+
+  test('narrows the events like highlight reels', () => {
+    const pairs = matchEvents(beforeTimeline, afterTimeline, basketball, { filter: 'missed' });
+    expect(pairs.map(pair => pair.before.seconds)).toEqual([5]);
+    expect(matchEvents(beforeTimeline, afterTimeline, basketball, { types: ['jump'] })).toEqual([]);
+  });
+});
+
+describe('syncWindow', () => {
+  test('trims the cuts to what both videos have around the event', () => {
+    expect(syncWindow({ seconds: 10, duration: 60 }, { seconds: 3, duration: 8 }, { preRoll: 5, postRoll: 8 })).toEqual({
+      preRoll: 3,
+      length: 8,
+      before: { start: 7, end: 15 },
+      after: { start: 0, end: 8 }
+    });
+  });
+
+  test('returns null when an event is past its video or nothing is left', () => {
+    expect(syncWindow({ seconds: 61, duration: 60 }, { seconds: 3, duration: 8 }, { preRoll: 5, postRoll: 8 })).toBeNull();
+    expect(syncWindow({ seconds: 0, duration: 60 }, { seconds: 8, duration: 8 }, { preRoll: 5, postRoll: 8 })).toBeNull();
+  });
+});
+
+describe('processedTime', () => {
+  test('is the upload time without segments or replays', () => {
+    expect(processedTime({}, 14)).toBe(14);
+  });
+
+  test('moves into the cut of the segments and past earlier replays', () => {
+    const analysis = {
+      segments: [{ start: 10, end: 30, offset: 0 }, { start: 50, end: 70, offset: 20 }],
+      replays: [{ start: 12, end: 15, duration: 6 }, { start: 55, end: 58, duration: 6 }]
+    };
+
+    expect(processedTime(analysis, 14)).toBe(4);
+    expect(processedTime(analysis, 15)).toBe(11);
+    expect(processedTime(analysis, 60)).toBe(42);
+    expect(processedTime({ replays: analysis.replays }, 60)).toBe(72);
+  });
+});
+
+describe('diffStats', () => {
+  const diff = diffStats(
+    { timeline: beforeTimeline, feedback: { totalShots: 4, accuracy: 50, totalFrames: 10, summary: 'text' } },
+    { timeline: afterTimeline, feedback: { totalShots: 3, accuracy: 66.7, totalFrames: 12, streak: 2 } },
+    basketball
+  );
+
+  test('compares the sessions overall', () => {
+    expect(diff.overall).toEqual({
+      before: { events: 4, successful: 2, successRate: 50 },
+      after: { events: 3, successful: 2, successRate: 66.7 },
+      change: { events: -1, successful: 0, successRate: 16.7 }
+    });
+  });
+
+  test('compares every category either session has', () => {
+    expect(diff.categories).toEqual([
+      {
+        category: 'Finish at the rim',
+        before: { attempts: 2, successful: 2, successRate: 100 },
+        after: { attempts: 1, successful: 1, successRate: 100 },
+        change: { attempts: -1, successRate: 0 }
+      },
+      {
+        category: 'Three-pointer',
+        before: { attempts: 1, successful: 0, successRate: 0 },
+        after: { attempts: 2, successful: 1, successRate: 50 },
+        change: { attempts: 1, successRate: 50 }
+      },
+      {
+        category: 'Mid-range',
+        before: { attempts: 1, successful: 0, successRate: 0 },
+        after: { attempts: 0, successful: 0, successRate: null },
+        change: { attempts: -1, successRate: null }
+      }
+    ]);
+  });
+
+  test('diffs the numeric stats of the feedback summaries', () => {
+    expect(diff.stats).toEqual([
+      { stat: 'totalShots', before: 4, after: 3, change: -1 },
+      { stat: 'accuracy', before: 50, after: 66.7, change: 16.7 },
+      { stat: 'streak', before: null, after: 2, change: null }
+    ]);
+  });
+});
+
+describe('describePair', () => {
+  test('summarizes both events', () => {
+    const [pair] = matchEvents(beforeTimeline, afterTimeline, basketball);
+    expect(describePair(pair, basketball)).toEqual({
+      category: 'Finish at the rim',
+      success: true,
+      before: { seconds: 2, type: 'Layup', result: 'made', feedback: 'Good extension' },
+      after: { seconds: 6, type: 'Reverse layup', result: 'made', feedback: null }
+    });
+  });
+});
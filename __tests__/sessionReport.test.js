@@ -0,0 +1,53 @@
+const basketball = require('../services/sports/basketball');
+const { buildReport } = require('../services/sessionReport');
+
+function storedAnalysis(overrides) {
+  return {
+    sport: 'basketball',
+    originalVideo: 'practice.mp4',
+    createdAt: '2024-05-06T18:00:00.000Z',
+    files: {},
+    analysis: [{ frame: 'frame_0001.jpg', timestamp: '1.00', analysis: 'Shot made, nice arc' }],
+    timeline: [],
+    ...overrides
+  };
+}
+
+describe('buildReport stats', () => {
+  test('uses the sport stats panel for structured analyses', async () => {
+    const timeline = [
+      { seconds: 1, shot_type: 'Layup', result: 'made' },
+      { seconds: 4, shot_type: 'Three-pointer', result: 'missed' }
+    ];
+    const feedback = { sport: 'basketball', totalFrames: 1, ...basketball.aggregate(timeline), hasStructuredData: true };
+
+    const report = await buildReport(storedAnalysis({ timeline, feedback }));
+
+    expect(report.stats).toEqual(basketball.statsPanel(feedback).map(([label, value]) => [label, String(value)]));
+    expect(report.summary).toEqual({ events: 2, successful: 1, successRate: 50 });
+  });
+
+  test('falls back to the text counts of the overlay for text-only analyses', async () => {
+    const feedback = {
+      sport: 'basketball',
+      totalFrames: 1,
+      eventCount: 3,
+      successCount: 2,
+      failureCount: 1,
+      accuracy: 66.7,
+      hasStructuredData: false
+    };
+
+    const report = await buildReport(storedAnalysis({ feedback }));
+
+    expect(report.stats).toEqual([['Shots', '3'], ['Successful', '2'], ['Unsuccessful', '1']]);
+    expect(report.note).toBeNull();
+  });
+
+  test('shows a plain text summary as a note', async () => {
+    const report = await buildReport(storedAnalysis({ feedback: 'Solid session' }));
+
+    expect(report.stats).toEqual([]);
+    expect(report.note).toBe('Solid session');
+  });
+});
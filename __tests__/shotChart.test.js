@@ -0,0 +1,84 @@
+const basketball = require('../services/sports/basketball');
+const soccer = require('../services/sports/soccer');
+const golf = require('../services/sports/golf');
+const { locateEvent, locateEvents, chartHeight, renderChart } = require('../services/shotChart');
+
+const court = basketball.court;
+const shot = (shotType, location) => ({ shot_type: shotType, location });
+
+describe('locateEvent', () => {
+  test('uses reported coordinates, clamped, with the nearest zone', () => {
+    expect(locateEvent(court, shot('Jump shot', { x: 1.2, y: 0.1 }), 'shot_type')).toEqual({
+      zone: 'right-corner-three', x: 1, y: 0.1, source: 'coordinates'
+    });
+    expect(locateEvent(court, shot('Jump shot', { x: 0.5, y: 0.5, zone: 'paint' }), 'shot_type').zone).toBe('paint');
+  });
+
+  test('places a named zone at its center', () => {
+    expect(locateEvent(court, shot('Jump shot', { zone: 'paint' }), 'shot_type')).toEqual({
+      zone: 'paint', x: 0.5, y: 0.255, source: 'zone'
+    });
+  });
+
+  test('infers the zone from the shot type, taking the side it names', () => {
+    expect(locateEvent(court, shot('Corner three from the left'), 'shot_type')).toEqual({
+      zone: 'left-corner-three', x: 0.03, y: 0.106, source: 'type'
+    });
+    expect(locateEvent(court, shot('Free throw'), 'shot_type').zone).toBe('free-throw-line');
+  });
+
+  test('alternates sides when the type names none', () => {
+    const sides = new Map();
+    const zones = [1, 2, 3].map(() => locateEvent(court, shot('Corner 3pt'), 'shot_type', sides).zone);
+    expect(zones).toEqual(['left-corner-three', 'right-corner-three', 'left-corner-three']);
+  });
+
+  test('returns null when nothing places the event', () => {
+    expect(locateEvent(court, shot('Alley-oop', { zone: 'bleachers' }), 'shot_type')).toBeNull();
+  });
+});
+
+describe('locateEvents', () => {
+  test('returns chart points in time order and sets each event location', () => {
+    const timeline = [
+      { seconds: 2, result: 'made', shot_type: 'Layup' },
+      { seconds: 5, result: 'missed', shot_type: 'Alley-oop' },
+      { seconds: 9, result: 'missed', shot_type: 'Three-pointer', location: { zone: 'top-of-key-three' } }
+    ];
+
+    expect(locateEvents(basketball, timeline)).toEqual([
+      { seconds: 2, success: true, zone: 'restricted-area', x: 0.5, y: 0.149, source: 'type' },
+      { seconds: 9, success: false, zone: 'top-of-key-three', x: 0.5, y: 0.67, source: 'zone' }
+    ]);
+    expect(timeline[0].location.zone).toBe('restricted-area');
+    expect(timeline[1].location).toBeUndefined();
+  });
+
+  test('charts only the events the court includes (soccer shots)', () => {
+    const timeline = [
+      { seconds: 3, result: 'completed', action_type: 'Pass into the box', location: { x: 0.4, y: 0.2 } },
+      { seconds: 8, result: 'goal', action_type: 'Shot from the edge of the box' },
+      { seconds: 12, result: 'saved', action_type: 'Long-range shot' }
+    ];
+
+    expect(locateEvents(soccer, timeline)).toEqual([
+      { seconds: 8, success: true, zone: 'edge-of-the-box', x: 0.5, y: 0.362, source: 'type' },
+      { seconds: 12, success: false, zone: 'long-range', x: 0.5, y: 0.571, source: 'type' }
+    ]);
+    expect(timeline[0].location).toEqual({ x: 0.4, y: 0.2 });
+  });
+
+  test('has no points for sports without a court diagram', () => {
+    expect(locateEvents(golf, [{ seconds: 1, result: 'good', location: { x: 0.5, y: 0.5 } }])).toEqual([]);
+  });
+});
+
+describe('renderChart', () => {
+  test('draws a PNG of the chart size', () => {
+    const png = renderChart(court, [{ x: 0.5, y: 0.2, success: true }, { x: 0.5, y: 0.2, success: false }], { width: 200, highlightLast: true });
+
+    expect(png.subarray(0, 8)).toEqual(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]));
+    expect(png.readUInt32BE(16)).toBe(200);
+    expect(png.readUInt32BE(20)).toBe(chartHeight(court, 200));
+  });
+});
@@ -0,0 +1,108 @@
+const {
+  validateSegments,
+  parseCrop,
+  planSegments,
+  totalLength,
+  fitCrop,
+  toSourceTime,
+  toWorkingTime,
+  mapResultTimes
+} = require('../services/sourceSegments');
+
+describe('validateSegments', () => {
+  test('accepts [start, end] ranges', () => {
+    expect(validateSegments([[12, 45], [90, 130]])).toBeNull();
+  });
+
+  test('rejects empty lists and backwards or negative ranges', () => {
+    expect(validateSegments([])).toMatch(/list of \[start, end\]/);
+    expect(validateSegments([[45, 12]])).toMatch(/Invalid segment \[45,12\]/);
+    expect(validateSegments([[-1, 5]])).toMatch(/Invalid segment/);
+  });
+});
+
+describe('parseCrop', () => {
+  test('reads x,y,width,height and JSON', () => {
+    expect(parseCrop('10,20,300,200')).toEqual({ x: 10, y: 20, width: 300, height: 200 });
+    expect(parseCrop('{"x":1,"y":2,"width":3,"height":4}')).toEqual({ x: 1, y: 2, width: 3, height: 4 });
+  });
+});
+
+describe('planSegments', () => {
+  test('sorts, joins overlapping ranges and cuts them to the duration', () => {
+    expect(planSegments([[90, 130], [10, 20], [15, 30], [50, 200]], 120)).toEqual([
+      { start: 10, end: 30, offset: 0 },
+      { start: 50, end: 120, offset: 20 }
+    ]);
+  });
+
+  test('drops ranges past the end and uses the whole video without segments', () => {
+    expect(planSegments([[130, 140]], 120)).toEqual([]);
+    expect(planSegments(null, 60)).toEqual([{ start: 0, end: 60, offset: 0 }]);
+  });
+});
+
+describe('times', () => {
+  const plan = planSegments([[12, 45], [90, 130]], 200);
+
+  test('the cut is as long as its ranges', () => {
+    expect(totalLength(plan)).toBe(73);
+  });
+
+  test('maps cut times to the upload and back', () => {
+    expect(toSourceTime(plan, 5)).toBe(17);
+    expect(toSourceTime(plan, 33)).toBe(90);
+    expect(toSourceTime(plan, 40)).toBe(97);
+    expect(toWorkingTime(plan, 97)).toBe(40);
+    expect(toWorkingTime(plan, 60)).toBeNull();
+  });
+});
+
+describe('fitCrop', () => {
+  test('rounds the size down to even numbers', () => {
+    expect(fitCrop({ x: 1, y: 1, width: 301, height: 201 }, { width: 640, height: 360 }))
+      .toEqual({ x: 1, y: 1, width: 300, height: 200 });
+  });
+
+  test('throws when the rectangle is outside the video', () => {
+    expect(() => fitCrop({ x: 400, y: 0, width: 300, height: 200 }, { width: 640, height: 360 }))
+      .toThrow('outside the 640x360 video');
+  });
+});
+
+describe('mapResultTimes', () => {
+  const plan = planSegments([[12, 45], [90, 130]], 200);
+  const profile = { eventsKey: 'shots' };
+
+  const result = {
+    analysis: [
+      { timestamp: '5.00', structuredData: { shots: [{ timestamp_of_outcome: '0:05.5' }, { timestamp_of_outcome: 'unknown' }] } },
+      { timestamp: '40.00', window: { start: 38, end: 42 }, structuredData: {} }
+    ],
+    timeline: [{ seconds: 40, timestamp_of_outcome: '0:40.0', audio_cue: { seconds: 39.5 } }],
+    audioCues: [{ time: 10 }],
+    highlights: [{ start: 34, end: 39, events: [{ seconds: 36 }] }],
+    replays: [{ start: 38, end: 41, at: 41, events: [40] }]
+  };
+
+  test('moves every time from the cut to the upload', () => {
+    const mapped = mapResultTimes(plan, result, profile);
+
+    expect(mapped.analysis[0].timestamp).toBe('17.00');
+    expect(mapped.analysis[0].structuredData.shots).toEqual([
+      { timestamp_of_outcome: '0:17.5' },
+      { timestamp_of_outcome: 'unknown' }
+    ]);
+    expect(mapped.analysis[1]).toMatchObject({ timestamp: '97.00', window: { start: 95, end: 99 } });
+    expect(mapped.timeline).toEqual([{ seconds: 97, timestamp_of_outcome: '1:37.0', audio_cue: { seconds: 96.5 } }]);
+    expect(mapped.audioCues).toEqual([{ time: 22 }]);
+    expect(mapped.highlights).toEqual([{ start: 91, end: 96, events: [{ seconds: 93 }] }]);
+    expect(mapped.replays).toEqual([{ start: 95, end: 98, at: 41, events: [97] }]);
+  });
+
+  test('leaves the original result untouched', () => {
+    mapResultTimes(plan, result, profile);
+    expect(result.analysis[0].timestamp).toBe('5.00');
+    expect(result.timeline[0].seconds).toBe(40);
+  });
+});
@@ -0,0 +1,63 @@
+const {
+  formatVttTime,
+  formatSrtTime,
+  formatAssTime,
+  toWebVTT,
+  toSRT,
+  toASS
+} = require('../services/subtitles');
+
+describe('timestamp formatting', () => {
+  test('formats WebVTT, SRT and ASS times', () => {
+    expect(formatVttTime(7.5)).toBe('00:00:07.500');
+    expect(formatSrtTime(7.5)).toBe('00:00:07,500');
+    expect(formatAssTime(7.5)).toBe('0:00:07.50');
+  });
+
+  test('carries minutes and hours', () => {
+    expect(formatVttTime(3723.042)).toBe('01:02:03.042');
+    expect(formatSrtTime(3723.042)).toBe('01:02:03,042');
+    expect(formatAssTime(3723.042)).toBe('1:02:03.04');
+  });
+
+  test('rounds to the millisecond without producing 60 seconds', () => {
+    expect(formatVttTime(59.9996)).toBe('00:01:00.000');
+    expect(formatSrtTime(0.0004)).toBe('00:00:00,000');
+  });
+
+  test('clamps negative times to zero', () => {
+    expect(formatVttTime(-2)).toBe('00:00:00.000');
+    expect(formatAssTime(-2)).toBe('0:00:00.00');
+  });
+});
+
+describe('subtitle tracks', () => {
+  const cues = [
+    { start: 1, end: 3.5, text: 'Bend  your\nknees' },
+    { start: 4, end: 6, text: 'Follow through --> {good}' }
+  ];
+
+  test('numbers WebVTT cues and keeps "-->" out of the text', () => {
+    expect(toWebVTT(cues)).toBe(
+      'WEBVTT\n\n' +
+      '1\n00:00:01.000 --> 00:00:03.500\nBend your knees\n\n' +
+      '2\n00:00:04.000 --> 00:00:06.000\nFollow through -> {good}\n'
+    );
+  });
+
+  test('numbers SRT cues', () => {
+    expect(toSRT(cues)).toBe(
+      '1\n00:00:01,000 --> 00:00:03,500\nBend your knees\n\n' +
+      '2\n00:00:04,000 --> 00:00:06,000\nFollow through --> {good}\n'
+    );
+  });
+
+  test('writes ASS dialogue without override braces, sized to the video', () => {
+    const track = toASS(cues, { width: 1920, height: 1080 });
+
+    expect(track).toContain('PlayResX: 1920\nPlayResY: 1080');
+    expect(track).toContain('Style: Feedback,Arial,45,');
+    expect(track).toContain('Dialogue: 0,0:00:01.00,0:00:03.50,Feedback,,0,0,0,,Bend your knees\n');
+    expect(track).toContain('Dialogue: 0,0:00:04.00,0:00:06.00,Feedback,,0,0,0,,Follow through --> good\n');
+  });
+});
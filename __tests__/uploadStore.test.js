@@ -0,0 +1,119 @@
+const crypto = require('crypto');
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+const { Readable } = require('stream');
+
+const uploadDir = fs.mkdtempSync(path.join(os.tmpdir(), 'upload-store-'));
+process.env.UPLOAD_DIR = uploadDir;
+const uploadStore = require('../services/uploadStore');
+
+const data = Buffer.from('0123456789abcdefghij');
+
+function sha256(buffer) {
+  return { algorithm: 'sha256', digest: crypto.createHash('sha256').update(buffer).digest('base64') };
+}
+
+function chunk(buffer) {
+  return Readable.from([buffer]);
+}
+
+afterAll(() => fs.remove(uploadDir));
+
+describe('parseChecksum', () => {
+  test('reads "<algorithm> <digest>" with any algorithm case', () => {
+    expect(uploadStore.parseChecksum('SHA1 abc=')).toEqual({ algorithm: 'sha1', digest: 'abc=' });
+  });
+
+  test('rejects unsupported algorithms and missing digests', () => {
+    expect(uploadStore.parseChecksum('crc32 abc')).toBeNull();
+    expect(uploadStore.parseChecksum('sha256')).toBeNull();
+    expect(uploadStore.parseChecksum(undefined)).toBeNull();
+  });
+});
+
+describe('appendChunk', () => {
+  let upload;
+
+  beforeEach(async () => {
+    upload = await uploadStore.create({ filename: 'clip.mp4', size: data.length });
+  });
+
+  test('appends chunks at the current offset', async () => {
+    await uploadStore.appendChunk(upload.id, 0, chunk(data.subarray(0, 8)), sha256(data.subarray(0, 8)));
+    await uploadStore.appendChunk(upload.id, 8, chunk(data.subarray(8)));
+
+    expect(upload.offset).toBe(data.length);
+    expect(await fs.readFile(uploadStore.partPath(upload.id))).toEqual(data);
+  });
+
+  test('rejects a chunk at another offset', async () => {
+    await expect(uploadStore.appendChunk(upload.id, 4, chunk(data.subarray(4, 8))))
+      .rejects.toMatchObject({ code: uploadStore.OFFSET_MISMATCH });
+    expect(upload.offset).toBe(0);
+  });
+
+  test('discards a chunk whose checksum does not match', async () => {
+    await uploadStore.appendChunk(upload.id, 0, chunk(data.subarray(0, 8)));
+    await expect(uploadStore.appendChunk(upload.id, 8, chunk(data.subarray(8, 12)), sha256(Buffer.from('other'))))
+      .rejects.toMatchObject({ code: uploadStore.CHECKSUM_MISMATCH });
+
+    expect(upload.offset).toBe(8);
+    expect((await fs.stat(uploadStore.partPath(upload.id))).size).toBe(8);
+  });
+
+  test('accepts hex digests', async () => {
+    const digest = crypto.createHash('md5').update(data).digest('hex');
+    await uploadStore.appendChunk(upload.id, 0, chunk(data), { algorithm: 'md5', digest });
+    expect(upload.offset).toBe(data.length);
+  });
+
+  test('discards a chunk that goes past the declared size', async () => {
+    await expect(uploadStore.appendChunk(upload.id, 0, chunk(Buffer.concat([data, data]))))
+      .rejects.toMatchObject({ code: uploadStore.CHUNK_TOO_LARGE });
+
+    expect(upload.offset).toBe(0);
+    expect((await fs.stat(uploadStore.partPath(upload.id))).size).toBe(0);
+  });
+});
+
+describe('finish', () => {
+  test('moves the file and stays open until a job is recorded', async () => {
+    const upload = await uploadStore.create({ filename: 'clip.mp4', size: data.length, checksum: sha256(data) });
+    await uploadStore.appendChunk(upload.id, 0, chunk(data));
+
+    const destination = path.join(uploadDir, 'finished.mp4');
+    await uploadStore.finish(upload.id, destination);
+    expect(await fs.readFile(destination)).toEqual(data);
+    expect(upload.state).toBe(uploadStore.UPLOAD_STATES.UPLOADING);
+
+    // Finishing again (after a failed job) keeps the first path
+    await uploadStore.finish(upload.id, path.join(uploadDir, 'other.mp4'));
+    expect(upload.videoPath).toBe(destination);
+
+    await uploadStore.setJob(upload.id, 'job-1');
+    expect(upload.state).toBe(uploadStore.UPLOAD_STATES.COMPLETE);
+    await expect(uploadStore.appendChunk(upload.id, data.length, chunk(Buffer.alloc(0))))
+      .rejects.toMatchObject({ code: uploadStore.UPLOAD_COMPLETE });
+  });
+
+  test('deletes an upload whose whole-file checksum does not match', async () => {
+    const upload = await uploadStore.create({ filename: 'clip.mp4', size: data.length, checksum: sha256(Buffer.from('other')) });
+    await uploadStore.appendChunk(upload.id, 0, chunk(data));
+
+    await expect(uploadStore.finish(upload.id, path.join(uploadDir, 'bad.mp4')))
+      .rejects.toMatchObject({ code: uploadStore.CHECKSUM_MISMATCH });
+    expect(uploadStore.get(upload.id)).toBeNull();
+    expect(await fs.pathExists(uploadStore.partPath(upload.id))).toBe(false);
+  });
+
+  test('removing a finished upload without a job deletes its file', async () => {
+    const upload = await uploadStore.create({ filename: 'clip.mp4', size: data.length });
+    await uploadStore.appendChunk(upload.id, 0, chunk(data));
+    const destination = path.join(uploadDir, 'orphan.mp4');
+    await uploadStore.finish(upload.id, destination);
+
+    await uploadStore.remove(upload.id);
+    expect(await fs.pathExists(destination)).toBe(false);
+  });
+});
@@ -0,0 +1,97 @@
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+
+process.env.CACHE_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'usage-cache-'));
+process.env.CLAUDE_MODEL = 'claude-3-sonnet-20240229';
+const { UsageMeter, BUDGET_EXCEEDED, resolvePrices, computeCost, worstCaseCost } = require('../services/usage');
+const claudeService = require('../services/claudeService');
+const mock = require('../services/providers/mock');
+
+const MODEL = 'claude-3-sonnet-20240229';
+
+afterAll(() => fs.remove(process.env.CACHE_DIR));
+
+describe('resolvePrices', () => {
+  test('merges MODEL_PRICES over the default prices', () => {
+    const prices = resolvePrices('{"my-model": {"input": 1, "output": 5}}');
+    expect(prices['my-model']).toEqual({ input: 1, output: 5 });
+    expect(prices[MODEL]).toEqual({ input: 3, output: 15 });
+    expect(resolvePrices('')[MODEL]).toEqual({ input: 3, output: 15 });
+  });
+
+  test('names MODEL_PRICES in its errors', () => {
+    expect(() => resolvePrices('{my-model')).toThrow(/^MODEL_PRICES is not valid JSON/);
+    expect(() => resolvePrices('[]')).toThrow('MODEL_PRICES must be a JSON object keyed by model');
+    expect(() => resolvePrices('{"my-model": {"input": 1}}')).toThrow(/^MODEL_PRICES\.my-model must be/);
+    expect(() => resolvePrices('{"my-model": {"input": -1, "output": 5}}')).toThrow(/^MODEL_PRICES\.my-model must be/);
+  });
+});
+
+describe('UsageMeter', () => {
+  test('records usage on frame meters and their job', () => {
+    const job = new UsageMeter({ budget: 1 });
+    const frame = job.child();
+    frame.record(MODEL, { input_tokens: 1000, output_tokens: 200 });
+
+    expect(frame.summary()).toMatchObject({ requests: 1, inputTokens: 1000, outputTokens: 200, cost: 0.006 });
+    expect(job.summary()).toMatchObject({ requests: 1, cost: 0.006, budget: 1, budgetExceeded: false });
+  });
+
+  test('refuses reservations the budget cannot cover, counting what other requests hold', () => {
+    const job = new UsageMeter({ budget: 0.05 });
+    const first = job.child().reserve(0.03);
+
+    expect(() => job.child().reserve(0.03)).toThrow(expect.objectContaining({ code: BUDGET_EXCEEDED }));
+
+    first();
+    first();
+    expect(job.reserved).toBeCloseTo(0, 10);
+    expect(() => job.child().reserve(0.03)).not.toThrow();
+  });
+
+  test('a budget of 0 sends nothing, even to unpriced models', () => {
+    const job = new UsageMeter({ budget: 0 });
+    expect(() => job.child().reserve(0)).toThrow(expect.objectContaining({ code: BUDGET_EXCEEDED }));
+    expect(() => new UsageMeter().reserve(100)).not.toThrow();
+  });
+
+  test('worst case is the estimated input plus max_tokens of output', () => {
+    const request = { model: MODEL, max_tokens: 1000, messages: [{ role: 'user', content: 'x'.repeat(400) }] };
+    expect(worstCaseCost(MODEL, request)).toBeCloseTo(computeCost(MODEL, 100, 1000), 10);
+  });
+});
+
+describe('sendMessages with a job budget', () => {
+  afterEach(() => jest.restoreAllMocks());
+
+  test('stops concurrent frames at the cap', async () => {
+    // Every response uses all of max_tokens and arrives after the others were dispatched
+    jest.spyOn(mock, 'send').mockImplementation(request => new Promise(resolve => {
+      setTimeout(() => resolve({ text: '{}', usage: { input_tokens: 1, output_tokens: request.max_tokens } }), 10);
+    }));
+
+    const job = new UsageMeter({ budget: 0.05 });
+    const messages = [{ role: 'user', content: 'Analyze' }];
+    const results = await Promise.allSettled(Array.from({ length: 8 }, () =>
+      claudeService.sendMessages(messages, { provider: 'mock', maxTokens: 1000, usage: job.child() })
+    ));
+
+    const sent = results.filter(result => result.status === 'fulfilled');
+    const skipped = results.filter(result => result.status === 'rejected');
+    expect(sent).toHaveLength(3);
+    expect(skipped.every(result => result.reason.code === BUDGET_EXCEEDED)).toBe(true);
+    expect(mock.send).toHaveBeenCalledTimes(3);
+    expect(job.totals.cost).toBeLessThanOrEqual(0.05);
+    expect(job.reserved).toBeCloseTo(0, 10);
+  });
+
+  test('releases the reservation of a failed request', async () => {
+    jest.spyOn(mock, 'send').mockRejectedValue(new Error('offline'));
+
+    const job = new UsageMeter({ budget: 0.05 });
+    await expect(claudeService.sendMessages([{ role: 'user', content: 'Analyze' }], { provider: 'mock', usage: job.child() }))
+      .rejects.toThrow('offline');
+    expect(job.reserved).toBeCloseTo(0, 10);
+  });
+});
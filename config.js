@@ -5,7 +5,58 @@ module.exports = {
   PORT: process.env.PORT || 3001,
   UPLOAD_DIR: process.env.UPLOAD_DIR || 'uploads',
   PROCESSED_DIR: process.env.PROCESSED_DIR || 'processed',
+  JOBS_DIR: process.env.JOBS_DIR || 'jobs',
+  CACHE_DIR: process.env.CACHE_DIR || 'cache',
+  DATABASE_PATH: process.env.DATABASE_PATH || 'data/sport-analyzer.db', // SQLite database with the analysis history
   MAX_FILE_SIZE: process.env.MAX_FILE_SIZE || 100000000,
+  MAX_RESUMABLE_UPLOAD_SIZE: parseInt(process.env.MAX_RESUMABLE_UPLOAD_SIZE) || 10000000000, // Largest file accepted through /api/uploads
+  UPLOAD_EXPIRY_HOURS: parseFloat(process.env.UPLOAD_EXPIRY_HOURS) || 24, // Unfinished resumable uploads are dropped this long after their last chunk
+  RETENTION_RULES: process.env.RETENTION_RULES || '', // JSON, e.g. {"processed": {"maxAgeHours": 720, "maxBytes": 50000000000, "keepLast": 500}}, checked by services/retentionRules.js
+  RETENTION_SWEEP_MINUTES: process.env.RETENTION_SWEEP_MINUTES !== undefined ? parseFloat(process.env.RETENTION_SWEEP_MINUTES) : 60, // Minutes between storage sweeps (0 turns them off)
+  MAX_FRAMES: parseInt(process.env.MAX_FRAMES) || 30, // Frame budget per video
+  ADAPTIVE_SAMPLE_FPS: parseFloat(process.env.ADAPTIVE_SAMPLE_FPS) || 4, // Sampling rate for scene/motion scoring
+  CLIP_WINDOW_SIZE: parseInt(process.env.CLIP_WINDOW_SIZE) || 6, // Frames per clip in clip analysis mode
+  CLIP_FRAME_INTERVAL: parseFloat(process.env.CLIP_FRAME_INTERVAL) || 0.5, // Seconds between frames in a clip
+  MAX_REPAIR_ATTEMPTS: process.env.MAX_REPAIR_ATTEMPTS !== undefined ? parseInt(process.env.MAX_REPAIR_ATTEMPTS) : 2,
+  KEEP_AUDIO: process.env.KEEP_AUDIO !== 'false', // Pass the original audio through to processed videos
+  AUDIO_CUES: process.env.AUDIO_CUES === 'true', // Detect audio cues by default
+  OVERLAY_THEME: process.env.OVERLAY_THEME || 'classic', // Default overlay theme (see services/overlayThemes.js)
+  SHOT_CHART: process.env.SHOT_CHART !== 'false', // Shot chart picture-in-picture and image for sports with a court diagram
+  HIGHLIGHT_PRE_ROLL: parseFloat(process.env.HIGHLIGHT_PRE_ROLL) || 3, // Seconds of highlight reel footage before each event
+  HIGHLIGHT_POST_ROLL: parseFloat(process.env.HIGHLIGHT_POST_ROLL) || 2, // Seconds of highlight reel footage after each event
+  HIGHLIGHT_TITLE_SECONDS: parseFloat(process.env.HIGHLIGHT_TITLE_SECONDS) || 2.5, // How long each highlight title card is shown
+  HIGHLIGHT_FADE_SECONDS: parseFloat(process.env.HIGHLIGHT_FADE_SECONDS) || 0.4, // Fade length of highlight reel transitions
+  SLOW_MOTION_REPLAYS: process.env.SLOW_MOTION_REPLAYS === 'true', // Insert a slow-motion replay after each event by default
+  REPLAY_SPEED: parseFloat(process.env.REPLAY_SPEED) || 0.5, // Playback speed of replays (0.5 = half speed)
+  REPLAY_BEFORE: parseFloat(process.env.REPLAY_BEFORE) || 2, // Seconds before each event a replay starts
+  REPLAY_AFTER: parseFloat(process.env.REPLAY_AFTER) || 1, // Seconds after each event a replay ends
+  REPLAY_INTERPOLATION: process.env.REPLAY_INTERPOLATION || 'blend', // none, blend or motion (see services/replays.js)
+  COMPARISON_PRE_ROLL: parseFloat(process.env.COMPARISON_PRE_ROLL) || 4, // Seconds of each session shown before the synced event
+  COMPARISON_POST_ROLL: parseFloat(process.env.COMPARISON_POST_ROLL) || 4, // Seconds of each session shown after the synced event
+  TREND_MIN_ATTEMPTS: parseInt(process.env.TREND_MIN_ATTEMPTS) || 5, // Fewest events a success rate needs to count in trends and personal bests
+  TREND_CHANGE_THRESHOLD: parseFloat(process.env.TREND_CHANGE_THRESHOLD) || 10, // Success rate change (points) reported as an improvement or regression
+  EVENT_MATCH_TOLERANCE: parseFloat(process.env.EVENT_MATCH_TOLERANCE) || 1.5, // Seconds between duplicate event reports
+  ANALYSIS_CONCURRENCY: parseInt(process.env.ANALYSIS_CONCURRENCY) || 4, // Frames analyzed in parallel
+  API_RATE_LIMIT_PER_MINUTE: parseFloat(process.env.API_RATE_LIMIT_PER_MINUTE) || 50,
+  API_RATE_BURST: parseInt(process.env.API_RATE_BURST) || 5,
+  API_MAX_RETRIES: process.env.API_MAX_RETRIES !== undefined ? parseInt(process.env.API_MAX_RETRIES) : 4,
+  API_BASE_BACKOFF: parseInt(process.env.API_BASE_BACKOFF) || 1000, // ms, doubled on each retry
+  API_MAX_BACKOFF: parseInt(process.env.API_MAX_BACKOFF) || 60000, // ms
+  API_REQUEST_TIMEOUT: parseInt(process.env.API_REQUEST_TIMEOUT) || 60000, // ms per HTTP request
+  FRAME_ANALYSIS_TIMEOUT: parseInt(process.env.FRAME_ANALYSIS_TIMEOUT) || 300000, // ms per frame or clip, including retries
+  CACHE_MAX_BYTES: parseInt(process.env.CACHE_MAX_BYTES) || 200000000, // Evict least recently used entries beyond this
+  CACHE_MAX_ENTRIES: parseInt(process.env.CACHE_MAX_ENTRIES) || 50000,
+  CACHE_TTL_HOURS: parseFloat(process.env.CACHE_TTL_HOURS) || 720, // Cached responses expire after 30 days
+  CLAUDE_MODEL: process.env.CLAUDE_MODEL || 'claude-3-sonnet-20240229',
+  MODEL_PRICES: process.env.MODEL_PRICES || '', // JSON: {"model": {"input": 3, "output": 15}} in USD per million tokens
+  JOB_BUDGET_USD: parseFloat(process.env.JOB_BUDGET_USD) || null, // Default per-job spending cap (none when unset)
+  ESTIMATED_OUTPUT_TOKENS: parseInt(process.env.ESTIMATED_OUTPUT_TOKENS) || 400, // Assumed output per request for cost estimates
+  USAGE_DIR: process.env.USAGE_DIR || 'usage',
   CLAUDE_API_URL: 'https://api.anthropic.com/v1/messages',
-  DEV_MODE: process.env.DEV_MODE === 'true' || true // Set to false to use real Claude API
+  // Default vision provider: anthropic, local, mock, record or replay (DEV_MODE=true selects mock)
+  VISION_PROVIDER: process.env.VISION_PROVIDER || (process.env.DEV_MODE === 'true' ? 'mock' : 'anthropic'),
+  LOCAL_PROVIDER_URL: process.env.LOCAL_PROVIDER_URL || 'http://localhost:8080/v1/messages',
+  LOCAL_PROVIDER_API_KEY: process.env.LOCAL_PROVIDER_API_KEY,
+  RECORDINGS_DIR: process.env.RECORDINGS_DIR || 'recordings',
+  RECORD_UPSTREAM: process.env.RECORD_UPSTREAM || 'anthropic' // Provider the record mode forwards to
 }; 
\ No newline at end of file
@@ -7,6 +7,25 @@ const { v4: uuidv4 } = require('uuid');
 const config = require('./config');
 const videoProcessor = require('./services/videoProcessor');
 const claudeService = require('./services/claudeService');
+const jobStore = require('./services/jobStore');
+const analysisCache = require('./services/analysisCache');
+const usageStore = require('./services/usageStore');
+const analysisStore = require('./services/analysisStore');
+const { UsageMeter, estimateAnalysis } = require('./services/usage');
+const sports = require('./services/sports');
+const providers = require('./services/providers');
+const overlayThemes = require('./services/overlayThemes');
+const highlights = require('./services/highlights');
+const replays = require('./services/replays');
+const athleteTrends = require('./services/athleteTrends');
+const sessionComparison = require('./services/sessionComparison');
+const sessionReport = require('./services/sessionReport');
+const eventExport = require('./services/eventExport');
+const uploadStore = require('./services/uploadStore');
+const sourceSegments = require('./services/sourceSegments');
+const storageSweeper = require('./services/storageSweeper');
+const { FRAME_SELECTION_MODES, ANALYSIS_MODES } = require('./services/frameSelector');
+const { JOB_STATES, TERMINAL_STATES } = jobStore;
 
 const app = express();
 
@@ -22,6 +41,8 @@ fs.ensureDirSync(config.PROCESSED_DIR);
 // Serve static files
 app.use('/processed', express.static(config.PROCESSED_DIR));
 
+const VIDEO_EXTENSIONS = /\.(mp4|avi|mov|mkv|webm)$/i;
+
 // Configure multer for file uploads
 const storage = multer.diskStorage({
   destination: (req, file, cb) => {
@@ -39,11 +60,8 @@ const upload = multer({
     fileSize: config.MAX_FILE_SIZE
   },
   fileFilter: (req, file, cb) => {
-    const allowedExtensions = /\.(mp4|avi|mov|mkv|webm)$/i;
-    const allowedMimeTypes = /^video\//;
-    
-    const hasValidExtension = allowedExtensions.test(file.originalname);
-    const hasValidMimeType = allowedMimeTypes.test(file.mimetype);
+    const hasValidExtension = VIDEO_EXTENSIONS.test(file.originalname);
+    const hasValidMimeType = /^video\//.test(file.mimetype);
     
     console.log(`File: ${file.originalname}, MimeType: ${file.mimetype}, Extension: ${hasValidExtension}, MimeType: ${hasValidMimeType}`);
     
@@ -60,66 +78,1301 @@ app.get('/', (req, res) => {
   res.json({ message: 'Sport Analyzer Backend API' });
 });
 
-// Upload and process video
-app.post('/api/analyze-video', upload.single('video'), async (req, res) => {
-  // Set a timeout for the entire request
-  const requestTimeout = setTimeout(() => {
-    console.error('Request timeout - processing took too long');
-    if (!res.headersSent) {
-      res.status(408).json({ error: 'Request timeout - processing took too long' });
+// List the available sport profiles
+app.get('/api/sports', (req, res) => {
+  res.json({
+    defaultSport: sports.DEFAULT_SPORT,
+    sports: sports.listProfiles()
+  });
+});
+
+// List the vision providers a request can choose from
+app.get('/api/providers', (req, res) => {
+  res.json({
+    defaultProvider: providers.DEFAULT_PROVIDER,
+    providers: providers.listProviders()
+  });
+});
+
+// List the overlay themes a request can choose from
+app.get('/api/themes', (req, res) => {
+  res.json({
+    defaultTheme: overlayThemes.DEFAULT_THEME,
+    themes: overlayThemes.listThemes()
+  });
+});
+
+// Public URL of an output file
+function toUrl(filePath) {
+  return `http://localhost:${config.PORT}/${filePath}`;
+}
+
+// Run a video analysis job in the background and record its progress
+async function runAnalysisJob(jobId, input) {
+  const { videoPath, prompt, fps, testMode, sport, embedSubtitles, frameSelection, maxFrames, analysisMode, concurrency, provider, budget, keepAudio, audioCues, theme, shotChart, highlights: highlightOptions, replays: replayOptions, segments, crop } = input;
+  const usage = new UsageMeter({ budget });
+  let result = null;
+
+  try {
+    result = await videoProcessor.processVideo(videoPath, prompt, fps, testMode, {
+      jobId,
+      sport,
+      embedSubtitles,
+      frameSelection,
+      maxFrames,
+      analysisMode,
+      concurrency,
+      provider,
+      usage,
+      keepAudio,
+      audioCues,
+      theme,
+      shotChart,
+      highlights: highlightOptions,
+      replays: replayOptions,
+      segments,
+      crop,
+      onProgress: (state, progress) => {
+        jobStore.setState(jobId, state, progress).catch(err => {
+          console.error(`Failed to update job ${jobId}:`, err.message);
+        });
+      }
+    });
+
+    // Keep the session in the analysis history before the job is marked done, so its
+    // files are recorded before they're released. The job succeeds either way
+    try {
+      analysisStore.save({
+        id: jobId,
+        createdAt: jobStore.get(jobId).createdAt,
+        originalVideo: input.originalVideo,
+        prompt,
+        fps,
+        sport: result.sport || sport,
+        provider,
+        athleteId: input.athleteId,
+        options: { testMode, embedSubtitles, frameSelection, maxFrames, analysisMode, keepAudio, audioCues, theme, shotChart, highlights: highlightOptions, replays: replayOptions, segments, crop },
+        analysis: result.analysis,
+        timeline: result.timeline,
+        feedback: result.feedback,
+        files: {
+          processedVideo: result.processedVideoPath,
+          subtitles: result.subtitlePaths || null,
+          shotChart: result.shotChartPath || null,
+          highlights: result.highlightsPath || null,
+          thumbnails: result.thumbnailsDir || null
+        },
+        replays: result.replays,
+        segments: result.segments,
+        usage: result.usage
+      });
+    } catch (error) {
+      console.error(`Failed to save analysis ${jobId}:`, error.message);
+    }
+
+    // Convert the file paths to URLs
+    const processedVideoUrl = toUrl(result.processedVideoPath);
+    const subtitleUrls = result.subtitlePaths
+      ? {
+          vtt: toUrl(result.subtitlePaths.vtt),
+          srt: toUrl(result.subtitlePaths.srt),
+          ass: toUrl(result.subtitlePaths.ass)
+        }
+      : null;
+
+    await jobStore.complete(jobId, {
+      processedVideo: processedVideoUrl,
+      subtitles: subtitleUrls,
+      shotChart: result.shotChartPath ? toUrl(result.shotChartPath) : null,
+      highlights: result.highlightsPath ? toUrl(result.highlightsPath) : null,
+      highlightClips: result.highlights,
+      replays: result.replays,
+      segments: result.segments || null,
+      crop: result.crop || null,
+      sport: result.sport,
+      analysis: result.analysis,
+      timeline: result.timeline,
+      feedback: result.feedback,
+      audioCues: result.audioCues,
+      usage: result.usage
+    }, [
+      result.processedVideoPath,
+      ...Object.values(result.subtitlePaths || {}),
+      result.shotChartPath,
+      result.highlightsPath,
+      result.thumbnailsDir
+    ].filter(Boolean));
+    console.log(`✅ Job ${jobId} completed`);
+  } catch (error) {
+    console.error(`❌ Job ${jobId} failed:`, error);
+    await jobStore.fail(jobId, error);
+  } finally {
+    if (result) {
+      videoProcessor.release(result.outputPrefix);
     }
-  }, 300000); // 5 minute timeout
 
+    // Failed jobs still spent tokens
+    await usageStore.record(usage.summary()).catch(err => {
+      console.error(`Failed to record usage for job ${jobId}:`, err.message);
+    });
+  }
+}
+
+// Read the analysis options shared by analyze and estimate requests
+function parseAnalysisOptions(body) {
+  return {
+    prompt: body.prompt || 'Analyze this sports video and provide feedback on performance, technique, and areas for improvement.',
+    fps: parseInt(body.fps) || 1,
+    sport: (body.sport || sports.DEFAULT_SPORT).toLowerCase(),
+    frameSelection: body.frameSelection || 'fixed',
+    maxFrames: parseInt(body.maxFrames) || config.MAX_FRAMES,
+    analysisMode: body.analysisMode || 'frame',
+    provider: (body.provider || providers.DEFAULT_PROVIDER).toLowerCase(),
+    budget: body.budget === undefined || body.budget === '' ? config.JOB_BUDGET_USD : Number(body.budget)
+  };
+}
+
+// Check the enumerated options, returning a 400 response body for the first invalid one
+function validateAnalysisOptions({ sport, frameSelection, analysisMode, provider, budget }) {
+  if (!FRAME_SELECTION_MODES.includes(frameSelection)) {
+    return {
+      error: `Unsupported frame selection mode: ${frameSelection}`,
+      supportedModes: FRAME_SELECTION_MODES
+    };
+  }
+
+  if (!ANALYSIS_MODES.includes(analysisMode)) {
+    return {
+      error: `Unsupported analysis mode: ${analysisMode}`,
+      supportedModes: ANALYSIS_MODES
+    };
+  }
+
+  if (!sports.hasProfile(sport)) {
+    return {
+      error: `Unsupported sport: ${sport}`,
+      supportedSports: sports.listProfiles().map(profile => profile.id)
+    };
+  }
+
+  if (!providers.hasProvider(provider)) {
+    return {
+      error: `Unsupported provider: ${provider}`,
+      supportedProviders: providers.listProviders().map(p => p.id)
+    };
+  }
+
+  if (budget !== null && !(Number.isFinite(budget) && budget >= 0)) {
+    return { error: 'budget must be a number of USD, 0 or more' };
+  }
+
+  return null;
+}
+
+// Read the highlight reel options; null when no reel was requested
+function parseHighlightOptions(body) {
+  if (!body.highlights) {
+    return null;
+  }
+
+  const seconds = (value, fallback) => {
+    const parsed = parseFloat(value);
+    return Number.isFinite(parsed) && parsed >= 0 ? parsed : fallback;
+  };
+
+  return {
+    filter: body.highlights.toString().trim().toLowerCase(),
+    types: body.highlightTypes ? body.highlightTypes.toString().split(',').map(type => type.trim()).filter(Boolean) : [],
+    preRoll: seconds(body.highlightPreRoll, config.HIGHLIGHT_PRE_ROLL),
+    postRoll: seconds(body.highlightPostRoll, config.HIGHLIGHT_POST_ROLL),
+    titles: body.highlightTitles === undefined ? true : body.highlightTitles === 'true' || body.highlightTitles === true,
+    transition: (body.highlightTransition || 'fade').toLowerCase()
+  };
+}
+
+// Read the slow-motion replay options; null when replays are off
+function parseReplayOptions(body) {
+  const enabled = body.replays === undefined ? config.SLOW_MOTION_REPLAYS : body.replays === 'true' || body.replays === true;
+  if (!enabled) {
+    return null;
+  }
+
+  const seconds = (value, fallback) => {
+    const parsed = parseFloat(value);
+    return Number.isFinite(parsed) && parsed >= 0 ? parsed : fallback;
+  };
+
+  return {
+    speed: body.replaySpeed === undefined ? config.REPLAY_SPEED : parseFloat(body.replaySpeed),
+    before: seconds(body.replayBefore, config.REPLAY_BEFORE),
+    after: seconds(body.replayAfter, config.REPLAY_AFTER),
+    interpolation: (body.replayInterpolation || config.REPLAY_INTERPOLATION).toLowerCase()
+  };
+}
+
+// Read the segments and crop rectangle to analyze; null when the whole upload is used
+function parseSourceSelection(body) {
+  return {
+    segments: body.segments === undefined || body.segments === '' ? null : sourceSegments.parseSegments(body.segments),
+    crop: body.crop === undefined || body.crop === '' ? null : sourceSegments.parseCrop(body.crop)
+  };
+}
+
+// Check the segments and crop, returning a 400 response body when either is invalid
+function validateSourceSelection({ segments, crop }) {
+  const error = (segments !== null && sourceSegments.validateSegments(segments)) ||
+    (crop !== null && sourceSegments.validateCrop(crop));
+  return error ? { error } : null;
+}
+
+/**
+ * Read and check the analysis options sent with an upload (form fields or JSON).
+ * Returns { options } for the job input, or { invalid } with the 400 response body.
+ */
+function parseJobOptions(body) {
+  const { prompt, fps, sport, frameSelection, maxFrames, analysisMode, provider, budget } = parseAnalysisOptions(body);
+  const options = {
+    prompt,
+    fps,
+    testMode: body.testMode === 'true' || body.testMode === true,
+    sport,
+    embedSubtitles: body.embedSubtitles === 'true' || body.embedSubtitles === true,
+    frameSelection,
+    maxFrames,
+    analysisMode,
+    concurrency: parseInt(body.concurrency) || config.ANALYSIS_CONCURRENCY,
+    provider,
+    budget,
+    keepAudio: body.keepAudio === undefined ? config.KEEP_AUDIO : body.keepAudio === 'true' || body.keepAudio === true,
+    audioCues: body.audioCues === undefined ? config.AUDIO_CUES : body.audioCues === 'true' || body.audioCues === true,
+    theme: (body.theme || overlayThemes.DEFAULT_THEME).toLowerCase(),
+    shotChart: body.shotChart === undefined ? config.SHOT_CHART : body.shotChart === 'true' || body.shotChart === true,
+    highlights: parseHighlightOptions(body),
+    replays: parseReplayOptions(body),
+    ...parseSourceSelection(body),
+    athleteId: body.athleteId || null
+  };
+
+  const invalid = validateAnalysisOptions({ sport, frameSelection, analysisMode, provider, budget });
+  if (invalid) {
+    return { invalid };
+  }
+
+  const invalidSelection = validateSourceSelection(options);
+  if (invalidSelection) {
+    return { invalid: invalidSelection };
+  }
+
+  if (!overlayThemes.hasTheme(options.theme)) {
+    return {
+      invalid: {
+        error: `Unsupported theme: ${options.theme}`,
+        supportedThemes: overlayThemes.listThemes().map(t => t.id)
+      }
+    };
+  }
+
+  if (options.highlights) {
+    const filterError = highlights.validateFilter(options.highlights.filter, sports.getProfile(sport));
+    if (filterError) {
+      return { invalid: { error: filterError } };
+    }
+
+    if (!highlights.TRANSITIONS.includes(options.highlights.transition)) {
+      return {
+        invalid: {
+          error: `Unsupported highlight transition: ${options.highlights.transition}`,
+          supportedTransitions: highlights.TRANSITIONS
+        }
+      };
+    }
+  }
+
+  if (options.replays) {
+    if (!(options.replays.speed >= 0.1 && options.replays.speed < 1)) {
+      return { invalid: { error: 'replaySpeed must be at least 0.1 and below 1' } };
+    }
+
+    if (!replays.INTERPOLATION_MODES.includes(options.replays.interpolation)) {
+      return {
+        invalid: {
+          error: `Unsupported replay interpolation: ${options.replays.interpolation}`,
+          supportedModes: replays.INTERPOLATION_MODES
+        }
+      };
+    }
+  }
+
+  if (options.athleteId && !analysisStore.getAthlete(options.athleteId)) {
+    return { invalid: { error: `Unknown athlete: ${options.athleteId}` } };
+  }
+
+  return { options };
+}
+
+// Queue an analysis job for an uploaded video; processing continues in the background
+async function queueAnalysisJob(originalVideo, videoPath, options) {
+  const { prompt, fps, sport, frameSelection, maxFrames, analysisMode, provider, budget, keepAudio, audioCues, theme, shotChart, highlights: highlightOptions, replays: replayOptions, testMode } = options;
+
+  console.log(`Processing video: ${originalVideo}`);
+  console.log(`Prompt: ${prompt}`);
+  console.log(`FPS: ${fps}`);
+  console.log(`Sport: ${sport}`);
+  console.log(`Frame selection: ${frameSelection} (budget ${maxFrames}), analysis mode: ${analysisMode}`);
+  console.log(`Provider: ${provider}, budget: ${budget === null ? 'none' : `$${budget}`}`);
+  console.log(`Keep audio: ${keepAudio}, audio cues: ${audioCues}, theme: ${theme}, shot chart: ${shotChart}`);
+  if (highlightOptions) {
+    console.log(`Highlights: ${highlightOptions.filter}${highlightOptions.types.length > 0 ? ` (${highlightOptions.types.join(', ')})` : ''}, ${highlightOptions.preRoll}s before / ${highlightOptions.postRoll}s after`);
+  }
+  if (replayOptions) {
+    console.log(`Replays: ${replayOptions.speed}x, ${replayOptions.before}s before / ${replayOptions.after}s after, ${replayOptions.interpolation} interpolation`);
+  }
+  if (options.segments || options.crop) {
+    console.log(`Segments: ${options.segments ? JSON.stringify(options.segments) : 'whole video'}, crop: ${options.crop ? JSON.stringify(options.crop) : 'none'}`);
+  }
+  console.log(`Test mode: ${testMode}`);
+
+  const job = await jobStore.create({ originalVideo, videoPath, ...options });
+  runAnalysisJob(job.id, job.input).catch(error => {
+    console.error(`Job ${job.id} could not be finished:`, error);
+  });
+  return job;
+}
+
+// Upload a video and queue it for analysis
+app.post('/api/analyze-video', upload.single('video'), async (req, res) => {
   try {
     console.log('Received upload request');
     console.log('Request body:', req.body);
     console.log('Request file:', req.file);
     
     if (!req.file) {
-      clearTimeout(requestTimeout);
       return res.status(400).json({ error: 'No video file uploaded' });
     }
 
-    const videoPath = req.file.path;
-    const prompt = req.body.prompt || 'Analyze this sports video and provide feedback on performance, technique, and areas for improvement.';
-    const fps = parseInt(req.body.fps) || 1;
-    const testMode = req.body.testMode === 'true' || req.body.testMode === true;
-
-    console.log(`Processing video: ${req.file.originalname}`);
-    console.log(`Prompt: ${prompt}`);
-    console.log(`FPS: ${fps}`);
-    console.log(`Test mode: ${testMode}`);
+    const { options, invalid } = parseJobOptions(req.body);
+    if (invalid) {
+      await fs.remove(req.file.path);
+      return res.status(400).json(invalid);
+    }
 
-    // Process the video and get analysis
-    const result = await videoProcessor.processVideo(videoPath, prompt, fps, testMode);
+    const job = await queueAnalysisJob(req.file.originalname, req.file.path, options);
 
-    clearTimeout(requestTimeout);
-    
-    // Convert the file path to a URL
-    const processedVideoUrl = `http://localhost:${config.PORT}/${result.processedVideoPath}`;
-    
-    res.json({
+    res.status(202).json({
       success: true,
-      originalVideo: req.file.originalname,
-      processedVideo: processedVideoUrl,
-      analysis: result.analysis,
-      feedback: result.feedback
+      jobId: job.id,
+      status: job.state,
+      statusUrl: `/api/status/${job.id}`
     });
 
   } catch (error) {
-    clearTimeout(requestTimeout);
-    console.error('Error processing video:', error);
+    console.error('Error queuing video:', error);
     res.status(500).json({ 
-      error: 'Error processing video',
+      error: 'Error queuing video',
       details: error.message 
     });
   }
 });
 
+// Chunks must be sent as raw bytes so the JSON and form parsers leave the body alone
+const CHUNK_CONTENT_TYPES = ['application/offset+octet-stream', 'application/octet-stream'];
+
+// Build the public view of a resumable upload
+function serializeUpload(upload) {
+  return {
+    uploadId: upload.id,
+    filename: upload.filename,
+    size: upload.size,
+    offset: upload.offset,
+    state: upload.state,
+    jobId: upload.jobId,
+    createdAt: upload.createdAt,
+    updatedAt: upload.updatedAt,
+    expiresAt: upload.expiresAt,
+    uploadUrl: `/api/uploads/${upload.id}`
+  };
+}
+
+// Start a resumable upload; the analysis options are the ones /api/analyze-video takes
+app.post('/api/uploads', async (req, res) => {
+  try {
+    const filename = path.basename((req.body.filename || '').toString());
+    const size = Number(req.body.size);
+
+    if (!VIDEO_EXTENSIONS.test(filename)) {
+      return res.status(400).json({ error: 'filename must name a video file (mp4, avi, mov, mkv or webm)' });
+    }
+
+    if (!Number.isInteger(size) || size <= 0) {
+      return res.status(400).json({ error: 'size must be the file size in bytes' });
+    }
+
+    if (size > config.MAX_RESUMABLE_UPLOAD_SIZE) {
+      return res.status(413).json({ error: `File is larger than the ${config.MAX_RESUMABLE_UPLOAD_SIZE} byte limit` });
+    }
+
+    const checksum = req.body.checksum ? uploadStore.parseChecksum(req.body.checksum) : null;
+    if (req.body.checksum && !checksum) {
+      return res.status(400).json({
+        error: 'checksum must be "<algorithm> <digest>"',
+        supportedAlgorithms: uploadStore.CHECKSUM_ALGORITHMS
+      });
+    }
+
+    const { options, invalid } = parseJobOptions(req.body);
+    if (invalid) {
+      return res.status(400).json(invalid);
+    }
+
+    const upload = await uploadStore.create({ filename, size, checksum, options });
+    console.log(`Resumable upload ${upload.id} started: ${filename} (${size} bytes)`);
+
+    res.status(201).set('Upload-Offset', upload.offset).json(serializeUpload(upload));
+  } catch (error) {
+    console.error('Error starting upload:', error);
+    res.status(500).json({ error: 'Error starting upload', details: error.message });
+  }
+});
+
+// How far an upload has got; clients resume from the returned offset
+app.get('/api/uploads/:id', (req, res) => {
+  const upload = uploadStore.get(req.params.id);
+
+  if (!upload) {
+    return res.status(404).json({ error: 'Upload not found' });
+  }
+
+  res.set({ 'Upload-Offset': upload.offset, 'Cache-Control': 'no-store' }).json(serializeUpload(upload));
+});
+
+// Append a chunk at Upload-Offset; the last chunk queues the analysis job
+app.patch('/api/uploads/:id', async (req, res) => {
+  const upload = uploadStore.get(req.params.id);
+
+  if (!upload) {
+    return res.status(404).json({ error: 'Upload not found' });
+  }
+
+  const contentType = (req.get('Content-Type') || '').split(';')[0].trim().toLowerCase();
+  if (!CHUNK_CONTENT_TYPES.includes(contentType)) {
+    return res.status(415).json({
+      error: `Unsupported chunk content type: ${contentType || 'none'}`,
+      supportedContentTypes: CHUNK_CONTENT_TYPES
+    });
+  }
+
+  const offset = Number(req.get('Upload-Offset'));
+  if (req.get('Upload-Offset') === undefined || !Number.isInteger(offset) || offset < 0) {
+    return res.status(400).json({ error: 'Upload-Offset header must be the byte offset of the chunk', offset: upload.offset });
+  }
+
+  const checksumHeader = req.get('Upload-Checksum');
+  const checksum = checksumHeader ? uploadStore.parseChecksum(checksumHeader) : null;
+  if (checksumHeader && !checksum) {
+    return res.status(400).json({
+      error: 'Upload-Checksum header must be "<algorithm> <digest>"',
+      supportedAlgorithms: uploadStore.CHECKSUM_ALGORITHMS
+    });
+  }
+
+  const length = parseInt(req.get('Content-Length'));
+  if (offset + (length || 0) > upload.size) {
+    return res.status(413).json({ error: `Chunk goes past the declared size of ${upload.size} bytes`, offset: upload.offset });
+  }
+
+  try {
+    // A complete upload whose job couldn't be queued is retried with an empty chunk
+    // at its size, which skips straight to finishing it
+    const retryingFinish = upload.state === uploadStore.UPLOAD_STATES.UPLOADING && offset === upload.size && upload.offset === upload.size;
+    if (!retryingFinish) {
+      await uploadStore.appendChunk(upload.id, offset, req, checksum);
+    }
+  } catch (error) {
+    const conflict = [uploadStore.OFFSET_MISMATCH, uploadStore.UPLOAD_BUSY, uploadStore.UPLOAD_COMPLETE].includes(error.code);
+    const status = conflict ? 409
+      : error.code === uploadStore.CHECKSUM_MISMATCH ? 400
+      : error.code === uploadStore.CHUNK_TOO_LARGE ? 413
+      : 500;
+
+    if (status === 500) {
+      console.error(`Chunk of upload ${upload.id} failed:`, error.message);
+    }
+    // A dropped connection gets nothing; the client asks for the offset when it's back
+    if (!req.socket.destroyed) {
+      res.status(status).set('Upload-Offset', upload.offset).json({ error: error.message, offset: upload.offset });
+    }
+    return;
+  }
+
+  res.set('Upload-Offset', upload.offset);
+  if (upload.offset < upload.size) {
+    return res.json(serializeUpload(upload));
+  }
+
+  // The whole file is here: hand it to the analysis pipeline like a form upload
+  try {
+    await uploadStore.finish(upload.id, path.join(config.UPLOAD_DIR, `${uuidv4()}-${upload.filename}`));
+    console.log(`Resumable upload ${upload.id} complete`);
+
+    const job = await queueAnalysisJob(upload.filename, upload.videoPath, upload.options);
+    await uploadStore.setJob(upload.id, job.id);
+
+    res.status(202).json({
+      success: true,
+      ...serializeUpload(upload),
+      jobId: job.id,
+      status: job.state,
+      statusUrl: `/api/status/${job.id}`
+    });
+  } catch (error) {
+    if (error.code === uploadStore.CHECKSUM_MISMATCH) {
+      return res.status(400).json({ error: error.message });
+    }
+    if (error.code === uploadStore.UPLOAD_BUSY) {
+      return res.status(409).json({ error: error.message, offset: upload.offset });
+    }
+    console.error('Error finishing upload:', error);
+    res.status(500).json({ error: 'Error finishing upload', details: error.message });
+  }
+});
+
+// Abandon an upload and delete what was received
+app.delete('/api/uploads/:id', async (req, res) => {
+  const upload = uploadStore.get(req.params.id);
+
+  if (!upload) {
+    return res.status(404).json({ error: 'Upload not found' });
+  }
+
+  if (uploadStore.isBusy(upload.id)) {
+    return res.status(409).json({ error: 'A chunk of this upload is being written' });
+  }
+
+  try {
+    await uploadStore.remove(upload.id);
+    res.json({ success: true, uploadId: upload.id });
+  } catch (error) {
+    console.error('Error removing upload:', error);
+    res.status(500).json({ error: 'Error removing upload', details: error.message });
+  }
+});
+
+// Build the public view of a job for status responses and stream events
+function serializeJob(job) {
+  const response = {
+    jobId: job.id,
+    status: job.state,
+    progress: job.progress,
+    originalVideo: job.input.originalVideo,
+    sport: job.input.sport,
+    createdAt: job.createdAt,
+    updatedAt: job.updatedAt
+  };
+
+  if (job.state === JOB_STATES.DONE) {
+    Object.assign(response, { success: true }, job.result);
+  } else if (job.state === JOB_STATES.FAILED) {
+    response.error = job.error;
+  }
+
+  return response;
+}
+
 // Get processing status
 app.get('/api/status/:jobId', (req, res) => {
-  // TODO: Implement job status tracking
-  res.json({ status: 'completed' });
+  const job = jobStore.get(req.params.jobId);
+
+  if (!job) {
+    return res.status(404).json({ error: 'Job not found' });
+  }
+
+  res.json(serializeJob(job));
+});
+
+// Stream live job progress as Server-Sent Events
+app.get('/api/status/:jobId/stream', (req, res) => {
+  const job = jobStore.get(req.params.jobId);
+
+  if (!job) {
+    return res.status(404).json({ error: 'Job not found' });
+  }
+
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive'
+  });
+  res.flushHeaders();
+
+  const sendEvent = (current) => {
+    res.write(`event: ${current.state}\ndata: ${JSON.stringify(serializeJob(current))}\n\n`);
+  };
+
+  // Send the current snapshot first so reconnecting clients catch up
+  sendEvent(job);
+  if (TERMINAL_STATES.includes(job.state)) {
+    return res.end();
+  }
+
+  const onUpdate = (updated) => {
+    if (updated.id !== job.id) {
+      return;
+    }
+
+    sendEvent(updated);
+    if (TERMINAL_STATES.includes(updated.state)) {
+      cleanup();
+      res.end();
+    }
+  };
+
+  // Keep the connection alive through proxies while frames are analyzed
+  const heartbeat = setInterval(() => res.write(': heartbeat\n\n'), 15000);
+
+  const cleanup = () => {
+    clearInterval(heartbeat);
+    jobStore.off('update', onUpdate);
+  };
+
+  jobStore.on('update', onUpdate);
+  req.on('close', cleanup);
+});
+
+// Dry-run cost estimate. Takes the same fields as /api/analyze-video; send either
+// the video (only its duration is probed) or its `duration` in seconds.
+app.post('/api/estimate', upload.single('video'), async (req, res) => {
+  const videoPath = req.file ? req.file.path : null;
+
+  try {
+    const options = parseAnalysisOptions(req.body);
+    const { segments, crop } = parseSourceSelection(req.body);
+    const invalid = validateAnalysisOptions(options) || validateSourceSelection({ segments, crop });
+    if (invalid) {
+      return res.status(400).json(invalid);
+    }
+
+    let duration = parseFloat(req.body.duration);
+    if (videoPath) {
+      const videoInfo = await videoProcessor.getVideoInfo(videoPath);
+      duration = videoInfo.format.duration;
+    }
+    if (!(duration > 0)) {
+      return res.status(400).json({ error: 'Upload a video or provide its duration in seconds' });
+    }
+
+    // Only the selected segments are analyzed, with no lead-in skipped
+    if (segments) {
+      duration = Number(sourceSegments.totalLength(sourceSegments.planSegments(segments, duration)).toFixed(3));
+      if (!(duration > 0)) {
+        return res.status(400).json({ error: 'None of the selected segments are inside the video' });
+      }
+    }
+
+    const estimate = estimateAnalysis({ ...options, duration, leadIn: segments ? 0 : undefined });
+    res.json({
+      duration,
+      ...estimate,
+      budget: options.budget,
+      withinBudget: options.budget === null ? null : estimate.estimatedCost <= options.budget
+    });
+  } catch (error) {
+    console.error('Error estimating cost:', error);
+    res.status(500).json({ error: 'Error estimating cost', details: error.message });
+  } finally {
+    if (videoPath) {
+      await fs.remove(videoPath);
+    }
+  }
+});
+
+// Token usage and cost per day (UTC), optionally limited to from/to (YYYY-MM-DD)
+app.get('/api/usage', (req, res) => {
+  const { from, to } = req.query;
+
+  const repeated = validateQueryStrings(req.query, ['from', 'to']);
+  if (repeated) {
+    return res.status(400).json(repeated);
+  }
+
+  // Days are compared as strings, so anything but YYYY-MM-DD would filter wrongly
+  if ([from, to].some(date => date !== undefined && !isDay(date))) {
+    return res.status(400).json({ error: 'from and to must be dates (YYYY-MM-DD)' });
+  }
+
+  const days = usageStore.getDaily(from, to);
+  const totals = days.reduce((sum, day) => ({
+    jobs: sum.jobs + day.jobs,
+    requests: sum.requests + day.requests,
+    cacheHits: sum.cacheHits + day.cacheHits,
+    inputTokens: sum.inputTokens + day.inputTokens,
+    outputTokens: sum.outputTokens + day.outputTokens,
+    cost: Number((sum.cost + day.cost).toFixed(6))
+  }), { jobs: 0, requests: 0, cacheHits: 0, inputTokens: 0, outputTokens: 0, cost: 0 });
+
+  res.json({ days, totals });
+});
+
+// Analysis cache statistics
+app.get('/api/cache', (req, res) => {
+  res.json(analysisCache.stats());
+});
+
+// Inspect cached entries, optionally filtered by job ID or prompt text
+app.get('/api/cache/entries', (req, res) => {
+  const { jobId, prompt } = req.query;
+  const limit = parseInt(req.query.limit) || 50;
+  const offset = parseInt(req.query.offset) || 0;
+  const entries = analysisCache.list({ jobId, prompt });
+
+  res.json({
+    total: entries.length,
+    limit,
+    offset,
+    entries: entries.slice(offset, offset + limit)
+  });
+});
+
+// Purge cached entries for a job or prompt (or everything with all=true)
+app.delete('/api/cache', async (req, res) => {
+  const { jobId, prompt } = req.query;
+
+  if (!jobId && !prompt && req.query.all !== 'true') {
+    return res.status(400).json({ error: 'Specify jobId, prompt or all=true' });
+  }
+
+  try {
+    const removed = await analysisCache.purge({ jobId, prompt });
+    res.json({ success: true, removed });
+  } catch (error) {
+    console.error('Error purging cache:', error);
+    res.status(500).json({ error: 'Error purging cache', details: error.message });
+  }
+});
+
+// Remove a single cached entry
+app.delete('/api/cache/entries/:key', async (req, res) => {
+  try {
+    const removed = await analysisCache.remove(req.params.key);
+    if (!removed) {
+      return res.status(404).json({ error: 'Cache entry not found' });
+    }
+    res.json({ success: true, removed: 1 });
+  } catch (error) {
+    console.error('Error removing cache entry:', error);
+    res.status(500).json({ error: 'Error removing cache entry', details: error.message });
+  }
+});
+
+// Disk usage per directory and what the next sweep would delete (at most `limit`
+// files listed per directory)
+app.get('/api/storage', async (req, res) => {
+  const limit = parseInt(req.query.limit) || 100;
+
+  try {
+    const plan = await storageSweeper.plan();
+    const deletionSummary = (deletions, describe) => ({
+      count: deletions.length,
+      bytes: deletions.reduce((total, item) => total + item.size, 0),
+      items: deletions.slice(0, limit).map(describe)
+    });
+
+    res.json({
+      directories: plan.directories.map(directory => ({
+        name: directory.name,
+        path: directory.path,
+        files: directory.files,
+        totalBytes: directory.totalBytes,
+        rules: directory.rules,
+        nextSweep: deletionSummary(directory.deletions, item => ({
+          name: item.name,
+          files: item.files,
+          analysisId: item.analysisId,
+          size: item.size,
+          modifiedAt: new Date(item.modifiedAt).toISOString(),
+          reason: item.reason
+        }))
+      })),
+      cache: {
+        ...analysisCache.stats(),
+        nextSweep: deletionSummary(plan.cache, ({ key, size, lastAccessedAt, reason }) => ({ key, size, lastAccessedAt, reason }))
+      },
+      resumableUploads: {
+        active: uploadStore.uploads.size - plan.resumableUploads.length,
+        nextSweep: deletionSummary(
+          plan.resumableUploads.map(upload => ({ ...upload, size: upload.offset })),
+          upload => ({ uploadId: upload.id, filename: upload.filename, size: upload.size, expiresAt: upload.expiresAt })
+        )
+      },
+      sweepIntervalMinutes: config.RETENTION_SWEEP_MINUTES,
+      lastSweep: storageSweeper.lastSweep,
+      nextSweepAt: storageSweeper.nextSweepAt
+    });
+  } catch (error) {
+    console.error('Error reading storage usage:', error);
+    res.status(500).json({ error: 'Error reading storage usage', details: error.message });
+  }
+});
+
+// Run a storage sweep now
+app.post('/api/storage/sweep', async (req, res) => {
+  try {
+    res.json(await storageSweeper.sweep());
+  } catch (error) {
+    console.error('Error sweeping storage:', error);
+    res.status(500).json({ error: 'Error sweeping storage', details: error.message });
+  }
+});
+
+// A repeated query parameter (?search=a&search=b) arrives as an array; returns a 400
+// response body for the first of `names` that isn't a single value, otherwise null
+function validateQueryStrings(query, names) {
+  const repeated = names.find(name => query[name] !== undefined && typeof query[name] !== 'string');
+  return repeated ? { error: `${repeated} must be given once` } : null;
+}
+
+// A real calendar day written as YYYY-MM-DD
+function isDay(value) {
+  const date = new Date(`${value}T00:00:00Z`);
+  return /^\d{4}-\d{2}-\d{2}$/.test(value) && !isNaN(date) && date.toISOString().startsWith(value);
+}
+
+// Public view of a stored analysis, with file URLs instead of paths
+function serializeAnalysis(analysis) {
+  const { files, ...rest } = analysis;
+  const subtitles = files.subtitles;
+
+  return {
+    ...rest,
+    processedVideo: files.processedVideo ? toUrl(files.processedVideo) : null,
+    subtitles: subtitles
+      ? { vtt: toUrl(subtitles.vtt), srt: toUrl(subtitles.srt), ass: toUrl(subtitles.ass) }
+      : null,
+    shotChart: files.shotChart ? toUrl(files.shotChart) : null,
+    highlights: files.highlights ? toUrl(files.highlights) : null
+  };
+}
+
+// List past analyses with filtering, sorting and pagination
+app.get('/api/analyses', (req, res) => {
+  const { sport, provider, athleteId, from, to, search, sort, order, limit, offset } = req.query;
+
+  const repeated = validateQueryStrings(req.query, ['sport', 'provider', 'athleteId', 'from', 'to', 'search', 'sort', 'order', 'limit', 'offset']);
+  if (repeated) {
+    return res.status(400).json(repeated);
+  }
+
+  if (sort && !analysisStore.SORT_COLUMNS[sort]) {
+    return res.status(400).json({
+      error: `Unsupported sort: ${sort}`,
+      supportedSorts: Object.keys(analysisStore.SORT_COLUMNS)
+    });
+  }
+
+  if ([from, to].some(date => date && isNaN(Date.parse(date)))) {
+    return res.status(400).json({ error: 'from and to must be dates (YYYY-MM-DD or ISO 8601)' });
+  }
+
+  const page = analysisStore.list({ sport, provider, athleteId, from, to, search, sort, order, limit, offset });
+  res.json({ ...page, analyses: page.analyses.map(serializeAnalysis) });
+});
+
+// One past analysis with its frame analyses and events
+app.get('/api/analyses/:id', (req, res) => {
+  const analysis = analysisStore.get(req.params.id);
+  if (!analysis) {
+    return res.status(404).json({ error: 'Analysis not found' });
+  }
+  res.json(serializeAnalysis(analysis));
+});
+
+// Events of many past analyses as flat CSV or JSON Lines rows
+app.get('/api/export/events', (req, res) => {
+  const { sport, provider, athleteId, from, to, search } = req.query;
+
+  const repeated = validateQueryStrings(req.query, ['sport', 'provider', 'athleteId', 'from', 'to', 'search', 'format', 'ids']);
+  if (repeated) {
+    return res.status(400).json(repeated);
+  }
+
+  const format = (req.query.format || 'csv').toLowerCase();
+
+  if (!eventExport.EXPORT_FORMATS.includes(format)) {
+    return res.status(400).json({
+      error: `Unsupported export format: ${format}`,
+      supportedFormats: eventExport.EXPORT_FORMATS
+    });
+  }
+
+  if ([from, to].some(date => date && isNaN(Date.parse(date)))) {
+    return res.status(400).json({ error: 'from and to must be dates (YYYY-MM-DD or ISO 8601)' });
+  }
+
+  const ids = req.query.ids ? req.query.ids.toString().split(',').map(id => id.trim()).filter(Boolean) : null;
+  const rows = analysisStore.listEvents({ ids, sport, provider, athleteId, from, to, search }).map(eventExport.toRow);
+
+  res.set('Content-Disposition', `attachment; filename="events-${new Date().toISOString().substring(0, 10)}.${format}"`);
+  res.set('X-Row-Count', String(rows.length));
+  res.type(eventExport.CONTENT_TYPES[format]).send(eventExport.formatRows(rows, format));
+});
+
+// Coaching report of a past analysis as standalone HTML or PDF
+app.get('/api/analyses/:id/report', async (req, res) => {
+  try {
+    const format = (req.query.format || 'html').toLowerCase();
+    if (!sessionReport.REPORT_FORMATS.includes(format)) {
+      return res.status(400).json({
+        error: `Unsupported report format: ${format}`,
+        supportedFormats: sessionReport.REPORT_FORMATS
+      });
+    }
+
+    const analysis = analysisStore.get(req.params.id);
+    if (!analysis) {
+      return res.status(404).json({ error: 'Analysis not found' });
+    }
+
+    const athlete = analysis.athleteId ? analysisStore.getAthlete(analysis.athleteId) : null;
+    const report = await sessionReport.buildReport(analysis, athlete);
+    const name = `${path.parse(analysis.originalVideo || 'session').name}-report.${format}`;
+    const disposition = req.query.download === 'true' ? 'attachment' : 'inline';
+    res.set('Content-Disposition', `${disposition}; filename="${name.replace(/[^\w.-]/g, '_')}"`);
+
+    if (format === 'pdf') {
+      res.type('application/pdf').send(await sessionReport.renderPdf(report));
+    } else {
+      res.type('html').send(sessionReport.renderHtml(report));
+    }
+  } catch (error) {
+    console.error('Error creating report:', error);
+    res.status(500).json({ error: 'Error creating report', details: error.message });
+  }
+});
+
+// Link a past analysis to an athlete, or unlink it with athleteId null
+app.patch('/api/analyses/:id', (req, res) => {
+  if (req.body.athleteId === undefined) {
+    return res.status(400).json({ error: 'athleteId is required (null to unlink)' });
+  }
+
+  const athleteId = req.body.athleteId || null;
+  if (athleteId && !analysisStore.getAthlete(athleteId)) {
+    return res.status(400).json({ error: `Unknown athlete: ${athleteId}` });
+  }
+
+  if (!analysisStore.setAthlete(req.params.id, athleteId)) {
+    return res.status(404).json({ error: 'Analysis not found' });
+  }
+  res.json(serializeAnalysis(analysisStore.get(req.params.id)));
+});
+
+// Delete a past analysis and its output files
+app.delete('/api/analyses/:id', async (req, res) => {
+  try {
+    const removed = await analysisStore.remove(req.params.id);
+    if (!removed) {
+      return res.status(404).json({ error: 'Analysis not found' });
+    }
+    // The job that produced it would still link to the deleted files
+    await jobStore.removeByOutputs(analysisStore.filePaths(removed.files));
+    res.json({ success: true, id: removed.id });
+  } catch (error) {
+    if (error.code === analysisStore.ANALYSIS_IN_USE) {
+      return res.status(409).json({ error: error.message });
+    }
+    console.error('Error deleting analysis:', error);
+    res.status(500).json({ error: 'Error deleting analysis', details: error.message });
+  }
+});
+
+// Render the comparison of two stored analyses in the background
+async function runComparisonJob(jobId, input) {
+  // The output and both sessions' videos, kept from the storage sweeper while rendering
+  const inUse = [];
+
+  try {
+    const [before, after] = [analysisStore.get(input.before), analysisStore.get(input.after)];
+    if (!before || !after) {
+      throw new Error('An analysis being compared has been deleted');
+    }
+
+    const profile = sports.getProfile(input.sport);
+    const pairs = sessionComparison.matchEvents(before.timeline, after.timeline, profile, { filter: input.match, types: input.types });
+    const pair = pairs[input.pair - 1];
+    const side = (analysis, event, label) => ({
+      path: analysis.files.processedVideo,
+      seconds: sessionComparison.processedTime(analysis, event.seconds),
+      label: `${label}: ${analysis.originalVideo} (${analysis.createdAt.substring(0, 10)})`
+    });
+
+    await jobStore.setState(jobId, JOB_STATES.RENDERING, { step: 'comparison', percent: 0 });
+    const outputPath = path.join(config.PROCESSED_DIR, `comparison-${jobId}.mp4`);
+    inUse.push(videoProcessor.claim(outputPath), videoProcessor.claim(before.files.processedVideo), videoProcessor.claim(after.files.processedVideo));
+    const window = await videoProcessor.createComparisonVideo(side(before, pair.before, 'Before'), side(after, pair.after, 'After'), outputPath, {
+      layout: input.layout,
+      preRoll: input.preRoll,
+      postRoll: input.postRoll,
+      audio: input.audio,
+      theme: input.theme,
+      onProgress: (percent) => {
+        jobStore.setState(jobId, JOB_STATES.RENDERING, { step: 'comparison', percent }).catch(err => {
+          console.error(`Failed to update job ${jobId}:`, err.message);
+        });
+      }
+    });
+
+    const session = (analysis, cut) => ({
+      id: analysis.id,
+      originalVideo: analysis.originalVideo,
+      createdAt: analysis.createdAt,
+      start: cut.start,
+      end: cut.end
+    });
+
+    await jobStore.complete(jobId, {
+      comparisonVideo: toUrl(outputPath),
+      layout: input.layout,
+      duration: window.length,
+      syncAt: window.preRoll,
+      before: session(before, window.before),
+      after: session(after, window.after),
+      sync: sessionComparison.describePair(pair, profile),
+      pairs: pairs.map(other => sessionComparison.describePair(other, profile)),
+      diff: sessionComparison.diffStats(before, after, profile)
+    }, [outputPath]);
+    console.log(`✅ Comparison job ${jobId} completed`);
+  } catch (error) {
+    console.error(`❌ Comparison job ${jobId} failed:`, error);
+    await jobStore.fail(jobId, error);
+  } finally {
+    inUse.forEach(filePath => videoProcessor.release(filePath));
+  }
+}
+
+// Read the comparison options, with defaults
+function parseComparisonOptions(body) {
+  const seconds = (value, fallback) => {
+    const parsed = parseFloat(value);
+    return Number.isFinite(parsed) && parsed >= 0 ? parsed : fallback;
+  };
+  const types = Array.isArray(body.types) ? body.types : (body.types || '').toString().split(',');
+
+  return {
+    layout: (body.layout || 'side-by-side').toLowerCase(),
+    match: (body.match || 'all').toString().trim().toLowerCase(),
+    types: types.map(type => type.toString().trim()).filter(Boolean),
+    pair: body.pair === undefined ? 1 : parseInt(body.pair),
+    preRoll: seconds(body.preRoll, config.COMPARISON_PRE_ROLL),
+    postRoll: seconds(body.postRoll, config.COMPARISON_POST_ROLL),
+    audio: (body.audio || 'none').toLowerCase(),
+    theme: (body.theme || overlayThemes.DEFAULT_THEME).toLowerCase()
+  };
+}
+
+// Compare two analyses: a composite video synced on a pair of matching events, and a stats diff
+app.post('/api/compare', async (req, res) => {
+  try {
+    if (!req.body.before || !req.body.after) {
+      return res.status(400).json({ error: 'before and after analysis IDs are required' });
+    }
+
+    const before = analysisStore.get(req.body.before);
+    const after = analysisStore.get(req.body.after);
+    const missing = [[req.body.before, before], [req.body.after, after]].find(([, analysis]) => !analysis);
+    if (missing) {
+      return res.status(404).json({ error: `Analysis not found: ${missing[0]}` });
+    }
+
+    if (before.sport !== after.sport) {
+      return res.status(400).json({ error: `Only analyses of the same sport can be compared (${before.sport} and ${after.sport})` });
+    }
+
+    const options = parseComparisonOptions(req.body);
+    const profile = sports.getProfile(before.sport);
+
+    if (!sessionComparison.LAYOUTS.includes(options.layout)) {
+      return res.status(400).json({
+        error: `Unsupported layout: ${options.layout}`,
+        supportedLayouts: sessionComparison.LAYOUTS
+      });
+    }
+
+    if (!sessionComparison.AUDIO_SOURCES.includes(options.audio)) {
+      return res.status(400).json({
+        error: `Unsupported audio source: ${options.audio}`,
+        supportedAudio: sessionComparison.AUDIO_SOURCES
+      });
+    }
+
+    if (!overlayThemes.hasTheme(options.theme)) {
+      return res.status(400).json({
+        error: `Unsupported theme: ${options.theme}`,
+        supportedThemes: overlayThemes.listThemes().map(t => t.id)
+      });
+    }
+
+    const filterError = highlights.validateFilter(options.match, profile, 'match');
+    if (filterError) {
+      return res.status(400).json({ error: filterError });
+    }
+
+    for (const analysis of [before, after]) {
+      if (!analysis.files.processedVideo || !(await fs.pathExists(analysis.files.processedVideo))) {
+        return res.status(409).json({ error: `The processed video of analysis ${analysis.id} is no longer available` });
+      }
+    }
+
+    const pairs = sessionComparison.matchEvents(before.timeline, after.timeline, profile, { filter: options.match, types: options.types });
+    if (pairs.length === 0) {
+      return res.status(400).json({ error: 'The analyses have no matching events to sync on' });
+    }
+    if (!(options.pair >= 1 && options.pair <= pairs.length)) {
+      return res.status(400).json({ error: `pair must be between 1 and ${pairs.length}` });
+    }
+
+    const job = await jobStore.create({
+      type: 'comparison',
+      originalVideo: `${before.originalVideo} vs ${after.originalVideo}`,
+      sport: before.sport,
+      before: before.id,
+      after: after.id,
+      ...options
+    });
+
+    // Rendering continues after the response is sent
+    runComparisonJob(job.id, job.input).catch(error => {
+      console.error(`Comparison job ${job.id} could not be finished:`, error);
+    });
+
+    res.status(202).json({
+      success: true,
+      jobId: job.id,
+      status: job.state,
+      statusUrl: `/api/status/${job.id}`
+    });
+  } catch (error) {
+    console.error('Error queuing comparison:', error);
+    res.status(500).json({ error: 'Error queuing comparison', details: error.message });
+  }
+});
+
+// Read and check an athlete's fields; partial for updates. Returns { fields } or { error }
+function parseAthlete(body, partial) {
+  const fields = {};
+
+  if (body.name !== undefined || !partial) {
+    const name = typeof body.name === 'string' ? body.name.trim() : '';
+    if (!name) {
+      return { error: 'name is required' };
+    }
+    fields.name = name;
+  }
+
+  if (body.sport !== undefined) {
+    const sport = body.sport ? body.sport.toString().toLowerCase() : null;
+    if (sport && !sports.hasProfile(sport)) {
+      return {
+        error: `Unsupported sport: ${sport}`,
+        supportedSports: sports.listProfiles().map(profile => profile.id)
+      };
+    }
+    fields.sport = sport;
+  }
+
+  if (body.notes !== undefined) {
+    fields.notes = body.notes ? body.notes.toString() : null;
+  }
+
+  return { fields };
+}
+
+// Create an athlete to link analyses to
+app.post('/api/athletes', (req, res) => {
+  const { fields, ...invalid } = parseAthlete(req.body, false);
+  if (invalid.error) {
+    return res.status(400).json(invalid);
+  }
+  res.status(201).json(analysisStore.createAthlete(fields));
+});
+
+app.get('/api/athletes', (req, res) => {
+  res.json({ athletes: analysisStore.listAthletes() });
+});
+
+app.get('/api/athletes/:id', (req, res) => {
+  const athlete = analysisStore.getAthlete(req.params.id);
+  if (!athlete) {
+    return res.status(404).json({ error: 'Athlete not found' });
+  }
+  res.json(athlete);
+});
+
+app.patch('/api/athletes/:id', (req, res) => {
+  const { fields, ...invalid } = parseAthlete(req.body, true);
+  if (invalid.error) {
+    return res.status(400).json(invalid);
+  }
+
+  const athlete = analysisStore.updateAthlete(req.params.id, fields);
+  if (!athlete) {
+    return res.status(404).json({ error: 'Athlete not found' });
+  }
+  res.json(athlete);
+});
+
+// Delete an athlete; their analyses stay in the history, unlinked
+app.delete('/api/athletes/:id', (req, res) => {
+  if (!analysisStore.removeAthlete(req.params.id)) {
+    return res.status(404).json({ error: 'Athlete not found' });
+  }
+  res.json({ success: true, id: req.params.id });
+});
+
+// An athlete's progress in one sport across their sessions
+app.get('/api/athletes/:id/trends', (req, res) => {
+  const athlete = analysisStore.getAthlete(req.params.id);
+  if (!athlete) {
+    return res.status(404).json({ error: 'Athlete not found' });
+  }
+
+  const repeated = validateQueryStrings(req.query, ['from', 'to', 'period', 'sport']);
+  if (repeated) {
+    return res.status(400).json(repeated);
+  }
+
+  const { from, to } = req.query;
+  const period = (req.query.period || 'month').toLowerCase();
+  if (!athleteTrends.PERIODS.includes(period)) {
+    return res.status(400).json({
+      error: `Unsupported period: ${period}`,
+      supportedPeriods: athleteTrends.PERIODS
+    });
+  }
+
+  if ([from, to].some(date => date && isNaN(Date.parse(date)))) {
+    return res.status(400).json({ error: 'from and to must be dates (YYYY-MM-DD or ISO 8601)' });
+  }
+
+  // Without a sport, use the athlete's own or that of their latest session
+  const latest = analysisStore.list({ athleteId: athlete.id, limit: 1 }).analyses[0];
+  const sport = (req.query.sport || athlete.sport || (latest && latest.sport) || sports.DEFAULT_SPORT).toLowerCase();
+  if (!sports.hasProfile(sport)) {
+    return res.status(400).json({
+      error: `Unsupported sport: ${sport}`,
+      supportedSports: sports.listProfiles().map(profile => profile.id)
+    });
+  }
+
+  const { sessions, events } = analysisStore.athleteHistory(athlete.id, { sport, from, to });
+  const trends = athleteTrends.buildTrends({
+    sessions,
+    events,
+    profile: sports.getProfile(sport),
+    period,
+    minAttempts: config.TREND_MIN_ATTEMPTS,
+    changeThreshold: config.TREND_CHANGE_THRESHOLD
+  });
+
+  res.json({ athlete: { id: athlete.id, name: athlete.name }, sport, ...trends });
 });
 
 // Error handling middleware
@@ -133,4 +1386,5 @@ app.listen(PORT, () => {
   console.log(`Server running on port ${PORT}`);
   console.log(`Upload directory: ${config.UPLOAD_DIR}`);
   console.log(`Processed directory: ${config.PROCESSED_DIR}`);
+  storageSweeper.start();
 }); 
\ No newline at end of file
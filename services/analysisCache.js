@@ -0,0 +1,288 @@
+const crypto = require('crypto');
+const fs = require('fs-extra');
+const path = require('path');
+const config = require('../config');
+
+function sha256(value) {
+  return crypto.createHash('sha256').update(value).digest('hex');
+}
+
+/**
+ * Content-addressed cache of Claude responses.
+ *
+ * Each entry is one JSON file named after its key. Metadata for every entry is
+ * kept in memory so lookups, statistics and eviction don't touch the disk; the
+ * response itself is only read on a hit. Entries expire after CACHE_TTL_HOURS and
+ * the least recently used ones are evicted once the cache exceeds CACHE_MAX_BYTES
+ * or CACHE_MAX_ENTRIES.
+ */
+class AnalysisCache {
+  constructor() {
+    this.cacheDir = config.CACHE_DIR;
+    this.maxBytes = config.CACHE_MAX_BYTES;
+    this.maxEntries = config.CACHE_MAX_ENTRIES;
+    this.ttlMs = config.CACHE_TTL_HOURS * 60 * 60 * 1000;
+    this.entries = new Map();
+    this.totalBytes = 0;
+    this.writeQueues = new Map();
+    this.counters = { hits: 0, misses: 0, writes: 0, evictions: 0, expirations: 0 };
+    fs.ensureDirSync(this.cacheDir);
+    this.loadEntries();
+  }
+
+  // Key on the full content digest, the full prompt, the provider, the model and the
+  // schema version so that any change to what was asked produces a different entry
+  createKey({ content, prompt, provider, model, schemaVersion }) {
+    return sha256([provider, model, schemaVersion || '', sha256(content), prompt].join('\n'));
+  }
+
+  hashPrompt(prompt) {
+    return sha256(prompt).substring(0, 16);
+  }
+
+  // Rebuild the in-memory index from disk
+  loadEntries() {
+    const files = fs.readdirSync(this.cacheDir).filter(file => file.endsWith('.json'));
+    let legacy = 0;
+
+    files.forEach(file => {
+      const filePath = path.join(this.cacheDir, file);
+      try {
+        const entry = fs.readJsonSync(filePath);
+
+        // Files from the old truncated-md5 cache can't be trusted (different frames collided)
+        if (!entry.key) {
+          fs.removeSync(filePath);
+          legacy++;
+          return;
+        }
+
+        this.index(entry, fs.statSync(filePath).size);
+      } catch (error) {
+        console.error(`Failed to load cache file ${file}:`, error.message);
+      }
+    });
+
+    if (legacy > 0) {
+      console.log(`Removed ${legacy} legacy cache entries`);
+    }
+
+    this.evict();
+    console.log(`Loaded ${this.entries.size} cache entries (${this.totalBytes} bytes) from ${this.cacheDir}`);
+  }
+
+  index(entry, size) {
+    const { response, ...meta } = entry;
+    const previous = this.entries.get(entry.key);
+    if (previous) {
+      this.totalBytes -= previous.size;
+    }
+
+    this.entries.set(entry.key, { ...meta, size });
+    this.totalBytes += size;
+  }
+
+  isExpired(meta, now = Date.now()) {
+    return now - new Date(meta.createdAt).getTime() > this.ttlMs;
+  }
+
+  // Return the cached response for a key, or null on a miss.
+  // options.jobId associates the entry with the job that used it.
+  async get(key, options = {}) {
+    const meta = this.entries.get(key);
+
+    if (!meta) {
+      this.counters.misses++;
+      return null;
+    }
+
+    if (this.isExpired(meta)) {
+      await this.remove(key);
+      this.counters.expirations++;
+      this.counters.misses++;
+      return null;
+    }
+
+    let entry;
+    try {
+      entry = await fs.readJson(this.filePath(key));
+    } catch (error) {
+      // The file disappeared or is corrupt; forget it
+      await this.remove(key);
+      this.counters.misses++;
+      return null;
+    }
+
+    this.counters.hits++;
+    entry.hits = (entry.hits || 0) + 1;
+    entry.lastAccessedAt = new Date().toISOString();
+    if (options.jobId && !entry.jobIds.includes(options.jobId)) {
+      entry.jobIds.push(options.jobId);
+    }
+    await this.persist(entry);
+
+    return entry.response;
+  }
+
+  // Store a response. info: { prompt, provider, model, schemaVersion, sport, jobId }
+  async set(key, response, info = {}) {
+    const now = new Date().toISOString();
+    const existing = this.entries.get(key);
+
+    const entry = {
+      key,
+      prompt: info.prompt,
+      promptHash: this.hashPrompt(info.prompt || ''),
+      provider: info.provider,
+      model: info.model,
+      schemaVersion: info.schemaVersion || null,
+      sport: info.sport || null,
+      jobIds: existing ? existing.jobIds : [],
+      hits: existing ? existing.hits : 0,
+      createdAt: now,
+      lastAccessedAt: now,
+      response
+    };
+
+    if (info.jobId && !entry.jobIds.includes(info.jobId)) {
+      entry.jobIds.push(info.jobId);
+    }
+
+    await this.persist(entry);
+    this.counters.writes++;
+    this.evict();
+  }
+
+  // What evict() would remove now: expired entries, then the least recently used
+  // ones until the cache fits. Returns [{ key, size, lastAccessedAt, reason }] with
+  // reason 'expired' or 'evicted'
+  planEviction(now = Date.now()) {
+    const removals = [];
+    const live = [];
+    let totalBytes = this.totalBytes;
+
+    for (const meta of this.entries.values()) {
+      if (this.isExpired(meta, now)) {
+        removals.push({ key: meta.key, size: meta.size, lastAccessedAt: meta.lastAccessedAt, reason: 'expired' });
+        totalBytes -= meta.size;
+      } else {
+        live.push(meta);
+      }
+    }
+
+    live.sort((a, b) => new Date(a.lastAccessedAt) - new Date(b.lastAccessedAt));
+
+    while (live.length > 0 && (totalBytes > this.maxBytes || live.length > this.maxEntries)) {
+      const oldest = live.shift();
+      removals.push({ key: oldest.key, size: oldest.size, lastAccessedAt: oldest.lastAccessedAt, reason: 'evicted' });
+      totalBytes -= oldest.size;
+    }
+
+    return removals;
+  }
+
+  // Drop expired entries, then the least recently used ones until the cache fits
+  evict() {
+    const removals = this.planEviction();
+
+    removals.forEach(({ key, reason }) => {
+      this.forget(key);
+      this.counters[reason === 'expired' ? 'expirations' : 'evictions']++;
+    });
+
+    removals.forEach(({ key }) => {
+      fs.remove(this.filePath(key)).catch(error => {
+        console.error(`Failed to remove cache file for ${key}:`, error.message);
+      });
+    });
+
+    return removals.length;
+  }
+
+  // List entry metadata, optionally filtered by job ID or prompt text, most recently used first
+  list(filter = {}) {
+    return [...this.entries.values()]
+      .filter(meta => this.matches(meta, filter))
+      .sort((a, b) => new Date(b.lastAccessedAt) - new Date(a.lastAccessedAt));
+  }
+
+  // Remove every entry matching the filter; returns how many were removed
+  async purge(filter = {}) {
+    const keys = this.list(filter).map(meta => meta.key);
+    await Promise.all(keys.map(key => this.remove(key)));
+    return keys.length;
+  }
+
+  // filter: { jobId, prompt } — prompt matches entries whose prompt contains the text
+  // or whose prompt hash equals it
+  matches(meta, filter) {
+    if (filter.jobId && !meta.jobIds.includes(filter.jobId)) {
+      return false;
+    }
+    if (filter.prompt) {
+      const inPrompt = (meta.prompt || '').includes(filter.prompt);
+      if (!inPrompt && meta.promptHash !== filter.prompt) {
+        return false;
+      }
+    }
+    return true;
+  }
+
+  async remove(key) {
+    if (!this.entries.has(key)) {
+      return false;
+    }
+
+    this.forget(key);
+    await (this.writeQueues.get(key) || Promise.resolve()).catch(() => {});
+    await fs.remove(this.filePath(key));
+    return true;
+  }
+
+  forget(key) {
+    const meta = this.entries.get(key);
+    if (meta) {
+      this.totalBytes -= meta.size;
+      this.entries.delete(key);
+    }
+  }
+
+  stats() {
+    const lookups = this.counters.hits + this.counters.misses;
+    return {
+      entries: this.entries.size,
+      totalBytes: this.totalBytes,
+      maxBytes: this.maxBytes,
+      maxEntries: this.maxEntries,
+      ttlHours: config.CACHE_TTL_HOURS,
+      ...this.counters,
+      hitRate: lookups > 0 ? Number((this.counters.hits / lookups).toFixed(3)) : null
+    };
+  }
+
+  filePath(key) {
+    return path.join(this.cacheDir, `${key}.json`);
+  }
+
+  // Serialize writes per entry so concurrent hits never interleave on disk
+  async persist(entry) {
+    const contents = JSON.stringify(entry);
+    this.index(entry, Buffer.byteLength(contents));
+
+    const previous = this.writeQueues.get(entry.key) || Promise.resolve();
+    const write = previous
+      .catch(() => {})
+      .then(() => fs.writeFile(this.filePath(entry.key), contents));
+
+    this.writeQueues.set(entry.key, write);
+    try {
+      await write;
+    } finally {
+      if (this.writeQueues.get(entry.key) === write) {
+        this.writeQueues.delete(entry.key);
+      }
+    }
+  }
+}
+
+module.exports = new AnalysisCache();
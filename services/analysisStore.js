@@ -0,0 +1,439 @@
+const Database = require('better-sqlite3');
+const fs = require('fs-extra');
+const path = require('path');
+const { v4: uuidv4 } = require('uuid');
+const config = require('../config');
+const sports = require('./sports');
+const videoProcessor = require('./videoProcessor');
+
+// Schema changes in order; PRAGMA user_version records how many have been applied
+const MIGRATIONS = [
+  `CREATE TABLE analyses (
+    id TEXT PRIMARY KEY,
+    created_at TEXT NOT NULL,
+    original_video TEXT,
+    prompt TEXT,
+    fps REAL,
+    sport TEXT NOT NULL,
+    provider TEXT,
+    event_count INTEGER NOT NULL,
+    success_count INTEGER NOT NULL,
+    success_rate REAL,
+    options TEXT NOT NULL,
+    frame_analyses TEXT NOT NULL,
+    feedback TEXT NOT NULL,
+    files TEXT NOT NULL,
+    usage TEXT
+  );
+  CREATE INDEX analyses_created_at ON analyses (created_at);
+  CREATE INDEX analyses_sport ON analyses (sport, created_at);
+  CREATE TABLE events (
+    analysis_id TEXT NOT NULL REFERENCES analyses (id) ON DELETE CASCADE,
+    position INTEGER NOT NULL,
+    seconds REAL NOT NULL,
+    type TEXT,
+    result TEXT,
+    success INTEGER NOT NULL,
+    feedback TEXT,
+    data TEXT NOT NULL,
+    PRIMARY KEY (analysis_id, position)
+  );`,
+  `CREATE TABLE athletes (
+    id TEXT PRIMARY KEY,
+    name TEXT NOT NULL,
+    sport TEXT,
+    notes TEXT,
+    created_at TEXT NOT NULL
+  );
+  ALTER TABLE analyses ADD COLUMN athlete_id TEXT REFERENCES athletes (id) ON DELETE SET NULL;
+  CREATE INDEX analyses_athlete ON analyses (athlete_id, created_at);`,
+  `ALTER TABLE analyses ADD COLUMN replays TEXT;`,
+  `ALTER TABLE analyses ADD COLUMN segments TEXT;`
+];
+
+// Error code for an analysis whose files a running job still reads or writes
+const ANALYSIS_IN_USE = 'ANALYSIS_IN_USE';
+
+// API sort keys and the columns behind them
+const SORT_COLUMNS = {
+  createdAt: 'created_at',
+  sport: 'sport',
+  originalVideo: 'original_video',
+  events: 'event_count',
+  successRate: 'success_rate'
+};
+
+const MAX_PAGE_SIZE = 100;
+
+// Athletes with the number and date of their sessions
+const ATHLETE_QUERY = `
+  SELECT athletes.*, COUNT(analyses.id) AS sessions, MAX(analyses.created_at) AS last_session_at
+  FROM athletes LEFT JOIN analyses ON analyses.athlete_id = athletes.id`;
+
+function parseJson(value, fallback = null) {
+  return value ? JSON.parse(value) : fallback;
+}
+
+// Paths of an analysis' output files (processed video, subtitles, shot chart, ...)
+function filePaths(files) {
+  const { subtitles, ...rest } = files;
+  return [...Object.values(rest), ...Object.values(subtitles || {})].filter(Boolean);
+}
+
+// Date-only bounds (YYYY-MM-DD) cover the whole day
+function dateBound(value, endOfDay) {
+  if (/^\d{4}-\d{2}-\d{2}$/.test(value)) {
+    return `${value}T${endOfDay ? '23:59:59.999' : '00:00:00.000'}Z`;
+  }
+  return new Date(value).toISOString();
+}
+
+/**
+ * WHERE clause and parameters selecting analyses. Filters: ids, sport, provider,
+ * athleteId, from/to (ISO dates or YYYY-MM-DD, inclusive) and search (matches the
+ * original filename or the prompt).
+ */
+function filterAnalyses(options) {
+  const conditions = [];
+  const params = {};
+
+  if (options.ids) {
+    conditions.push(`analyses.id IN (${options.ids.map((id, index) => `@id${index}`).join(', ') || 'NULL'})`);
+    options.ids.forEach((id, index) => {
+      params[`id${index}`] = id;
+    });
+  }
+  if (options.sport) {
+    conditions.push('analyses.sport = @sport');
+    params.sport = options.sport;
+  }
+  if (options.provider) {
+    conditions.push('analyses.provider = @provider');
+    params.provider = options.provider;
+  }
+  if (options.athleteId) {
+    conditions.push('analyses.athlete_id = @athleteId');
+    params.athleteId = options.athleteId;
+  }
+  if (options.from) {
+    conditions.push('analyses.created_at >= @from');
+    params.from = dateBound(options.from, false);
+  }
+  if (options.to) {
+    conditions.push('analyses.created_at <= @to');
+    params.to = dateBound(options.to, true);
+  }
+  if (options.search) {
+    conditions.push("(analyses.original_video LIKE @search ESCAPE '\\' OR analyses.prompt LIKE @search ESCAPE '\\')");
+    params.search = `%${options.search.replace(/[\\%_]/g, '\\$&')}%`;
+  }
+
+  return { where: conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '', params };
+}
+
+// Completed analyses with their reconciled events, kept in an SQLite database
+class AnalysisStore {
+  constructor() {
+    fs.ensureDirSync(path.dirname(config.DATABASE_PATH));
+    this.db = new Database(config.DATABASE_PATH);
+    this.db.pragma('journal_mode = WAL');
+    this.db.pragma('foreign_keys = ON');
+    this.migrate();
+
+    const { count } = this.db.prepare('SELECT COUNT(*) AS count FROM analyses').get();
+    console.log(`Loaded analysis history (${count} analyses) from ${config.DATABASE_PATH}`);
+  }
+
+  migrate() {
+    const applied = this.db.pragma('user_version', { simple: true });
+
+    MIGRATIONS.slice(applied).forEach((sql, index) => {
+      this.db.transaction(() => {
+        this.db.exec(sql);
+        this.db.pragma(`user_version = ${applied + index + 1}`);
+      })();
+    });
+  }
+
+  /**
+   * Save a finished analysis. record: { id, createdAt, originalVideo, prompt, fps,
+   * sport, provider, athleteId, options, analysis, timeline, feedback, files, replays,
+   * segments, usage } where files holds the output paths (processedVideo, subtitles,
+   * shotChart, ...), replays the slow-motion replays inserted into the processed video
+   * and segments the parts of the upload it was cut from (null for the whole upload).
+   */
+  save(record) {
+    const profile = sports.getProfile(record.sport);
+    const timeline = record.timeline || [];
+    const successCount = timeline.filter(event => profile.successResults.includes(event.result)).length;
+
+    const insertAnalysis = this.db.prepare(`
+      INSERT OR REPLACE INTO analyses (id, created_at, original_video, prompt, fps, sport, provider, athlete_id,
+        event_count, success_count, success_rate, options, frame_analyses, feedback, files, replays, segments, usage)
+      VALUES (@id, @createdAt, @originalVideo, @prompt, @fps, @sport, @provider, @athleteId,
+        @eventCount, @successCount, @successRate, @options, @frameAnalyses, @feedback, @files, @replays, @segments, @usage)
+    `);
+    const deleteEvents = this.db.prepare('DELETE FROM events WHERE analysis_id = ?');
+    const insertEvent = this.db.prepare(`
+      INSERT INTO events (analysis_id, position, seconds, type, result, success, feedback, data)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+    `);
+
+    this.db.transaction(() => {
+      insertAnalysis.run({
+        id: record.id,
+        createdAt: record.createdAt || new Date().toISOString(),
+        originalVideo: record.originalVideo || null,
+        prompt: record.prompt || null,
+        fps: record.fps || null,
+        sport: profile.id,
+        provider: record.provider || null,
+        // The athlete may have been deleted while the job ran
+        athleteId: record.athleteId && this.getAthlete(record.athleteId) ? record.athleteId : null,
+        eventCount: timeline.length,
+        successCount,
+        successRate: timeline.length > 0 ? Number((successCount / timeline.length * 100).toFixed(1)) : null,
+        options: JSON.stringify(record.options || {}),
+        frameAnalyses: JSON.stringify(record.analysis || []),
+        feedback: JSON.stringify(record.feedback || null),
+        files: JSON.stringify(record.files || {}),
+        replays: JSON.stringify(record.replays || []),
+        segments: record.segments ? JSON.stringify(record.segments) : null,
+        usage: record.usage ? JSON.stringify(record.usage) : null
+      });
+
+      deleteEvents.run(record.id);
+      timeline.forEach((event, position) => {
+        insertEvent.run(
+          record.id,
+          position,
+          event.seconds,
+          event[profile.typeField] || null,
+          event.result || null,
+          profile.successResults.includes(event.result) ? 1 : 0,
+          event.feedback || null,
+          JSON.stringify(event)
+        );
+      });
+    })();
+  }
+
+  /**
+   * One page of analysis summaries, newest first by default, filtered as in
+   * filterAnalyses. Returns { total, limit, offset, analyses }.
+   */
+  list(options = {}) {
+    const { where, params } = filterAnalyses(options);
+    const column = SORT_COLUMNS[options.sort] || SORT_COLUMNS.createdAt;
+    const direction = options.order === 'asc' ? 'ASC' : 'DESC';
+    const limit = Math.min(Math.max(parseInt(options.limit) || 20, 1), MAX_PAGE_SIZE);
+    const offset = Math.max(parseInt(options.offset) || 0, 0);
+
+    const { total } = this.db.prepare(`SELECT COUNT(*) AS total FROM analyses ${where}`).get(params);
+    const rows = this.db
+      .prepare(`SELECT * FROM analyses ${where} ORDER BY ${column} IS NULL, ${column} ${direction}, id LIMIT @limit OFFSET @offset`)
+      .all({ ...params, limit, offset });
+
+    return { total, limit, offset, analyses: rows.map(row => this.toSummary(row)) };
+  }
+
+  // A full analysis with its frame analyses and events, or null
+  get(id) {
+    const row = this.db.prepare('SELECT * FROM analyses WHERE id = ?').get(id);
+    if (!row) {
+      return null;
+    }
+
+    const events = this.db
+      .prepare('SELECT data FROM events WHERE analysis_id = ? ORDER BY position')
+      .all(id)
+      .map(event => JSON.parse(event.data));
+
+    return {
+      ...this.toSummary(row),
+      prompt: row.prompt,
+      fps: row.fps,
+      provider: row.provider,
+      options: parseJson(row.options, {}),
+      analysis: parseJson(row.frame_analyses, []),
+      timeline: events,
+      replays: parseJson(row.replays, []),
+      segments: parseJson(row.segments),
+      usage: parseJson(row.usage)
+    };
+  }
+
+  /**
+   * Every event of the analyses matching filterAnalyses, oldest session first:
+   * [{ session: { id, createdAt, originalVideo, sport, provider, athleteId, athleteName },
+   * position, event }].
+   */
+  listEvents(options = {}) {
+    const { where, params } = filterAnalyses(options);
+    const rows = this.db.prepare(`
+      SELECT analyses.id, analyses.created_at, analyses.original_video, analyses.sport, analyses.provider,
+        analyses.athlete_id, athletes.name AS athlete_name, events.position, events.data
+      FROM events
+      JOIN analyses ON analyses.id = events.analysis_id
+      LEFT JOIN athletes ON athletes.id = analyses.athlete_id
+      ${where}
+      ORDER BY analyses.created_at, analyses.id, events.position
+    `).all(params);
+
+    return rows.map(row => ({
+      session: {
+        id: row.id,
+        createdAt: row.created_at,
+        originalVideo: row.original_video,
+        sport: row.sport,
+        provider: row.provider,
+        athleteId: row.athlete_id,
+        athleteName: row.athlete_name
+      },
+      position: row.position,
+      event: JSON.parse(row.data)
+    }));
+  }
+
+  // Delete an analysis and its output files; returns the deleted analysis or null.
+  // Throws ANALYSIS_IN_USE, deleting nothing, while a job (e.g. a comparison) uses its files.
+  async remove(id) {
+    const analysis = this.get(id);
+    if (!analysis) {
+      return null;
+    }
+
+    const paths = filePaths(analysis.files);
+    if (paths.some(filePath => videoProcessor.isInUse(filePath))) {
+      const error = new Error(`Analysis ${id} is in use by a running job`);
+      error.code = ANALYSIS_IN_USE;
+      throw error;
+    }
+
+    this.db.prepare('DELETE FROM analyses WHERE id = ?').run(id);
+
+    await Promise.all(paths.map(filePath => fs.remove(filePath)));
+
+    return analysis;
+  }
+
+  // The output file paths of every analysis: [{ id, paths }]
+  listFiles() {
+    return this.db.prepare('SELECT id, files FROM analyses').all()
+      .map(row => ({ id: row.id, paths: filePaths(parseJson(row.files, {})) }));
+  }
+
+  // Link an analysis to an athlete, or unlink it with null; returns false if the analysis doesn't exist
+  setAthlete(analysisId, athleteId) {
+    const { changes } = this.db.prepare('UPDATE analyses SET athlete_id = ? WHERE id = ?').run(athleteId, analysisId);
+    return changes > 0;
+  }
+
+  createAthlete({ name, sport = null, notes = null }) {
+    const athlete = { id: uuidv4(), name, sport, notes, createdAt: new Date().toISOString() };
+    this.db
+      .prepare('INSERT INTO athletes (id, name, sport, notes, created_at) VALUES (@id, @name, @sport, @notes, @createdAt)')
+      .run(athlete);
+    return this.getAthlete(athlete.id);
+  }
+
+  // Athletes by name with their session counts
+  listAthletes() {
+    return this.db
+      .prepare(`${ATHLETE_QUERY} GROUP BY athletes.id ORDER BY athletes.name COLLATE NOCASE`)
+      .all()
+      .map(row => this.toAthlete(row));
+  }
+
+  getAthlete(id) {
+    const row = this.db.prepare(`${ATHLETE_QUERY} WHERE athletes.id = ? GROUP BY athletes.id`).get(id);
+    return row ? this.toAthlete(row) : null;
+  }
+
+  // Change an athlete's name, sport or notes; returns the updated athlete or null
+  updateAthlete(id, changes) {
+    const athlete = this.getAthlete(id);
+    if (!athlete) {
+      return null;
+    }
+
+    const updated = { ...athlete, ...changes };
+    this.db
+      .prepare('UPDATE athletes SET name = @name, sport = @sport, notes = @notes WHERE id = @id')
+      .run({ id, name: updated.name, sport: updated.sport, notes: updated.notes });
+    return this.getAthlete(id);
+  }
+
+  // Delete an athlete; their analyses are kept and unlinked
+  removeAthlete(id) {
+    return this.db.prepare('DELETE FROM athletes WHERE id = ?').run(id).changes > 0;
+  }
+
+  /**
+   * An athlete's sessions of one sport (oldest first) and their events, for trends.
+   * Returns { sessions: [{ id, createdAt, originalVideo }], events: [{ analysisId,
+   * type, result, feedback }] }.
+   */
+  athleteHistory(athleteId, { sport, from, to } = {}) {
+    const conditions = ['athlete_id = @athleteId', 'sport = @sport'];
+    const params = { athleteId, sport };
+
+    if (from) {
+      conditions.push('created_at >= @from');
+      params.from = dateBound(from, false);
+    }
+    if (to) {
+      conditions.push('created_at <= @to');
+      params.to = dateBound(to, true);
+    }
+
+    const sessions = this.db
+      .prepare(`SELECT id, created_at, original_video FROM analyses WHERE ${conditions.join(' AND ')} ORDER BY created_at, id`)
+      .all(params)
+      .map(row => ({ id: row.id, createdAt: row.created_at, originalVideo: row.original_video }));
+
+    const events = this.db
+      .prepare(`
+        SELECT events.analysis_id, events.type, events.result, events.feedback FROM events
+        JOIN analyses ON analyses.id = events.analysis_id
+        WHERE ${conditions.map(condition => `analyses.${condition}`).join(' AND ')}
+        ORDER BY analyses.created_at, analyses.id, events.position
+      `)
+      .all(params)
+      .map(row => ({ analysisId: row.analysis_id, type: row.type, result: row.result, feedback: row.feedback }));
+
+    return { sessions, events };
+  }
+
+  toAthlete(row) {
+    return {
+      id: row.id,
+      name: row.name,
+      sport: row.sport,
+      notes: row.notes,
+      createdAt: row.created_at,
+      sessions: row.sessions,
+      lastSessionAt: row.last_session_at
+    };
+  }
+
+  toSummary(row) {
+    return {
+      id: row.id,
+      createdAt: row.created_at,
+      originalVideo: row.original_video,
+      sport: row.sport,
+      athleteId: row.athlete_id,
+      events: row.event_count,
+      successful: row.success_count,
+      successRate: row.success_rate,
+      feedback: parseJson(row.feedback),
+      files: parseJson(row.files, {})
+    };
+  }
+}
+
+module.exports = new AnalysisStore();
+module.exports.SORT_COLUMNS = SORT_COLUMNS;
+module.exports.ANALYSIS_IN_USE = ANALYSIS_IN_USE;
+module.exports.filePaths = filePaths;
@@ -0,0 +1,227 @@
+// Progress across an athlete's sessions: success rates by event category over time,
+// volume, recurring feedback themes, personal bests and period-to-period changes
+const { eventCategory, feedbackThemes } = require('./sports/utils');
+
+const PERIODS = ['day', 'week', 'month'];
+
+function rate(successful, attempts) {
+  return attempts > 0 ? Number((successful / attempts * 100).toFixed(1)) : null;
+}
+
+function tally() {
+  return { attempts: 0, successful: 0 };
+}
+
+function addTo(counts, success) {
+  counts.attempts++;
+  if (success) {
+    counts.successful++;
+  }
+}
+
+function withRate(counts) {
+  return { attempts: counts.attempts, successful: counts.successful, successRate: rate(counts.successful, counts.attempts) };
+}
+
+// Period an ISO timestamp falls in (UTC): YYYY-MM-DD for days, the Monday starting
+// the week for weeks, YYYY-MM for months
+function periodKey(timestamp, period) {
+  const date = new Date(timestamp);
+  if (period === 'month') {
+    return date.toISOString().substring(0, 7);
+  }
+  if (period === 'week') {
+    date.setUTCDate(date.getUTCDate() - (date.getUTCDay() + 6) % 7);
+  }
+  return date.toISOString().substring(0, 10);
+}
+
+// Compare the last two periods with enough attempts, overall and per category
+function compareLatest(periods, minAttempts, threshold) {
+  const changes = { from: null, to: null, improvements: [], regressions: [] };
+  const active = periods.filter(period => period.attempts > 0);
+  if (active.length < 2) {
+    return changes;
+  }
+
+  const previous = active[active.length - 2];
+  const current = active[active.length - 1];
+  changes.from = previous.period;
+  changes.to = current.period;
+
+  const pairs = [[null, previous, current]];
+  current.categories.forEach(category => {
+    const before = previous.categories.find(other => other.category === category.category);
+    if (before) {
+      pairs.push([category.category, before, category]);
+    }
+  });
+
+  pairs.forEach(([category, before, after]) => {
+    if (before.attempts < minAttempts || after.attempts < minAttempts) {
+      return;
+    }
+    const change = Number((after.successRate - before.successRate).toFixed(1));
+    if (Math.abs(change) < threshold) {
+      return;
+    }
+
+    const entry = {
+      category,
+      previous: { attempts: before.attempts, successRate: before.successRate },
+      current: { attempts: after.attempts, successRate: after.successRate },
+      change
+    };
+    (change > 0 ? changes.improvements : changes.regressions).push(entry);
+  });
+
+  return changes;
+}
+
+/**
+ * Build an athlete's trends for one sport.
+ *
+ * sessions: [{ id, createdAt, originalVideo }] oldest first; events: [{ analysisId,
+ * type, result, feedback }] in session and time order. Rates and personal bests
+ * only count samples of at least `minAttempts` events; changes between the last two
+ * periods are reported when a success rate moved by `changeThreshold` points or more.
+ */
+function buildTrends({ sessions, events, profile, period = 'month', minAttempts = 5, changeThreshold = 10 }) {
+  const periods = new Map();
+  const categories = new Map();
+  const themes = new Map();
+  const overall = tally();
+
+  const perSession = new Map(sessions.map(session => [session.id, {
+    session,
+    key: periodKey(session.createdAt, period),
+    counts: tally(),
+    categories: new Map(),
+    streak: 0,
+    bestStreak: 0
+  }]));
+
+  perSession.forEach(({ key }) => {
+    if (!periods.has(key)) {
+      periods.set(key, { period: key, sessions: 0, counts: tally(), categories: new Map(), themes: new Map() });
+    }
+    periods.get(key).sessions++;
+  });
+
+  events.forEach(event => {
+    const entry = perSession.get(event.analysisId);
+    if (!entry) {
+      return;
+    }
+
+    const success = profile.successResults.includes(event.result);
+    const category = eventCategory(profile, event.type);
+    const bucket = periods.get(entry.key);
+
+    addTo(overall, success);
+    addTo(bucket.counts, success);
+    addTo(entry.counts, success);
+
+    [categories, bucket.categories, entry.categories].forEach(map => {
+      if (!map.has(category)) {
+        map.set(category, tally());
+      }
+      addTo(map.get(category), success);
+    });
+
+    entry.streak = success ? entry.streak + 1 : 0;
+    entry.bestStreak = Math.max(entry.bestStreak, entry.streak);
+
+    feedbackThemes(profile, event.feedback).forEach(theme => {
+      if (!themes.has(theme)) {
+        themes.set(theme, { theme, events: 0, sessions: new Set(), firstSeen: entry.session.createdAt, lastSeen: null });
+      }
+      const found = themes.get(theme);
+      found.events++;
+      found.sessions.add(event.analysisId);
+      found.lastSeen = entry.session.createdAt;
+      bucket.themes.set(theme, (bucket.themes.get(theme) || 0) + 1);
+    });
+  });
+
+  const periodList = [...periods.values()]
+    .sort((a, b) => a.period.localeCompare(b.period))
+    .map(bucket => ({
+      period: bucket.period,
+      sessions: bucket.sessions,
+      ...withRate(bucket.counts),
+      categories: [...bucket.categories.entries()].map(([category, counts]) => ({ category, ...withRate(counts) })),
+      themes: Object.fromEntries(bucket.themes)
+    }));
+
+  // Personal bests, each from a single session
+  const sessionStats = [...perSession.values()];
+  const best = (candidates, value) => candidates.reduce((top, candidate) => {
+    return value(candidate) > (top ? value(top) : -Infinity) ? candidate : top;
+  }, null);
+  const reference = (entry, value, extra = {}) => ({
+    analysisId: entry.session.id,
+    createdAt: entry.session.createdAt,
+    originalVideo: entry.session.originalVideo,
+    value,
+    ...extra
+  });
+
+  const rated = sessionStats.filter(entry => entry.counts.attempts >= minAttempts);
+  const bestRate = best(rated, entry => rate(entry.counts.successful, entry.counts.attempts));
+  const bestVolume = best(sessionStats.filter(entry => entry.counts.attempts > 0), entry => entry.counts.attempts);
+  const bestStreak = best(sessionStats.filter(entry => entry.bestStreak > 0), entry => entry.bestStreak);
+
+  const categoryBests = [...categories.keys()].map(category => {
+    const countsOf = entry => entry.categories.get(category) || tally();
+    const candidates = sessionStats.filter(entry => countsOf(entry).attempts >= minAttempts);
+    const top = best(candidates, entry => rate(countsOf(entry).successful, countsOf(entry).attempts));
+    if (!top) {
+      return null;
+    }
+    const counts = countsOf(top);
+    return { category, ...reference(top, rate(counts.successful, counts.attempts), { attempts: counts.attempts }) };
+  }).filter(Boolean);
+
+  return {
+    period,
+    sessions: sessions.length,
+    ...withRate(overall),
+    periods: periodList,
+    categories: [...categories.entries()]
+      .sort((a, b) => b[1].attempts - a[1].attempts)
+      .map(([category, counts]) => ({
+        category,
+        ...withRate(counts),
+        trend: periodList
+          .map(bucket => {
+            const found = bucket.categories.find(other => other.category === category);
+            return found && { period: bucket.period, attempts: found.attempts, successRate: found.successRate };
+          })
+          .filter(Boolean)
+      })),
+    themes: [...themes.values()]
+      .sort((a, b) => b.sessions.size - a.sessions.size || b.events - a.events)
+      .map(theme => ({
+        theme: theme.theme,
+        events: theme.events,
+        sessions: theme.sessions.size,
+        recurring: theme.sessions.size >= 2,
+        firstSeen: theme.firstSeen,
+        lastSeen: theme.lastSeen
+      })),
+    personalBests: {
+      successRate: bestRate && reference(bestRate, rate(bestRate.counts.successful, bestRate.counts.attempts), { attempts: bestRate.counts.attempts }),
+      volume: bestVolume && reference(bestVolume, bestVolume.counts.attempts),
+      streak: bestStreak && reference(bestStreak, bestStreak.bestStreak),
+      categories: categoryBests
+    },
+    changes: compareLatest(periodList, minAttempts, changeThreshold)
+  };
+}
+
+module.exports = {
+  PERIODS,
+  periodKey,
+  buildTrends
+};
@@ -0,0 +1,171 @@
+// Audio-cue detection: find sharp sounds (ball bounces, rim hits, whistles, racket
+// or foot contact) in loudness envelopes measured by FFmpeg
+
+const AUDIO_CUE_TYPES = ['bounce', 'rim', 'whistle', 'contact'];
+
+// Envelope levels in dBFS; silence is reported as -inf
+const SILENCE_DB = -120;
+
+// Tuning for onset detection
+const BASELINE_WINDOW = 0.5; // Seconds of history the background level is measured over
+const ONSET_RISE_DB = 12; // How far above the background a sound must rise
+const MIN_PEAK_DB = -45; // Ignore anything quieter than this
+const MIN_CUE_GAP = 0.15; // Seconds between separate cues
+const SUSTAIN_DROP_DB = 6; // A cue lasts while it stays within this of its peak
+const BAND_DOMINANCE_DB = 6; // How much louder one band must be to characterize a cue
+const RING_SECONDS = 0.08; // High-pitched sounds that last this long ring (rims) rather than click
+const WHISTLE_SECONDS = 0.25; // ...and this long, whistle
+
+function toDb(value) {
+  return Number.isFinite(value) ? value : SILENCE_DB;
+}
+
+function median(values) {
+  if (values.length === 0) {
+    return SILENCE_DB;
+  }
+  const sorted = [...values].sort((a, b) => a - b);
+  return sorted[Math.floor(sorted.length / 2)];
+}
+
+/**
+ * Find onsets in a loudness envelope.
+ *
+ * samples: [{ time, value }] with value in dB, evenly spaced. An onset is a local
+ * peak that rises ONSET_RISE_DB above the median level of the preceding half second.
+ * Returns [{ time, peak, rise, sustain }] where sustain is how long (seconds) the
+ * sound stays near its peak.
+ */
+function detectOnsets(samples) {
+  if (samples.length < 3) {
+    return [];
+  }
+
+  const step = samples[1].time - samples[0].time || 0.02;
+  const historySize = Math.max(1, Math.round(BASELINE_WINDOW / step));
+  const levels = samples.map(sample => toDb(sample.value));
+  const onsets = [];
+
+  for (let i = 1; i < levels.length - 1; i++) {
+    const level = levels[i];
+    if (level < MIN_PEAK_DB || level < levels[i - 1] || level < levels[i + 1]) {
+      continue;
+    }
+
+    const baseline = median(levels.slice(Math.max(0, i - historySize), i));
+    const rise = level - baseline;
+    if (rise < ONSET_RISE_DB) {
+      continue;
+    }
+
+    let end = i;
+    while (end + 1 < levels.length && levels[end + 1] >= level - SUSTAIN_DROP_DB) {
+      end++;
+    }
+
+    const onset = {
+      time: samples[i].time,
+      peak: Number(level.toFixed(1)),
+      rise: Number(rise.toFixed(1)),
+      sustain: Number(((end - i + 1) * step).toFixed(2))
+    };
+
+    // A peak inside the previous sound (e.g. the wobble of a whistle) is not a new
+    // cue; of two separate onsets that are too close together keep the stronger
+    const previous = onsets[onsets.length - 1];
+    if (previous && onset.time <= previous.time + previous.sustain) {
+      continue;
+    }
+    if (previous && onset.time - previous.time < MIN_CUE_GAP) {
+      if (onset.rise > previous.rise) {
+        onsets[onsets.length - 1] = onset;
+      }
+      continue;
+    }
+
+    onsets.push(onset);
+  }
+
+  return onsets;
+}
+
+// Level of a band envelope at (or nearest to) a time
+function levelAt(samples, time) {
+  let nearest = null;
+  samples.forEach(sample => {
+    if (!nearest || Math.abs(sample.time - time) < Math.abs(nearest.time - time)) {
+      nearest = sample;
+    }
+  });
+  return nearest ? toDb(nearest.value) : SILENCE_DB;
+}
+
+/**
+ * Label an onset from the balance between the low band (below ~300 Hz) and the
+ * high band (~2-5 kHz) at its peak, and from how long it lasts:
+ * - whistle: high band dominant and sustained
+ * - rim: high band dominant with a short ring
+ * - bounce: low band dominant (ball on floor or court)
+ * - contact: a click, thud or crack (racket, club, foot, hands)
+ */
+function classifyOnset(onset, lowSamples, highSamples) {
+  const low = levelAt(lowSamples, onset.time);
+  const high = levelAt(highSamples, onset.time);
+  const balance = high - low;
+
+  if (balance >= BAND_DOMINANCE_DB && onset.sustain >= WHISTLE_SECONDS) {
+    return 'whistle';
+  }
+  if (balance >= BAND_DOMINANCE_DB && onset.sustain >= RING_SECONDS) {
+    return 'rim';
+  }
+  if (balance <= -BAND_DOMINANCE_DB) {
+    return 'bounce';
+  }
+  return 'contact';
+}
+
+/**
+ * Detect audio cues from three envelopes of the same track (full band, low band and
+ * high band), keeping only the cue types the sport cares about.
+ * Returns [{ time, type, strength, peak, sustain }] in time order; strength is 0..1.
+ */
+function detectAudioCues(fullSamples, lowSamples, highSamples, cueTypes = AUDIO_CUE_TYPES) {
+  const onsets = detectOnsets(fullSamples);
+  const maxRise = Math.max(ONSET_RISE_DB, ...onsets.map(onset => onset.rise));
+
+  return onsets
+    .map(onset => ({
+      time: Number(onset.time.toFixed(2)),
+      type: classifyOnset(onset, lowSamples, highSamples),
+      strength: Number((onset.rise / maxRise).toFixed(2)),
+      peak: onset.peak,
+      sustain: onset.sustain
+    }))
+    .filter(cue => cueTypes.includes(cue.type));
+}
+
+// Attach the nearest cue within `tolerance` seconds to each timeline event
+function attachAudioCues(timeline, cues, tolerance) {
+  timeline.forEach(event => {
+    const nearby = cues.filter(cue => Math.abs(cue.time - event.seconds) <= tolerance);
+    if (nearby.length === 0) {
+      return;
+    }
+
+    const nearest = nearby.reduce((best, cue) => {
+      return Math.abs(cue.time - event.seconds) < Math.abs(best.time - event.seconds) ? cue : best;
+    });
+    event.audio_cue = { type: nearest.type, seconds: nearest.time };
+  });
+
+  return timeline;
+}
+
+module.exports = {
+  AUDIO_CUE_TYPES,
+  detectOnsets,
+  classifyOnset,
+  detectAudioCues,
+  attachAudioCues
+};
@@ -1,326 +1,308 @@
 const axios = require('axios');
-const fs = require('fs-extra');
-const path = require('path');
 const config = require('../config');
+const sports = require('./sports');
+const { validate } = require('./schemaValidator');
+const { TokenBucket, sleep } = require('./rateLimiter');
+const analysisCache = require('./analysisCache');
+const providers = require('./providers');
+const { BUDGET_EXCEEDED, worstCaseCost } = require('./usage');
+
+// Overloaded (529), rate limited (429) and server errors are worth retrying
+const RETRYABLE_STATUSES = [408, 429, 500, 502, 503, 504, 529];
+const RETRYABLE_CODES = ['ECONNRESET', 'ETIMEDOUT', 'ECONNABORTED', 'EAI_AGAIN'];
 
 class ClaudeService {
   constructor() {
-    this.apiKey = config.CLAUDE_API_KEY;
-    this.apiUrl = config.CLAUDE_API_URL;
-    this.cacheDir = path.join(__dirname, '../cache');
-    fs.ensureDirSync(this.cacheDir);
+    this.model = config.CLAUDE_MODEL;
+    this.rateLimiter = new TokenBucket(config.API_RATE_BURST, config.API_RATE_LIMIT_PER_MINUTE / 60);
   }
 
-  async analyzeVideo(videoBase64, prompt, fps = 1) {
-    try {
-      const systemPrompt = `You are an expert sports analyst and coach. Analyze the provided video and give detailed feedback on performance, technique, and areas for improvement. 
+  async analyzeFrame(frameBase64, prompt, options = {}) {
+    // Create cache key based on frame content and prompt
+    const cacheKey = this.createCacheKey(frameBase64, prompt, null, options);
 
-Your analysis should include:
-- Shot analysis (made/missed shots, types of shots)
-- Technique evaluation
-- Performance metrics
-- Specific feedback for improvement
-- Step-by-step breakdown of key moments
+    console.log('Sending frame to Claude API...');
+    const result = await this.cachedRequest(cacheKey, prompt, this.buildFrameMessages(frameBase64, prompt), options);
+    console.log('Frame analysis completed successfully');
 
-Format your response as structured feedback that can be overlaid on video frames.`;
+    return result;
+  }
 
-      const userPrompt = `${prompt}
+  // Analyze a frame and return JSON validated against the sport's schema,
+  // asking Claude to repair malformed responses
+  async analyzeFrameStructured(frameBase64, prompt, profile, options = {}) {
+    const cacheKey = this.createCacheKey(frameBase64, prompt, profile, options);
+    return this.requestStructured(cacheKey, prompt, this.buildFrameMessages(frameBase64, prompt), profile, options);
+  }
 
-Please analyze this video at ${fps} fps and provide detailed feedback that can be overlaid on the video frames.`;
+  // Analyze a window of consecutive frames in one request so the model can see
+  // how a play unfolds (e.g. whether the ball actually went in).
+  // frames: [{ base64, timestamp }] in time order
+  async analyzeClipStructured(frames, prompt, profile, options = {}) {
+    const content = 'clip|' + frames.map(frame => `${frame.timestamp}:${frame.base64}`).join('|');
+    const cacheKey = this.createCacheKey(content, `${profile.systemPrompt}\n${prompt}`, profile, options);
 
-      const requestBody = {
-        model: "claude-3-sonnet-20240229",
-        max_tokens: 4000,
-        messages: [
-          {
-            role: "user",
-            content: [
-              {
-                type: "text",
-                text: userPrompt
-              },
-              {
-                type: "image",
-                source: {
-                  type: "base64",
-                  media_type: "video/mp4",
-                  data: videoBase64
-                }
-              }
-            ]
-          }
-        ],
-        system: systemPrompt
-      };
-
-      console.log('Sending request to Claude API...');
-      const response = await axios.post(this.apiUrl, requestBody, {
-        headers: {
-          'Content-Type': 'application/json',
-          'x-api-key': this.apiKey,
-          'anthropic-version': '2023-06-01'
+    console.log(`Sending ${frames.length}-frame clip to Claude API...`);
+    return this.requestStructured(cacheKey, prompt, this.buildClipMessages(frames, prompt), profile, {
+      ...options,
+      system: profile.systemPrompt,
+      maxTokens: 2000
+    });
+  }
+
+  async requestStructured(cacheKey, prompt, messages, profile, options = {}) {
+    options = { ...options, sport: profile.id, schemaVersion: sports.schemaVersion(profile) };
+    // Only schema-valid responses are cached, so a failed one is asked again next time
+    let response = await this.cachedRequest(cacheKey, prompt, messages, options,
+      result => this.parseStructuredResponse(result, profile).valid);
+    let parsed = this.parseStructuredResponse(response, profile);
+
+    for (let attempt = 1; !parsed.valid && attempt <= config.MAX_REPAIR_ATTEMPTS; attempt++) {
+      console.log(`⚠️ Invalid structured response (${parsed.errors.join('; ')}), repair attempt ${attempt}/${config.MAX_REPAIR_ATTEMPTS}`);
+      response = await this.repairStructuredResponse(messages, response, parsed.errors, profile, options);
+      parsed = this.parseStructuredResponse(response, profile);
+
+      if (parsed.valid) {
+        // Replace the malformed cached response with the repaired one
+        await this.writeCache(cacheKey, prompt, response, options);
+      }
+    }
+
+    if (!parsed.valid) {
+      // Drop an invalid answer cached before responses were validated
+      await analysisCache.remove(cacheKey);
+      throw new Error(`Invalid structured response: ${parsed.errors.join('; ')}`);
+    }
+
+    return parsed.data;
+  }
+
+  // Re-ask Claude with the validation errors from its previous answer
+  async repairStructuredResponse(messages, previousResponse, errors, profile, options = {}) {
+    try {
+      const repairMessages = [
+        ...messages,
+        {
+          role: "assistant",
+          content: previousResponse
+        },
+        {
+          role: "user",
+          content: `Your previous response was not valid. Problems found:
+${errors.map(error => `- ${error}`).join('\n')}
+
+${sports.buildSchemaInstructions(profile)}`
         }
-      });
+      ];
 
-      const result = response.data.content[0].text;
-      console.log('Claude API response received successfully');
-      console.log('Response length:', result.length, 'characters');
-      
-      return result;
+      console.log('Sending repair request to Claude API...');
+      return await this.sendMessages(repairMessages, options);
     } catch (error) {
-      console.error('Claude API Error:', error.response?.data || error.message);
+      if (error.code === BUDGET_EXCEEDED) {
+        throw error;
+      }
+      console.error('Claude API Error for repair:', error.response?.data || error.message);
       throw new Error(`Claude API Error: ${error.response?.data?.error?.message || error.message}`);
     }
   }
 
-  async analyzeFrame(frameBase64, prompt) {
+  // isValid decides whether a fresh response is worth caching
+  async cachedRequest(cacheKey, prompt, messages, options = {}, isValid = () => true) {
     try {
-      // Create cache key based on frame content and prompt
-      const cacheKey = this.createCacheKey(frameBase64, prompt);
-      const cacheFile = path.join(this.cacheDir, `${cacheKey}.json`);
-      
-      // Check if we have a cached response
-      if (await fs.pathExists(cacheFile)) {
-        console.log(`Using cached response for frame analysis`);
-        const cached = await fs.readJson(cacheFile);
-        return cached.response;
+      // Mock, record and replay providers always go to the provider
+      if (!providers.getProvider(options.provider).cacheable) {
+        return await this.sendMessages(messages, options);
       }
 
-      const requestBody = {
-        model: "claude-3-sonnet-20240229",
-        max_tokens: 1000,
-        messages: [
-          {
-            role: "user",
-            content: [
-              {
-                type: "text",
-                text: prompt
-              },
-              {
-                type: "image",
-                source: {
-                  type: "base64",
-                  media_type: "image/jpeg",
-                  data: frameBase64
-                }
-              }
-            ]
-          }
-        ]
-      };
-
-      console.log('Sending frame to Claude API...');
-      const response = await axios.post(this.apiUrl, requestBody, {
-        headers: {
-          'Content-Type': 'application/json',
-          'x-api-key': this.apiKey,
-          'anthropic-version': '2023-06-01'
+      // Check if we have a cached response
+      const cached = await analysisCache.get(cacheKey, { jobId: options.jobId });
+      if (cached !== null) {
+        console.log(`Using cached response for frame analysis`);
+        if (options.usage) {
+          options.usage.recordCacheHit();
         }
-      });
+        return cached;
+      }
 
-      const result = response.data.content[0].text;
-      console.log('Frame analysis completed successfully');
+      const result = await this.sendMessages(messages, options);
       
       // Cache the response
-      await fs.writeJson(cacheFile, {
-        prompt: prompt,
-        response: result,
-        timestamp: new Date().toISOString()
-      });
+      if (isValid(result)) {
+        await this.writeCache(cacheKey, prompt, result, options);
+      }
 
       return result;
     } catch (error) {
+      if (error.code === BUDGET_EXCEEDED) {
+        throw error;
+      }
       console.error('Claude API Error for frame:', error.response?.data || error.message);
       throw new Error(`Claude API Error: ${error.response?.data?.error?.message || error.message}`);
     }
   }
 
-  createCacheKey(frameBase64, prompt) {
-    // Create a hash based on frame content and prompt
-    const crypto = require('crypto');
-    const hash = crypto.createHash('md5');
-    hash.update(frameBase64.substring(0, 1000) + prompt.substring(0, 200));
-    return hash.digest('hex');
+  // Extract and validate the JSON object in a response
+  parseStructuredResponse(response, profile) {
+    const text = (response || '').replace(/```(?:json)?/gi, '');
+    const start = text.indexOf('{');
+    const end = text.lastIndexOf('}');
+
+    if (start === -1 || end <= start) {
+      return { valid: false, data: null, errors: ['response does not contain a JSON object'] };
+    }
+
+    let data;
+    try {
+      data = JSON.parse(text.substring(start, end + 1));
+    } catch (parseError) {
+      return { valid: false, data: null, errors: [`response is not valid JSON: ${parseError.message}`] };
+    }
+
+    const errors = validate(profile.schema, data);
+    return { valid: errors.length === 0, data, errors };
   }
 
-  // Development mode: return mock responses to save API costs
-  async analyzeFrameDev(frameBase64, prompt) {
-    console.log('DEV MODE: Using mock response for frame analysis');
-    
-    const mockResponses = [
-      {
-        "shots": [
-          {
-            "timestamp_of_outcome": "0:07.5",
-            "result": "missed",
-            "shot_type": "Jump shot (around free-throw line)",
-            "total_shots_made_so_far": 0,
-            "total_shots_missed_so_far": 1,
-            "total_layups_made_so_far": 0,
-            "feedback": "You're pushing that ball, not shooting it; get your elbow under, extend fully, and follow through."
-          },
-          {
-            "timestamp_of_outcome": "0:13.0",
-            "result": "made",
-            "shot_type": "Three-pointer",
-            "total_shots_made_so_far": 1,
-            "total_shots_missed_so_far": 1,
-            "total_layups_made_so_far": 0,
-            "feedback": "It went in, but watch that slight fade keep your shoulders square to the hoop through the whole motion."
-          },
-          {
-            "timestamp_of_outcome": "0:21.5",
-            "result": "made",
-            "shot_type": "Layup",
-            "total_shots_made_so_far": 2,
-            "total_shots_missed_so_far": 1,
-            "total_layups_made_so_far": 1,
-            "feedback": "Drive that knee on the layup, protect the ball higher with your off-hand, and finish decisively."
-          },
-          {
-            "timestamp_of_outcome": "0:28.5",
-            "result": "made",
-            "shot_type": "Jump shot (free-throw line)",
-            "total_shots_made_so_far": 3,
-            "total_shots_missed_so_far": 1,
-            "total_layups_made_so_far": 1,
-            "feedback": "Better balance, but that shot pocket and release point must be identical every single time for real consistency."
-          }
-        ]
-      },
-      {
-        "shots": [
-          {
-            "timestamp_of_outcome": "0:05.2",
-            "result": "made",
-            "shot_type": "Layup",
-            "total_shots_made_so_far": 1,
-            "total_shots_missed_so_far": 0,
-            "total_layups_made_so_far": 1,
-            "feedback": "Excellent drive to the basket! Keep your head up and eyes on the rim throughout the motion."
-          },
-          {
-            "timestamp_of_outcome": "0:12.8",
-            "result": "missed",
-            "shot_type": "Three-pointer",
-            "total_shots_made_so_far": 1,
-            "total_shots_missed_so_far": 1,
-            "total_layups_made_so_far": 1,
-            "feedback": "Good shot selection, but you're rushing. Take your time, set your feet, and follow through completely."
-          },
-          {
-            "timestamp_of_outcome": "0:19.3",
-            "result": "made",
-            "shot_type": "Jump shot (mid-range)",
-            "total_shots_made_so_far": 2,
-            "total_shots_missed_so_far": 1,
-            "total_layups_made_so_far": 1,
-            "feedback": "Perfect form! Your elbow is aligned, wrist is straight, and follow-through is consistent."
-          }
-        ]
-      },
+  buildFrameMessages(frameBase64, prompt) {
+    return [
       {
-        "shots": [
+        role: "user",
+        content: [
           {
-            "timestamp_of_outcome": "0:08.1",
-            "result": "missed",
-            "shot_type": "Free throw",
-            "total_shots_made_so_far": 0,
-            "total_shots_missed_so_far": 1,
-            "total_layups_made_so_far": 0,
-            "feedback": "Stay focused on the rim, not the ball. Your routine looks good, just need more consistency."
+            type: "text",
+            text: prompt
           },
           {
-            "timestamp_of_outcome": "0:15.7",
-            "result": "made",
-            "shot_type": "Dunk",
-            "total_shots_made_so_far": 1,
-            "total_shots_missed_so_far": 1,
-            "total_layups_made_so_far": 0,
-            "feedback": "Explosive finish! Great elevation and power. Keep working on your vertical jump for more dunks."
-          },
-          {
-            "timestamp_of_outcome": "0:24.2",
-            "result": "made",
-            "shot_type": "Jump shot (corner three)",
-            "total_shots_made_so_far": 2,
-            "total_shots_missed_so_far": 1,
-            "total_layups_made_so_far": 0,
-            "feedback": "Excellent corner three! Your footwork and balance are spot on. Keep practicing from different angles."
+            type: "image",
+            source: {
+              type: "base64",
+              media_type: "image/jpeg",
+              data: frameBase64
+            }
           }
         ]
-      },
+      }
+    ];
+  }
+
+  // One user turn with the prompt followed by each frame, labeled with its timestamp
+  buildClipMessages(frames, prompt) {
+    const content = [
       {
-        "shots": [
-          {
-            "timestamp_of_outcome": "0:06.4",
-            "result": "made",
-            "shot_type": "Hook shot",
-            "total_shots_made_so_far": 1,
-            "total_shots_missed_so_far": 0,
-            "total_layups_made_so_far": 0,
-            "feedback": "Great use of the hook shot! Keep your body between the ball and defender, and use your off-hand for protection."
-          },
-          {
-            "timestamp_of_outcome": "0:14.9",
-            "result": "missed",
-            "shot_type": "Jump shot (top of key)",
-            "total_shots_made_so_far": 1,
-            "total_shots_missed_so_far": 1,
-            "total_layups_made_so_far": 0,
-            "feedback": "You're fading away on the shot. Stay square to the basket and jump straight up, not back."
-          },
-          {
-            "timestamp_of_outcome": "0:22.6",
-            "result": "made",
-            "shot_type": "Floater",
-            "total_shots_made_so_far": 2,
-            "total_shots_missed_so_far": 1,
-            "total_layups_made_so_far": 0,
-            "feedback": "Perfect floater! Great touch and timing. This is a valuable shot to have in your arsenal."
-          }
-        ]
-      },
+        type: "text",
+        text: prompt
+      }
+    ];
+
+    frames.forEach((frame, index) => {
+      content.push({
+        type: "text",
+        text: `Frame ${index + 1}/${frames.length} at ${frame.timestamp.toFixed(2)}s:`
+      });
+      content.push({
+        type: "image",
+        source: {
+          type: "base64",
+          media_type: "image/jpeg",
+          data: frame.base64
+        }
+      });
+    });
+
+    return [
       {
-        "shots": [
-          {
-            "timestamp_of_outcome": "0:09.3",
-            "result": "made",
-            "shot_type": "Pull-up jumper",
-            "total_shots_made_so_far": 1,
-            "total_shots_missed_so_far": 0,
-            "total_layups_made_so_far": 0,
-            "feedback": "Excellent pull-up! You stopped on a dime and got good elevation. Keep working on this mid-range game."
-          },
-          {
-            "timestamp_of_outcome": "0:17.8",
-            "result": "missed",
-            "shot_type": "Three-pointer",
-            "total_shots_made_so_far": 1,
-            "total_shots_missed_so_far": 1,
-            "total_layups_made_so_far": 0,
-            "feedback": "Good range, but you're not getting enough arc on the shot. Aim higher and follow through longer."
-          },
-          {
-            "timestamp_of_outcome": "0:26.1",
-            "result": "made",
-            "shot_type": "Reverse layup",
-            "total_shots_made_so_far": 2,
-            "total_shots_missed_so_far": 1,
-            "total_layups_made_so_far": 1,
-            "feedback": "Beautiful reverse layup! Great body control and finishing with the off-hand. Keep practicing this move."
-          }
-        ]
+        role: "user",
+        content
       }
     ];
-    
-    const randomResponse = mockResponses[Math.floor(Math.random() * mockResponses.length)];
-    
-    // Simulate API delay
-    await new Promise(resolve => setTimeout(resolve, 500));
-    
-    return JSON.stringify(randomResponse);
+  }
+
+  // Send a Messages API request to the selected provider. Rate-limited providers
+  // go through the rate limiter and retry transient failures with exponential
+  // backoff. Token usage is recorded on options.usage, which also enforces the
+  // job budget. options: { provider, maxTokens, system, signal, sport, usage }
+  async sendMessages(messages, options = {}) {
+    const provider = providers.getProvider(options.provider);
+    const requestBody = {
+      model: this.model,
+      max_tokens: options.maxTokens || 1000,
+      messages
+    };
+
+    if (options.system) {
+      requestBody.system = options.system;
+    }
+
+    for (let attempt = 0; ; attempt++) {
+      // Stop cleanly instead of spending past the job budget: the request's worst case
+      // stays reserved until its real usage is recorded
+      const release = options.usage ? options.usage.reserve(worstCaseCost(this.model, requestBody)) : () => {};
+
+      try {
+        if (provider.rateLimited) {
+          await this.rateLimiter.acquire(options.signal);
+        }
+
+        const { text, usage } = await provider.send(requestBody, { signal: options.signal, sport: options.sport });
+        release();
+        if (options.usage) {
+          options.usage.record(this.model, usage);
+        }
+        return text;
+      } catch (error) {
+        release();
+        if (!provider.rateLimited || attempt >= config.API_MAX_RETRIES || !this.isRetryable(error) || options.signal?.aborted) {
+          throw error;
+        }
+
+        const delay = this.getRetryDelay(error, attempt);
+        console.log(`⏳ ${provider.name} ${error.response?.status || error.code}, retrying in ${delay}ms (retry ${attempt + 1}/${config.API_MAX_RETRIES})`);
+        await sleep(delay, options.signal);
+      }
+    }
+  }
+
+  isRetryable(error) {
+    if (axios.isCancel(error)) {
+      return false;
+    }
+    if (error.response) {
+      return RETRYABLE_STATUSES.includes(error.response.status);
+    }
+    return RETRYABLE_CODES.includes(error.code);
+  }
+
+  // Honor retry-after when the API sends it, otherwise back off exponentially with jitter
+  getRetryDelay(error, attempt) {
+    const retryAfter = parseFloat(error.response?.headers?.['retry-after']);
+    if (!isNaN(retryAfter)) {
+      return Math.min(retryAfter * 1000, config.API_MAX_BACKOFF);
+    }
+
+    const backoff = config.API_BASE_BACKOFF * Math.pow(2, attempt);
+    return Math.round(Math.min(backoff + Math.random() * config.API_BASE_BACKOFF, config.API_MAX_BACKOFF));
+  }
+
+  async writeCache(cacheKey, prompt, response, options = {}) {
+    await analysisCache.set(cacheKey, response, {
+      prompt,
+      model: this.model,
+      provider: providers.getProvider(options.provider).id,
+      schemaVersion: options.schemaVersion,
+      sport: options.sport,
+      jobId: options.jobId
+    });
+  }
+
+  // Key on the full frame content, the full prompt, the provider, the model and
+  // (for structured requests) the sport's schema version
+  createCacheKey(content, prompt, profile = null, options = {}) {
+    return analysisCache.createKey({
+      content,
+      prompt,
+      provider: providers.getProvider(options.provider).id,
+      model: this.model,
+      schemaVersion: profile ? sports.schemaVersion(profile) : null
+    });
   }
 }
 
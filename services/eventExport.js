@@ -0,0 +1,119 @@
+// Flat event rows for spreadsheets and notebooks: one row per reconciled event with
+// its session, as CSV or JSON Lines. The columns are the same for every sport and
+// in a fixed order, so exports from different days can be appended to each other.
+
+const sports = require('./sports');
+const { eventCategory } = require('./sports/utils');
+const { formatTimestamp } = require('./eventReconciler');
+const shotChart = require('./shotChart');
+
+const EXPORT_FORMATS = ['csv', 'jsonl'];
+
+// Column names and types (documented in the README). New columns go at the end
+const COLUMNS = [
+  ['analysis_id', 'string'],
+  ['session_created_at', 'timestamp'],
+  ['original_video', 'string'],
+  ['sport', 'string'],
+  ['provider', 'string'],
+  ['athlete_id', 'string'],
+  ['athlete_name', 'string'],
+  ['event_index', 'integer'],
+  ['seconds', 'double'],
+  ['timestamp', 'string'],
+  ['event_type', 'string'],
+  ['event_category', 'string'],
+  ['result', 'string'],
+  ['success', 'boolean'],
+  ['location_zone', 'string'],
+  ['location_x', 'double'],
+  ['location_y', 'double'],
+  ['audio_cue', 'string'],
+  ['feedback', 'string']
+];
+
+const CONTENT_TYPES = {
+  csv: 'text/csv; charset=utf-8',
+  jsonl: 'application/x-ndjson; charset=utf-8'
+};
+
+function numberOrNull(value) {
+  return Number.isFinite(value) ? value : null;
+}
+
+function stringOrNull(value) {
+  return typeof value === 'string' && value !== '' ? value : null;
+}
+
+// Where an event happened on the sport's court (see shotChart.locateEvent), also for
+// sessions analyzed without a shot chart
+function locate(profile, event) {
+  const court = profile.court;
+  if (!court || (court.includes && !court.includes(event))) {
+    return {};
+  }
+  return shotChart.locateEvent(court, event, profile.typeField) || {};
+}
+
+// One export row from an analysisStore.listEvents entry, keyed by column name
+function toRow({ session, position, event }) {
+  const profile = sports.getProfile(session.sport);
+  const location = locate(profile, event);
+  const type = stringOrNull(event[profile.typeField]);
+
+  return {
+    analysis_id: session.id,
+    session_created_at: session.createdAt,
+    original_video: session.originalVideo,
+    sport: session.sport,
+    provider: session.provider,
+    athlete_id: session.athleteId,
+    athlete_name: session.athleteName,
+    event_index: position,
+    seconds: numberOrNull(event.seconds),
+    timestamp: Number.isFinite(event.seconds) ? formatTimestamp(event.seconds) : null,
+    event_type: type,
+    event_category: type ? eventCategory(profile, type) : null,
+    result: stringOrNull(event.result),
+    success: profile.successResults.includes(event.result),
+    location_zone: stringOrNull(location.zone),
+    location_x: numberOrNull(location.x),
+    location_y: numberOrNull(location.y),
+    audio_cue: event.audio_cue ? stringOrNull(event.audio_cue.type) : null,
+    feedback: stringOrNull(event.feedback)
+  };
+}
+
+// Text that spreadsheet apps would run as a formula
+const FORMULA_START = /^[=+\-@\t\r]/;
+
+// RFC 4180 field: quoted when it holds a comma, quote or line break; null is empty.
+// Text such as model feedback or a filename starting with a formula character gets a
+// leading ' so Excel shows it instead of evaluating it
+function csvField(value) {
+  if (value === null || value === undefined) {
+    return '';
+  }
+  const text = typeof value === 'string' && FORMULA_START.test(value) ? `'${value}` : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// The whole export as a string, header included for CSV
+function formatRows(rows, format) {
+  const names = COLUMNS.map(([name]) => name);
+
+  if (format === 'jsonl') {
+    return rows.map(row => `${JSON.stringify(Object.fromEntries(names.map(name => [name, row[name]])))}\n`).join('');
+  }
+
+  const lines = [names.join(','), ...rows.map(row => names.map(name => csvField(row[name])).join(','))];
+  return `${lines.join('\r\n')}\r\n`;
+}
+
+module.exports = {
+  EXPORT_FORMATS,
+  COLUMNS,
+  CONTENT_TYPES,
+  toRow,
+  formatRows
+};
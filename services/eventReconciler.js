@@ -0,0 +1,168 @@
+const config = require('../config');
+
+// Parse "m:ss.s", "h:mm:ss.s", "7.5s" or plain seconds into seconds
+function parseTimestamp(timestamp) {
+  if (typeof timestamp === 'number') {
+    return Number.isFinite(timestamp) ? timestamp : null;
+  }
+  if (typeof timestamp !== 'string') {
+    return null;
+  }
+
+  const parts = timestamp.trim().replace(/s$/i, '').split(':');
+  if (parts.length > 3 || parts.some(part => part === '' || isNaN(Number(part)))) {
+    return null;
+  }
+
+  return parts.reduce((seconds, part) => seconds * 60 + Number(part), 0);
+}
+
+// Format seconds as "m:ss.s"
+function formatTimestamp(seconds) {
+  const rounded = Math.round(seconds * 10) / 10;
+  const minutes = Math.floor(rounded / 60);
+  const remainder = (rounded - minutes * 60).toFixed(1).padStart(4, '0');
+  return `${minutes}:${remainder}`;
+}
+
+function normalizeType(type) {
+  return (type || '').toLowerCase().replace(/[^a-z0-9 ]/g, ' ').split(/\s+/).filter(Boolean);
+}
+
+// Event types match when their wording overlaps enough, e.g.
+// "Jump shot (free-throw line)" and "Jump shot (around free-throw line)"
+function typesMatch(a, b) {
+  const wordsA = normalizeType(a);
+  const wordsB = normalizeType(b);
+  if (wordsA.length === 0 || wordsB.length === 0) {
+    return wordsA.length === wordsB.length;
+  }
+
+  const shared = wordsA.filter(word => wordsB.includes(word)).length;
+  const union = new Set([...wordsA, ...wordsB]).size;
+  return shared / union >= 0.5;
+}
+
+// Pick the most common value, preferring the latest observation on ties
+function resolveValue(observations, getValue) {
+  const counts = new Map();
+  observations.forEach(observation => {
+    const value = getValue(observation);
+    if (value !== undefined && value !== null && value !== '') {
+      counts.set(value, (counts.get(value) || 0) + 1);
+    }
+  });
+
+  let best;
+  let bestCount = 0;
+  observations.forEach(observation => {
+    const value = getValue(observation);
+    const count = counts.get(value) || 0;
+    if (count >= bestCount && count > 0) {
+      best = value;
+      bestCount = count;
+    }
+  });
+
+  return best;
+}
+
+// Recompute the running totals on a sorted timeline
+function applyRunningTotals(timeline, profile) {
+  let successful = 0;
+  let unsuccessful = 0;
+
+  timeline.forEach(event => {
+    if (profile.successResults.includes(event.result)) {
+      successful++;
+    } else {
+      unsuccessful++;
+    }
+    event.successful_so_far = successful;
+    event.unsuccessful_so_far = unsuccessful;
+  });
+
+  // Sports can add their own totals (e.g. basketball's layups made so far)
+  if (profile.applyRunningTotals) {
+    profile.applyRunningTotals(timeline);
+  }
+
+  return timeline;
+}
+
+/**
+ * Merge the events reported by every frame into one deduplicated session timeline.
+ *
+ * Each frame's response repeats every event seen so far, so the same event shows up
+ * once per frame. Events are matched by timestamp (within EVENT_MATCH_TOLERANCE seconds)
+ * and event type; conflicting fields are resolved by majority vote, with later frames
+ * winning ties because they have seen more of the play.
+ */
+function reconcileEvents(frameAnalyses, profile, tolerance = config.EVENT_MATCH_TOLERANCE) {
+  const clusters = [];
+
+  frameAnalyses.forEach((frameAnalysis, frameIndex) => {
+    const events = frameAnalysis.structuredData && frameAnalysis.structuredData[profile.eventsKey];
+    if (!Array.isArray(events)) {
+      return;
+    }
+
+    events.forEach(event => {
+      const seconds = parseTimestamp(event.timestamp_of_outcome);
+      if (seconds === null) {
+        return;
+      }
+
+      const observation = { event, seconds, frameIndex, frame: frameAnalysis.frame };
+
+      // Two events from the same frame are always distinct
+      const cluster = clusters.find(candidate =>
+        Math.abs(candidate.seconds - seconds) <= tolerance &&
+        typesMatch(candidate.type, event[profile.typeField]) &&
+        !candidate.frameIndexes.has(frameIndex)
+      );
+
+      if (cluster) {
+        cluster.observations.push(observation);
+        cluster.frameIndexes.add(frameIndex);
+        cluster.seconds = cluster.observations.reduce((sum, o) => sum + o.seconds, 0) / cluster.observations.length;
+      } else {
+        clusters.push({
+          type: event[profile.typeField],
+          seconds,
+          observations: [observation],
+          frameIndexes: new Set([frameIndex])
+        });
+      }
+    });
+  });
+
+  const timeline = clusters.map(cluster => {
+    const observations = cluster.observations.sort((a, b) => a.frameIndex - b.frameIndex);
+    const latest = observations[observations.length - 1];
+
+    // The most recent feedback reflects the most complete view of the play
+    const withFeedback = observations.filter(o => o.event.feedback);
+
+    return {
+      ...latest.event,
+      timestamp_of_outcome: formatTimestamp(cluster.seconds),
+      seconds: Number(cluster.seconds.toFixed(2)),
+      [profile.typeField]: resolveValue(observations, o => o.event[profile.typeField]),
+      result: resolveValue(observations, o => o.event.result),
+      feedback: withFeedback.length > 0 ? withFeedback[withFeedback.length - 1].event.feedback : '',
+      observations: observations.length,
+      frames: observations.map(o => o.frame)
+    };
+  });
+
+  timeline.sort((a, b) => a.seconds - b.seconds);
+  return applyRunningTotals(timeline, profile);
+}
+
+module.exports = {
+  parseTimestamp,
+  formatTimestamp,
+  typesMatch,
+  reconcileEvents
+};
@@ -0,0 +1,184 @@
+// Frame selection strategies: which timestamps of a video get sent for analysis
+
+const FRAME_SELECTION_MODES = ['fixed', 'adaptive'];
+
+// 'frame' sends one image per request; 'clip' sends a window of consecutive frames
+const ANALYSIS_MODES = ['frame', 'clip'];
+
+// Share of the adaptive budget spent on evenly spaced frames so quiet stretches
+// of a session are still sampled
+const COVERAGE_SHARE = 0.2;
+
+// Seconds around an audio cue whose samples get a score boost
+const AUDIO_CUE_RADIUS = 0.5;
+
+// Frames in the first half second of a whole upload aren't analyzed, so no feedback
+// shows at 0.00s. A selected segment starts where the player chose, so it has none
+const LEAD_IN = 0.5;
+
+// Seconds before the end of a video the last extracted frame is read from
+const END_MARGIN = 0.1;
+
+// Evenly spaced timestamps at the requested fps. When the video has more frames
+// than the budget allows, spread the budget over the whole duration instead of
+// stopping early.
+function fixedTimestamps(duration, fps, budget) {
+  const wanted = Math.max(1, Math.ceil(duration * fps));
+  const count = Math.min(wanted, budget);
+  const interval = count === wanted ? 1 / fps : duration / count;
+
+  return Array.from({ length: count }, (_, i) => Number((i * interval).toFixed(3)));
+}
+
+/**
+ * Parse the output of FFmpeg's `metadata=print` filter into samples.
+ *
+ * The log has a "frame:N pts:X pts_time:T" line followed by "key=value" lines
+ * for each frame; `key` picks which value to keep.
+ */
+function parseMetadataLog(log, key) {
+  const samples = [];
+  let current = null;
+
+  log.split('\n').forEach(line => {
+    const frameMatch = line.match(/pts_time:([\d.]+)/);
+    if (frameMatch) {
+      current = { time: parseFloat(frameMatch[1]), value: 0 };
+      samples.push(current);
+      return;
+    }
+
+    const [name, value] = line.trim().split('=');
+    if (current && name === key) {
+      current.value = parseFloat(value) || 0;
+    }
+  });
+
+  return samples;
+}
+
+/**
+ * Combine scene-change scores and motion energy into one score per sample time.
+ *
+ * Scene scores are already 0..1; motion energy (mean luma of the frame difference)
+ * is normalized against the busiest sample so both signals weigh the same.
+ */
+function combineScores(sceneSamples, motionSamples) {
+  const maxMotion = Math.max(0, ...motionSamples.map(sample => sample.value)) || 1;
+  const motionByTime = new Map(motionSamples.map(sample => [sample.time.toFixed(2), sample.value / maxMotion]));
+
+  return sceneSamples.map(sample => {
+    const motion = motionByTime.get(sample.time.toFixed(2)) || 0;
+    return {
+      time: sample.time,
+      scene: sample.value,
+      motion,
+      score: 0.6 * sample.value + 0.4 * motion
+    };
+  });
+}
+
+/**
+ * Boost the scores of samples close to audio cues (bounces, rim hits, whistles...)
+ * so the frames around those sounds are more likely to be picked. The boost is the
+ * cue's strength (0..1), fading out linearly over AUDIO_CUE_RADIUS seconds.
+ */
+function boostNearCues(scoredSamples, cues) {
+  if (!cues || cues.length === 0) {
+    return scoredSamples;
+  }
+
+  return scoredSamples.map(sample => {
+    const boost = cues.reduce((best, cue) => {
+      const distance = Math.abs(sample.time - cue.time);
+      return distance <= AUDIO_CUE_RADIUS ? Math.max(best, cue.strength * (1 - distance / AUDIO_CUE_RADIUS)) : best;
+    }, 0);
+
+    return boost > 0 ? { ...sample, audio: boost, score: sample.score + boost } : sample;
+  });
+}
+
+/**
+ * Spend the frame budget where something happens.
+ *
+ * A small share of the budget goes to evenly spaced coverage frames; the rest
+ * picks the highest-scoring samples, keeping a minimum gap between picks so one
+ * busy moment doesn't consume the whole budget.
+ */
+function selectKeyframes(scoredSamples, duration, budget) {
+  if (scoredSamples.length <= budget) {
+    return scoredSamples.map(sample => ({ ...sample, reason: 'activity' }));
+  }
+
+  const coverageCount = Math.max(1, Math.floor(budget * COVERAGE_SHARE));
+  const minGap = duration / (budget * 2);
+  const selected = [];
+
+  const isFarEnough = (time) => selected.every(sample => Math.abs(sample.time - time) >= minGap);
+
+  // Evenly spaced coverage frames snapped to the nearest sample
+  for (let i = 0; i < coverageCount; i++) {
+    const target = (i + 0.5) * duration / coverageCount;
+    const nearest = scoredSamples.reduce((best, sample) => {
+      return Math.abs(sample.time - target) < Math.abs(best.time - target) ? sample : best;
+    });
+    if (selected.every(sample => sample.time !== nearest.time)) {
+      selected.push({ ...nearest, reason: 'coverage' });
+    }
+  }
+
+  // Highest activity first
+  const ranked = [...scoredSamples].sort((a, b) => b.score - a.score);
+  for (const sample of ranked) {
+    if (selected.length >= budget) {
+      break;
+    }
+    if (isFarEnough(sample.time)) {
+      selected.push({ ...sample, reason: 'activity' });
+    }
+  }
+
+  return selected.sort((a, b) => a.time - b.time);
+}
+
+// Timestamps for a window of consecutive frames centered on each candidate moment,
+// clamped to the video. Returns one array of timestamps per candidate.
+function buildClipWindows(candidates, windowSize, interval, duration) {
+  const lastFrame = Math.max(0, duration - interval);
+
+  return candidates.map(center => {
+    let start = center - (windowSize - 1) * interval / 2;
+    start = Math.min(Math.max(0, start), Math.max(0, lastFrame - (windowSize - 1) * interval));
+
+    return Array.from({ length: windowSize }, (_, i) => {
+      return Number(Math.min(start + i * interval, lastFrame).toFixed(3));
+    }).filter((time, i, times) => times.indexOf(time) === i);
+  });
+}
+
+// Where a frame at `time` is read from: inside the video, to the millisecond. A seek
+// to the very end returns no frame, so the last one is read a little earlier
+function clampTimestamp(time, duration) {
+  const last = Math.max(0, duration - END_MARGIN);
+  return Number(Math.min(Math.max(0, time), last).toFixed(3));
+}
+
+// The distinct clamped timestamps to extract, in time order; frame files are paired
+// with them one to one
+function frameTimestamps(timestamps, duration) {
+  return [...new Set(timestamps.map(time => clampTimestamp(time, duration)))].sort((a, b) => a - b);
+}
+
+module.exports = {
+  FRAME_SELECTION_MODES,
+  ANALYSIS_MODES,
+  LEAD_IN,
+  fixedTimestamps,
+  parseMetadataLog,
+  combineScores,
+  boostNearCues,
+  selectKeyframes,
+  buildClipWindows,
+  clampTimestamp,
+  frameTimestamps
+};
@@ -0,0 +1,123 @@
+// Highlight reels: pick timeline events and plan the clips cut around them.
+// services/videoProcessor.js renders the plan into an MP4.
+
+const { formatTimestamp } = require('./eventReconciler');
+
+// `highlights` selects events by outcome: every event, the sport's successful or
+// unsuccessful results, or a comma-separated list of result values ("made,missed")
+const OUTCOME_FILTERS = ['all', 'success', 'failure'];
+
+const TRANSITIONS = ['fade', 'cut'];
+
+// Result values a sport's schema allows (e.g. made/missed for basketball)
+function resultValues(profile) {
+  const item = profile.schema.properties[profile.eventsKey].items;
+  return item.properties.result.enum || [];
+}
+
+// Check a `highlights` value (or another outcome filter, named `name` in the message)
+// against the sport; returns an error message or null
+function validateFilter(filter, profile, name = 'highlights filter') {
+  if (OUTCOME_FILTERS.includes(filter)) {
+    return null;
+  }
+
+  const allowed = resultValues(profile);
+  const unknown = filter.split(',').map(value => value.trim()).filter(value => !allowed.includes(value));
+  if (unknown.length > 0) {
+    return `Unsupported ${name} for ${profile.id}: ${unknown.join(', ')}. Use ${[...OUTCOME_FILTERS, ...allowed].join(', ')}`;
+  }
+  return null;
+}
+
+/**
+ * Pick the timeline events a reel should show.
+ * options.filter: an OUTCOME_FILTERS value or result values; options.types: words
+ * of which the event type must contain at least one (e.g. ['three']).
+ */
+function selectEvents(timeline, profile, options = {}) {
+  const filter = options.filter || 'all';
+  const types = (options.types || []).map(type => type.toLowerCase());
+  const results = OUTCOME_FILTERS.includes(filter) ? null : filter.split(',').map(value => value.trim());
+
+  return timeline.filter(event => {
+    const success = profile.successResults.includes(event.result);
+    if (filter === 'success' && !success) {
+      return false;
+    }
+    if (filter === 'failure' && success) {
+      return false;
+    }
+    if (results && !results.includes(event.result)) {
+      return false;
+    }
+
+    const type = (event[profile.typeField] || '').toLowerCase();
+    return types.length === 0 || types.some(word => type.includes(word));
+  });
+}
+
+/**
+ * Cut a clip from `preRoll` seconds before to `postRoll` seconds after each event,
+ * clamped to the video. Clips that overlap are merged so no footage repeats.
+ * Returns [{ start, end, events }] in time order.
+ */
+function planClips(events, { preRoll, postRoll, duration }) {
+  const clips = [];
+
+  [...events].sort((a, b) => a.seconds - b.seconds).forEach(event => {
+    const start = Math.max(0, event.seconds - preRoll);
+    const end = Math.min(duration, event.seconds + postRoll);
+    const previous = clips[clips.length - 1];
+
+    if (previous && start <= previous.end) {
+      previous.end = Math.max(previous.end, end);
+      previous.events.push(event);
+    } else if (end > start) {
+      clips.push({ start, end, events: [event] });
+    }
+  });
+
+  return clips.map(clip => ({
+    ...clip,
+    start: Number(clip.start.toFixed(3)),
+    end: Number(clip.end.toFixed(3))
+  }));
+}
+
+// Title card text for a clip: a heading per event and the feedback of the last one
+function titleCard(clip, profile) {
+  const headings = clip.events.map(event => {
+    const type = event[profile.typeField] || profile.eventLabel;
+    return `${type} - ${(event.result || '').replace(/_/g, ' ')} at ${formatTimestamp(event.seconds)}`;
+  });
+  const withFeedback = clip.events.filter(event => event.feedback);
+
+  return {
+    heading: headings.join('\n'),
+    body: withFeedback.length > 0 ? withFeedback[withFeedback.length - 1].feedback : ''
+  };
+}
+
+// Summary of a reel for API responses
+function describeClips(clips, profile) {
+  return clips.map(clip => ({
+    start: clip.start,
+    end: clip.end,
+    events: clip.events.map(event => ({
+      seconds: event.seconds,
+      [profile.typeField]: event[profile.typeField],
+      result: event.result
+    }))
+  }));
+}
+
+module.exports = {
+  OUTCOME_FILTERS,
+  TRANSITIONS,
+  validateFilter,
+  selectEvents,
+  planClips,
+  titleCard,
+  describeClips
+};
@@ -0,0 +1,144 @@
+const EventEmitter = require('events');
+const fs = require('fs-extra');
+const path = require('path');
+const { v4: uuidv4 } = require('uuid');
+const config = require('../config');
+
+const JOB_STATES = {
+  QUEUED: 'queued',
+  EXTRACTING: 'extracting',
+  ANALYZING: 'analyzing',
+  RENDERING: 'rendering',
+  DONE: 'done',
+  FAILED: 'failed'
+};
+
+const TERMINAL_STATES = [JOB_STATES.DONE, JOB_STATES.FAILED];
+
+class JobStore extends EventEmitter {
+  constructor() {
+    super();
+    this.jobsDir = config.JOBS_DIR;
+    this.jobs = new Map();
+    this.writeQueues = new Map();
+    fs.ensureDirSync(this.jobsDir);
+    this.loadJobs();
+  }
+
+  // Load persisted jobs from disk so clients can reconnect after a restart
+  loadJobs() {
+    const files = fs.readdirSync(this.jobsDir).filter(file => file.endsWith('.json'));
+
+    files.forEach(file => {
+      try {
+        const job = fs.readJsonSync(path.join(this.jobsDir, file));
+
+        // Jobs that were still running when the server stopped can't be resumed
+        if (!TERMINAL_STATES.includes(job.state)) {
+          job.state = JOB_STATES.FAILED;
+          job.error = 'Job was interrupted by a server restart';
+          job.updatedAt = new Date().toISOString();
+          fs.writeJsonSync(path.join(this.jobsDir, file), job, { spaces: 2 });
+        }
+
+        this.jobs.set(job.id, job);
+      } catch (error) {
+        console.error(`Failed to load job file ${file}:`, error.message);
+      }
+    });
+
+    console.log(`Loaded ${this.jobs.size} jobs from ${this.jobsDir}`);
+  }
+
+  async create(input) {
+    const now = new Date().toISOString();
+    const job = {
+      id: uuidv4(),
+      state: JOB_STATES.QUEUED,
+      progress: null,
+      input,
+      result: null,
+      error: null,
+      createdAt: now,
+      updatedAt: now
+    };
+
+    this.jobs.set(job.id, job);
+    await this.persist(job);
+    return job;
+  }
+
+  get(jobId) {
+    return this.jobs.get(jobId) || null;
+  }
+
+  // Jobs that are queued or still running
+  listActive() {
+    return [...this.jobs.values()].filter(job => !TERMINAL_STATES.includes(job.state));
+  }
+
+  async update(jobId, changes) {
+    const job = this.jobs.get(jobId);
+    if (!job) {
+      throw new Error(`Job not found: ${jobId}`);
+    }
+
+    Object.assign(job, changes, { updatedAt: new Date().toISOString() });
+
+    // Notify live listeners (e.g. SSE streams) before the disk write completes
+    this.emit('update', job);
+    await this.persist(job);
+    return job;
+  }
+
+  async setState(jobId, state, progress = null) {
+    return this.update(jobId, { state, progress });
+  }
+
+  // outputs: paths of the files the result links to, so the record can be deleted with them
+  async complete(jobId, result, outputs = []) {
+    return this.update(jobId, { state: JOB_STATES.DONE, progress: null, result, outputs });
+  }
+
+  async fail(jobId, error) {
+    return this.update(jobId, { state: JOB_STATES.FAILED, error: error.message || String(error) });
+  }
+
+  // Delete a finished job's record
+  async remove(jobId) {
+    this.jobs.delete(jobId);
+
+    // After any pending write, so it can't bring the file back
+    await (this.writeQueues.get(jobId) || Promise.resolve()).catch(() => {});
+    this.writeQueues.delete(jobId);
+    await fs.remove(path.join(this.jobsDir, `${jobId}.json`));
+  }
+
+  // Delete the records of finished jobs whose outputs include any of these files, so no
+  // job is left linking to deleted files; returns how many were deleted
+  async removeByOutputs(filePaths) {
+    const deleted = new Set(filePaths.map(filePath => path.resolve(filePath)));
+    const jobs = [...this.jobs.values()].filter(job => TERMINAL_STATES.includes(job.state) &&
+      (job.outputs || []).some(output => deleted.has(path.resolve(output))));
+
+    for (const job of jobs) {
+      await this.remove(job.id);
+    }
+    return jobs.length;
+  }
+
+  // Serialize writes per job so rapid progress updates never interleave on disk
+  async persist(job) {
+    const previous = this.writeQueues.get(job.id) || Promise.resolve();
+    const write = previous
+      .catch(() => {})
+      .then(() => fs.writeJson(path.join(this.jobsDir, `${job.id}.json`), job, { spaces: 2 }));
+
+    this.writeQueues.set(job.id, write);
+    await write;
+  }
+}
+
+module.exports = new JobStore();
+module.exports.JOB_STATES = JOB_STATES;
+module.exports.TERMINAL_STATES = TERMINAL_STATES;
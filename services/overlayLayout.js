@@ -0,0 +1,337 @@
+// Overlay layout: wrap captions to the frame, size them for the video's resolution
+// and place them so they never cover each other, the stats panel or the shot chart.
+// Pure geometry; services/videoProcessor.js turns the result into drawtext filters.
+
+// Advance widths of DejaVu Sans, the font FFmpeg picks through fontconfig, in ems
+const GLYPH_WIDTHS = {
+  ' ': 0.318, '!': 0.4, '"': 0.46, '#': 0.838, '$': 0.636, '%': 0.95, '&': 0.78, "'": 0.275,
+  '(': 0.39, ')': 0.39, '*': 0.5, '+': 0.838, ',': 0.318, '-': 0.361, '.': 0.318, '/': 0.337,
+  ':': 0.337, ';': 0.337, '<': 0.838, '=': 0.838, '>': 0.838, '?': 0.531, '@': 1.0,
+  A: 0.684, B: 0.686, C: 0.698, D: 0.77, E: 0.632, F: 0.575, G: 0.775, H: 0.752, I: 0.295,
+  J: 0.295, K: 0.656, L: 0.557, M: 0.863, N: 0.748, O: 0.787, P: 0.603, Q: 0.787, R: 0.695,
+  S: 0.635, T: 0.611, U: 0.732, V: 0.684, W: 0.989, X: 0.685, Y: 0.611, Z: 0.685,
+  a: 0.613, b: 0.635, c: 0.55, d: 0.635, e: 0.615, f: 0.352, g: 0.635, h: 0.634, i: 0.278,
+  j: 0.278, k: 0.579, l: 0.278, m: 0.974, n: 0.634, o: 0.612, p: 0.635, q: 0.635, r: 0.411,
+  s: 0.521, t: 0.392, u: 0.634, v: 0.592, w: 0.818, x: 0.592, y: 0.592, z: 0.525,
+  '…': 1.0
+};
+const DIGIT_WIDTH = 0.636;
+const DEFAULT_GLYPH_WIDTH = 0.62;
+const BOLD_WIDTH_FACTOR = 1.1;
+
+// Vertical metrics in ems
+const LINE_HEIGHT = 1.17; // Ascent + descent
+const LINE_SPACING = 0.2; // Extra space between wrapped lines
+const BOX_PADDING = 0.35; // Box border around the text
+
+// Theme sizes are given for this video height and scale with the short side
+const REFERENCE_SIZE = 720;
+const MIN_FONT_SIZE = 12;
+
+// Keep everything this share of the frame away from the edges (title safe area)
+const SAFE_MARGIN = 0.05;
+
+// Captions stay in the half of the frame their theme anchors them to
+const CAPTION_AREA = 0.5;
+
+// Width of the shot chart picture-in-picture as a share of the short side
+const CHART_SIZE = 0.3;
+
+// Title cards: heading size relative to the theme's caption size, and body length
+const TITLE_HEADING_SCALE = 1.3;
+const TITLE_BODY_LINES = 5;
+
+const ELLIPSIS = '…';
+
+function cleanText(text) {
+  return (text || '').replace(/\s+/g, ' ').trim();
+}
+
+// Estimated rendered width of a line in pixels
+function measureText(text, fontSize, bold = false) {
+  let ems = 0;
+  for (const char of text) {
+    if (GLYPH_WIDTHS[char] !== undefined) {
+      ems += GLYPH_WIDTHS[char];
+    } else {
+      ems += /\d/.test(char) ? DIGIT_WIDTH : DEFAULT_GLYPH_WIDTH;
+    }
+  }
+  return ems * fontSize * (bold ? BOLD_WIDTH_FACTOR : 1);
+}
+
+// Split a word that is wider than the line on its own
+function breakWord(word, fontSize, maxWidth, bold) {
+  const pieces = [];
+  let piece = '';
+
+  for (const char of word) {
+    if (piece && measureText(piece + char, fontSize, bold) > maxWidth) {
+      pieces.push(piece);
+      piece = '';
+    }
+    piece += char;
+  }
+
+  if (piece) {
+    pieces.push(piece);
+  }
+  return pieces;
+}
+
+// Shorten a line until it fits with an ellipsis at the end
+function truncateLine(line, fontSize, maxWidth, bold) {
+  let text = line;
+  while (text && measureText(text + ELLIPSIS, fontSize, bold) > maxWidth) {
+    text = text.slice(0, -1);
+  }
+  return text.trimEnd() + ELLIPSIS;
+}
+
+/**
+ * Greedy word wrap by measured width. Text that needs more than maxLines lines is
+ * cut at the end of the last one with an ellipsis.
+ */
+function wrapText(text, fontSize, maxWidth, options = {}) {
+  const bold = Boolean(options.bold);
+  const maxLines = options.maxLines || Infinity;
+  const words = cleanText(text).split(' ').filter(Boolean);
+  const lines = [];
+  let line = '';
+
+  words.forEach(word => {
+    const candidate = line ? `${line} ${word}` : word;
+    if (measureText(candidate, fontSize, bold) <= maxWidth) {
+      line = candidate;
+      return;
+    }
+
+    if (line) {
+      lines.push(line);
+    }
+
+    if (measureText(word, fontSize, bold) <= maxWidth) {
+      line = word;
+    } else {
+      const pieces = breakWord(word, fontSize, maxWidth, bold);
+      line = pieces.pop();
+      lines.push(...pieces);
+    }
+  });
+
+  if (line) {
+    lines.push(line);
+  }
+
+  if (lines.length > maxLines) {
+    const kept = lines.slice(0, maxLines);
+    kept[maxLines - 1] = truncateLine(kept[maxLines - 1], fontSize, maxWidth, bold);
+    return kept;
+  }
+
+  return lines;
+}
+
+function scaleFor(width, height) {
+  return Math.min(width, height) / REFERENCE_SIZE;
+}
+
+function fontSizeFor(size, scale) {
+  return Math.max(MIN_FONT_SIZE, Math.round(size * scale));
+}
+
+function safeArea(width, height) {
+  const margin = Math.round(Math.min(width, height) * SAFE_MARGIN);
+  return { left: margin, top: margin, right: width - margin, bottom: height - margin };
+}
+
+// A block of wrapped lines with its box: { lines, fontSize, padding, lineSpacing, width, height }
+function createBlock(lines, fontSize, bold) {
+  const padding = Math.round(fontSize * BOX_PADDING);
+  const lineSpacing = Math.round(fontSize * LINE_SPACING);
+  const textWidth = Math.max(0, ...lines.map(line => measureText(line, fontSize, bold)));
+  const textHeight = lines.length * fontSize * LINE_HEIGHT + (lines.length - 1) * lineSpacing;
+
+  return {
+    lines,
+    fontSize,
+    padding,
+    lineSpacing,
+    width: Math.ceil(textWidth + padding * 2),
+    height: Math.ceil(textHeight + padding * 2)
+  };
+}
+
+function intersects(a, b) {
+  return a.x < b.x + b.width && b.x < a.x + a.width && a.y < b.y + b.height && b.y < a.y + a.height;
+}
+
+// Place the stats panel in its theme corner of the safe area
+function placeStats(lines, theme, frame) {
+  const scale = scaleFor(frame.width, frame.height);
+  const safe = safeArea(frame.width, frame.height);
+  const block = createBlock(lines, fontSizeFor(theme.statsSize, scale), theme.bold);
+  const [vertical, horizontal] = theme.stats.split('-');
+
+  return {
+    ...block,
+    align: horizontal,
+    x: horizontal === 'right' ? safe.right - block.width : safe.left,
+    y: vertical === 'bottom' ? safe.bottom - block.height : safe.top
+  };
+}
+
+// Place the shot chart in its theme corner of the safe area
+function placeChart(aspect, theme, frame) {
+  const safe = safeArea(frame.width, frame.height);
+  const width = Math.round(Math.min(frame.width, frame.height) * CHART_SIZE);
+  const height = Math.round(width * aspect);
+  const [vertical, horizontal] = theme.chart.split('-');
+
+  return {
+    x: horizontal === 'right' ? safe.right - width : safe.left,
+    y: vertical === 'bottom' ? safe.bottom - height : safe.top,
+    width,
+    height
+  };
+}
+
+/**
+ * Find a free spot for a caption block in its theme's half of the frame, moving
+ * away from the anchored edge past anything in the way. Returns the y of the
+ * block's top edge or null when it doesn't fit.
+ */
+function findCaptionY(block, x, obstacles, region, fromBottom, gap) {
+  let y = fromBottom ? region.bottom - block.height : region.top;
+
+  while (y >= region.top && y + block.height <= region.bottom) {
+    const rect = { x, y, width: block.width, height: block.height };
+    const collision = obstacles.find(obstacle => intersects(rect, obstacle));
+    if (!collision) {
+      return y;
+    }
+    y = fromBottom ? collision.y - gap - block.height : collision.y + collision.height + gap;
+  }
+
+  return null;
+}
+
+/**
+ * Lay out the overlay for one video.
+ *
+ * captions: [{ timestamp, analysis, duration? }]; statsLines: text lines of the stats panel;
+ * chartAspect: height / width of the shot chart, when one is shown.
+ * Each caption is shown for its own `duration`, if it has one, or `duration` seconds. Captions that would overlap on
+ * screen are stacked, up to the theme's maxVisible at once; when there is no room
+ * a caption waits for one to end, and is dropped after waiting `maxDelay` seconds.
+ *
+ * Returns { scale, stats, chart, captions, dropped } with pixel positions of each box.
+ */
+function layoutOverlay({ captions, statsLines, chartAspect, width, height, theme, duration, maxDelay = duration }) {
+  const scale = scaleFor(width, height);
+  const safe = safeArea(width, height);
+  const stats = statsLines && statsLines.length > 0 ? placeStats(statsLines, theme, { width, height }) : null;
+  const chart = chartAspect ? placeChart(chartAspect, theme, { width, height }) : null;
+  const fixed = [stats, chart].filter(Boolean);
+
+  const fromBottom = theme.captions !== 'top';
+  const region = fromBottom
+    ? { top: Math.round(height * (1 - CAPTION_AREA)), bottom: safe.bottom }
+    : { top: safe.top, bottom: Math.round(height * CAPTION_AREA) };
+  const fontSize = fontSizeFor(theme.captionSize, scale);
+  const maxTextWidth = safe.right - safe.left - Math.round(fontSize * BOX_PADDING) * 2;
+  const gap = Math.round(fontSize * 0.3);
+
+  const placed = [];
+  const dropped = [];
+  const ordered = [...captions].sort((a, b) => parseFloat(a.timestamp) - parseFloat(b.timestamp));
+
+  ordered.forEach(caption => {
+    const lines = wrapText(caption.analysis, fontSize, maxTextWidth, { bold: theme.bold, maxLines: theme.maxLines });
+    const block = createBlock(lines, fontSize, theme.bold);
+    const x = Math.round((width - block.width) / 2);
+    const requested = parseFloat(caption.timestamp);
+    let start = requested;
+
+    while (start - requested <= maxDelay) {
+      const visible = placed.filter(other => other.end > start);
+      const obstacles = [...fixed, ...visible];
+      const y = visible.length < theme.maxVisible
+        ? findCaptionY(block, x, obstacles, region, fromBottom, gap)
+        : null;
+
+      if (y !== null) {
+        placed.push({ ...block, text: caption.analysis, align: 'center', x, y, start, end: start + (caption.duration || duration), delay: start - requested });
+        return;
+      }
+
+      // Wait for the next visible caption to end
+      start = Math.min(...visible.map(other => other.end));
+      if (!Number.isFinite(start)) {
+        break;
+      }
+    }
+
+    dropped.push({ timestamp: requested, analysis: caption.analysis });
+  });
+
+  return { scale, stats, chart, captions: placed, dropped };
+}
+
+/**
+ * Lay out a full-frame title card: a bold heading (one line per '\n') above wrapped
+ * body text, both centered on the frame. Returns the blocks with pixel positions.
+ */
+function layoutTitleCard({ heading, body, width, height, theme }) {
+  const scale = scaleFor(width, height);
+  const safe = safeArea(width, height);
+  const headingSize = fontSizeFor(theme.captionSize * TITLE_HEADING_SCALE, scale);
+  const bodySize = fontSizeFor(theme.captionSize, scale);
+  const maxWidth = size => safe.right - safe.left - Math.round(size * BOX_PADDING) * 2;
+
+  const headingLines = heading.split('\n').flatMap(line => wrapText(line, headingSize, maxWidth(headingSize), { bold: true, maxLines: 2 }));
+  const bodyLines = body ? wrapText(body, bodySize, maxWidth(bodySize), { bold: theme.bold, maxLines: TITLE_BODY_LINES }) : [];
+  const blocks = [{ ...createBlock(headingLines, headingSize, true), bold: true }];
+  if (bodyLines.length > 0) {
+    blocks.push({ ...createBlock(bodyLines, bodySize, theme.bold), bold: theme.bold });
+  }
+
+  const gap = Math.round(bodySize * 0.8);
+  const total = blocks.reduce((sum, block) => sum + block.height, 0) + gap * (blocks.length - 1);
+  let y = Math.round((height - total) / 2);
+
+  return blocks.map(block => {
+    const placed = { ...block, align: 'center', x: Math.round((width - block.width) / 2), y };
+    y += block.height + gap;
+    return placed;
+  });
+}
+
+/**
+ * A one-line label centered in a strip added above a video, e.g. naming the sessions
+ * of a comparison. width/height are the video's. Returns { block, height } where
+ * height is the strip's, kept even for the encoder.
+ */
+function layoutLabel({ text, width, height, theme }) {
+  const fontSize = fontSizeFor(theme.captionSize, scaleFor(width, height));
+  const margin = Math.round(fontSize * 0.4);
+  const padding = Math.round(fontSize * BOX_PADDING);
+  const lines = wrapText(text, fontSize, width - (margin + padding) * 2, { bold: true, maxLines: 1 });
+  const block = createBlock(lines, fontSize, true);
+  const stripHeight = Math.ceil((block.height + margin * 2) / 2) * 2;
+
+  return {
+    block: { ...block, bold: true, align: 'center', x: Math.round((width - block.width) / 2), y: Math.round((stripHeight - block.height) / 2) },
+    height: stripHeight
+  };
+}
+
+module.exports = {
+  cleanText,
+  measureText,
+  wrapText,
+  safeArea,
+  layoutOverlay,
+  layoutTitleCard,
+  layoutLabel
+};
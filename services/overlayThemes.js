@@ -0,0 +1,117 @@
+const config = require('../config');
+
+// Named looks for the burned-in overlay. Sizes are in pixels for a 720p video and
+// scale with the video's short side (see services/overlayLayout.js).
+//
+// font: a font file or a fontconfig family name; bold picks the family's bold face.
+// box.style: 'box' draws a filled box behind the text, 'outline' strokes the glyphs
+// and 'shadow' adds a drop shadow.
+// captions: where feedback captions go ('bottom' or 'top').
+// stats: corner of the stats panel ('top-left', 'top-right', 'bottom-left' or 'bottom-right').
+// chart: corner of the shot chart picture-in-picture, for sports with a court diagram.
+const themes = {
+  classic: {
+    id: 'classic',
+    name: 'Classic',
+    description: 'White text on translucent black boxes, captions at the bottom',
+    font: 'DejaVu Sans',
+    bold: false,
+    textColor: 'white',
+    box: { style: 'box', color: 'black', opacity: 0.75 },
+    captionSize: 26,
+    statsSize: 22,
+    captions: 'bottom',
+    chart: 'top-right',
+    stats: 'top-left',
+    maxLines: 3,
+    maxVisible: 2
+  },
+  broadcast: {
+    id: 'broadcast',
+    name: 'Broadcast',
+    description: 'Bold text on solid navy bars, stats in the top-right corner',
+    font: 'DejaVu Sans',
+    bold: true,
+    textColor: 'white',
+    box: { style: 'box', color: '0x14213d', opacity: 0.9 },
+    captionSize: 28,
+    statsSize: 22,
+    captions: 'bottom',
+    stats: 'top-right',
+    chart: 'top-left',
+    maxLines: 2,
+    maxVisible: 2
+  },
+  minimal: {
+    id: 'minimal',
+    name: 'Minimal',
+    description: 'Outlined text without boxes, one caption at a time',
+    font: 'DejaVu Sans',
+    bold: false,
+    textColor: 'white',
+    box: { style: 'outline', color: 'black', opacity: 1 },
+    captionSize: 26,
+    statsSize: 20,
+    captions: 'bottom',
+    stats: 'top-left',
+    chart: 'top-right',
+    maxLines: 3,
+    maxVisible: 1
+  },
+  'high-contrast': {
+    id: 'high-contrast',
+    name: 'High contrast',
+    description: 'Large yellow text on solid black, captions at the top',
+    font: 'DejaVu Sans',
+    bold: true,
+    textColor: 'yellow',
+    box: { style: 'box', color: 'black', opacity: 1 },
+    captionSize: 34,
+    statsSize: 26,
+    captions: 'top',
+    stats: 'bottom-left',
+    chart: 'bottom-right',
+    maxLines: 3,
+    maxVisible: 2
+  }
+};
+
+const DEFAULT_THEME = config.OVERLAY_THEME;
+
+if (!themes[DEFAULT_THEME]) {
+  throw new Error(`Unsupported OVERLAY_THEME: ${DEFAULT_THEME}. Supported themes: ${Object.keys(themes).join(', ')}`);
+}
+
+// Look up a theme by id, falling back to the configured default
+function getTheme(id) {
+  const key = (id || DEFAULT_THEME).toString().trim().toLowerCase();
+  const theme = themes[key];
+
+  if (!theme) {
+    throw new Error(`Unsupported theme: ${id}. Supported themes: ${Object.keys(themes).join(', ')}`);
+  }
+
+  return theme;
+}
+
+function hasTheme(id) {
+  return Boolean(id && themes[id.toString().trim().toLowerCase()]);
+}
+
+function listThemes() {
+  return Object.values(themes).map(theme => ({
+    id: theme.id,
+    name: theme.name,
+    description: theme.description,
+    captions: theme.captions,
+    stats: theme.stats,
+    chart: theme.chart
+  }));
+}
+
+module.exports = {
+  DEFAULT_THEME,
+  getTheme,
+  hasTheme,
+  listThemes
+};
@@ -0,0 +1,183 @@
+const zlib = require('zlib');
+
+// Minimal RGBA canvas for flat diagrams (court charts), encoded as PNG without any
+// native dependency. Shapes are drawn at SUPERSAMPLE times the output size and
+// averaged down, which smooths their edges.
+const SUPERSAMPLE = 3;
+
+// '#rrggbb' or '#rrggbbaa' -> [r, g, b, a]
+function parseColor(color) {
+  const hex = color.replace('#', '');
+  return [
+    parseInt(hex.substring(0, 2), 16),
+    parseInt(hex.substring(2, 4), 16),
+    parseInt(hex.substring(4, 6), 16),
+    hex.length >= 8 ? parseInt(hex.substring(6, 8), 16) : 255
+  ];
+}
+
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) {
+    c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  }
+  return c >>> 0;
+});
+
+function crc32(buffer) {
+  let crc = 0xffffffff;
+  for (const byte of buffer) {
+    crc = CRC_TABLE[(crc ^ byte) & 0xff] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+function pngChunk(type, data) {
+  const length = Buffer.alloc(4);
+  length.writeUInt32BE(data.length);
+  const body = Buffer.concat([Buffer.from(type, 'ascii'), data]);
+  const crc = Buffer.alloc(4);
+  crc.writeUInt32BE(crc32(body));
+  return Buffer.concat([length, body, crc]);
+}
+
+class PngCanvas {
+  constructor(width, height) {
+    this.width = width;
+    this.height = height;
+    this.scale = SUPERSAMPLE;
+    this.pixelWidth = width * SUPERSAMPLE;
+    this.pixelHeight = height * SUPERSAMPLE;
+    this.pixels = new Float32Array(this.pixelWidth * this.pixelHeight * 4);
+  }
+
+  // Blend one supersampled pixel (source over)
+  blend(px, py, [r, g, b, a]) {
+    if (px < 0 || py < 0 || px >= this.pixelWidth || py >= this.pixelHeight) {
+      return;
+    }
+    const i = (py * this.pixelWidth + px) * 4;
+    const alpha = a / 255;
+    const keep = 1 - alpha;
+    this.pixels[i] = r * alpha + this.pixels[i] * keep;
+    this.pixels[i + 1] = g * alpha + this.pixels[i + 1] * keep;
+    this.pixels[i + 2] = b * alpha + this.pixels[i + 2] * keep;
+    this.pixels[i + 3] = a + this.pixels[i + 3] * keep;
+  }
+
+  // Fill every pixel in a box (output coordinates) for which `inside(x, y)` holds
+  fillWhere(left, top, right, bottom, color, inside) {
+    const rgba = parseColor(color);
+    const s = this.scale;
+    const x0 = Math.max(0, Math.floor(left * s));
+    const y0 = Math.max(0, Math.floor(top * s));
+    const x1 = Math.min(this.pixelWidth - 1, Math.ceil(right * s));
+    const y1 = Math.min(this.pixelHeight - 1, Math.ceil(bottom * s));
+
+    for (let py = y0; py <= y1; py++) {
+      for (let px = x0; px <= x1; px++) {
+        if (inside((px + 0.5) / s, (py + 0.5) / s)) {
+          this.blend(px, py, rgba);
+        }
+      }
+    }
+  }
+
+  fillRect(x, y, width, height, color) {
+    this.fillWhere(x, y, x + width, y + height, color, (px, py) => {
+      return px >= x && px < x + width && py >= y && py < y + height;
+    });
+  }
+
+  line(x0, y0, x1, y1, thickness, color) {
+    const half = thickness / 2;
+    const dx = x1 - x0;
+    const dy = y1 - y0;
+    const lengthSquared = dx * dx + dy * dy || 1;
+
+    this.fillWhere(Math.min(x0, x1) - half, Math.min(y0, y1) - half, Math.max(x0, x1) + half, Math.max(y0, y1) + half, color, (px, py) => {
+      const t = Math.max(0, Math.min(1, ((px - x0) * dx + (py - y0) * dy) / lengthSquared));
+      return Math.hypot(px - (x0 + t * dx), py - (y0 + t * dy)) <= half;
+    });
+  }
+
+  strokeRect(x, y, width, height, thickness, color) {
+    this.line(x, y, x + width, y, thickness, color);
+    this.line(x + width, y, x + width, y + height, thickness, color);
+    this.line(x + width, y + height, x, y + height, thickness, color);
+    this.line(x, y + height, x, y, thickness, color);
+  }
+
+  // Arc from startAngle to endAngle in degrees, clockwise on screen (0 = right, 90 = down)
+  arc(cx, cy, radius, startAngle, endAngle, thickness, color) {
+    const half = thickness / 2;
+    const span = ((endAngle - startAngle) % 360 + 360) % 360 || 360;
+
+    this.fillWhere(cx - radius - half, cy - radius - half, cx + radius + half, cy + radius + half, color, (px, py) => {
+      if (Math.abs(Math.hypot(px - cx, py - cy) - radius) > half) {
+        return false;
+      }
+      const angle = (Math.atan2(py - cy, px - cx) * 180 / Math.PI + 360) % 360;
+      return ((angle - startAngle) % 360 + 360) % 360 <= span;
+    });
+  }
+
+  fillCircle(cx, cy, radius, color) {
+    this.fillWhere(cx - radius, cy - radius, cx + radius, cy + radius, color, (px, py) => {
+      return Math.hypot(px - cx, py - cy) <= radius;
+    });
+  }
+
+  // Average the supersampled pixels down and encode an RGBA PNG
+  toPNG() {
+    const s = this.scale;
+    const samples = s * s;
+    const rowLength = this.width * 4 + 1;
+    const raw = Buffer.alloc(rowLength * this.height);
+
+    for (let y = 0; y < this.height; y++) {
+      raw[y * rowLength] = 0; // No row filter
+      for (let x = 0; x < this.width; x++) {
+        let r = 0;
+        let g = 0;
+        let b = 0;
+        let a = 0;
+        for (let sy = 0; sy < s; sy++) {
+          for (let sx = 0; sx < s; sx++) {
+            const i = ((y * s + sy) * this.pixelWidth + x * s + sx) * 4;
+            r += this.pixels[i];
+            g += this.pixels[i + 1];
+            b += this.pixels[i + 2];
+            a += this.pixels[i + 3];
+          }
+        }
+
+        // Colors are stored premultiplied by coverage; undo that for straight alpha
+        const offset = y * rowLength + 1 + x * 4;
+        const alpha = a / samples;
+        raw[offset] = alpha > 0 ? Math.round(r / a * 255) : 0;
+        raw[offset + 1] = alpha > 0 ? Math.round(g / a * 255) : 0;
+        raw[offset + 2] = alpha > 0 ? Math.round(b / a * 255) : 0;
+        raw[offset + 3] = Math.round(alpha);
+      }
+    }
+
+    const header = Buffer.alloc(13);
+    header.writeUInt32BE(this.width, 0);
+    header.writeUInt32BE(this.height, 4);
+    header[8] = 8; // Bit depth
+    header[9] = 6; // RGBA
+    header[10] = 0;
+    header[11] = 0;
+    header[12] = 0;
+
+    return Buffer.concat([
+      Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]),
+      pngChunk('IHDR', header),
+      pngChunk('IDAT', zlib.deflateSync(raw)),
+      pngChunk('IEND', Buffer.alloc(0))
+    ]);
+  }
+}
+
+module.exports = PngCanvas;
@@ -0,0 +1,40 @@
+const axios = require('axios');
+const config = require('../../config');
+
+// POST a Messages API request and return the text of the first content block
+// with the token usage the server reported. Errors are left as axios errors so the caller can decide whether to retry.
+async function postMessages(url, headers, request, options = {}) {
+  const response = await axios.post(url, request, {
+    headers: {
+      'Content-Type': 'application/json',
+      'anthropic-version': '2023-06-01',
+      ...headers
+    },
+    // Both abort the underlying HTTP request instead of just abandoning it
+    timeout: config.API_REQUEST_TIMEOUT,
+    signal: options.signal
+  });
+
+  return {
+    text: response.data.content[0].text,
+    usage: response.data.usage
+  };
+}
+
+// Live Anthropic Messages API
+module.exports = {
+  id: 'anthropic',
+  name: 'Anthropic API',
+  description: 'Live Claude responses from the Anthropic Messages API',
+  rateLimited: true,
+  cacheable: true,
+
+  async send(request, options = {}) {
+    if (!config.CLAUDE_API_KEY) {
+      throw new Error('CLAUDE_API_KEY is not set');
+    }
+    return postMessages(config.CLAUDE_API_URL, { 'x-api-key': config.CLAUDE_API_KEY }, request, options);
+  },
+
+  postMessages
+};
@@ -0,0 +1,61 @@
+const config = require('../../config');
+const anthropic = require('./anthropic');
+const local = require('./local');
+const mock = require('./mock');
+const { createRecordProvider, replayProvider } = require('./recording');
+
+// Vision providers all take a Messages API request body and return the response text
+// with its token usage:
+//   send(request, { signal, sport }) -> Promise<{ text, usage: { input_tokens, output_tokens } }>
+// `rateLimited` routes requests through the shared rate limiter and retries;
+// `cacheable` lets responses be served from and stored in the analysis cache.
+const baseProviders = {
+  [anthropic.id]: anthropic,
+  [local.id]: local,
+  [mock.id]: mock
+};
+
+if (!baseProviders[config.RECORD_UPSTREAM]) {
+  throw new Error(`Unsupported RECORD_UPSTREAM: ${config.RECORD_UPSTREAM}. Supported providers: ${Object.keys(baseProviders).join(', ')}`);
+}
+
+const record = createRecordProvider(baseProviders[config.RECORD_UPSTREAM]);
+
+const providers = {
+  ...baseProviders,
+  [record.id]: record,
+  [replayProvider.id]: replayProvider
+};
+
+const DEFAULT_PROVIDER = config.VISION_PROVIDER;
+
+// Look up a provider by id, falling back to the configured default
+function getProvider(id) {
+  const key = (id || DEFAULT_PROVIDER).toString().trim().toLowerCase();
+  const provider = providers[key];
+
+  if (!provider) {
+    throw new Error(`Unsupported provider: ${id}. Supported providers: ${Object.keys(providers).join(', ')}`);
+  }
+
+  return provider;
+}
+
+function hasProvider(id) {
+  return Boolean(id && providers[id.toString().trim().toLowerCase()]);
+}
+
+function listProviders() {
+  return Object.values(providers).map(provider => ({
+    id: provider.id,
+    name: provider.name,
+    description: provider.description
+  }));
+}
+
+module.exports = {
+  DEFAULT_PROVIDER,
+  getProvider,
+  hasProvider,
+  listProviders
+};
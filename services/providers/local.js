@@ -0,0 +1,16 @@
+const config = require('../../config');
+const { postMessages } = require('./anthropic');
+
+// Any local server that speaks the Messages API (e.g. a self-hosted stand-in or proxy)
+module.exports = {
+  id: 'local',
+  name: 'Local Messages API',
+  description: `Messages API compatible server at ${config.LOCAL_PROVIDER_URL}`,
+  rateLimited: true,
+  cacheable: true,
+
+  async send(request, options = {}) {
+    const headers = config.LOCAL_PROVIDER_API_KEY ? { 'x-api-key': config.LOCAL_PROVIDER_API_KEY } : {};
+    return postMessages(config.LOCAL_PROVIDER_URL, headers, request, options);
+  }
+};
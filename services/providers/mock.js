@@ -0,0 +1,27 @@
+const crypto = require('crypto');
+const sports = require('../sports');
+const { estimateRequestUsage } = require('../usage');
+
+// Fixture-based provider: answers with one of the sport profile's mock responses.
+// The fixture is picked from a digest of the request, so the same video and
+// prompt always get the same answers. Token usage is estimated from the request
+// so cost reports and budgets can be tried out without spending anything.
+module.exports = {
+  id: 'mock',
+  name: 'Mock fixtures',
+  description: "Deterministic responses from each sport profile's fixtures",
+  rateLimited: false,
+  cacheable: false,
+
+  async send(request, options = {}) {
+    const digest = crypto.createHash('sha256').update(JSON.stringify(request)).digest();
+
+    let text = 'Mock analysis: solid fundamentals, keep working on consistency.';
+    if (options.sport) {
+      const fixtures = sports.getProfile(options.sport).mockResponses;
+      text = JSON.stringify(fixtures[digest.readUInt32BE(0) % fixtures.length]);
+    }
+
+    return { text, usage: estimateRequestUsage(request, text) };
+  }
+};
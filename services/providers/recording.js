@@ -0,0 +1,76 @@
+const crypto = require('crypto');
+const fs = require('fs-extra');
+const path = require('path');
+const config = require('../../config');
+
+// Recordings are keyed on the full request body, images included
+function requestDigest(request) {
+  return crypto.createHash('sha256').update(JSON.stringify(request)).digest('hex');
+}
+
+function recordingPath(request) {
+  return path.join(config.RECORDINGS_DIR, `${requestDigest(request)}.json`);
+}
+
+// Readable summary of a request; the images themselves are too large to keep
+function describeRequest(request) {
+  return {
+    model: request.model,
+    system: request.system,
+    max_tokens: request.max_tokens,
+    messages: request.messages.map(message => ({
+      role: message.role,
+      content: Array.isArray(message.content)
+        ? message.content.map(part => part.type === 'image' ? { type: 'image', bytes: part.source.data.length } : part)
+        : message.content
+    }))
+  };
+}
+
+// Forward requests to `upstream` and save every response for later replay
+function createRecordProvider(upstream) {
+  return {
+    id: 'record',
+    name: 'Record',
+    description: `Calls ${upstream.name} and saves each response to ${config.RECORDINGS_DIR}`,
+    rateLimited: upstream.rateLimited,
+    // Always reach the upstream so every request is recorded
+    cacheable: false,
+
+    async send(request, options = {}) {
+      const result = await upstream.send(request, options);
+      await fs.outputJson(recordingPath(request), {
+        provider: upstream.id,
+        recordedAt: new Date().toISOString(),
+        request: describeRequest(request),
+        response: result.text,
+        usage: result.usage
+      }, { spaces: 2 });
+      return result;
+    }
+  };
+}
+
+// Answer only from saved recordings; requests that were never recorded fail
+const replayProvider = {
+  id: 'replay',
+  name: 'Replay',
+  description: `Replays responses saved by the record provider from ${config.RECORDINGS_DIR}`,
+  rateLimited: false,
+  cacheable: false,
+
+  async send(request) {
+    const file = recordingPath(request);
+    if (!(await fs.pathExists(file))) {
+      throw new Error(`No recording for this request (${path.basename(file, '.json')}); run it once with the record provider`);
+    }
+
+    const recording = await fs.readJson(file);
+    return { text: recording.response, usage: recording.usage };
+  }
+};
+
+module.exports = {
+  createRecordProvider,
+  replayProvider
+};
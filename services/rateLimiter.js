@@ -0,0 +1,64 @@
+// Resolve after `ms`, or reject early if the signal is aborted
+function sleep(ms, signal) {
+  return new Promise((resolve, reject) => {
+    if (signal && signal.aborted) {
+      return reject(new Error('Operation aborted'));
+    }
+
+    const onAbort = () => {
+      clearTimeout(timer);
+      reject(new Error('Operation aborted'));
+    };
+
+    const timer = setTimeout(() => {
+      if (signal) {
+        signal.removeEventListener('abort', onAbort);
+      }
+      resolve();
+    }, ms);
+
+    if (signal) {
+      signal.addEventListener('abort', onAbort, { once: true });
+    }
+  });
+}
+
+/**
+ * Token-bucket rate limiter.
+ *
+ * Holds up to `capacity` tokens and refills `refillPerSecond` tokens per second;
+ * each acquire() takes one token, waiting until one is available.
+ */
+class TokenBucket {
+  constructor(capacity, refillPerSecond) {
+    this.capacity = capacity;
+    this.refillPerSecond = refillPerSecond;
+    this.tokens = capacity;
+    this.lastRefill = Date.now();
+  }
+
+  refill() {
+    const now = Date.now();
+    const elapsed = (now - this.lastRefill) / 1000;
+    this.tokens = Math.min(this.capacity, this.tokens + elapsed * this.refillPerSecond);
+    this.lastRefill = now;
+  }
+
+  async acquire(signal) {
+    for (;;) {
+      this.refill();
+      if (this.tokens >= 1) {
+        this.tokens -= 1;
+        return;
+      }
+
+      const waitMs = Math.ceil((1 - this.tokens) / this.refillPerSecond * 1000);
+      await sleep(waitMs, signal);
+    }
+  }
+}
+
+module.exports = {
+  TokenBucket,
+  sleep
+};
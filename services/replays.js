@@ -0,0 +1,110 @@
+// Slow-motion replays: plan where each replay goes in the processed video and
+// shift everything timed against the original (captions, chart, subtitles) to match.
+// services/videoProcessor.js renders the retimed video.
+
+// Frame interpolation for the slowed footage: repeat frames, blend neighbouring
+// frames, or motion-compensated interpolation (smoothest, much slower to render)
+const INTERPOLATION_MODES = ['none', 'blend', 'motion'];
+
+// Replays closer together than this (in seconds) are combined
+const MIN_GAP = 0.1;
+
+/**
+ * Plan a replay of the seconds around each event, shown right after its window at
+ * `speed` (0.5 = half speed). Windows of nearby events may overlap, so the same
+ * footage can be replayed twice; events whose windows end together share a replay.
+ * Returns [{ start, end, events, at, duration }] in time order, where start/end are
+ * the replayed window in the original video and `at` is when the replay begins in
+ * the processed video (which is `duration` seconds longer for each one).
+ */
+function planReplays(events, { before, after, speed, duration }) {
+  const windows = [];
+
+  events
+    .filter(event => event.seconds < duration)
+    .sort((a, b) => a.seconds - b.seconds)
+    .forEach(event => {
+      const start = Math.max(0, event.seconds - before);
+      const end = Math.min(duration, event.seconds + after);
+      const previous = windows[windows.length - 1];
+
+      if (previous && end - previous.end < MIN_GAP) {
+        previous.start = Math.min(previous.start, start);
+        previous.events.push(event);
+      } else {
+        windows.push({ start, end, events: [event] });
+      }
+    });
+
+  let inserted = 0;
+  return windows.map(window => {
+    const length = Number(((window.end - window.start) / speed).toFixed(3));
+    const replay = {
+      ...window,
+      start: Number(window.start.toFixed(3)),
+      end: Number(window.end.toFixed(3)),
+      at: Number((window.end + inserted).toFixed(3)),
+      duration: length
+    };
+    inserted += length;
+    return replay;
+  });
+}
+
+// Where a moment of the original video plays in the processed video
+function mapTime(replays, seconds) {
+  return replays.reduce((time, replay) => (seconds >= replay.end ? time + replay.duration : time), seconds);
+}
+
+/**
+ * Move captions to their place in the processed video, ending any that run into a
+ * replay where it starts, and add one caption per replay that stays up for the
+ * whole replay. Captions are shown for `captionDuration` seconds by default and keep
+ * their other fields.
+ */
+function retimeCaptions(captions, replays, speed, captionDuration) {
+  const shifted = captions.map(caption => {
+    const timestamp = mapTime(replays, parseFloat(caption.timestamp));
+    const next = replays.find(replay => replay.at >= timestamp);
+    const duration = caption.duration || captionDuration;
+
+    return next && timestamp + duration > next.at
+      ? { ...caption, timestamp, duration: Number((next.at - timestamp).toFixed(3)) }
+      : { ...caption, timestamp };
+  });
+
+  const replayCaptions = replays
+    .map(replay => {
+      const withFeedback = replay.events.filter(event => event.feedback);
+      if (withFeedback.length === 0) {
+        return null;
+      }
+      return {
+        timestamp: replay.at,
+        duration: replay.duration,
+        analysis: `Replay (${speed}x): ${withFeedback[withFeedback.length - 1].feedback}`
+      };
+    })
+    .filter(Boolean);
+
+  return [...shifted, ...replayCaptions].sort((a, b) => a.timestamp - b.timestamp);
+}
+
+// Summary of the replays for API responses
+function describeReplays(replays) {
+  return replays.map(replay => ({
+    start: replay.start,
+    end: replay.end,
+    at: replay.at,
+    duration: replay.duration,
+    events: replay.events.map(event => event.seconds)
+  }));
+}
+
+module.exports = {
+  INTERPOLATION_MODES,
+  planReplays,
+  mapTime,
+  retimeCaptions,
+  describeReplays
+};
@@ -0,0 +1,107 @@
+// Retention rules for the storage sweeper (services/storageSweeper.js): per directory,
+// how old a file may get, how many bytes the directory may hold and how many of its
+// newest files are kept, and which files a directory's rules delete.
+
+// Rules used for anything RETENTION_RULES doesn't set; null means no limit. Processed
+// files belong to the analysis history, so they're only deleted when configured to be
+const DEFAULT_RULES = {
+  uploads: { maxAgeHours: 24, maxBytes: null, keepLast: null },
+  processed: { maxAgeHours: null, maxBytes: null, keepLast: null },
+  temp: { maxAgeHours: 6, maxBytes: null, keepLast: null }
+};
+
+const RULE_KEYS = ['maxAgeHours', 'maxBytes', 'keepLast'];
+
+function isObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * Rules per directory from the RETENTION_RULES JSON (empty for the defaults), merged
+ * over DEFAULT_RULES. Throws an error naming the variable when it isn't valid.
+ */
+function resolveRules(value) {
+  let configured = {};
+  if (value) {
+    try {
+      configured = JSON.parse(value);
+    } catch (error) {
+      throw new Error(`RETENTION_RULES is not valid JSON: ${error.message}`);
+    }
+  }
+
+  const directories = Object.keys(DEFAULT_RULES).join(', ');
+  if (!isObject(configured)) {
+    throw new Error(`RETENTION_RULES must be a JSON object keyed by directory (${directories})`);
+  }
+
+  const unknown = Object.keys(configured).filter(name => !DEFAULT_RULES[name]);
+  if (unknown.length > 0) {
+    throw new Error(`RETENTION_RULES has unknown directories: ${unknown.join(', ')} (expected ${directories})`);
+  }
+
+  const rules = {};
+  Object.keys(DEFAULT_RULES).forEach(name => {
+    const overrides = configured[name] || {};
+    if (!isObject(overrides)) {
+      throw new Error(`RETENTION_RULES.${name} must be an object with ${RULE_KEYS.join(', ')}`);
+    }
+
+    Object.entries(overrides).forEach(([key, limit]) => {
+      if (!RULE_KEYS.includes(key)) {
+        throw new Error(`RETENTION_RULES.${name} has an unknown rule: ${key} (expected ${RULE_KEYS.join(', ')})`);
+      }
+      const valid = limit === null ||
+        (typeof limit === 'number' && Number.isFinite(limit) && limit >= 0 && (key !== 'keepLast' || Number.isInteger(limit)));
+      if (!valid) {
+        throw new Error(`RETENTION_RULES.${name}.${key} must be null or a ${key === 'keepLast' ? 'whole number' : 'number'}, 0 or more`);
+      }
+    });
+
+    rules[name] = { ...DEFAULT_RULES[name], ...overrides };
+  });
+  return rules;
+}
+
+/**
+ * Pick what a directory's rules delete. Items ({ size, modifiedAt, protected }) are
+ * walked newest first: one is deleted when it's older than maxAgeHours, when keepLast
+ * newer items are already kept, or when keeping it would take the directory past
+ * maxBytes. Protected items are never deleted but count toward the limits. Returns
+ * the deleted items with a reason: 'age', 'count' or 'size'.
+ */
+function selectDeletions(items, rules, now = Date.now()) {
+  const newestFirst = [...items].sort((a, b) => b.modifiedAt - a.modifiedAt);
+  const deletions = [];
+  let kept = 0;
+  let keptBytes = 0;
+
+  newestFirst.forEach(item => {
+    let reason = null;
+    if (!item.protected) {
+      if (rules.maxAgeHours !== null && now - item.modifiedAt > rules.maxAgeHours * 3600000) {
+        reason = 'age';
+      } else if (rules.keepLast !== null && kept >= rules.keepLast) {
+        reason = 'count';
+      } else if (rules.maxBytes !== null && keptBytes + item.size > rules.maxBytes) {
+        reason = 'size';
+      }
+    }
+
+    if (reason) {
+      deletions.push({ ...item, reason });
+    } else {
+      kept++;
+      keptBytes += item.size;
+    }
+  });
+
+  return deletions;
+}
+
+module.exports = {
+  DEFAULT_RULES,
+  RULE_KEYS,
+  resolveRules,
+  selectDeletions
+};
@@ -0,0 +1,57 @@
+// Minimal JSON schema validator for the subset used by sport profiles:
+// type, required, properties, items and enum
+
+function typeOf(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (Number.isInteger(value)) return 'integer';
+  return typeof value;
+}
+
+function matchesType(value, expected) {
+  const actual = typeOf(value);
+  if (expected === 'number') {
+    return actual === 'number' || actual === 'integer';
+  }
+  return actual === expected;
+}
+
+// Validate data against a schema, returning a list of human-readable errors
+function validate(schema, data, pointer = '$') {
+  const errors = [];
+
+  if (schema.type && !matchesType(data, schema.type)) {
+    errors.push(`${pointer} should be ${schema.type} but is ${typeOf(data)}`);
+    return errors;
+  }
+
+  if (schema.enum && !schema.enum.includes(data)) {
+    errors.push(`${pointer} should be one of ${schema.enum.map(v => JSON.stringify(v)).join(', ')} but is ${JSON.stringify(data)}`);
+  }
+
+  if (schema.type === 'object') {
+    (schema.required || []).forEach(key => {
+      if (data[key] === undefined) {
+        errors.push(`${pointer}.${key} is required`);
+      }
+    });
+
+    Object.entries(schema.properties || {}).forEach(([key, propertySchema]) => {
+      if (data[key] !== undefined) {
+        errors.push(...validate(propertySchema, data[key], `${pointer}.${key}`));
+      }
+    });
+  }
+
+  if (schema.type === 'array' && schema.items) {
+    data.forEach((item, index) => {
+      errors.push(...validate(schema.items, item, `${pointer}[${index}]`));
+    });
+  }
+
+  return errors;
+}
+
+module.exports = {
+  validate
+};
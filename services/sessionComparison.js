@@ -0,0 +1,178 @@
+// Session comparison: pair up matching events of two analyses, pick the window both
+// videos are cut to so they play in sync on one pair, and diff the sessions' stats.
+// services/videoProcessor.js renders the composite video.
+
+const { eventCategory } = require('./sports/utils');
+const { toWorkingTime } = require('./sourceSegments');
+const highlights = require('./highlights');
+
+const LAYOUTS = ['side-by-side', 'stacked'];
+
+// Which session's soundtrack the composite keeps
+const AUDIO_SOURCES = ['none', 'before', 'after'];
+
+function rate(successful, attempts) {
+  return attempts > 0 ? Number((successful / attempts * 100).toFixed(1)) : null;
+}
+
+function change(before, after) {
+  return before === null || after === null ? null : Number((after - before).toFixed(1));
+}
+
+/**
+ * Pair the events of two timelines that match: same category (see eventCategory)
+ * and the same outcome, first with first, second with second. options.filter and
+ * options.types narrow the events as for highlight reels (highlights.selectEvents).
+ * Returns [{ category, success, before, after }] in the order of the first session.
+ */
+function matchEvents(beforeTimeline, afterTimeline, profile, options = {}) {
+  const key = event => `${eventCategory(profile, event[profile.typeField])}|${profile.successResults.includes(event.result)}`;
+  const waiting = new Map();
+
+  highlights.selectEvents(afterTimeline, profile, options).forEach(event => {
+    if (!waiting.has(key(event))) {
+      waiting.set(key(event), []);
+    }
+    waiting.get(key(event)).push(event);
+  });
+
+  return highlights.selectEvents(beforeTimeline, profile, options)
+    .map(event => {
+      const candidates = waiting.get(key(event));
+      const match = candidates && candidates.shift();
+      return match && {
+        category: eventCategory(profile, event[profile.typeField]),
+        success: profile.successResults.includes(event.result),
+        before: event,
+        after: match
+      };
+    })
+    .filter(Boolean);
+}
+
+/**
+ * Cut both videos around the synced event: up to `preRoll` seconds before it and
+ * `postRoll` after, trimmed to what both have so the cuts are the same length.
+ * Each side is { seconds, duration } in its own video. Returns { preRoll, length,
+ * before: { start, end }, after: { start, end } }, or null if nothing is left.
+ */
+function syncWindow(before, after, { preRoll, postRoll }) {
+  if (before.seconds > before.duration || after.seconds > after.duration) {
+    return null;
+  }
+
+  const pre = Math.min(preRoll, before.seconds, after.seconds);
+  const post = Math.min(postRoll, before.duration - before.seconds, after.duration - after.seconds);
+  if (pre + post <= 0) {
+    return null;
+  }
+
+  const cut = side => ({
+    start: Number((side.seconds - pre).toFixed(3)),
+    end: Number((side.seconds + post).toFixed(3))
+  });
+
+  return {
+    preRoll: Number(pre.toFixed(3)),
+    length: Number((pre + post).toFixed(3)),
+    before: cut(before),
+    after: cut(after)
+  };
+}
+
+// When an event plays in an analysis's processed video, which may be cut from
+// selected segments of the upload and have replays inserted. Event and replay
+// windows are both in upload time
+function processedTime(analysis, seconds) {
+  const cut = analysis.segments ? toWorkingTime(analysis.segments, seconds) : seconds;
+  const inserted = (analysis.replays || [])
+    .filter(replay => seconds >= replay.end)
+    .reduce((total, replay) => total + replay.duration, 0);
+  return (cut === null ? seconds : cut) + inserted;
+}
+
+function sessionStats(timeline, profile) {
+  const categories = new Map();
+  let successful = 0;
+
+  timeline.forEach(event => {
+    const category = eventCategory(profile, event[profile.typeField]);
+    const success = profile.successResults.includes(event.result);
+    if (!categories.has(category)) {
+      categories.set(category, { attempts: 0, successful: 0 });
+    }
+    categories.get(category).attempts++;
+    if (success) {
+      categories.get(category).successful++;
+      successful++;
+    }
+  });
+
+  return { events: timeline.length, successful, categories };
+}
+
+/**
+ * Compare two analyses of the same sport: event counts and success rate overall
+ * and per category, and every numeric stat of the sport's feedback summary.
+ * Changes are after minus before (percentage points for rates).
+ */
+function diffStats(before, after, profile) {
+  const first = sessionStats(before.timeline, profile);
+  const second = sessionStats(after.timeline, profile);
+  const side = counts => ({
+    attempts: counts ? counts.attempts : 0,
+    successful: counts ? counts.successful : 0,
+    successRate: counts ? rate(counts.successful, counts.attempts) : null
+  });
+
+  const categoryNames = [...new Set([...first.categories.keys(), ...second.categories.keys()])];
+  const categories = categoryNames.map(category => {
+    const previous = side(first.categories.get(category));
+    const current = side(second.categories.get(category));
+    return {
+      category,
+      before: previous,
+      after: current,
+      change: { attempts: current.attempts - previous.attempts, successRate: change(previous.successRate, current.successRate) }
+    };
+  });
+
+  const beforeFeedback = before.feedback || {};
+  const afterFeedback = after.feedback || {};
+  const stats = Object.keys({ ...beforeFeedback, ...afterFeedback })
+    .filter(key => key !== 'totalFrames')
+    .filter(key => typeof beforeFeedback[key] === 'number' || typeof afterFeedback[key] === 'number')
+    .map(key => {
+      const previous = typeof beforeFeedback[key] === 'number' ? beforeFeedback[key] : null;
+      const current = typeof afterFeedback[key] === 'number' ? afterFeedback[key] : null;
+      return { stat: key, before: previous, after: current, change: change(previous, current) };
+    });
+
+  const overall = {
+    before: { events: first.events, successful: first.successful, successRate: rate(first.successful, first.events) },
+    after: { events: second.events, successful: second.successful, successRate: rate(second.successful, second.events) }
+  };
+  overall.change = {
+    events: second.events - first.events,
+    successful: second.successful - first.successful,
+    successRate: change(overall.before.successRate, overall.after.successRate)
+  };
+
+  return { overall, categories, stats };
+}
+
+// Summary of a matched pair for API responses
+function describePair(pair, profile) {
+  const event = e => ({ seconds: e.seconds, type: e[profile.typeField] || null, result: e.result || null, feedback: e.feedback || null });
+  return { category: pair.category, success: pair.success, before: event(pair.before), after: event(pair.after) };
+}
+
+module.exports = {
+  LAYOUTS,
+  AUDIO_SOURCES,
+  matchEvents,
+  syncWindow,
+  processedTime,
+  diffStats,
+  describePair
+};
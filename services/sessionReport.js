@@ -0,0 +1,354 @@
+// Coaching report for one stored analysis: stats summary, event timeline with key
+// frame thumbnails, frame-by-frame feedback and shot chart, rendered as standalone
+// HTML (images inlined) or PDF for people who won't open the video.
+
+const fs = require('fs-extra');
+const path = require('path');
+const PDFDocument = require('pdfkit');
+const sports = require('./sports');
+const shotChart = require('./shotChart');
+const { formatTimestamp } = require('./eventReconciler');
+
+const REPORT_FORMATS = ['html', 'pdf'];
+
+const CHART_WIDTH = 480;
+
+function rate(successful, attempts) {
+  return attempts > 0 ? Number((successful / attempts * 100).toFixed(1)) : null;
+}
+
+function formatRate(value) {
+  return value === null ? '-' : `${value}%`;
+}
+
+// 'left-elbow' -> 'Left elbow'
+function zoneLabel(zone) {
+  const words = zone.replace(/-/g, ' ');
+  return words.charAt(0).toUpperCase() + words.slice(1);
+}
+
+// Thumbnail of the key frame closest to `seconds`
+function nearestFrame(keyFrames, seconds) {
+  return keyFrames.reduce((best, frame) => {
+    return !best || Math.abs(frame.seconds - seconds) < Math.abs(best.seconds - seconds) ? frame : best;
+  }, null);
+}
+
+// JPEG thumbnails saved with the analysis, by frame file name
+async function loadThumbnails(analysis) {
+  const dir = analysis.files.thumbnails;
+  const thumbnails = new Map();
+  if (!dir || !(await fs.pathExists(dir))) {
+    return thumbnails;
+  }
+
+  for (const frameAnalysis of analysis.analysis) {
+    const file = path.join(dir, frameAnalysis.frame || '');
+    if (frameAnalysis.frame && await fs.pathExists(file)) {
+      thumbnails.set(frameAnalysis.frame, await fs.readFile(file));
+    }
+  }
+  return thumbnails;
+}
+
+/**
+ * Gather everything a report shows from a stored analysis (analysisStore.get) and
+ * its athlete (or null). Returns { title, sport, originalVideo, createdAt, athlete,
+ * summary, stats, timeline, keyFrames, chart } with thumbnails and the chart as
+ * buffers, ready for renderHtml or renderPdf.
+ */
+async function buildReport(analysis, athlete = null) {
+  const profile = sports.getProfile(analysis.sport);
+  const thumbnails = await loadThumbnails(analysis);
+  const feedback = analysis.feedback && typeof analysis.feedback === 'object' ? analysis.feedback : null;
+
+  const keyFrames = analysis.analysis
+    .filter(frameAnalysis => frameAnalysis.analysis && !frameAnalysis.error && !frameAnalysis.skipped)
+    .map(frameAnalysis => ({
+      seconds: parseFloat(frameAnalysis.timestamp),
+      time: formatTimestamp(parseFloat(frameAnalysis.timestamp)),
+      text: frameAnalysis.analysis,
+      thumbnail: thumbnails.get(frameAnalysis.frame) || null
+    }));
+
+  const timeline = analysis.timeline.map(event => {
+    const frame = nearestFrame(keyFrames.filter(keyFrame => keyFrame.thumbnail), event.seconds);
+    return {
+      seconds: event.seconds,
+      time: formatTimestamp(event.seconds),
+      type: event[profile.typeField] || profile.eventLabel,
+      result: event.result || null,
+      success: profile.successResults.includes(event.result),
+      feedback: event.feedback || null,
+      zone: event.location && event.location.zone ? zoneLabel(event.location.zone) : null,
+      thumbnail: frame ? frame.thumbnail : null
+    };
+  });
+
+  // Locate events on copies so the stored timeline is left as it is
+  const points = shotChart.locateEvents(profile, analysis.timeline.map(event => ({ ...event })));
+  const zones = new Map();
+  points.forEach(point => {
+    if (!zones.has(point.zone)) {
+      zones.set(point.zone, { zone: zoneLabel(point.zone), attempts: 0, successful: 0 });
+    }
+    const zone = zones.get(point.zone);
+    zone.attempts++;
+    if (point.success) {
+      zone.successful++;
+    }
+  });
+
+  const successful = timeline.filter(event => event.success).length;
+
+  return {
+    title: `${profile.name} coaching report`,
+    sport: profile.name,
+    eventLabel: profile.eventLabel,
+    originalVideo: analysis.originalVideo,
+    createdAt: analysis.createdAt,
+    athlete: athlete ? athlete.name : null,
+    summary: { events: timeline.length, successful, successRate: rate(successful, timeline.length) },
+    stats: feedback ? sports.statsRows(profile, feedback).map(([label, value]) => [label, String(value)]) : [],
+    note: feedback ? null : analysis.feedback,
+    timeline,
+    keyFrames,
+    chart: points.length > 0
+      ? {
+          image: shotChart.renderChart(profile.court, points, { width: CHART_WIDTH }),
+          zones: [...zones.values()]
+            .sort((a, b) => b.attempts - a.attempts)
+            .map(zone => ({ ...zone, successRate: rate(zone.successful, zone.attempts) }))
+        }
+      : null
+  };
+}
+
+function escapeHtml(text) {
+  return String(text === null || text === undefined ? '' : text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+function dataUri(buffer, type) {
+  return `data:${type};base64,${buffer.toString('base64')}`;
+}
+
+function formatDate(iso) {
+  return new Date(iso).toISOString().substring(0, 16).replace('T', ' ');
+}
+
+const STYLE = `
+  body { font-family: -apple-system, "Segoe UI", Helvetica, Arial, sans-serif; color: #1d2330; margin: 0; background: #f4f6f9; }
+  main { max-width: 900px; margin: 0 auto; padding: 32px 24px; background: #fff; }
+  h1 { margin: 0 0 4px; font-size: 28px; }
+  h2 { margin: 32px 0 12px; font-size: 20px; border-bottom: 2px solid #e3e7ee; padding-bottom: 6px; }
+  .meta { color: #5b6475; margin: 0; }
+  .cards { display: flex; flex-wrap: wrap; gap: 12px; }
+  .card { flex: 1 1 120px; border: 1px solid #e3e7ee; border-radius: 8px; padding: 12px; }
+  .card .label { color: #5b6475; font-size: 13px; }
+  .card .value { font-size: 22px; font-weight: 600; }
+  table { width: 100%; border-collapse: collapse; font-size: 14px; }
+  th, td { text-align: left; padding: 8px; border-bottom: 1px solid #e3e7ee; vertical-align: top; }
+  th { color: #5b6475; font-weight: 600; }
+  td img { width: 128px; border-radius: 4px; display: block; }
+  .success { color: #1a7f37; font-weight: 600; }
+  .failure { color: #c62828; font-weight: 600; }
+  .chart { display: flex; flex-wrap: wrap; gap: 24px; align-items: flex-start; }
+  .chart img { max-width: 100%; width: ${CHART_WIDTH}px; border-radius: 6px; }
+  .chart table { flex: 1 1 240px; width: auto; }
+  .frames { display: grid; grid-template-columns: repeat(auto-fill, minmax(200px, 1fr)); gap: 16px; }
+  .frame { border: 1px solid #e3e7ee; border-radius: 8px; overflow: hidden; break-inside: avoid; }
+  .frame img { width: 100%; display: block; }
+  .frame p { margin: 8px 10px 10px; font-size: 13px; }
+  .frame .time { color: #5b6475; font-weight: 600; }
+  @media print { body { background: #fff; } main { padding: 0; } tr, .frame { break-inside: avoid; } }
+`;
+
+// Standalone HTML page with the images inlined as data URIs
+function renderHtml(report) {
+  const meta = [report.athlete, report.originalVideo, formatDate(report.createdAt)].filter(Boolean).map(escapeHtml).join(' · ');
+  const cards = [
+    [`${report.eventLabel.charAt(0).toUpperCase()}${report.eventLabel.slice(1)}s`, report.summary.events],
+    ['Success rate', formatRate(report.summary.successRate)],
+    ...report.stats
+  ].map(([label, value]) => `<div class="card"><div class="label">${escapeHtml(label)}</div><div class="value">${escapeHtml(value)}</div></div>`);
+
+  const sections = [`<h2>Summary</h2>\n<div class="cards">${cards.join('')}</div>`];
+  if (report.note) {
+    sections.push(`<p>${escapeHtml(report.note)}</p>`);
+  }
+
+  if (report.chart) {
+    const rows = report.chart.zones.map(zone => `<tr><td>${escapeHtml(zone.zone)}</td><td>${zone.successful}/${zone.attempts}</td><td>${formatRate(zone.successRate)}</td></tr>`);
+    sections.push(`<h2>Shot chart</h2>
+<div class="chart"><img src="${dataUri(report.chart.image, 'image/png')}" alt="Shot chart">
+<table><tr><th>Zone</th><th>Made</th><th>Rate</th></tr>${rows.join('')}</table></div>`);
+  }
+
+  if (report.timeline.length > 0) {
+    const rows = report.timeline.map(event => `<tr>
+<td>${event.time}</td>
+<td>${event.thumbnail ? `<img src="${dataUri(event.thumbnail, 'image/jpeg')}" alt="">` : ''}</td>
+<td>${escapeHtml(event.type)}${event.zone ? `<br><small>${escapeHtml(event.zone)}</small>` : ''}</td>
+<td class="${event.success ? 'success' : 'failure'}">${escapeHtml(event.result || '-')}</td>
+<td>${escapeHtml(event.feedback || '')}</td>
+</tr>`);
+    sections.push(`<h2>Timeline</h2>
+<table><tr><th>Time</th><th></th><th>Event</th><th>Result</th><th>Feedback</th></tr>${rows.join('')}</table>`);
+  }
+
+  if (report.keyFrames.length > 0) {
+    const frames = report.keyFrames.map(frame => `<div class="frame">
+${frame.thumbnail ? `<img src="${dataUri(frame.thumbnail, 'image/jpeg')}" alt="">` : ''}
+<p><span class="time">${frame.time}</span> ${escapeHtml(frame.text)}</p>
+</div>`);
+    sections.push(`<h2>Frame-by-frame feedback</h2>\n<div class="frames">${frames.join('')}</div>`);
+  }
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>${escapeHtml(report.title)}</title>
+<style>${STYLE}</style>
+</head>
+<body>
+<main>
+<h1>${escapeHtml(report.title)}</h1>
+<p class="meta">${meta}</p>
+${sections.join('\n')}
+</main>
+</body>
+</html>
+`;
+}
+
+// The PDF's standard fonts only cover Latin-1, so drop anything else (emoji etc.)
+function pdfText(text) {
+  return String(text === null || text === undefined ? '' : text)
+    .replace(/[‘’]/g, "'")
+    .replace(/[“”]/g, '"')
+    .replace(/[–—]/g, '-')
+    .replace(/…/g, '...')
+    .replace(/[^\x20-\x7e\xa0-\xff\n]/g, '')
+    .trim();
+}
+
+// A4 PDF of the report; resolves to a Buffer
+function renderPdf(report) {
+  return new Promise((resolve, reject) => {
+    const doc = new PDFDocument({ size: 'A4', margin: 50, info: { Title: report.title } });
+    const chunks = [];
+    doc.on('data', chunk => chunks.push(chunk));
+    doc.on('end', () => resolve(Buffer.concat(chunks)));
+    doc.on('error', reject);
+
+    const left = doc.page.margins.left;
+    const width = doc.page.width - left - doc.page.margins.right;
+    const bottom = () => doc.page.height - doc.page.margins.bottom;
+    const ensureSpace = height => {
+      if (doc.y + height > bottom()) {
+        doc.addPage();
+      }
+    };
+    const heading = text => {
+      ensureSpace(60);
+      doc.moveDown(1).font('Helvetica-Bold').fontSize(15).fillColor('#1d2330').text(text, left, doc.y);
+      doc.moveTo(left, doc.y + 2).lineTo(left + width, doc.y + 2).lineWidth(1).strokeColor('#e3e7ee').stroke();
+      doc.moveDown(0.6);
+    };
+
+    doc.font('Helvetica-Bold').fontSize(22).fillColor('#1d2330').text(pdfText(report.title));
+    doc.font('Helvetica').fontSize(11).fillColor('#5b6475')
+      .text([report.athlete, report.originalVideo, formatDate(report.createdAt)].filter(Boolean).map(pdfText).join('  |  '));
+
+    heading('Summary');
+    const rows = [
+      [`${report.eventLabel.charAt(0).toUpperCase()}${report.eventLabel.slice(1)}s`, String(report.summary.events)],
+      ['Success rate', formatRate(report.summary.successRate)],
+      ...report.stats
+    ];
+    rows.forEach(([label, value]) => {
+      const y = doc.y;
+      doc.font('Helvetica').fontSize(11).fillColor('#5b6475').text(pdfText(label), left, y, { width: 160 });
+      doc.font('Helvetica-Bold').fillColor('#1d2330').text(pdfText(value), left + 170, y);
+    });
+    if (report.note) {
+      doc.moveDown(0.5).font('Helvetica').fillColor('#1d2330').text(pdfText(report.note), left, doc.y, { width });
+    }
+
+    if (report.chart) {
+      heading('Shot chart');
+      const chartWidth = 260;
+      const image = doc.openImage(report.chart.image);
+      const chartHeight = image.height * chartWidth / image.width;
+      ensureSpace(chartHeight);
+      const top = doc.y;
+      doc.image(image, left, top, { width: chartWidth });
+
+      let y = top;
+      const column = left + chartWidth + 20;
+      doc.font('Helvetica-Bold').fontSize(10).fillColor('#5b6475');
+      doc.text('Zone', column, y).text('Made', column + 120, y).text('Rate', column + 170, y);
+      y += 16;
+      doc.font('Helvetica').fillColor('#1d2330');
+      report.chart.zones.forEach(zone => {
+        doc.text(pdfText(zone.zone), column, y, { width: 115 })
+          .text(`${zone.successful}/${zone.attempts}`, column + 120, y)
+          .text(formatRate(zone.successRate), column + 170, y);
+        y += 15;
+      });
+      doc.y = Math.max(top + chartHeight, y);
+      doc.x = left;
+    }
+
+    // A thumbnail with a title and text beside it
+    const thumbWidth = 96;
+    const textLeft = left + thumbWidth + 12;
+    const textWidth = width - thumbWidth - 12;
+    const entry = ({ thumbnail, title, color, text }) => {
+      const image = thumbnail && doc.openImage(thumbnail);
+      const thumbHeight = image ? image.height * thumbWidth / image.width : 0;
+      doc.font('Helvetica').fontSize(10);
+      const textHeight = doc.heightOfString(pdfText(text), { width: textWidth }) + 16;
+      ensureSpace(Math.max(thumbHeight, textHeight) + 10);
+
+      const top = doc.y;
+      if (image) {
+        doc.image(image, left, top, { width: thumbWidth });
+      }
+      doc.font('Helvetica-Bold').fontSize(11).fillColor(color).text(title, textLeft, top, { width: textWidth });
+      doc.font('Helvetica').fontSize(10).fillColor('#1d2330').text(pdfText(text), textLeft, doc.y + 2, { width: textWidth });
+      doc.y = Math.max(top + thumbHeight, doc.y) + 10;
+      doc.x = left;
+    };
+
+    if (report.timeline.length > 0) {
+      heading('Timeline');
+      report.timeline.forEach(event => entry({
+        thumbnail: event.thumbnail,
+        title: `${event.time}  ${pdfText(event.type)}${event.result ? ` - ${pdfText(event.result)}` : ''}${event.zone ? `  (${pdfText(event.zone)})` : ''}`,
+        color: event.success ? '#1a7f37' : '#c62828',
+        text: event.feedback
+      }));
+    }
+
+    if (report.keyFrames.length > 0) {
+      heading('Frame-by-frame feedback');
+      report.keyFrames.forEach(frame => entry({ thumbnail: frame.thumbnail, title: frame.time, color: '#5b6475', text: frame.text }));
+    }
+
+    doc.end();
+  });
+}
+
+module.exports = {
+  REPORT_FORMATS,
+  buildReport,
+  renderHtml,
+  renderPdf
+};
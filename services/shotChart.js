@@ -0,0 +1,217 @@
+// Shot charts: where each charted event happened on the sport's court diagram,
+// drawn as a PNG with made/missed markers
+
+const PngCanvas = require('./pngCanvas');
+
+const SUCCESS_COLOR = '#2ecc71';
+const FAILURE_COLOR = '#e74c3c';
+const OUTLINE_COLOR = '#ffffff';
+const HIGHLIGHT_COLOR = '#ffd166';
+
+// Margin around the court as a share of the chart width
+const CHART_MARGIN = 0.05;
+
+function clamp01(value) {
+  return Math.min(1, Math.max(0, value));
+}
+
+function zonePoint(court, zone) {
+  const [x, y] = court.zones[zone];
+  return { x: Number((x / court.width).toFixed(3)), y: Number((y / court.length).toFixed(3)) };
+}
+
+function nearestZone(court, x, y) {
+  let nearest = null;
+  let bestDistance = Infinity;
+
+  Object.entries(court.zones).forEach(([zone, [zoneX, zoneY]]) => {
+    const distance = Math.hypot(zoneX - x * court.width, zoneY - y * court.length);
+    if (distance < bestDistance) {
+      nearest = zone;
+      bestDistance = distance;
+    }
+  });
+
+  return nearest;
+}
+
+// Pick the left or right variant of a zone from the text; without a side, use the
+// zone itself if it has no variants, otherwise alternate so both sides fill up
+function resolveSide(court, base, text, sides) {
+  const left = `left-${base}`;
+  const right = `right-${base}`;
+
+  if (!court.zones[left] || !court.zones[right]) {
+    return court.zones[base] ? base : null;
+  }
+  if (/\bleft\b/.test(text)) {
+    return left;
+  }
+  if (/\bright\b/.test(text)) {
+    return right;
+  }
+  if (court.zones[base]) {
+    return base;
+  }
+
+  const count = sides.get(base) || 0;
+  sides.set(base, count + 1);
+  return count % 2 === 0 ? left : right;
+}
+
+/**
+ * Resolve where an event happened as { zone, x, y, source } with x and y between
+ * 0 and 1, or null when nothing places it. Coordinates reported by the model win,
+ * then a zone it named, then a zone inferred from the event type ("corner three").
+ */
+function locateEvent(court, event, typeField, sides = new Map()) {
+  const location = event.location || {};
+
+  if (Number.isFinite(location.x) && Number.isFinite(location.y)) {
+    const x = clamp01(location.x);
+    const y = clamp01(location.y);
+    return {
+      zone: court.zones[location.zone] ? location.zone : nearestZone(court, x, y),
+      x,
+      y,
+      source: 'coordinates'
+    };
+  }
+
+  if (court.zones[location.zone]) {
+    return { zone: location.zone, ...zonePoint(court, location.zone), source: 'zone' };
+  }
+
+  const text = (event[typeField] || '').toLowerCase();
+  const rule = court.zoneRules.find(([pattern]) => pattern.test(text));
+  const zone = rule ? resolveSide(court, rule[1], text, sides) : null;
+
+  return zone ? { zone, ...zonePoint(court, zone), source: 'type' } : null;
+}
+
+/**
+ * Locate every charted event of a timeline. Sets `location` on those events and
+ * returns the chart points in time order: [{ seconds, success, zone, x, y, source }].
+ * Sports without a court diagram have no chart points.
+ */
+function locateEvents(profile, timeline) {
+  const court = profile.court;
+  if (!court) {
+    return [];
+  }
+
+  const sides = new Map();
+  const points = [];
+
+  timeline
+    .filter(event => !court.includes || court.includes(event))
+    .forEach(event => {
+      const location = locateEvent(court, event, profile.typeField, sides);
+      if (!location) {
+        return;
+      }
+      event.location = location;
+      points.push({ seconds: event.seconds, success: profile.successResults.includes(event.result), ...location });
+    });
+
+  return points;
+}
+
+// Height / width of a chart with its margin
+function chartAspect(court) {
+  const margin = court.width * CHART_MARGIN / (1 - 2 * CHART_MARGIN);
+  return (court.length + 2 * margin) / (court.width + 2 * margin);
+}
+
+function chartHeight(court, width) {
+  return Math.round(width * chartAspect(court));
+}
+
+// Mark made events with a dot and missed ones with a cross, outlined for contrast
+function drawMarker(canvas, x, y, radius, success) {
+  if (success) {
+    canvas.fillCircle(x, y, radius + radius * 0.3, OUTLINE_COLOR);
+    canvas.fillCircle(x, y, radius, SUCCESS_COLOR);
+    return;
+  }
+
+  const arm = radius * 0.85;
+  const thickness = radius * 0.5;
+  const strokes = [[-arm, -arm, arm, arm], [-arm, arm, arm, -arm]];
+
+  // Both outlines first so neither covers the other stroke
+  strokes.forEach(([x0, y0, x1, y1]) => {
+    canvas.line(x + x0, y + y0, x + x1, y + y1, thickness + radius * 0.4, OUTLINE_COLOR);
+  });
+  strokes.forEach(([x0, y0, x1, y1]) => {
+    canvas.line(x + x0, y + y0, x + x1, y + y1, thickness, FAILURE_COLOR);
+  });
+}
+
+/**
+ * Draw the court with a marker per point and return it as a PNG buffer.
+ * options.height defaults to the court's own aspect; options.highlightLast rings
+ * the newest marker (used while it is being captioned in the video).
+ */
+function renderChart(court, points, options = {}) {
+  const width = Math.round(options.width);
+  const height = Math.round(options.height || chartHeight(court, width));
+  const canvas = new PngCanvas(width, height);
+
+  // Fit the court inside the margin, centered
+  const margin = width * CHART_MARGIN;
+  const scale = Math.min((width - 2 * margin) / court.width, (height - 2 * margin) / court.length);
+  const left = (width - court.width * scale) / 2;
+  const top = (height - court.length * scale) / 2;
+  const toX = x => left + x * scale;
+  const toY = y => top + y * scale;
+  const thickness = Math.max(1, width / 200);
+
+  canvas.fillRect(0, 0, width, height, court.background);
+
+  court.lines.forEach(([shape, ...args]) => {
+    if (shape === 'rect') {
+      const [x, y, w, h] = args;
+      canvas.strokeRect(toX(x), toY(y), w * scale, h * scale, thickness, court.lineColor);
+    } else if (shape === 'line') {
+      const [x0, y0, x1, y1] = args;
+      canvas.line(toX(x0), toY(y0), toX(x1), toY(y1), thickness, court.lineColor);
+    } else if (shape === 'arc') {
+      const [cx, cy, r, start, end] = args;
+      canvas.arc(toX(cx), toY(cy), r * scale, start, end, thickness, court.lineColor);
+    } else if (shape === 'dot') {
+      const [cx, cy, r] = args;
+      canvas.fillCircle(toX(cx), toY(cy), Math.max(thickness, r * scale), court.lineColor);
+    }
+  });
+
+  // Spread markers that share a spot on a small spiral so each stays visible
+  const radius = Math.max(3, width / 55);
+  const seen = new Map();
+
+  points.forEach((point, index) => {
+    const key = `${point.x.toFixed(3)},${point.y.toFixed(3)}`;
+    const count = seen.get(key) || 0;
+    seen.set(key, count + 1);
+
+    const distance = radius * 1.4 * Math.sqrt(count);
+    const angle = count * 137.5 * Math.PI / 180;
+    const x = toX(point.x * court.width) + distance * Math.cos(angle);
+    const y = toY(point.y * court.length) + distance * Math.sin(angle);
+
+    if (options.highlightLast && index === points.length - 1) {
+      canvas.arc(x, y, radius * 2, 0, 360, Math.max(1.5, radius / 3), HIGHLIGHT_COLOR);
+    }
+    drawMarker(canvas, x, y, radius, point.success);
+  });
+
+  return canvas.toPNG();
+}
+
+module.exports = {
+  locateEvent,
+  locateEvents,
+  chartAspect,
+  chartHeight,
+  renderChart
+};
@@ -0,0 +1,197 @@
+// Source segments: the parts of an upload that get analyzed, as [start, end] ranges in
+// seconds, and an optional crop rectangle. services/videoProcessor.js cuts them into
+// one video the whole pipeline runs on; times in that cut map back to the upload here.
+
+const { parseTimestamp, formatTimestamp } = require('./eventReconciler');
+
+// Most ranges one request may select
+const MAX_SEGMENTS = 20;
+
+// Ranges sent as a JSON string (form fields) are parsed; anything else is left for
+// validateSegments to reject
+function parseSegments(value) {
+  if (typeof value !== 'string') {
+    return value;
+  }
+  try {
+    return JSON.parse(value);
+  } catch (error) {
+    return value;
+  }
+}
+
+// An error message when segments isn't a list of [start, end] ranges, otherwise null
+function validateSegments(segments) {
+  if (!Array.isArray(segments) || segments.length === 0) {
+    return 'segments must be a list of [start, end] ranges in seconds, e.g. [[12,45],[90,130]]';
+  }
+  if (segments.length > MAX_SEGMENTS) {
+    return `At most ${MAX_SEGMENTS} segments can be selected`;
+  }
+
+  const invalid = segments.find(segment => !Array.isArray(segment) ||
+    segment.length !== 2 ||
+    !segment.every(value => typeof value === 'number' && Number.isFinite(value)) ||
+    segment[0] < 0 ||
+    segment[1] <= segment[0]);
+  return invalid ? `Invalid segment ${JSON.stringify(invalid)}: expected [start, end] with 0 <= start < end` : null;
+}
+
+// A crop sent as "x,y,width,height" or a JSON object becomes { x, y, width, height }
+function parseCrop(value) {
+  if (typeof value !== 'string') {
+    return value;
+  }
+  if (value.trim().startsWith('{')) {
+    try {
+      return JSON.parse(value);
+    } catch (error) {
+      return value;
+    }
+  }
+
+  const [x, y, width, height] = value.split(',').map(Number);
+  return { x, y, width, height };
+}
+
+// An error message when crop isn't a rectangle in pixels, otherwise null
+function validateCrop(crop) {
+  const valid = crop && typeof crop === 'object' &&
+    ['x', 'y', 'width', 'height'].every(key => Number.isInteger(crop[key])) &&
+    crop.x >= 0 && crop.y >= 0 && crop.width > 0 && crop.height > 0;
+  return valid ? null : 'crop must be x,y,width,height in pixels of the video as displayed';
+}
+
+/**
+ * Order the ranges, join overlapping ones and cut them to the video's duration.
+ * Returns [{ start, end, offset }] where offset is where the range starts in the
+ * cut; without segments the whole video is one range.
+ */
+function planSegments(segments, duration) {
+  const ranges = (segments || [[0, duration]])
+    .map(([start, end]) => [start, Math.min(end, duration)])
+    .filter(([start, end]) => end > start)
+    .sort((a, b) => a[0] - b[0]);
+
+  const merged = [];
+  ranges.forEach(([start, end]) => {
+    const previous = merged[merged.length - 1];
+    if (previous && start <= previous.end) {
+      previous.end = Math.max(previous.end, end);
+    } else {
+      merged.push({ start, end });
+    }
+  });
+
+  let offset = 0;
+  return merged.map(range => {
+    const segment = {
+      start: Number(range.start.toFixed(3)),
+      end: Number(range.end.toFixed(3)),
+      offset: Number(offset.toFixed(3))
+    };
+    offset += range.end - range.start;
+    return segment;
+  });
+}
+
+// Length of the cut in seconds
+function totalLength(plan) {
+  return plan.reduce((total, segment) => total + segment.end - segment.start, 0);
+}
+
+/**
+ * Fit a crop to a video's displayed size ({ width, height }), rounding the size down
+ * to even numbers as H.264 needs. Throws when the rectangle isn't inside the video.
+ */
+function fitCrop(crop, size) {
+  if (crop.x + crop.width > size.width || crop.y + crop.height > size.height) {
+    throw new Error(`Crop ${crop.width}x${crop.height} at ${crop.x},${crop.y} is outside the ${size.width}x${size.height} video`);
+  }
+
+  return {
+    x: crop.x,
+    y: crop.y,
+    width: Math.max(2, crop.width - (crop.width % 2)),
+    height: Math.max(2, crop.height - (crop.height % 2))
+  };
+}
+
+// Where a moment of the cut is in the upload
+function toSourceTime(plan, seconds) {
+  const segment = [...plan].reverse().find(candidate => seconds >= candidate.offset) || plan[0];
+  return Number((segment.start + seconds - segment.offset).toFixed(3));
+}
+
+// Where a moment of the upload is in the cut; null when it wasn't selected
+function toWorkingTime(plan, seconds) {
+  const segment = plan.find(candidate => seconds >= candidate.start && seconds <= candidate.end);
+  return segment ? Number((segment.offset + seconds - segment.start).toFixed(3)) : null;
+}
+
+/**
+ * Move a processVideo result's times from the cut to the upload: frame and clip
+ * timestamps with the events each frame reported, the timeline, audio cues, and the
+ * described highlight clips and replay windows. Replays keep `at`, their place in
+ * the processed video. Returns copies.
+ */
+function mapResultTimes(plan, result, profile) {
+  const time = seconds => toSourceTime(plan, seconds);
+  const outcome = event => {
+    const seconds = parseTimestamp(event.timestamp_of_outcome);
+    return seconds === null ? event : { ...event, timestamp_of_outcome: formatTimestamp(time(seconds)) };
+  };
+
+  const analysis = result.analysis.map(frameAnalysis => {
+    const mapped = { ...frameAnalysis, timestamp: time(parseFloat(frameAnalysis.timestamp)).toFixed(2) };
+    if (frameAnalysis.window) {
+      mapped.window = { start: time(frameAnalysis.window.start), end: time(frameAnalysis.window.end) };
+    }
+    const events = frameAnalysis.structuredData && frameAnalysis.structuredData[profile.eventsKey];
+    if (Array.isArray(events)) {
+      mapped.structuredData = { ...frameAnalysis.structuredData, [profile.eventsKey]: events.map(outcome) };
+    }
+    return mapped;
+  });
+
+  const timeline = result.timeline.map(event => {
+    const mapped = { ...event, seconds: Number(time(event.seconds).toFixed(2)) };
+    mapped.timestamp_of_outcome = formatTimestamp(mapped.seconds);
+    if (event.audio_cue) {
+      mapped.audio_cue = { ...event.audio_cue, seconds: time(event.audio_cue.seconds) };
+    }
+    return mapped;
+  });
+
+  return {
+    analysis,
+    timeline,
+    audioCues: result.audioCues.map(cue => ({ ...cue, time: time(cue.time) })),
+    highlights: result.highlights.map(clip => ({
+      ...clip,
+      start: time(clip.start),
+      end: time(clip.end),
+      events: clip.events.map(event => ({ ...event, seconds: time(event.seconds) }))
+    })),
+    replays: result.replays.map(replay => ({
+      ...replay,
+      start: time(replay.start),
+      end: time(replay.end),
+      events: replay.events.map(time)
+    }))
+  };
+}
+
+module.exports = {
+  MAX_SEGMENTS,
+  parseSegments,
+  validateSegments,
+  parseCrop,
+  validateCrop,
+  planSegments,
+  totalLength,
+  fitCrop,
+  toSourceTime,
+  toWorkingTime,
+  mapResultTimes
+};
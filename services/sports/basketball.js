@@ -0,0 +1,341 @@
+const { percentage, panelPercentage, uniqueValues, countResults, buildEventSchema, buildLocationSchema } = require('./utils');
+
+// Mock fixtures used in development mode
+const mockResponses = [
+  {
+    "shots": [
+      {
+        "timestamp_of_outcome": "0:07.5",
+        "result": "missed",
+        "shot_type": "Jump shot (around free-throw line)",
+        "total_shots_made_so_far": 0,
+        "total_shots_missed_so_far": 1,
+        "total_layups_made_so_far": 0,
+        "feedback": "You're pushing that ball, not shooting it; get your elbow under, extend fully, and follow through."
+      },
+      {
+        "timestamp_of_outcome": "0:13.0",
+        "result": "made",
+        "shot_type": "Three-pointer",
+        "total_shots_made_so_far": 1,
+        "total_shots_missed_so_far": 1,
+        "total_layups_made_so_far": 0,
+        "feedback": "It went in, but watch that slight fade keep your shoulders square to the hoop through the whole motion."
+      },
+      {
+        "timestamp_of_outcome": "0:21.5",
+        "result": "made",
+        "shot_type": "Layup",
+        "total_shots_made_so_far": 2,
+        "total_shots_missed_so_far": 1,
+        "total_layups_made_so_far": 1,
+        "feedback": "Drive that knee on the layup, protect the ball higher with your off-hand, and finish decisively."
+      },
+      {
+        "timestamp_of_outcome": "0:28.5",
+        "result": "made",
+        "shot_type": "Jump shot (free-throw line)",
+        "total_shots_made_so_far": 3,
+        "total_shots_missed_so_far": 1,
+        "total_layups_made_so_far": 1,
+        "feedback": "Better balance, but that shot pocket and release point must be identical every single time for real consistency."
+      }
+    ]
+  },
+  {
+    "shots": [
+      {
+        "timestamp_of_outcome": "0:05.2",
+        "result": "made",
+        "shot_type": "Layup",
+        "total_shots_made_so_far": 1,
+        "total_shots_missed_so_far": 0,
+        "total_layups_made_so_far": 1,
+        "feedback": "Excellent drive to the basket! Keep your head up and eyes on the rim throughout the motion."
+      },
+      {
+        "timestamp_of_outcome": "0:12.8",
+        "result": "missed",
+        "shot_type": "Three-pointer",
+        "total_shots_made_so_far": 1,
+        "total_shots_missed_so_far": 1,
+        "total_layups_made_so_far": 1,
+        "feedback": "Good shot selection, but you're rushing. Take your time, set your feet, and follow through completely."
+      },
+      {
+        "timestamp_of_outcome": "0:19.3",
+        "result": "made",
+        "shot_type": "Jump shot (mid-range)",
+        "total_shots_made_so_far": 2,
+        "total_shots_missed_so_far": 1,
+        "total_layups_made_so_far": 1,
+        "feedback": "Perfect form! Your elbow is aligned, wrist is straight, and follow-through is consistent."
+      }
+    ]
+  },
+  {
+    "shots": [
+      {
+        "timestamp_of_outcome": "0:08.1",
+        "result": "missed",
+        "shot_type": "Free throw",
+        "total_shots_made_so_far": 0,
+        "total_shots_missed_so_far": 1,
+        "total_layups_made_so_far": 0,
+        "feedback": "Stay focused on the rim, not the ball. Your routine looks good, just need more consistency."
+      },
+      {
+        "timestamp_of_outcome": "0:15.7",
+        "result": "made",
+        "shot_type": "Dunk",
+        "total_shots_made_so_far": 1,
+        "total_shots_missed_so_far": 1,
+        "total_layups_made_so_far": 0,
+        "feedback": "Explosive finish! Great elevation and power. Keep working on your vertical jump for more dunks."
+      },
+      {
+        "timestamp_of_outcome": "0:24.2",
+        "result": "made",
+        "shot_type": "Jump shot (corner three)",
+        "total_shots_made_so_far": 2,
+        "total_shots_missed_so_far": 1,
+        "total_layups_made_so_far": 0,
+        "feedback": "Excellent corner three! Your footwork and balance are spot on. Keep practicing from different angles."
+      }
+    ]
+  },
+  {
+    "shots": [
+      {
+        "timestamp_of_outcome": "0:06.4",
+        "result": "made",
+        "shot_type": "Hook shot",
+        "total_shots_made_so_far": 1,
+        "total_shots_missed_so_far": 0,
+        "total_layups_made_so_far": 0,
+        "feedback": "Great use of the hook shot! Keep your body between the ball and defender, and use your off-hand for protection."
+      },
+      {
+        "timestamp_of_outcome": "0:14.9",
+        "result": "missed",
+        "shot_type": "Jump shot (top of key)",
+        "total_shots_made_so_far": 1,
+        "total_shots_missed_so_far": 1,
+        "total_layups_made_so_far": 0,
+        "feedback": "You're fading away on the shot. Stay square to the basket and jump straight up, not back."
+      },
+      {
+        "timestamp_of_outcome": "0:22.6",
+        "result": "made",
+        "shot_type": "Floater",
+        "total_shots_made_so_far": 2,
+        "total_shots_missed_so_far": 1,
+        "total_layups_made_so_far": 0,
+        "feedback": "Perfect floater! Great touch and timing. This is a valuable shot to have in your arsenal."
+      }
+    ]
+  },
+  {
+    "shots": [
+      {
+        "timestamp_of_outcome": "0:09.3",
+        "result": "made",
+        "shot_type": "Pull-up jumper",
+        "total_shots_made_so_far": 1,
+        "total_shots_missed_so_far": 0,
+        "total_layups_made_so_far": 0,
+        "feedback": "Excellent pull-up! You stopped on a dime and got good elevation. Keep working on this mid-range game."
+      },
+      {
+        "timestamp_of_outcome": "0:17.8",
+        "result": "missed",
+        "shot_type": "Three-pointer",
+        "total_shots_made_so_far": 1,
+        "total_shots_missed_so_far": 1,
+        "total_layups_made_so_far": 0,
+        "feedback": "Good range, but you're not getting enough arc on the shot. Aim higher and follow through longer."
+      },
+      {
+        "timestamp_of_outcome": "0:26.1",
+        "result": "made",
+        "shot_type": "Reverse layup",
+        "total_shots_made_so_far": 2,
+        "total_shots_missed_so_far": 1,
+        "total_layups_made_so_far": 1,
+        "feedback": "Beautiful reverse layup! Great body control and finishing with the off-hand. Keep practicing this move."
+      }
+    ]
+  }
+];
+
+// Half court in feet, baseline at the top, as seen facing the basket
+const court = {
+  eventLabel: 'shot',
+  width: 50,
+  length: 47,
+  background: '#1f2a36e6',
+  lineColor: '#f5f5f5',
+  coordinates: 'x from 0 at the left sideline to 1 at the right sideline and y from 0 at the baseline to 1 at half court, as seen facing the basket',
+  lines: [
+    ['rect', 0, 0, 50, 47],
+    ['rect', 17, 0, 16, 19], // Lane
+    ['arc', 25, 19, 6, 0, 360], // Free-throw circle
+    ['arc', 25, 5.25, 4, 0, 180], // Restricted area
+    ['line', 22, 4, 28, 4], // Backboard
+    ['arc', 25, 5.25, 0.75, 0, 360], // Rim
+    ['line', 3, 0, 3, 14.2], // Three-point line
+    ['line', 47, 0, 47, 14.2],
+    ['arc', 25, 5.25, 23.75, 22.1, 157.9],
+    ['arc', 25, 47, 6, 180, 360] // Center circle
+  ],
+  zones: {
+    'restricted-area': [25, 7],
+    'paint': [25, 12],
+    'free-throw-line': [25, 19],
+    'left-elbow': [17, 19],
+    'right-elbow': [33, 19],
+    'left-baseline': [9, 3],
+    'right-baseline': [41, 3],
+    'left-wing': [9, 14],
+    'right-wing': [41, 14],
+    'top-of-key': [25, 25],
+    'left-corner-three': [1.5, 5],
+    'right-corner-three': [48.5, 5],
+    'left-wing-three': [6, 24],
+    'right-wing-three': [44, 24],
+    'top-of-key-three': [25, 31.5]
+  },
+  // Zone for a shot type that doesn't come with a location; first match wins.
+  // Zones with left and right variants take the side named in the text.
+  zoneRules: [
+    [/corner/, 'corner-three'],
+    [/(three|3-point|3pt).*wing|wing.*(three|3-point|3pt)/, 'wing-three'],
+    [/three|3-point|3pt/, 'top-of-key-three'],
+    [/free[- ]throw/, 'free-throw-line'],
+    [/layup|dunk|putback|tip/, 'restricted-area'],
+    [/floater|hook|post|paint/, 'paint'],
+    [/elbow/, 'elbow'],
+    [/baseline/, 'baseline'],
+    [/wing/, 'wing'],
+    [/mid-range|midrange|jump|pull-up|jumper/, 'top-of-key']
+  ]
+};
+
+const schema = buildEventSchema('shots', {
+  timestamp_of_outcome: { type: 'string' },
+  result: { type: 'string', enum: ['made', 'missed'] },
+  shot_type: { type: 'string' },
+  total_shots_made_so_far: { type: 'integer' },
+  total_shots_missed_so_far: { type: 'integer' },
+  total_layups_made_so_far: { type: 'integer' },
+  location: buildLocationSchema(court),
+  feedback: { type: 'string' }
+}, ['timestamp_of_outcome', 'result', 'shot_type', 'feedback']);
+
+const isLayup = shot => (shot.shot_type || '').toLowerCase().includes('layup');
+// Shot types the model uses for three-point attempts ("Three-pointer", "3-point jumper",
+// "Corner 3pt"); a bare "3" could be anything, e.g. "Jump shot (3 dribbles)"
+const THREE_POINTER = /three|3-point|3pt/;
+
+const isThree = shot => THREE_POINTER.test((shot.shot_type || '').toLowerCase());
+
+module.exports = {
+  id: 'basketball',
+  name: 'Basketball',
+  eventsKey: 'shots',
+  typeField: 'shot_type',
+  eventLabel: 'shot',
+  successResults: ['made'],
+  schema,
+  court,
+  mockResponses,
+
+  systemPrompt: `You are an expert basketball analyst and coach. Analyze the provided video and give detailed feedback on performance, technique, and areas for improvement. 
+
+Your analysis should include:
+- Shot analysis (made/missed shots, types of shots)
+- Technique evaluation
+- Performance metrics
+- Specific feedback for improvement
+- Step-by-step breakdown of key moments
+
+Format your response as structured feedback that can be overlaid on video frames.`,
+
+  // Words used to estimate stats from free-text analyses
+  keywords: {
+    event: ['shot'],
+    success: ['made'],
+    failure: ['missed']
+  },
+
+  // Shot categories for trends across sessions; first match wins
+  categories: [
+    [THREE_POINTER, 'Three-pointer'],
+    [/layup|dunk|putback|tip/, 'Finish at the rim'],
+    [/floater|hook|post/, 'Paint'],
+    [/jump|jumper|pull-up|mid-range|midrange|fadeaway/, 'Mid-range'],
+    [/free[- ]throw/, 'Free throw']
+  ],
+
+  // Recurring coaching points, on top of the shared ones (see sports/utils.js)
+  feedbackThemes: {
+    'Elbow alignment': /elbow/,
+    'Arc': /\barc\b/,
+    'Release': /release|wrist|shot pocket/,
+    'Shot selection': /shot selection|forced|contested/,
+    'Finishing': /finish|off-hand/
+  },
+
+  // Sounds that mark a shot (see services/audioCues.js)
+  audioCues: ['bounce', 'rim', 'whistle'],
+
+  promptContext: 'This is a basketball session. Focus on each shot attempt: shot type, whether it was made or missed, where it was taken from, and shooting form.',
+
+  aggregate(shots) {
+    const made = shots.filter(shot => shot.result === 'made');
+    const totalShotsMade = made.length;
+    const totalShotsMissed = countResults(shots, ['missed']);
+    const totalShots = totalShotsMade + totalShotsMissed;
+
+    return {
+      totalShots,
+      totalShotsMade,
+      totalShotsMissed,
+      totalLayupsMade: made.filter(isLayup).length,
+      totalThreePointers: made.filter(isThree).length,
+      accuracy: percentage(totalShotsMade, totalShots),
+      shotTypes: uniqueValues(shots, 'shot_type')
+    };
+  },
+
+  // Recompute the legacy running totals on the reconciled timeline
+  applyRunningTotals(timeline) {
+    let made = 0;
+    let missed = 0;
+    let layupsMade = 0;
+
+    timeline.forEach(shot => {
+      if (shot.result === 'made') {
+        made++;
+        if (isLayup(shot)) {
+          layupsMade++;
+        }
+      } else if (shot.result === 'missed') {
+        missed++;
+      }
+      shot.total_shots_made_so_far = made;
+      shot.total_shots_missed_so_far = missed;
+      shot.total_layups_made_so_far = layupsMade;
+    });
+  },
+
+  statsPanel(stats) {
+    return [
+      ['Shots Made', stats.totalShotsMade],
+      ['Shots Missed', stats.totalShotsMissed],
+      ['Accuracy', panelPercentage(stats.totalShotsMade, stats.totalShots)],
+      ['Layups', stats.totalLayupsMade],
+      ['3-Pointers', stats.totalThreePointers]
+    ];
+  }
+};
@@ -0,0 +1,123 @@
+const { percentage, panelPercentage, uniqueValues, countResults, buildEventSchema } = require('./utils');
+
+const SUCCESS_RESULTS = ['on_target', 'holed'];
+
+// Mock fixtures used in development mode
+const mockResponses = [
+  {
+    "swings": [
+      {
+        "timestamp_of_outcome": "0:05.0",
+        "result": "on_target",
+        "shot_type": "Driver",
+        "feedback": "Good width on the takeaway. Hold your finish a beat longer to keep your balance through impact."
+      },
+      {
+        "timestamp_of_outcome": "0:18.4",
+        "result": "off_target",
+        "shot_type": "7 iron",
+        "feedback": "You're casting from the top and losing lag. Feel the hands lead the clubhead into the ball."
+      }
+    ]
+  },
+  {
+    "swings": [
+      {
+        "timestamp_of_outcome": "0:07.3",
+        "result": "on_target",
+        "shot_type": "Chip",
+        "feedback": "Nice quiet wrists. Keep more weight on your lead side so you strike the ball before the turf."
+      },
+      {
+        "timestamp_of_outcome": "0:14.6",
+        "result": "holed",
+        "shot_type": "Putt",
+        "feedback": "Rock solid stroke with the shoulders. Your head stayed still until the ball dropped."
+      }
+    ]
+  }
+];
+
+const schema = buildEventSchema('swings', {
+  timestamp_of_outcome: { type: 'string' },
+  result: { type: 'string', enum: ['on_target', 'off_target', 'holed'] },
+  shot_type: { type: 'string' },
+  feedback: { type: 'string' }
+}, ['timestamp_of_outcome', 'result', 'shot_type', 'feedback']);
+
+const isPutt = swing => (swing.shot_type || '').toLowerCase().includes('putt');
+
+module.exports = {
+  id: 'golf',
+  name: 'Golf',
+  eventsKey: 'swings',
+  typeField: 'shot_type',
+  eventLabel: 'swing',
+  successResults: SUCCESS_RESULTS,
+  schema,
+  mockResponses,
+
+  systemPrompt: `You are an expert golf analyst and coach. Analyze the provided video and give detailed feedback on performance, technique, and areas for improvement. 
+
+Your analysis should include:
+- Swing analysis (club, ball flight and where the shot finished)
+- Setup, tempo and sequencing
+- Performance metrics
+- Specific feedback for improvement
+- Step-by-step breakdown of key moments
+
+Format your response as structured feedback that can be overlaid on video frames.`,
+
+  // Words used to estimate stats from free-text analyses
+  keywords: {
+    event: ['swing', 'putt', 'drive'],
+    success: ['on target', 'holed', 'fairway', 'green'],
+    failure: ['off target', 'slice', 'hook', 'rough', 'bunker']
+  },
+
+  // Shot categories for trends across sessions; first match wins
+  categories: [
+    [/driver|wood|tee/, 'Tee shot'],
+    [/iron|hybrid|approach/, 'Approach'],
+    [/chip|pitch|bunker|wedge/, 'Short game'],
+    [/putt/, 'Putting']
+  ],
+
+  // Recurring coaching points, on top of the shared ones (see sports/utils.js)
+  feedbackThemes: {
+    'Grip': /grip/,
+    'Alignment': /align|aim/,
+    'Weight transfer': /weight|hips?\b/,
+    'Posture': /posture|spine/
+  },
+
+  // Sounds that mark a swing (see services/audioCues.js)
+  audioCues: ['contact'],
+
+  promptContext: 'This is a golf session. Focus on each swing: the club or shot type, whether the ball finished on target, and the setup, tempo and sequencing of the swing.',
+
+  aggregate(swings) {
+    const totalSwings = swings.length;
+    const onTarget = countResults(swings, SUCCESS_RESULTS);
+
+    return {
+      totalSwings,
+      onTarget,
+      offTarget: countResults(swings, ['off_target']),
+      holed: countResults(swings, ['holed']),
+      putts: swings.filter(isPutt).length,
+      accuracy: percentage(onTarget, totalSwings),
+      shotTypes: uniqueValues(swings, 'shot_type')
+    };
+  },
+
+  statsPanel(stats) {
+    return [
+      ['Swings', stats.totalSwings],
+      ['On Target', stats.onTarget],
+      ['Off Target', stats.offTarget],
+      ['Holed', stats.holed],
+      ['Accuracy', panelPercentage(stats.onTarget, stats.totalSwings)]
+    ];
+  }
+};
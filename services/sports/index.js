@@ -0,0 +1,102 @@
+const basketball = require('./basketball');
+const tennis = require('./tennis');
+const soccer = require('./soccer');
+const golf = require('./golf');
+const volleyball = require('./volleyball');
+const crypto = require('crypto');
+
+const DEFAULT_SPORT = 'basketball';
+
+const profiles = {
+  [basketball.id]: basketball,
+  [tennis.id]: tennis,
+  [soccer.id]: soccer,
+  [golf.id]: golf,
+  [volleyball.id]: volleyball
+};
+
+// Look up a sport profile by id, falling back to the default sport
+function getProfile(sport) {
+  const id = (sport || DEFAULT_SPORT).toString().trim().toLowerCase();
+  const profile = profiles[id];
+
+  if (!profile) {
+    throw new Error(`Unsupported sport: ${sport}. Supported sports: ${Object.keys(profiles).join(', ')}`);
+  }
+
+  return profile;
+}
+
+function hasProfile(sport) {
+  return Boolean(sport && profiles[sport.toString().trim().toLowerCase()]);
+}
+
+// Short digest of a profile's event schema. Cached responses are keyed on it, so
+// changing a schema stops stale responses from being reused.
+function schemaVersion(profile) {
+  return crypto.createHash('sha256').update(JSON.stringify(profile.schema)).digest('hex').substring(0, 12);
+}
+
+function listProfiles() {
+  return Object.values(profiles).map(profile => ({
+    id: profile.id,
+    name: profile.name,
+    eventsKey: profile.eventsKey,
+    schema: profile.schema
+  }));
+}
+
+// Instructions asking Claude to answer with JSON matching the sport's schema
+function buildSchemaInstructions(profile, scope = 'you can see so far') {
+  return `Respond with ONLY a JSON object (no markdown, no commentary) that matches this JSON schema:
+${JSON.stringify(profile.schema)}
+
+List every ${profile.eventLabel} ${scope} in "${profile.eventsKey}". Use "timestamp_of_outcome" in m:ss.s format and put your coaching feedback for each ${profile.eventLabel} in "feedback". If there are no ${profile.eventLabel}s yet, return {"${profile.eventsKey}": []}.${buildLocationInstructions(profile)}`;
+}
+
+// Ask for court locations when the sport draws a chart of them
+function buildLocationInstructions(profile) {
+  if (!profile.court) {
+    return '';
+  }
+  return `\n\nWhen you can see where a ${profile.court.eventLabel} was taken from, add "location" with the closest "zone" and, if you can judge it, "x" and "y" coordinates between 0 and 1: ${profile.court.coordinates}.`;
+}
+
+// Build the per-frame prompt from the user's prompt and the sport's template
+function buildFramePrompt(profile, prompt, frameNumber, totalFrames, timestamp) {
+  const position = timestamp !== undefined ? ` at ${timestamp.toFixed(1)}s into the video` : '';
+  return `${prompt}\n\n${profile.promptContext}\n\nAnalyze this specific frame (${frameNumber}/${totalFrames}${position}) and provide feedback that can be overlaid on the video.\n\n${buildSchemaInstructions(profile)}`;
+}
+
+// Build the prompt for a window of consecutive frames sent in one request
+function buildClipPrompt(profile, prompt, clipNumber, totalClips, start, end, frameCount) {
+  return `${prompt}\n\n${profile.promptContext}\n\nThe ${frameCount} images below are consecutive frames of clip ${clipNumber}/${totalClips}, from ${start.toFixed(1)}s to ${end.toFixed(1)}s into the video, each labeled with its timestamp. Use the whole sequence to decide each outcome (e.g. follow the ball after release) and use the frame timestamps for "timestamp_of_outcome".\n\n${buildSchemaInstructions(profile, 'whose outcome happens in this clip')}`;
+}
+
+// Label/value rows of the stats panel for a feedback summary (videoProcessor's
+// summarizeFeedback): the sport's own panel, or plain counts when the stats were
+// estimated from free text
+function statsRows(profile, feedback) {
+  if (feedback.hasStructuredData) {
+    return profile.statsPanel(feedback);
+  }
+
+  const label = profile.eventLabel.charAt(0).toUpperCase() + profile.eventLabel.slice(1);
+  return [
+    [`${label}s`, feedback.eventCount],
+    ['Successful', feedback.successCount],
+    ['Unsuccessful', feedback.failureCount]
+  ];
+}
+
+module.exports = {
+  DEFAULT_SPORT,
+  getProfile,
+  hasProfile,
+  listProfiles,
+  schemaVersion,
+  buildSchemaInstructions,
+  buildFramePrompt,
+  buildClipPrompt,
+  statsRows
+};
@@ -0,0 +1,181 @@
+const { percentage, panelPercentage, uniqueValues, countResults, buildEventSchema, buildLocationSchema } = require('./utils');
+
+const SUCCESS_RESULTS = ['completed', 'goal'];
+
+// Mock fixtures used in development mode
+const mockResponses = [
+  {
+    "actions": [
+      {
+        "timestamp_of_outcome": "0:03.5",
+        "result": "completed",
+        "action_type": "Short pass",
+        "feedback": "Good weight on the pass. Open your body before receiving so you can play forward first time."
+      },
+      {
+        "timestamp_of_outcome": "0:09.8",
+        "result": "failed",
+        "action_type": "Dribble",
+        "feedback": "Too many touches in traffic. Use your first touch to move the ball away from pressure."
+      },
+      {
+        "timestamp_of_outcome": "0:16.2",
+        "result": "goal",
+        "action_type": "Shot (inside the box)",
+        "feedback": "Clinical finish! Head over the ball and locked ankle kept it low into the corner."
+      }
+    ]
+  },
+  {
+    "actions": [
+      {
+        "timestamp_of_outcome": "0:05.1",
+        "result": "saved",
+        "action_type": "Shot (edge of the box)",
+        "feedback": "Good strike but it's too central. Pick a corner before you shoot."
+      },
+      {
+        "timestamp_of_outcome": "0:12.4",
+        "result": "completed",
+        "action_type": "Cross",
+        "feedback": "Nice delivery into the danger zone. Take one more look up to find the late runner."
+      },
+      {
+        "timestamp_of_outcome": "0:19.7",
+        "result": "failed",
+        "action_type": "Tackle",
+        "feedback": "You dove in too early. Stay on your feet, show them wide and wait for the heavy touch."
+      }
+    ]
+  }
+];
+
+const isShot = action => (action.action_type || '').toLowerCase().includes('shot');
+
+// Attacking half of the pitch in meters, goal line at the top, as seen facing the goal.
+// Only shots are charted.
+const court = {
+  eventLabel: 'shot',
+  width: 68,
+  length: 52.5,
+  background: '#1e4d2be6',
+  lineColor: '#f5f5f5',
+  coordinates: 'x from 0 at the left touchline to 1 at the right touchline and y from 0 at the goal line to 1 at the halfway line, as seen facing the goal',
+  includes: isShot,
+  lines: [
+    ['rect', 0, 0, 68, 52.5],
+    ['rect', 13.84, 0, 40.32, 16.5], // Penalty area
+    ['rect', 24.84, 0, 18.32, 5.5], // Goal area
+    ['dot', 34, 11, 0.4], // Penalty spot
+    ['arc', 34, 11, 9.15, 36.9, 143.1], // Penalty arc
+    ['rect', 30.34, -1.5, 7.32, 1.5], // Goal
+    ['arc', 34, 52.5, 9.15, 180, 360] // Center circle
+  ],
+  zones: {
+    'six-yard-box': [34, 3],
+    'penalty-spot': [34, 11],
+    'left-box': [21, 10],
+    'right-box': [47, 10],
+    'edge-of-the-box': [34, 19],
+    'left-wing': [7, 20],
+    'right-wing': [61, 20],
+    'long-range': [34, 30]
+  },
+  // Zone for a shot type that doesn't come with a location; first match wins.
+  // Zones with left and right variants take the side named in the text.
+  zoneRules: [
+    [/six[- ]yard|close range|tap[- ]in|header/, 'six-yard-box'],
+    [/penalty/, 'penalty-spot'],
+    [/edge of the box|edge of box|outside the box/, 'edge-of-the-box'],
+    [/long[- ]range|distance/, 'long-range'],
+    [/wide|wing|tight angle/, 'wing'],
+    [/box|area/, 'box']
+  ]
+};
+
+const schema = buildEventSchema('actions', {
+  timestamp_of_outcome: { type: 'string' },
+  result: { type: 'string', enum: ['completed', 'failed', 'goal', 'saved', 'off_target'] },
+  action_type: { type: 'string' },
+  location: buildLocationSchema(court),
+  feedback: { type: 'string' }
+}, ['timestamp_of_outcome', 'result', 'action_type', 'feedback']);
+
+module.exports = {
+  id: 'soccer',
+  name: 'Soccer',
+  eventsKey: 'actions',
+  typeField: 'action_type',
+  eventLabel: 'action',
+  successResults: SUCCESS_RESULTS,
+  schema,
+  court,
+  mockResponses,
+
+  systemPrompt: `You are an expert soccer analyst and coach. Analyze the provided video and give detailed feedback on performance, technique, and areas for improvement. 
+
+Your analysis should include:
+- Action analysis (passes, shots, dribbles, tackles and their outcomes)
+- First touch, body shape and decision making
+- Performance metrics
+- Specific feedback for improvement
+- Step-by-step breakdown of key moments
+
+Format your response as structured feedback that can be overlaid on video frames.`,
+
+  // Words used to estimate stats from free-text analyses
+  keywords: {
+    event: ['pass', 'shot', 'dribble', 'tackle', 'cross'],
+    success: ['completed', 'goal'],
+    failure: ['failed', 'saved', 'off target']
+  },
+
+  // Action categories for trends across sessions; first match wins
+  categories: [
+    [/shot|strike|finish/, 'Shot'],
+    [/cross/, 'Cross'],
+    [/pass/, 'Pass'],
+    [/dribbl|take-on/, 'Dribble'],
+    [/tackle|intercept|block/, 'Defending']
+  ],
+
+  // Recurring coaching points, on top of the shared ones (see sports/utils.js)
+  feedbackThemes: {
+    'Plant foot': /plant/,
+    'Body shape': /body shape|over the ball|lean/,
+    'First touch': /first touch/,
+    'Scanning': /scan|look up|awareness/
+  },
+
+  // Sounds that mark an action (see services/audioCues.js)
+  audioCues: ['contact', 'whistle'],
+
+  promptContext: 'This is a soccer session. Focus on each on-ball action: pass, shot, dribble, cross or tackle, whether it succeeded, and the technique and decision behind it.',
+
+  aggregate(actions) {
+    const totalActions = actions.length;
+    const completed = countResults(actions, SUCCESS_RESULTS);
+    const shots = actions.filter(isShot);
+
+    return {
+      totalActions,
+      completed,
+      failed: totalActions - completed,
+      goals: countResults(actions, ['goal']),
+      shots: shots.length,
+      shotsOnTarget: countResults(shots, ['goal', 'saved']),
+      successRate: percentage(completed, totalActions),
+      actionTypes: uniqueValues(actions, 'action_type')
+    };
+  },
+
+  statsPanel(stats) {
+    return [
+      ['Actions', stats.totalActions],
+      ['Completed', stats.completed],
+      ['Goals', stats.goals],
+      ['Shots on Target', `${stats.shotsOnTarget}/${stats.shots}`],
+      ['Success', panelPercentage(stats.completed, stats.totalActions)]
+    ];
+  }
+};
@@ -0,0 +1,134 @@
+const { percentage, panelPercentage, uniqueValues, countResults, buildEventSchema } = require('./utils');
+
+const SUCCESS_RESULTS = ['in', 'winner', 'ace'];
+const ERROR_RESULTS = ['out', 'net', 'fault'];
+
+// Mock fixtures used in development mode
+const mockResponses = [
+  {
+    "strokes": [
+      {
+        "timestamp_of_outcome": "0:04.2",
+        "result": "ace",
+        "stroke_type": "Flat serve",
+        "feedback": "Great toss placement out in front. Keep driving up through the ball with your legs."
+      },
+      {
+        "timestamp_of_outcome": "0:11.6",
+        "result": "in",
+        "stroke_type": "Forehand crosscourt",
+        "feedback": "Nice unit turn. Finish higher over the shoulder to add more topspin and margin over the net."
+      },
+      {
+        "timestamp_of_outcome": "0:17.9",
+        "result": "net",
+        "stroke_type": "Backhand down the line",
+        "feedback": "You're hitting late and off the back foot. Set up earlier and transfer your weight forward."
+      }
+    ]
+  },
+  {
+    "strokes": [
+      {
+        "timestamp_of_outcome": "0:06.8",
+        "result": "fault",
+        "stroke_type": "Kick serve",
+        "feedback": "Your toss is drifting too far right. Keep it above your head to get the brush up the back of the ball."
+      },
+      {
+        "timestamp_of_outcome": "0:13.3",
+        "result": "winner",
+        "stroke_type": "Forehand volley",
+        "feedback": "Solid split step and a short punch. That's exactly the compact volley we want."
+      },
+      {
+        "timestamp_of_outcome": "0:22.1",
+        "result": "out",
+        "stroke_type": "Backhand slice",
+        "feedback": "Open racket face is sending it long. Stay under the ball less and lead with the edge of the frame."
+      }
+    ]
+  }
+];
+
+const schema = buildEventSchema('strokes', {
+  timestamp_of_outcome: { type: 'string' },
+  result: { type: 'string', enum: ['in', 'out', 'net', 'winner', 'ace', 'fault'] },
+  stroke_type: { type: 'string' },
+  feedback: { type: 'string' }
+}, ['timestamp_of_outcome', 'result', 'stroke_type', 'feedback']);
+
+module.exports = {
+  id: 'tennis',
+  name: 'Tennis',
+  eventsKey: 'strokes',
+  typeField: 'stroke_type',
+  eventLabel: 'stroke',
+  successResults: SUCCESS_RESULTS,
+  schema,
+  mockResponses,
+
+  systemPrompt: `You are an expert tennis analyst and coach. Analyze the provided video and give detailed feedback on performance, technique, and areas for improvement. 
+
+Your analysis should include:
+- Stroke analysis (serves, groundstrokes, volleys and where they landed)
+- Footwork and preparation
+- Performance metrics
+- Specific feedback for improvement
+- Step-by-step breakdown of key moments
+
+Format your response as structured feedback that can be overlaid on video frames.`,
+
+  // Words used to estimate stats from free-text analyses
+  keywords: {
+    event: ['stroke', 'serve', 'forehand', 'backhand', 'volley'],
+    success: ['winner', 'ace', '\\bin\\b'],
+    failure: ['\\bout\\b', 'net', 'fault']
+  },
+
+  // Stroke categories for trends across sessions; first match wins
+  categories: [
+    [/serve/, 'Serve'],
+    [/volley|overhead|smash/, 'Net play'],
+    [/forehand/, 'Forehand'],
+    [/backhand/, 'Backhand']
+  ],
+
+  // Recurring coaching points, on top of the shared ones (see sports/utils.js)
+  feedbackThemes: {
+    'Preparation': /prepar|take ?back|early/,
+    'Contact point': /contact|in front/,
+    'Weight transfer': /weight|into the (shot|ball)/,
+    'Toss': /toss/
+  },
+
+  // Sounds that mark a stroke (see services/audioCues.js)
+  audioCues: ['contact', 'bounce'],
+
+  promptContext: 'This is a tennis session. Focus on each stroke: stroke type, whether it landed in, went out, hit the net or was a winner, and the technique behind it.',
+
+  aggregate(strokes) {
+    const totalStrokes = strokes.length;
+    const strokesIn = countResults(strokes, SUCCESS_RESULTS);
+
+    return {
+      totalStrokes,
+      strokesIn,
+      errors: countResults(strokes, ERROR_RESULTS),
+      winners: countResults(strokes, ['winner', 'ace']),
+      aces: countResults(strokes, ['ace']),
+      consistency: percentage(strokesIn, totalStrokes),
+      strokeTypes: uniqueValues(strokes, 'stroke_type')
+    };
+  },
+
+  statsPanel(stats) {
+    return [
+      ['Strokes', stats.totalStrokes],
+      ['In Play', stats.strokesIn],
+      ['Errors', stats.errors],
+      ['Winners', stats.winners],
+      ['Consistency', panelPercentage(stats.strokesIn, stats.totalStrokes)]
+    ];
+  }
+};
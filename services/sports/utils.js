@@ -0,0 +1,100 @@
+// Shared helpers for sport profiles
+
+// Format a ratio as a percentage string, or 'N/A' when there is nothing to divide
+function percentage(part, total, digits = 1) {
+  return total > 0 ? (part / total * 100).toFixed(digits) + '%' : 'N/A';
+}
+
+// Whole-number percentage for the overlay stats panel
+function panelPercentage(part, total) {
+  return `${total > 0 ? Math.round(part / total * 100) : 0}%`;
+}
+
+// Collect the distinct values of a field across events
+function uniqueValues(events, field) {
+  return [...new Set(events.map(event => event[field]).filter(Boolean))];
+}
+
+// Count how many events have a result in the given list
+function countResults(events, results) {
+  return events.filter(event => results.includes(event.result)).length;
+}
+
+// Count case-insensitive keyword matches in free text
+function countKeywords(text, keywords) {
+  return keywords.reduce((count, keyword) => {
+    return count + (text.match(new RegExp(keyword, 'gi')) || []).length;
+  }, 0);
+}
+
+// Build the JSON schema for a profile's per-frame response
+function buildEventSchema(eventsKey, eventProperties, requiredFields) {
+  return {
+    type: 'object',
+    required: [eventsKey],
+    properties: {
+      [eventsKey]: {
+        type: 'array',
+        items: {
+          type: 'object',
+          required: requiredFields,
+          properties: eventProperties
+        }
+      }
+    }
+  };
+}
+
+// Optional location of an event on the court diagram (see services/shotChart.js)
+function buildLocationSchema(court) {
+  return {
+    type: 'object',
+    properties: {
+      zone: { type: 'string', enum: Object.keys(court.zones) },
+      x: { type: 'number' },
+      y: { type: 'number' }
+    }
+  };
+}
+
+// Coaching points that come up in every sport; profiles add their own in feedbackThemes
+const COMMON_FEEDBACK_THEMES = {
+  'Follow-through': /follow[- ]?through/,
+  'Balance': /balance/,
+  'Footwork': /footwork|feet|stance/,
+  'Tempo': /rush|hurr|tempo|rhythm|take your time/,
+  'Consistency': /consisten|every (single )?time/,
+  'Head and eyes': /head (up|still|steady|down)|eyes? (on|up)/
+};
+
+// Category of an event for trends: the first matching profile rule, otherwise the
+// event type without any detail in parentheses ("Chip", "Block")
+function eventCategory(profile, type) {
+  const text = (type || '').toLowerCase();
+  const rule = (profile.categories || []).find(([pattern]) => pattern.test(text));
+  if (rule) {
+    return rule[1];
+  }
+
+  const base = (type || '').replace(/\(.*?\)/g, '').trim();
+  return base ? base.charAt(0).toUpperCase() + base.slice(1) : 'Other';
+}
+
+// Names of the common and sport-specific themes a feedback text touches on
+function feedbackThemes(profile, text) {
+  const lower = (text || '').toLowerCase();
+  const themes = { ...COMMON_FEEDBACK_THEMES, ...profile.feedbackThemes };
+  return Object.keys(themes).filter(theme => themes[theme].test(lower));
+}
+
+module.exports = {
+  percentage,
+  panelPercentage,
+  uniqueValues,
+  countResults,
+  countKeywords,
+  buildEventSchema,
+  buildLocationSchema,
+  eventCategory,
+  feedbackThemes
+};
@@ -0,0 +1,137 @@
+const { percentage, uniqueValues, countResults, buildEventSchema } = require('./utils');
+
+const SUCCESS_RESULTS = ['point', 'in_play'];
+
+// Mock fixtures used in development mode
+const mockResponses = [
+  {
+    "plays": [
+      {
+        "timestamp_of_outcome": "0:04.7",
+        "result": "point",
+        "play_type": "Jump serve",
+        "feedback": "Great contact at full reach. Keep that toss consistent and you'll own the service line."
+      },
+      {
+        "timestamp_of_outcome": "0:10.9",
+        "result": "in_play",
+        "play_type": "Serve receive",
+        "feedback": "Platform is angled to target, nice. Get your feet there earlier so you're not reaching."
+      },
+      {
+        "timestamp_of_outcome": "0:15.2",
+        "result": "error",
+        "play_type": "Spike",
+        "feedback": "Your approach is drifting under the ball. Start your last two steps later and swing high."
+      }
+    ]
+  },
+  {
+    "plays": [
+      {
+        "timestamp_of_outcome": "0:06.1",
+        "result": "point",
+        "play_type": "Block",
+        "feedback": "Strong penetration over the net. Keep your hands angled in toward the court."
+      },
+      {
+        "timestamp_of_outcome": "0:13.8",
+        "result": "in_play",
+        "play_type": "Set",
+        "feedback": "Nice hand shape and release. Square your hips to the target for a more accurate set."
+      },
+      {
+        "timestamp_of_outcome": "0:20.4",
+        "result": "error",
+        "play_type": "Dig",
+        "feedback": "You're standing too tall. Stay low and let the ball come to your platform."
+      }
+    ]
+  }
+];
+
+const schema = buildEventSchema('plays', {
+  timestamp_of_outcome: { type: 'string' },
+  result: { type: 'string', enum: ['point', 'in_play', 'error'] },
+  play_type: { type: 'string' },
+  feedback: { type: 'string' }
+}, ['timestamp_of_outcome', 'result', 'play_type', 'feedback']);
+
+module.exports = {
+  id: 'volleyball',
+  name: 'Volleyball',
+  eventsKey: 'plays',
+  typeField: 'play_type',
+  eventLabel: 'play',
+  successResults: SUCCESS_RESULTS,
+  schema,
+  mockResponses,
+
+  systemPrompt: `You are an expert volleyball analyst and coach. Analyze the provided video and give detailed feedback on performance, technique, and areas for improvement. 
+
+Your analysis should include:
+- Play analysis (serves, passes, sets, attacks, blocks and digs and their outcomes)
+- Footwork, timing and body position
+- Performance metrics
+- Specific feedback for improvement
+- Step-by-step breakdown of key moments
+
+Format your response as structured feedback that can be overlaid on video frames.`,
+
+  // Words used to estimate stats from free-text analyses
+  keywords: {
+    event: ['serve', 'spike', 'block', 'dig', 'set', 'pass'],
+    success: ['point', 'kill', 'ace'],
+    failure: ['error', 'out', 'net']
+  },
+
+  // Play categories for trends across sessions; first match wins
+  categories: [
+    [/receive|reception|pass/, 'Reception'],
+    [/dig/, 'Dig'],
+    [/serve/, 'Serve'],
+    [/spike|attack|kill/, 'Attack'],
+    [/block/, 'Block'],
+    [/set/, 'Set']
+  ],
+
+  // Recurring coaching points, on top of the shared ones (see sports/utils.js)
+  feedbackThemes: {
+    'Approach': /approach/,
+    'Platform': /platform/,
+    'Arm swing': /arm swing|snap/,
+    'Timing': /timing/
+  },
+
+  // Sounds that mark a play (see services/audioCues.js)
+  audioCues: ['contact', 'bounce', 'whistle'],
+
+  promptContext: 'This is a volleyball session. Focus on each contact: serve, pass, set, attack, block or dig, whether it won the point, kept the ball in play or was an error, and the technique behind it.',
+
+  aggregate(plays) {
+    const totalPlays = plays.length;
+    const points = countResults(plays, ['point']);
+    const errors = countResults(plays, ['error']);
+
+    return {
+      totalPlays,
+      points,
+      errors,
+      inPlay: countResults(plays, ['in_play']),
+      // Standard attack efficiency: (points - errors) / attempts
+      efficiency: totalPlays > 0 ? ((points - errors) / totalPlays).toFixed(3) : 'N/A',
+      successRate: percentage(points + countResults(plays, ['in_play']), totalPlays),
+      playTypes: uniqueValues(plays, 'play_type')
+    };
+  },
+
+  statsPanel(stats) {
+    return [
+      ['Plays', stats.totalPlays],
+      ['Points', stats.points],
+      ['Errors', stats.errors],
+      ['In Play', stats.inPlay],
+      ['Efficiency', stats.efficiency]
+    ];
+  }
+};
@@ -0,0 +1,223 @@
+// Storage retention: applies the rules of services/retentionRules.js to the upload,
+// processed and temp directories on a timer. Each sweep also deletes the records of
+// jobs whose outputs it deleted, evicts the analysis cache (CACHE_* limits) and drops
+// expired resumable uploads.
+
+const fs = require('fs-extra');
+const path = require('path');
+const config = require('../config');
+const jobStore = require('./jobStore');
+const uploadStore = require('./uploadStore');
+const analysisCache = require('./analysisCache');
+const analysisStore = require('./analysisStore');
+const videoProcessor = require('./videoProcessor');
+const { resolveRules, selectDeletions } = require('./retentionRules');
+
+// Total size and newest modification time of a file, or of everything in a directory
+async function measure(filePath) {
+  const stats = await fs.stat(filePath);
+  if (!stats.isDirectory()) {
+    return { size: stats.size, modifiedAt: stats.mtimeMs };
+  }
+
+  let size = 0;
+  let modifiedAt = stats.mtimeMs;
+  for (const name of await fs.readdir(filePath)) {
+    const inner = await measure(path.join(filePath, name));
+    size += inner.size;
+    modifiedAt = Math.max(modifiedAt, inner.modifiedAt);
+  }
+  return { size, modifiedAt };
+}
+
+class StorageSweeper {
+  constructor() {
+    this.rules = resolveRules(config.RETENTION_RULES);
+    this.intervalMs = config.RETENTION_SWEEP_MINUTES * 60000;
+    this.timer = null;
+    this.nextSweepAt = null;
+    this.lastSweep = null;
+    this.sweeping = null;
+  }
+
+  directories() {
+    return {
+      uploads: config.UPLOAD_DIR,
+      processed: config.PROCESSED_DIR,
+      temp: videoProcessor.tempDir
+    };
+  }
+
+  // Whether an item holds files running work needs: the upload of an active job, or
+  // a path claimed by the video processor (frames, intermediates, outputs being written
+  // and videos being compared)
+  isProtected(item) {
+    const uploads = new Set(jobStore.listActive()
+      .map(job => job.input && job.input.videoPath)
+      .filter(Boolean)
+      .map(videoPath => path.resolve(videoPath)));
+
+    return item.paths.some(filePath => uploads.has(path.resolve(filePath)) || videoProcessor.isInUse(filePath));
+  }
+
+  /**
+   * Entries directly in a directory as [{ name, files, paths, size, modifiedAt,
+   * analysisId }]. In the processed directory, the files of one stored analysis are a
+   * single item so they're kept or deleted with it. Resumable uploads are left out;
+   * they have their own expiry.
+   */
+  async scan(name, directory) {
+    const names = await fs.readdir(directory).catch(() => []);
+    const entries = [];
+
+    for (const fileName of names) {
+      if (name === 'uploads' && fileName === path.basename(uploadStore.uploadsDir)) {
+        continue;
+      }
+
+      const filePath = path.join(directory, fileName);
+      try {
+        entries.push({ name: fileName, path: filePath, ...(await measure(filePath)) });
+      } catch (error) {
+        // Removed while scanning (e.g. a job's temp files)
+        if (error.code !== 'ENOENT') {
+          throw error;
+        }
+      }
+    }
+
+    // Grouped after the last await, so an analysis saved during the scan is seen
+    const owners = new Map();
+    if (name === 'processed') {
+      analysisStore.listFiles().forEach(analysis => {
+        analysis.paths.forEach(filePath => owners.set(path.resolve(filePath), analysis));
+      });
+    }
+
+    const items = [];
+    const byAnalysis = new Map();
+    entries.forEach(entry => {
+      const analysis = owners.get(path.resolve(entry.path));
+      let item = analysis ? byAnalysis.get(analysis.id) : null;
+      if (!item) {
+        item = {
+          name: analysis ? path.basename(analysis.paths[0]) : entry.name,
+          files: [],
+          paths: [],
+          size: 0,
+          modifiedAt: 0,
+          analysisId: analysis ? analysis.id : null
+        };
+        items.push(item);
+        if (analysis) {
+          byAnalysis.set(analysis.id, item);
+        }
+      }
+
+      item.files.push(entry.name);
+      item.paths.push(entry.path);
+      item.size += entry.size;
+      item.modifiedAt = Math.max(item.modifiedAt, entry.modifiedAt);
+    });
+
+    items.forEach(item => {
+      item.protected = this.isProtected(item);
+    });
+    return items;
+  }
+
+  /**
+   * What each directory holds and what a sweep would delete now, without deleting
+   * anything. Directory deletions are scan items with a `reason`; an item with an
+   * analysisId deletes that analysis from the history along with its files.
+   */
+  async plan(now = Date.now()) {
+    const directories = [];
+    for (const [name, directory] of Object.entries(this.directories())) {
+      const items = await this.scan(name, directory);
+      directories.push({
+        name,
+        path: directory,
+        rules: this.rules[name],
+        files: items.reduce((total, item) => total + item.files.length, 0),
+        totalBytes: items.reduce((total, item) => total + item.size, 0),
+        deletions: selectDeletions(items, this.rules[name], now)
+      });
+    }
+
+    return {
+      directories,
+      cache: analysisCache.planEviction(now),
+      resumableUploads: uploadStore.listExpired(now)
+    };
+  }
+
+  // Delete everything plan() selects; concurrent calls share one sweep
+  async sweep() {
+    if (!this.sweeping) {
+      this.sweeping = this.runSweep().finally(() => {
+        this.sweeping = null;
+      });
+    }
+    return this.sweeping;
+  }
+
+  async runSweep() {
+    const plan = await this.plan();
+    const deleted = { analyses: 0 };
+    const deletedPaths = [];
+    let freedBytes = 0;
+
+    for (const directory of plan.directories) {
+      deleted[directory.name] = 0;
+      for (const item of directory.deletions) {
+        // Work may have started on it since the plan was made
+        if (this.isProtected(item)) {
+          continue;
+        }
+
+        try {
+          if (item.analysisId && await analysisStore.remove(item.analysisId)) {
+            deleted.analyses++;
+          }
+          await Promise.all(item.paths.map(filePath => fs.remove(filePath)));
+          deletedPaths.push(...item.paths);
+          deleted[directory.name] += item.files.length;
+          freedBytes += item.size;
+        } catch (error) {
+          console.error(`Failed to remove ${item.name}:`, error.message);
+        }
+      }
+    }
+
+    deleted.jobs = await jobStore.removeByOutputs(deletedPaths);
+    deleted.cache = analysisCache.evict();
+    deleted.resumableUploads = await uploadStore.removeExpired();
+
+    this.lastSweep = { at: new Date().toISOString(), deleted, freedBytes };
+    if (Object.values(deleted).some(count => count > 0)) {
+      console.log(`🧹 Storage sweep freed ${freedBytes} bytes:`, deleted);
+    }
+    return this.lastSweep;
+  }
+
+  // Sweep every RETENTION_SWEEP_MINUTES (0 turns the sweeper off)
+  start() {
+    if (this.intervalMs <= 0 || this.timer) {
+      return;
+    }
+
+    const schedule = () => {
+      this.nextSweepAt = new Date(Date.now() + this.intervalMs).toISOString();
+      this.timer = setTimeout(() => {
+        this.sweep()
+          .catch(error => console.error('Storage sweep failed:', error))
+          .finally(schedule);
+      }, this.intervalMs);
+      this.timer.unref();
+    };
+    schedule();
+  }
+}
+
+module.exports = new StorageSweeper();
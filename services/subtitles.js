@@ -0,0 +1,93 @@
+// Sidecar subtitle formats for feedback captions.
+// Each cue is { start, end, text } with times in seconds.
+
+function pad(value, length = 2) {
+  return String(value).padStart(length, '0');
+}
+
+function splitTime(seconds) {
+  const totalMs = Math.max(0, Math.round(seconds * 1000));
+  return {
+    hours: Math.floor(totalMs / 3600000),
+    minutes: Math.floor(totalMs / 60000) % 60,
+    seconds: Math.floor(totalMs / 1000) % 60,
+    milliseconds: totalMs % 1000
+  };
+}
+
+// 00:00:07.500
+function formatVttTime(seconds) {
+  const t = splitTime(seconds);
+  return `${pad(t.hours)}:${pad(t.minutes)}:${pad(t.seconds)}.${pad(t.milliseconds, 3)}`;
+}
+
+// 00:00:07,500
+function formatSrtTime(seconds) {
+  const t = splitTime(seconds);
+  return `${pad(t.hours)}:${pad(t.minutes)}:${pad(t.seconds)},${pad(t.milliseconds, 3)}`;
+}
+
+// 0:00:07.50 (ASS uses centiseconds)
+function formatAssTime(seconds) {
+  const t = splitTime(seconds);
+  return `${t.hours}:${pad(t.minutes)}:${pad(t.seconds)}.${pad(Math.floor(t.milliseconds / 10))}`;
+}
+
+function cleanText(text) {
+  return (text || '').replace(/\s+/g, ' ').trim();
+}
+
+function toWebVTT(cues) {
+  const blocks = cues.map((cue, index) => {
+    // "-->" would end the cue timing line early
+    const text = cleanText(cue.text).replace(/-->/g, '->');
+    return `${index + 1}\n${formatVttTime(cue.start)} --> ${formatVttTime(cue.end)}\n${text}`;
+  });
+
+  return ['WEBVTT', ...blocks].join('\n\n') + '\n';
+}
+
+function toSRT(cues) {
+  return cues.map((cue, index) => {
+    return `${index + 1}\n${formatSrtTime(cue.start)} --> ${formatSrtTime(cue.end)}\n${cleanText(cue.text)}`;
+  }).join('\n\n') + '\n';
+}
+
+// Styled Advanced SubStation Alpha track: white text on a translucent black box
+function toASS(cues, options = {}) {
+  const width = options.width || 1280;
+  const height = options.height || 720;
+  const fontSize = Math.round(Math.min(width, height) / 24);
+  const marginV = Math.round(height * 0.2);
+
+  const header = `[Script Info]
+Title: Sport Analyzer Feedback
+ScriptType: v4.00+
+PlayResX: ${width}
+PlayResY: ${height}
+WrapStyle: 0
+
+[V4+ Styles]
+Format: Name, Fontname, Fontsize, PrimaryColour, SecondaryColour, OutlineColour, BackColour, Bold, Italic, Underline, StrikeOut, ScaleX, ScaleY, Spacing, Angle, BorderStyle, Outline, Shadow, Alignment, MarginL, MarginR, MarginV, Encoding
+Style: Feedback,Arial,${fontSize},&H00FFFFFF,&H000000FF,&H00000000,&H33000000,0,0,0,0,100,100,0,0,3,4,0,2,40,40,${marginV},1
+
+[Events]
+Format: Layer, Start, End, Style, Name, MarginL, MarginR, MarginV, Effect, Text`;
+
+  const events = cues.map(cue => {
+    // Braces start override tags in ASS
+    const text = cleanText(cue.text).replace(/[{}]/g, '');
+    return `Dialogue: 0,${formatAssTime(cue.start)},${formatAssTime(cue.end)},Feedback,,0,0,0,,${text}`;
+  });
+
+  return [header, ...events].join('\n') + '\n';
+}
+
+module.exports = {
+  formatVttTime,
+  formatSrtTime,
+  formatAssTime,
+  toWebVTT,
+  toSRT,
+  toASS
+};
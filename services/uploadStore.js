@@ -0,0 +1,277 @@
+const crypto = require('crypto');
+const fs = require('fs-extra');
+const path = require('path');
+const { pipeline } = require('stream/promises');
+const { Transform } = require('stream');
+const { v4: uuidv4 } = require('uuid');
+const config = require('../config');
+
+const UPLOAD_STATES = {
+  UPLOADING: 'uploading',
+  COMPLETE: 'complete'
+};
+
+const CHECKSUM_ALGORITHMS = ['sha256', 'sha1', 'md5'];
+
+// Error codes for rejected chunks
+const OFFSET_MISMATCH = 'OFFSET_MISMATCH';
+const CHECKSUM_MISMATCH = 'CHECKSUM_MISMATCH';
+const CHUNK_TOO_LARGE = 'CHUNK_TOO_LARGE';
+const UPLOAD_BUSY = 'UPLOAD_BUSY';
+const UPLOAD_COMPLETE = 'UPLOAD_COMPLETE';
+
+function uploadError(code, message) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+// Parse "<algorithm> <digest>" (as in tus' Upload-Checksum header); null if malformed
+function parseChecksum(value) {
+  const [algorithm, digest] = (value || '').trim().split(/\s+/);
+  if (!CHECKSUM_ALGORITHMS.includes((algorithm || '').toLowerCase()) || !digest) {
+    return null;
+  }
+  return { algorithm: algorithm.toLowerCase(), digest };
+}
+
+// Digests may be sent as base64 (like tus) or hex
+function digestMatches(hash, digest) {
+  const buffer = hash.digest();
+  return digest === buffer.toString('base64') || digest.toLowerCase() === buffer.toString('hex');
+}
+
+/**
+ * Resumable uploads: the client declares the file's size, then sends it in chunks,
+ * each at the offset the server has reached. A chunk whose checksum doesn't match,
+ * or that breaks off, is discarded so the client can send it again. Upload records
+ * are kept on disk next to the partial files, so uploads resume across restarts;
+ * unfinished ones expire UPLOAD_EXPIRY_HOURS after their last chunk.
+ */
+class UploadStore {
+  constructor() {
+    this.uploadsDir = path.join(config.UPLOAD_DIR, 'resumable');
+    this.uploads = new Map();
+    this.writing = new Set();
+    fs.ensureDirSync(this.uploadsDir);
+    this.loadUploads();
+  }
+
+  loadUploads() {
+    const files = fs.readdirSync(this.uploadsDir).filter(file => file.endsWith('.json'));
+
+    files.forEach(file => {
+      try {
+        const upload = fs.readJsonSync(path.join(this.uploadsDir, file));
+
+        // Uploads that expired while the server was down are dropped
+        if (Date.parse(upload.expiresAt) < Date.now()) {
+          fs.removeSync(this.partPath(upload.id));
+          fs.removeSync(path.join(this.uploadsDir, file));
+          return;
+        }
+
+        this.uploads.set(upload.id, upload);
+      } catch (error) {
+        console.error(`Failed to load upload file ${file}:`, error.message);
+      }
+    });
+
+    console.log(`Loaded ${this.uploads.size} resumable uploads from ${this.uploadsDir}`);
+  }
+
+  partPath(id) {
+    return path.join(this.uploadsDir, `${id}.part`);
+  }
+
+  expiresAt(from = Date.now()) {
+    return new Date(from + config.UPLOAD_EXPIRY_HOURS * 3600000).toISOString();
+  }
+
+  /**
+   * Start an upload. checksum ({ algorithm, digest }) optionally covers the whole
+   * file and is checked once it's complete; options are kept for the job the
+   * finished upload starts.
+   */
+  async create({ filename, size, checksum = null, options = {} }) {
+    await this.removeExpired();
+
+    const now = new Date().toISOString();
+    const upload = {
+      id: uuidv4(),
+      filename,
+      size,
+      offset: 0,
+      checksum,
+      options,
+      state: UPLOAD_STATES.UPLOADING,
+      jobId: null,
+      createdAt: now,
+      updatedAt: now,
+      expiresAt: this.expiresAt()
+    };
+
+    await fs.writeFile(this.partPath(upload.id), '');
+    this.uploads.set(upload.id, upload);
+    await this.persist(upload);
+    return upload;
+  }
+
+  // The upload, or null when it doesn't exist or has expired
+  get(id) {
+    const upload = this.uploads.get(id);
+    if (!upload || Date.parse(upload.expiresAt) < Date.now()) {
+      return null;
+    }
+    return upload;
+  }
+
+  // Whether a chunk is being written or the upload is being finished
+  isBusy(id) {
+    return this.writing.has(id);
+  }
+
+  /**
+   * Append a chunk read from `stream` at `offset`, which must be where the upload
+   * is up to. checksum ({ algorithm, digest }) covers this chunk. Returns the
+   * updated upload; on any failure the chunk is discarded and the error has a code
+   * (OFFSET_MISMATCH, CHECKSUM_MISMATCH, CHUNK_TOO_LARGE, UPLOAD_BUSY, UPLOAD_COMPLETE)
+   * unless the stream itself failed.
+   */
+  async appendChunk(id, offset, stream, checksum = null) {
+    const upload = this.uploads.get(id);
+    if (upload.state === UPLOAD_STATES.COMPLETE) {
+      throw uploadError(UPLOAD_COMPLETE, 'Upload is already complete');
+    }
+    if (this.writing.has(id)) {
+      throw uploadError(UPLOAD_BUSY, 'Another chunk of this upload is being written');
+    }
+    if (offset !== upload.offset) {
+      throw uploadError(OFFSET_MISMATCH, `Expected offset ${upload.offset}, got ${offset}`);
+    }
+
+    this.writing.add(id);
+    try {
+      const hash = checksum ? crypto.createHash(checksum.algorithm) : null;
+      const remaining = upload.size - offset;
+      let received = 0;
+
+      try {
+        await pipeline(
+          stream,
+          new Transform({
+            transform(chunk, encoding, callback) {
+              received += chunk.length;
+              if (received > remaining) {
+                return callback(uploadError(CHUNK_TOO_LARGE, `Chunk goes past the declared size of ${upload.size} bytes`));
+              }
+              if (hash) {
+                hash.update(chunk);
+              }
+              callback(null, chunk);
+            }
+          }),
+          fs.createWriteStream(this.partPath(id), { flags: 'r+', start: offset })
+        );
+
+        if (hash && !digestMatches(hash, checksum.digest)) {
+          throw uploadError(CHECKSUM_MISMATCH, `Chunk ${checksum.algorithm} checksum does not match`);
+        }
+      } catch (error) {
+        // Drop whatever arrived of the failed chunk
+        await fs.truncate(this.partPath(id), offset);
+        throw error;
+      }
+
+      upload.offset += received;
+      upload.updatedAt = new Date().toISOString();
+      upload.expiresAt = this.expiresAt();
+      await this.persist(upload);
+      return upload;
+    } finally {
+      this.writing.delete(id);
+    }
+  }
+
+  /**
+   * Move a fully received upload to `destination` after checking the whole-file
+   * checksum, if one was given, and record where it went (upload.videoPath). A file
+   * that fails the check is deleted with its upload (throws CHECKSUM_MISMATCH). The
+   * upload stays 'uploading' until setJob records its analysis job, so a finished
+   * upload whose job couldn't be queued can be finished again; it keeps its path.
+   */
+  async finish(id, destination) {
+    const upload = this.uploads.get(id);
+    if (this.writing.has(id)) {
+      throw uploadError(UPLOAD_BUSY, 'Upload is already being finished');
+    }
+    if (upload.videoPath) {
+      return upload;
+    }
+
+    this.writing.add(id);
+    try {
+      if (upload.checksum) {
+        const hash = crypto.createHash(upload.checksum.algorithm);
+        await pipeline(fs.createReadStream(this.partPath(id)), hash);
+        if (!digestMatches(hash, upload.checksum.digest)) {
+          await this.remove(id);
+          throw uploadError(CHECKSUM_MISMATCH, `File ${upload.checksum.algorithm} checksum does not match; upload it again`);
+        }
+      }
+
+      await fs.move(this.partPath(id), destination);
+      upload.videoPath = destination;
+      upload.updatedAt = new Date().toISOString();
+      await this.persist(upload);
+      return upload;
+    } finally {
+      this.writing.delete(id);
+    }
+  }
+
+  // Record the analysis job a finished upload started, completing the upload
+  async setJob(id, jobId) {
+    const upload = this.uploads.get(id);
+    upload.jobId = jobId;
+    upload.state = UPLOAD_STATES.COMPLETE;
+    upload.updatedAt = new Date().toISOString();
+    await this.persist(upload);
+    return upload;
+  }
+
+  // Delete an upload's record and partial file, and the finished file if no job has it
+  async remove(id) {
+    const upload = this.uploads.get(id);
+    this.uploads.delete(id);
+    if (upload && upload.videoPath && !upload.jobId) {
+      await fs.remove(upload.videoPath);
+    }
+    await fs.remove(this.partPath(id));
+    await fs.remove(path.join(this.uploadsDir, `${id}.json`));
+  }
+
+  // Uploads past their expiry
+  listExpired(now = Date.now()) {
+    return [...this.uploads.values()].filter(upload => Date.parse(upload.expiresAt) < now);
+  }
+
+  // Delete uploads past their expiry; returns how many were removed
+  async removeExpired() {
+    const expired = this.listExpired();
+    for (const upload of expired) {
+      await this.remove(upload.id);
+    }
+    return expired.length;
+  }
+
+  async persist(upload) {
+    await fs.writeJson(path.join(this.uploadsDir, `${upload.id}.json`), upload, { spaces: 2 });
+  }
+}
+
+module.exports = new UploadStore();
+module.exports.UPLOAD_STATES = UPLOAD_STATES;
+module.exports.CHECKSUM_ALGORITHMS = CHECKSUM_ALGORITHMS;
+module.exports.parseChecksum = parseChecksum;
+Object.assign(module.exports, { OFFSET_MISMATCH, CHECKSUM_MISMATCH, CHUNK_TOO_LARGE, UPLOAD_BUSY, UPLOAD_COMPLETE });
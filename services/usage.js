@@ -0,0 +1,258 @@
+const config = require('../config');
+const sports = require('./sports');
+const { fixedTimestamps, LEAD_IN } = require('./frameSelector');
+
+// USD per million tokens; MODEL_PRICES can override or add models
+const DEFAULT_PRICES = {
+  'claude-3-haiku-20240307': { input: 0.25, output: 1.25 },
+  'claude-3-sonnet-20240229': { input: 3, output: 15 },
+  'claude-3-5-sonnet-20241022': { input: 3, output: 15 },
+  'claude-3-opus-20240229': { input: 15, output: 75 }
+};
+
+/**
+ * Price table from the MODEL_PRICES JSON (empty for the defaults), merged over
+ * DEFAULT_PRICES. Throws an error naming the variable when it isn't valid.
+ */
+function resolvePrices(value) {
+  let configured = {};
+  if (value) {
+    try {
+      configured = JSON.parse(value);
+    } catch (error) {
+      throw new Error(`MODEL_PRICES is not valid JSON: ${error.message}`);
+    }
+  }
+
+  if (configured === null || typeof configured !== 'object' || Array.isArray(configured)) {
+    throw new Error('MODEL_PRICES must be a JSON object keyed by model');
+  }
+
+  Object.entries(configured).forEach(([model, price]) => {
+    const valid = price !== null && typeof price === 'object' &&
+      ['input', 'output'].every(key => typeof price[key] === 'number' && Number.isFinite(price[key]) && price[key] >= 0);
+    if (!valid) {
+      throw new Error(`MODEL_PRICES.${model} must be {"input": <USD>, "output": <USD>} per million tokens, 0 or more`);
+    }
+  });
+
+  return { ...DEFAULT_PRICES, ...configured };
+}
+
+const PRICES = resolvePrices(config.MODEL_PRICES);
+
+// Frames are extracted at 1280x720; images cost about width * height / 750 tokens
+const FRAME_IMAGE_TOKENS = Math.ceil(1280 * 720 / 750);
+
+const BUDGET_EXCEEDED = 'BUDGET_EXCEEDED';
+
+function getPrice(model) {
+  const price = PRICES[model];
+  if (!price) {
+    console.warn(`No price configured for model ${model}; cost is reported as 0`);
+    return { input: 0, output: 0 };
+  }
+  return price;
+}
+
+function computeCost(model, inputTokens, outputTokens) {
+  const price = getPrice(model);
+  return (inputTokens * price.input + outputTokens * price.output) / 1000000;
+}
+
+function roundCost(cost) {
+  return Number(cost.toFixed(6));
+}
+
+// Rough token count for text (about four characters per token)
+function estimateTextTokens(text) {
+  return Math.ceil((text || '').length / 4);
+}
+
+// Approximate usage for providers that don't report any (e.g. mock fixtures)
+function estimateRequestUsage(request, responseText) {
+  let inputTokens = estimateTextTokens(request.system);
+
+  request.messages.forEach(message => {
+    const parts = Array.isArray(message.content) ? message.content : [{ type: 'text', text: message.content }];
+    parts.forEach(part => {
+      inputTokens += part.type === 'image' ? FRAME_IMAGE_TOKENS : estimateTextTokens(part.text);
+    });
+  });
+
+  return {
+    input_tokens: inputTokens,
+    output_tokens: estimateTextTokens(responseText)
+  };
+}
+
+// Most a request can cost: its estimated input plus max_tokens of output
+function worstCaseCost(model, request) {
+  return computeCost(model, estimateRequestUsage(request, '').input_tokens, request.max_tokens);
+}
+
+function budgetExceededError(budget) {
+  const error = new Error(`Job budget of $${budget} reached`);
+  error.code = BUDGET_EXCEEDED;
+  return error;
+}
+
+function emptyTotals() {
+  return { requests: 0, cacheHits: 0, inputTokens: 0, outputTokens: 0, cost: 0 };
+}
+
+/**
+ * Token and cost accounting for one job or one frame.
+ *
+ * Frame meters are children of the job meter: everything recorded on a frame
+ * also counts toward the job, and the job's budget applies to every frame.
+ * Requests reserve their worst-case cost before they're sent, so frames analyzed
+ * concurrently can't spend past the budget together.
+ */
+class UsageMeter {
+  constructor(options = {}) {
+    this.budget = options.budget === undefined ? null : options.budget;
+    this.parent = options.parent || null;
+    this.totals = emptyTotals();
+    this.reserved = 0;
+  }
+
+  child() {
+    return new UsageMeter({ parent: this });
+  }
+
+  // usage: the Messages API `usage` object ({ input_tokens, output_tokens })
+  record(model, usage = {}) {
+    const inputTokens = usage.input_tokens || 0;
+    const outputTokens = usage.output_tokens || 0;
+
+    this.totals.requests++;
+    this.totals.inputTokens += inputTokens;
+    this.totals.outputTokens += outputTokens;
+    this.totals.cost += computeCost(model, inputTokens, outputTokens);
+
+    if (this.parent) {
+      this.parent.record(model, usage);
+    }
+  }
+
+  recordCacheHit() {
+    this.totals.cacheHits++;
+    if (this.parent) {
+      this.parent.recordCacheHit();
+    }
+  }
+
+  isExhausted() {
+    if (this.budget !== null && this.totals.cost >= this.budget) {
+      return true;
+    }
+    return this.parent ? this.parent.isExhausted() : false;
+  }
+
+  // Whether the budget still covers `cost` on top of what's spent and reserved
+  canAfford(cost) {
+    if (this.budget !== null && this.totals.cost + this.reserved + cost > this.budget) {
+      return false;
+    }
+    return this.parent ? this.parent.canAfford(cost) : true;
+  }
+
+  /**
+   * Set aside a request's worst-case cost before sending it. Throws BUDGET_EXCEEDED
+   * when the budget can't cover it; returns a function that releases the reservation
+   * once the request's real usage is recorded or it fails.
+   */
+  reserve(cost) {
+    if (this.isExhausted() || !this.canAfford(cost)) {
+      throw budgetExceededError(this.rootBudget());
+    }
+
+    this.hold(cost);
+    let held = true;
+    return () => {
+      if (held) {
+        held = false;
+        this.hold(-cost);
+      }
+    };
+  }
+
+  hold(cost) {
+    this.reserved += cost;
+    if (this.parent) {
+      this.parent.hold(cost);
+    }
+  }
+
+  rootBudget() {
+    return this.budget !== null ? this.budget : (this.parent ? this.parent.rootBudget() : null);
+  }
+
+  summary() {
+    const summary = { ...this.totals, cost: roundCost(this.totals.cost) };
+    if (!this.parent) {
+      summary.budget = this.budget;
+      summary.budgetExceeded = this.isExhausted();
+    }
+    return summary;
+  }
+}
+
+// Number of requests and images a run will send, mirroring processVideo's frame selection
+function planRequests({ duration, fps, maxFrames, frameSelection, analysisMode, leadIn = LEAD_IN }) {
+  const adaptiveSamples = Math.ceil(duration * config.ADAPTIVE_SAMPLE_FPS);
+
+  if (analysisMode === 'clip') {
+    const candidateBudget = Math.max(1, Math.floor(maxFrames / config.CLIP_WINDOW_SIZE));
+    const clips = frameSelection === 'adaptive'
+      ? Math.min(candidateBudget, adaptiveSamples)
+      : fixedTimestamps(duration, fps, candidateBudget).length;
+    const framesPerClip = Math.min(config.CLIP_WINDOW_SIZE, Math.max(1, Math.floor(duration / config.CLIP_FRAME_INTERVAL)));
+    return { requests: clips, imagesPerRequest: framesPerClip };
+  }
+
+  // Frames in the lead-in are skipped
+  const frames = frameSelection === 'adaptive'
+    ? Math.min(maxFrames, adaptiveSamples)
+    : fixedTimestamps(duration, fps, maxFrames).filter(time => time >= leadIn).length;
+  return { requests: frames, imagesPerRequest: 1 };
+}
+
+/**
+ * Dry-run cost estimate for analyzing a video, without extracting or sending anything.
+ * Output tokens are assumed to be ESTIMATED_OUTPUT_TOKENS per request; schema repairs
+ * and cache hits are not accounted for.
+ */
+function estimateAnalysis({ duration, fps, maxFrames, frameSelection, analysisMode, sport, prompt, leadIn, model = config.CLAUDE_MODEL }) {
+  const profile = sports.getProfile(sport);
+  const { requests, imagesPerRequest } = planRequests({ duration, fps, maxFrames, frameSelection, analysisMode, leadIn });
+
+  const promptText = analysisMode === 'clip'
+    ? profile.systemPrompt + sports.buildClipPrompt(profile, prompt, 1, requests, 0, duration, imagesPerRequest)
+    : sports.buildFramePrompt(profile, prompt, 1, requests, 0);
+
+  const inputTokens = requests * (estimateTextTokens(promptText) + imagesPerRequest * FRAME_IMAGE_TOKENS);
+  const outputTokens = requests * config.ESTIMATED_OUTPUT_TOKENS;
+
+  return {
+    model,
+    requests,
+    images: requests * imagesPerRequest,
+    inputTokens,
+    outputTokens,
+    estimatedCost: roundCost(computeCost(model, inputTokens, outputTokens)),
+    pricePerMillionTokens: getPrice(model)
+  };
+}
+
+module.exports = {
+  BUDGET_EXCEEDED,
+  FRAME_IMAGE_TOKENS,
+  UsageMeter,
+  resolvePrices,
+  computeCost,
+  estimateRequestUsage,
+  worstCaseCost,
+  estimateAnalysis
+};
@@ -0,0 +1,49 @@
+const fs = require('fs-extra');
+const path = require('path');
+const config = require('../config');
+
+// Daily token and cost totals across all jobs, persisted as one JSON file
+class UsageStore {
+  constructor() {
+    this.file = path.join(config.USAGE_DIR, 'daily.json');
+    this.writeQueue = Promise.resolve();
+    fs.ensureDirSync(config.USAGE_DIR);
+    this.days = fs.pathExistsSync(this.file) ? fs.readJsonSync(this.file) : {};
+  }
+
+  // Add a job's usage summary to the totals for its day (UTC)
+  async record(summary, date = new Date()) {
+    const day = date.toISOString().substring(0, 10);
+    const totals = this.days[day] || { jobs: 0, requests: 0, cacheHits: 0, inputTokens: 0, outputTokens: 0, cost: 0 };
+
+    totals.jobs++;
+    totals.requests += summary.requests;
+    totals.cacheHits += summary.cacheHits;
+    totals.inputTokens += summary.inputTokens;
+    totals.outputTokens += summary.outputTokens;
+    totals.cost = Number((totals.cost + summary.cost).toFixed(6));
+    this.days[day] = totals;
+
+    await this.persist();
+  }
+
+  // Days in [from, to] (inclusive, YYYY-MM-DD), oldest first
+  getDaily(from, to) {
+    return Object.keys(this.days)
+      .filter(day => (!from || day >= from) && (!to || day <= to))
+      .sort()
+      .map(day => ({ date: day, ...this.days[day] }));
+  }
+
+  // Serialize writes so concurrent jobs never interleave on disk
+  async persist() {
+    const write = this.writeQueue
+      .catch(() => {})
+      .then(() => fs.writeJson(this.file, this.days, { spaces: 2 }));
+
+    this.writeQueue = write;
+    await write;
+  }
+}
+
+module.exports = new UsageStore();
@@ -6,6 +6,44 @@ const path = require('path');
 const { v4: uuidv4 } = require('uuid');
 const config = require('../config');
 const claudeService = require('./claudeService');
+const sports = require('./sports');
+const { percentage, countKeywords } = require('./sports/utils');
+const { reconcileEvents } = require('./eventReconciler');
+const subtitles = require('./subtitles');
+const { mapWithConcurrency } = require('./workerPool');
+const { UsageMeter, BUDGET_EXCEEDED } = require('./usage');
+const { LEAD_IN, fixedTimestamps, parseMetadataLog, combineScores, boostNearCues, selectKeyframes, buildClipWindows, clampTimestamp, frameTimestamps } = require('./frameSelector');
+const { detectAudioCues, attachAudioCues } = require('./audioCues');
+const overlayThemes = require('./overlayThemes');
+const { cleanText, layoutOverlay, layoutTitleCard, layoutLabel } = require('./overlayLayout');
+const shotChart = require('./shotChart');
+const highlights = require('./highlights');
+const replays = require('./replays');
+const sessionComparison = require('./sessionComparison');
+const sourceSegments = require('./sourceSegments');
+
+// How long each feedback caption stays on screen
+const CAPTION_DURATION = 3;
+
+// Width of the standalone shot chart image
+const SHOT_CHART_WIDTH = 800;
+
+// Width of the key frame thumbnails kept for reports
+const THUMBNAIL_WIDTH = 320;
+
+// Escape a filter option value inside a filtergraph: once for the option parser,
+// then again for the graph parser
+function escapeFilterValue(value) {
+  return String(value)
+    .replace(/[\\':]/g, '\\$&')
+    .replace(/[\\'[\],;]/g, '\\$&');
+}
+
+// Filters that bring every segment of a concat to the same size, rate and formats
+function segmentVideoFormat(width, height, frameRate) {
+  return `scale=${width}:${height},setsar=1,fps=${frameRate},format=yuv420p`;
+}
+const SEGMENT_AUDIO_FORMAT = 'aresample=48000,aformat=sample_fmts=fltp:channel_layouts=stereo';
 
 // Set ffmpeg and ffprobe paths
 ffmpeg.setFfmpegPath(ffmpegStatic);
@@ -14,12 +52,45 @@ ffmpeg.setFfprobePath(ffprobeStatic.path);
 class VideoProcessor {
   constructor() {
     this.tempDir = path.join(__dirname, '../temp');
+    this.inUse = new Set();
     fs.ensureDirSync(this.tempDir);
   }
 
-  async processVideo(videoPath, prompt, fps = 1, testMode = false) {
+  // Mark a path as being written or read so the storage sweeper leaves it, and
+  // everything named after it (processed-<id>.srt for processed-<id>), alone until
+  // it's released. Returns the path
+  claim(filePath) {
+    this.inUse.add(path.resolve(filePath));
+    return filePath;
+  }
+
+  release(filePath) {
+    this.inUse.delete(path.resolve(filePath));
+  }
+
+  isInUse(filePath) {
+    const resolved = path.resolve(filePath);
+    return [...this.inUse].some(claimed => resolved.startsWith(claimed));
+  }
+
+  async processVideo(videoPath, prompt, fps = 1, testMode = false, options = {}) {
+    // Optional callback so callers (e.g. the job store) can track each stage
+    const reportProgress = (state, progress = null) => {
+      if (options.onProgress) {
+        options.onProgress(state, progress);
+      }
+    };
+
+    // Frames and intermediate videos, removed however processing ends
+    const scratch = [];
+    // The outputs are <outputPrefix>.mp4 and files named after it. They stay claimed
+    // after a successful run until the caller has stored them and releases the prefix
+    let outputPrefix = null;
+
     try {
+      const profile = sports.getProfile(options.sport);
       console.log('Starting video processing...');
+      console.log(`Sport: ${profile.name}`);
       console.log(`Test mode: ${testMode ? 'ON' : 'OFF'}`);
       
       if (testMode) {
@@ -27,12 +98,14 @@ class VideoProcessor {
         console.log('🧪 Test mode: Returning original video file without processing');
         
         // Copy the original file to the processed directory
-        const outputVideoPath = path.join(config.PROCESSED_DIR, `original-${uuidv4()}.mp4`);
+        outputPrefix = this.claim(path.join(config.PROCESSED_DIR, `original-${uuidv4()}`));
+        const outputVideoPath = `${outputPrefix}.mp4`;
         await fs.copy(videoPath, outputVideoPath);
         console.log('✅ Original video copied for test mode');
         
         return {
           processedVideoPath: outputVideoPath,
+          outputPrefix,
           analysis: [],
           feedback: "Test mode - original video returned without processing"
         };
@@ -42,170 +115,390 @@ class VideoProcessor {
       const noOverlayTest = prompt.includes('NO_OVERLAY_TEST');
       if (noOverlayTest) {
         console.log('🧪 NO OVERLAY TEST: Creating video with absolutely no overlays');
-        const outputVideoPath = path.join(config.PROCESSED_DIR, `no-overlay-test-${uuidv4()}.mp4`);
+        outputPrefix = this.claim(path.join(config.PROCESSED_DIR, `no-overlay-test-${uuidv4()}`));
+        const outputVideoPath = `${outputPrefix}.mp4`;
         await this.createVideoWithNoOverlays(videoPath, outputVideoPath);
         
         return {
           processedVideoPath: outputVideoPath,
+          outputPrefix,
           analysis: [],
           feedback: "No overlay test - video created with absolutely no overlays"
         };
       }
       
       // Normal mode: proceed with frame extraction and analysis
+      // With selected segments or a crop, everything below runs on a cut of just that
+      // footage; the times reported at the end are moved back to the upload
+      let segmentPlan = null;
+      let crop = null;
+      if (options.segments || options.crop) {
+        const sourceInfo = await this.getVideoInfo(videoPath);
+        segmentPlan = sourceSegments.planSegments(options.segments, sourceInfo.format.duration);
+        if (segmentPlan.length === 0) {
+          throw new Error(`None of the selected segments are inside the ${sourceInfo.format.duration.toFixed(1)}s video`);
+        }
+        crop = options.crop ? sourceSegments.fitCrop(options.crop, this.getDisplaySize(sourceInfo)) : null;
+      }
+
+      const framesDir = path.join(this.tempDir, uuidv4());
+      scratch.push(this.claim(framesDir));
+      await fs.ensureDir(framesDir);
+
+      reportProgress('extracting');
+
+      if (segmentPlan) {
+        const cutPath = path.join(framesDir, 'segments.mp4');
+        await this.createSegmentVideo(videoPath, cutPath, segmentPlan, {
+          crop,
+          onProgress: (percent) => reportProgress('extracting', { step: 'segments', percent })
+        });
+        videoPath = cutPath;
+      }
+
+      const leadIn = options.segments ? 0 : LEAD_IN;
+
       // Extract video info
       const videoInfo = await this.getVideoInfo(videoPath);
       console.log('Video info:', videoInfo);
 
-      // Calculate max frames to prevent infinite processing
+      // Frame budget to prevent infinite processing
       const duration = videoInfo.format.duration || 60; // Default 60 seconds
-      const maxFrames = Math.min(Math.ceil(duration * fps), 30); // Max 30 frames
-      console.log(`Video duration: ${duration}s, Max frames to process: ${maxFrames}`);
+      const frameBudget = options.maxFrames || config.MAX_FRAMES;
+      const selectionMode = options.frameSelection || 'fixed';
+      const analysisMode = options.analysisMode || 'frame';
+      console.log(`Video duration: ${duration}s, Frame budget: ${frameBudget}, Selection: ${selectionMode}, Analysis: ${analysisMode}`);
 
-      // Extract frames at specified FPS
-      const framesDir = path.join(this.tempDir, uuidv4());
-      await fs.ensureDir(framesDir);
-      
-      await this.extractFrames(videoPath, framesDir, fps, maxFrames);
-      console.log('Frames extracted');
+      const hasAudio = (videoInfo.streams || []).some(stream => stream.codec_type === 'audio');
+      const keepAudio = options.keepAudio !== undefined ? options.keepAudio : config.KEEP_AUDIO;
 
-      // Get frame files
-      const frameFiles = await fs.readdir(framesDir);
-      const sortedFrames = frameFiles
-        .filter(file => file.endsWith('.jpg'))
-        .sort()
-        .slice(0, maxFrames); // Limit to max frames
+      // Sounds like bounces and rim hits point at moments worth analyzing
+      let cues = [];
+      if (options.audioCues && hasAudio) {
+        reportProgress('extracting', { step: 'audio' });
+        cues = await this.detectAudioCues(videoPath, framesDir, profile);
+      } else if (options.audioCues) {
+        console.log('🔇 No audio track, skipping audio cue detection');
+      }
 
-      console.log(`Processing ${sortedFrames.length} frames (limited from ${frameFiles.length} total)`);
+      const units = analysisMode === 'clip'
+        ? await this.extractClipWindows(videoPath, framesDir, duration, fps, frameBudget, selectionMode, cues)
+        : (selectionMode === 'adaptive'
+            ? await this.extractAdaptiveFrames(videoPath, framesDir, duration, frameBudget, cues)
+            : await this.extractFramesAt(videoPath, framesDir, fixedTimestamps(duration, fps, frameBudget), duration)
+          ).map(frame => ({ timestamp: frame.timestamp, frames: [frame] }));
+      console.log(`Extracted ${units.length} ${analysisMode === 'clip' ? 'clips' : 'frames'}`);
 
-      let frameAnalyses = [];
+      // Normal mode: analyze frames (or clip windows of consecutive frames)
+      // Analyze them with Claude in parallel, keeping the results in time order
+      const concurrency = options.concurrency || config.ANALYSIS_CONCURRENCY;
+      console.log(`Analyzing ${units.length} ${analysisMode === 'clip' ? 'clips' : 'frames'} with concurrency ${concurrency}`);
       
-      // Normal mode: analyze frames
-      // Analyze each frame with Claude (with timeout)
-      frameAnalyses = [];
-      for (let i = 0; i < sortedFrames.length; i++) {
-        const framePath = path.join(framesDir, sortedFrames[i]);
-        const frameBase64 = await this.imageToBase64(framePath);
-        
-        // Skip the first frame to avoid showing feedback at 0.00s
-        if (i === 0) {
-          frameAnalyses.push({
-            frame: sortedFrames[i],
-            timestamp: (i / fps).toFixed(2),
-            analysis: "" // Empty analysis for first frame
-          });
-          continue;
-        }
+      // Token usage and cost for the whole job; analysis stops once the budget is spent
+      const usage = options.usage || new UsageMeter({ budget: options.budget });
+      const context = { framesDir, prompt, profile, analysisMode, usage, leadIn, jobId: options.jobId, provider: options.provider };
+      
+      let completed = 0;
+      reportProgress('analyzing', { current: 0, total: units.length });
+      
+      const frameAnalyses = await mapWithConcurrency(units, concurrency, async (unit, i) => {
+        const frameAnalysis = await this.analyzeUnit(unit, i, units.length, context);
         
-        const framePrompt = `${prompt}\n\nAnalyze this specific frame (${i + 1}/${sortedFrames.length}) and provide feedback that can be overlaid on the video.`;
+        completed++;
+        reportProgress('analyzing', {
+          current: completed,
+          total: units.length,
+          frame: frameAnalysis
+        });
         
-        try {
-          console.log(`\n--- Processing Frame ${i + 1}/${sortedFrames.length} ---`);
-          
-          // Use development mode to save API costs and prevent hanging
-          const analysis = config.DEV_MODE 
-            ? await this.withTimeout(claudeService.analyzeFrameDev(frameBase64, framePrompt), 10000) // 10 second timeout
-            : await this.withTimeout(claudeService.analyzeFrame(frameBase64, framePrompt), 30000); // 30 second timeout
-          
-          // Parse structured JSON response if in dev mode
-          let processedAnalysis = analysis;
-          if (config.DEV_MODE) {
-            try {
-              const parsedAnalysis = JSON.parse(analysis);
-              if (parsedAnalysis.shots && parsedAnalysis.shots.length > 0) {
-                // Extract the most relevant shot feedback for this frame
-                const relevantShot = parsedAnalysis.shots[parsedAnalysis.shots.length - 1]; // Get the latest shot
-                processedAnalysis = relevantShot.feedback || "No specific feedback available";
-                
-                // Store the full structured data for potential future use
-                frameAnalyses.push({
-                  frame: sortedFrames[i],
-                  timestamp: (i / fps).toFixed(2),
-                  analysis: processedAnalysis,
-                  structuredData: parsedAnalysis // Store the full JSON data
-                });
-              } else {
-                processedAnalysis = "No shot data available";
-                frameAnalyses.push({
-                  frame: sortedFrames[i],
-                  timestamp: (i / fps).toFixed(2),
-                  analysis: processedAnalysis
-                });
-              }
-            } catch (parseError) {
-              console.log('Failed to parse JSON response, using as plain text');
-              frameAnalyses.push({
-                frame: sortedFrames[i],
-                timestamp: (i / fps).toFixed(2),
-                analysis: analysis
-              });
-            }
-          } else {
-            // Normal mode: use plain text response
-            frameAnalyses.push({
-              frame: sortedFrames[i],
-              timestamp: (i / fps).toFixed(2),
-              analysis: analysis
-            });
-          }
-          
-          console.log(`✅ Frame ${i + 1}/${sortedFrames.length} processed successfully`);
-        } catch (error) {
-          console.error(`❌ Error analyzing frame ${i + 1}:`, error.message);
-          frameAnalyses.push({
-            frame: sortedFrames[i],
-            timestamp: (i / fps).toFixed(2),
-            analysis: "Analysis failed for this frame"
-          });
-        }
+        return frameAnalysis;
+      });
+
+      const skippedFrames = frameAnalyses.filter(frameAnalysis => frameAnalysis.skipped === 'budget').length;
+      if (skippedFrames > 0) {
+        console.log(`💰 Budget of $${usage.budget} reached, skipped ${skippedFrames} ${analysisMode === 'clip' ? 'clips' : 'frames'}`);
       }
+      console.log(`💰 Usage: ${usage.totals.inputTokens} input / ${usage.totals.outputTokens} output tokens, $${usage.summary().cost}`);
+
+      // Merge the events repeated across frames into one session timeline
+      const timeline = reconcileEvents(frameAnalyses, profile);
+      console.log(`🧩 Reconciled ${timeline.length} unique events from ${frameAnalyses.length} frames`);
+      if (cues.length > 0) {
+        attachAudioCues(timeline, cues, config.EVENT_MATCH_TOLERANCE);
+      }
+
+      // Place charted events (e.g. basketball shots) on the sport's court diagram
+      const showChart = options.shotChart !== undefined ? options.shotChart : config.SHOT_CHART;
+      const chartPoints = showChart ? shotChart.locateEvents(profile, timeline) : [];
+      if (profile.court && showChart) {
+        console.log(`🗺️ Located ${chartPoints.length} events on the ${profile.name.toLowerCase()} court`);
+      }
+
+      // Slow-motion replays after each event; everything timed against the original shifts with them.
+      // Test mode renders a plain copy, so it has none
+      const replayOptions = options.replays || null;
+      const replayPlan = replayOptions && !testMode
+        ? replays.planReplays(timeline, { ...replayOptions, duration })
+        : [];
 
       // Create video with text overlay using FFmpeg
       console.log('\n--- Creating Video with Overlay ---');
-      const outputVideoPath = path.join(config.PROCESSED_DIR, `processed-${uuidv4()}.mp4`);
+      reportProgress('rendering');
+      outputPrefix = this.claim(path.join(config.PROCESSED_DIR, `processed-${uuidv4()}`));
+      const outputVideoPath = `${outputPrefix}.mp4`;
       
       if (testMode) {
         // Test mode: just create a clean copy without any overlays
         console.log('🧪 Test mode: Creating clean video without overlays');
-        await this.createCleanVideo(videoPath, outputVideoPath);
+        await this.createCleanVideo(videoPath, outputVideoPath, null, { keepAudio });
         console.log('✅ Clean video created for test mode');
       } else {
         // Normal mode: create video with overlays
         // First create a clean copy of the video without any overlays
         const cleanVideoPath = path.join(config.PROCESSED_DIR, `clean-${uuidv4()}.mp4`);
-        await this.createCleanVideo(videoPath, cleanVideoPath);
+        scratch.push(this.claim(cleanVideoPath));
+        await this.createCleanVideo(videoPath, cleanVideoPath, (percent) => {
+          reportProgress('rendering', { step: 'clean', percent });
+        }, { keepAudio });
+
+        // Insert the replays before the overlay so captions can run over them
+        let overlayInputPath = cleanVideoPath;
+        if (replayPlan.length > 0) {
+          overlayInputPath = path.join(config.PROCESSED_DIR, `replays-${uuidv4()}.mp4`);
+          scratch.push(this.claim(overlayInputPath));
+          await this.createReplayVideo(cleanVideoPath, overlayInputPath, replayPlan, {
+            speed: replayOptions.speed,
+            interpolation: replayOptions.interpolation,
+            onProgress: (percent) => reportProgress('rendering', { step: 'replays', percent })
+          });
+        }
         
         // Then add our feedback overlays to the clean video
-        await this.createVideoWithOverlay(cleanVideoPath, outputVideoPath, frameAnalyses, fps);
+        await this.createVideoWithOverlay(overlayInputPath, outputVideoPath, frameAnalyses, fps, {
+          profile,
+          timeline,
+          theme: options.theme,
+          // Markers past the end would keep the picture-in-picture running after the video
+          chartPoints: chartPoints.filter(point => point.seconds < duration),
+          replays: replayPlan.length > 0 ? { plan: replayPlan, speed: replayOptions.speed } : null,
+          leadIn,
+          ...this.getDisplaySize(videoInfo),
+          onProgress: (percent) => reportProgress('rendering', { step: 'overlay', percent })
+        });
         console.log('✅ Final video created with overlay');
-        
-        // Clean up the temporary clean video
-        await fs.remove(cleanVideoPath);
       }
 
-      // Cleanup temp files
-      await fs.remove(framesDir);
+      // Write sidecar subtitle tracks next to the processed video
+      let captions = this.filterMeaningfulCaptions(this.buildCaptions(frameAnalyses, timeline), leadIn);
+      if (replayPlan.length > 0) {
+        captions = replays.retimeCaptions(captions, replayPlan, replayOptions.speed, CAPTION_DURATION);
+      }
+      const subtitlePaths = await this.writeSubtitles(outputVideoPath, captions, this.getDisplaySize(videoInfo));
+
+      if (options.embedSubtitles && captions.length > 0) {
+        await this.muxSubtitles(outputVideoPath, subtitlePaths.srt);
+        console.log('✅ Subtitles embedded as a soft subtitle stream');
+      }
+
+      // Standalone shot chart of the whole session
+      let shotChartPath = null;
+      if (chartPoints.length > 0) {
+        shotChartPath = outputVideoPath.replace(/\.mp4$/i, '-chart.png');
+        await fs.writeFile(shotChartPath, shotChart.renderChart(profile.court, chartPoints, { width: SHOT_CHART_WIDTH }));
+        console.log(`🗺️ Wrote shot chart to ${shotChartPath}`);
+      }
+
+      // Highlight reel of the selected events, cut from the video that was analyzed (the
+      // selected segments when there are any), without the overlay or replays
+      let highlightsPath = null;
+      let highlightClips = [];
+      if (options.highlights) {
+        const { preRoll = config.HIGHLIGHT_PRE_ROLL, postRoll = config.HIGHLIGHT_POST_ROLL } = options.highlights;
+        const selected = highlights.selectEvents(timeline, profile, options.highlights);
+        highlightClips = highlights.planClips(selected, { preRoll, postRoll, duration });
+
+        if (highlightClips.length > 0) {
+          highlightsPath = outputVideoPath.replace(/\.mp4$/i, '-highlights.mp4');
+          await this.createHighlightReel(videoPath, highlightsPath, highlightClips, {
+            profile,
+            theme: options.theme,
+            titles: options.highlights.titles,
+            transition: options.highlights.transition,
+            keepAudio,
+            onProgress: (percent) => reportProgress('rendering', { step: 'highlights', percent })
+          });
+        } else {
+          console.log(`🎞️ No ${profile.eventLabel}s matched the highlight selection, skipping the reel`);
+        }
+      }
+
+      // Thumbnails of the analyzed frames for coaching reports; the job doesn't depend on them
+      let thumbnailsDir = outputVideoPath.replace(/\.mp4$/i, '-thumbnails');
+      try {
+        const keyFrames = frameAnalyses.filter(frameAnalysis => frameAnalysis.analysis && !frameAnalysis.error && !frameAnalysis.skipped);
+        await this.createThumbnails(framesDir, keyFrames.map(frameAnalysis => frameAnalysis.frame), thumbnailsDir);
+      } catch (error) {
+        console.error('Failed to create thumbnails:', error.message);
+        await fs.remove(thumbnailsDir);
+        thumbnailsDir = null;
+      }
+
+      // Times in the result are in the upload; subtitles and replay positions stay in the processed video
+      const times = {
+        analysis: frameAnalyses,
+        timeline,
+        audioCues: cues,
+        highlights: highlights.describeClips(highlightClips, profile),
+        replays: replays.describeReplays(replayPlan)
+      };
 
       return {
         processedVideoPath: outputVideoPath,
-        analysis: frameAnalyses,
-        feedback: this.summarizeFeedback(frameAnalyses)
+        outputPrefix,
+        sport: profile.id,
+        ...(segmentPlan ? sourceSegments.mapResultTimes(segmentPlan, times, profile) : times),
+        segments: segmentPlan,
+        crop,
+        subtitlePaths,
+        shotChartPath,
+        highlightsPath,
+        thumbnailsDir,
+        feedback: this.summarizeFeedback(frameAnalyses, profile, timeline),
+        usage: { ...usage.summary(), skippedFrames }
       };
 
     } catch (error) {
       console.error('Error in video processing:', error);
+      if (outputPrefix) {
+        this.release(outputPrefix);
+      }
       throw error;
+    } finally {
+      await Promise.all(scratch.map(file => fs.remove(file).catch(error => {
+        console.error(`Failed to remove ${file}:`, error.message);
+      })));
+      scratch.forEach(file => this.release(file));
+    }
+  }
+
+  // Analyze one frame or clip window and build its frame analysis entry.
+  // Failures are recorded on the entry (after retries) instead of failing the job.
+  async analyzeUnit(unit, index, total, context) {
+    const { framesDir, prompt, profile, analysisMode, usage, leadIn, jobId, provider } = context;
+    const label = analysisMode === 'clip' ? 'Clip' : 'Frame';
+    
+    const entry = {
+      frame: unit.frames[Math.floor(unit.frames.length / 2)].file,
+      timestamp: unit.timestamp.toFixed(2)
+    };
+    if (analysisMode === 'clip') {
+      entry.frames = unit.frames.map(frame => frame.file);
+      entry.window = { start: unit.frames[0].timestamp, end: unit.frames[unit.frames.length - 1].timestamp };
+    }
+    
+    // Skip frames in the lead-in to avoid showing feedback at 0.00s
+    if (analysisMode === 'frame' && unit.timestamp < leadIn) {
+      return {
+        ...entry,
+        analysis: "" // Empty analysis for first frame
+      };
+    }
+    
+    // Once the job budget is spent the remaining frames are skipped, not failed
+    if (usage.isExhausted()) {
+      return { ...entry, analysis: "", skipped: 'budget' };
+    }
+    
+    const frameUsage = usage.child();
+    const requestOptions = { jobId, provider, usage: frameUsage };
+    
+    try {
+      console.log(`\n--- Processing ${label} ${index + 1}/${total} ---`);
+      
+      const images = [];
+      for (const frame of unit.frames) {
+        images.push({
+          base64: await this.imageToBase64(path.join(framesDir, frame.file)),
+          timestamp: frame.timestamp
+        });
+      }
+      
+      // Both modes return JSON matching the sport's event schema
+      const structuredData = analysisMode === 'clip'
+        ? await this.analyzeClip(images, prompt, profile, index, total, requestOptions)
+        : await this.analyzeSingleFrame(images[0], prompt, profile, index, total, requestOptions);
+      
+      const events = structuredData[profile.eventsKey] || [];
+      
+      // Extract the most relevant event feedback for this frame
+      const relevantEvent = events[events.length - 1]; // Get the latest event
+      const processedAnalysis = relevantEvent
+        ? relevantEvent.feedback || "No specific feedback available"
+        : `No ${profile.eventLabel} data available`;
+      
+      console.log(`✅ ${label} ${index + 1}/${total} processed successfully`);
+      return {
+        ...entry,
+        analysis: processedAnalysis,
+        structuredData, // Store the full JSON data
+        usage: frameUsage.summary()
+      };
+    } catch (error) {
+      if (error.code === BUDGET_EXCEEDED) {
+        return { ...entry, analysis: "", skipped: 'budget', usage: frameUsage.summary() };
+      }
+      
+      console.error(`❌ Error analyzing ${label.toLowerCase()} ${index + 1}:`, error.message);
+      return {
+        ...entry,
+        analysis: "Analysis failed for this frame",
+        error: error.message,
+        usage: frameUsage.summary()
+      };
     }
   }
 
-  // Helper function to add timeout to promises
-  async withTimeout(promise, timeoutMs) {
-    return Promise.race([
-      promise,
-      new Promise((_, reject) => 
-        setTimeout(() => reject(new Error('Operation timed out')), timeoutMs)
-      )
-    ]);
+  async analyzeSingleFrame(image, prompt, profile, index, total, options = {}) {
+    const framePrompt = sports.buildFramePrompt(profile, prompt, index + 1, total, image.timestamp);
+    
+    // The response is validated and re-asked on malformed output;
+    // the timeout covers retries and repairs and cancels any in-flight request
+    return this.withTimeout(
+      (signal) => claudeService.analyzeFrameStructured(image.base64, framePrompt, profile, { ...options, signal }),
+      config.FRAME_ANALYSIS_TIMEOUT
+    );
+  }
+
+  async analyzeClip(images, prompt, profile, index, total, options = {}) {
+    const start = images[0].timestamp;
+    const end = images[images.length - 1].timestamp;
+    const clipPrompt = sports.buildClipPrompt(profile, prompt, index + 1, total, start, end, images.length);
+    
+    return this.withTimeout(
+      (signal) => claudeService.analyzeClipStructured(images, clipPrompt, profile, { ...options, signal }),
+      config.FRAME_ANALYSIS_TIMEOUT
+    );
+  }
+
+  // Helper function to add a timeout to a task. The task receives an AbortSignal
+  // that fires on timeout so it can cancel its work (e.g. an HTTP request).
+  async withTimeout(task, timeoutMs) {
+    const controller = new AbortController();
+    let timer;
+    
+    try {
+      return await Promise.race([
+        task(controller.signal),
+        new Promise((_, reject) => {
+          timer = setTimeout(() => {
+            controller.abort();
+            reject(new Error('Operation timed out'));
+          }, timeoutMs);
+        })
+      ]);
+    } finally {
+      clearTimeout(timer);
+    }
   }
 
   async getVideoInfo(videoPath) {
@@ -217,29 +510,189 @@ class VideoProcessor {
     });
   }
 
-  async extractFrames(videoPath, outputDir, fps, maxFrames) {
-    return new Promise((resolve, reject) => {
+  // Width and height as displayed, after the rotation phone videos are tagged with
+  getDisplaySize(videoInfo) {
+    const stream = (videoInfo.streams || []).find(s => s.codec_type === 'video') || {};
+    const sideData = (stream.side_data_list || []).find(data => data.rotation !== undefined);
+    const rotation = parseInt((stream.tags && stream.tags.rotate) || (sideData && sideData.rotation) || 0);
+
+    return Math.abs(rotation) % 180 === 90
+      ? { width: stream.height, height: stream.width }
+      : { width: stream.width, height: stream.height };
+  }
+
+  // Scaled-down copies of extracted frames, written to outputDir under the same names
+  async createThumbnails(framesDir, files, outputDir) {
+    await fs.ensureDir(outputDir);
+
+    for (const file of files) {
+      await new Promise((resolve, reject) => {
+        ffmpeg(path.join(framesDir, file))
+          .outputOptions(['-vf', `scale=${THUMBNAIL_WIDTH}:-2`, '-q:v', '5', '-frames:v', '1'])
+          .output(path.join(outputDir, file))
+          .on('end', () => resolve())
+          .on('error', reject)
+          .run();
+      });
+    }
+    console.log(`🖼️ Wrote ${files.length} thumbnails to ${outputDir}`);
+  }
+
+  // Extract one JPEG per distinct timestamp (clamped to the video, see
+  // frameTimestamps), returning [{ file, timestamp }] in time order
+  async extractFramesAt(videoPath, outputDir, timestamps, duration) {
+    const sorted = frameTimestamps(timestamps, duration);
+    
+    await new Promise((resolve, reject) => {
       const command = ffmpeg(videoPath)
-        .fps(fps)
-        .on('end', resolve)
-        .on('error', reject)
+        .on('end', () => {
+          clearTimeout(timeout);
+          resolve();
+        })
+        .on('error', (err) => {
+          clearTimeout(timeout);
+          reject(err);
+        })
         .screenshots({
-          count: maxFrames, // Limit the number of frames
+          timestamps: sorted,
           folder: outputDir,
-          filename: 'frame-%d.jpg',
+          filename: 'frame-%0000i.jpg', // Zero-padded so files sort in time order
           size: '1280x720'
-        })
-        .outputOptions([
-          '-an', // Remove audio
-          '-vn', // Remove video metadata that might cause overlays
-          '-map_metadata -1' // Remove all metadata
-        ]);
+        });
       
       // Add timeout to prevent infinite processing
-      setTimeout(() => {
+      const timeout = setTimeout(() => {
         command.kill('SIGKILL');
         reject(new Error('Frame extraction timed out'));
-      }, 60000); // 60 second timeout
+      }, 60000 + sorted.length * 2000);
+    });
+    
+    const files = (await fs.readdir(outputDir))
+      .filter(file => file.endsWith('.jpg'))
+      .sort();
+
+    // Files are matched to timestamps by position, so a missing frame would shift
+    // every later one
+    if (files.length !== sorted.length) {
+      throw new Error(`Frame extraction produced ${files.length} frames for ${sorted.length} timestamps`);
+    }
+    
+    return files.map((file, i) => ({ file, timestamp: sorted[i] }));
+  }
+
+  // Pick frames where something happens using scene-change and motion scores
+  async extractAdaptiveFrames(videoPath, outputDir, duration, budget, cues = []) {
+    const selected = await this.selectAdaptiveTimestamps(videoPath, outputDir, duration, budget, cues);
+    const frames = await this.extractFramesAt(videoPath, outputDir, selected.map(sample => sample.time), duration);
+    const samplesByTime = new Map(selected.map(sample => [clampTimestamp(sample.time, duration), sample]).reverse());
+    
+    // Keep the selection scores with each frame for debugging and tuning
+    return frames.map(frame => ({
+      ...frame,
+      score: Number(samplesByTime.get(frame.timestamp).score.toFixed(3)),
+      reason: samplesByTime.get(frame.timestamp).reason
+    }));
+  }
+
+  // Extract a window of consecutive frames around each candidate moment.
+  // Returns [{ timestamp, frames: [{ file, timestamp }] }] with timestamp at the window center.
+  async extractClipWindows(videoPath, outputDir, duration, fps, budget, selectionMode, cues = []) {
+    const windowSize = config.CLIP_WINDOW_SIZE;
+    const candidateBudget = Math.max(1, Math.floor(budget / windowSize));
+    
+    const candidates = selectionMode === 'adaptive'
+      ? (await this.selectAdaptiveTimestamps(videoPath, outputDir, duration, candidateBudget, cues)).map(sample => sample.time)
+      : fixedTimestamps(duration, fps, candidateBudget);
+    
+    const windows = buildClipWindows(candidates, windowSize, config.CLIP_FRAME_INTERVAL, duration);
+    const allTimestamps = [...new Set(windows.flat())];
+    const frames = await this.extractFramesAt(videoPath, outputDir, allTimestamps, duration);
+    const framesByTime = new Map(frames.map(frame => [frame.timestamp, frame]));
+    
+    console.log(`🎞️ Built ${windows.length} clip windows of up to ${windowSize} frames`);
+    return windows.map((times, i) => ({
+      timestamp: candidates[i],
+      frames: [...new Set(times.map(time => framesByTime.get(clampTimestamp(time, duration))))]
+    }));
+  }
+
+  // Score the video and choose the timestamps worth analyzing; audio cues raise the
+  // scores of the moments around them
+  async selectAdaptiveTimestamps(videoPath, outputDir, duration, budget, cues = []) {
+    console.log('🎯 Scoring video for adaptive frame selection...');
+    
+    const sampleRate = config.ADAPTIVE_SAMPLE_FPS;
+    const sceneLog = path.join(outputDir, 'scene.log');
+    const motionLog = path.join(outputDir, 'motion.log');
+    
+    // Low-resolution passes keep scoring fast on long sessions
+    await this.runMetadataPass(videoPath, `fps=${sampleRate},scale=160:-2,select='gte(scene,0)',metadata=print:file=${sceneLog}`);
+    await this.runMetadataPass(videoPath, `fps=${sampleRate},scale=160:-2,format=gray,tblend=all_mode=difference,signalstats,metadata=print:key=lavfi.signalstats.YAVG:file=${motionLog}`);
+    
+    const sceneSamples = parseMetadataLog(await fs.readFile(sceneLog, 'utf8'), 'lavfi.scene_score');
+    const motionSamples = parseMetadataLog(await fs.readFile(motionLog, 'utf8'), 'lavfi.signalstats.YAVG');
+    await fs.remove(sceneLog);
+    await fs.remove(motionLog);
+    
+    const scored = boostNearCues(combineScores(sceneSamples, motionSamples), cues);
+    const selected = selectKeyframes(scored, duration, budget);
+    console.log(`🎯 Selected ${selected.length} keyframes from ${sceneSamples.length} samples`);
+    
+    return selected;
+  }
+
+  // Find sharp sounds in the audio track. Three loudness envelopes (full band,
+  // low band for bounces and thuds, high band for rims and whistles) are measured
+  // in 20ms windows and compared in services/audioCues.js.
+  async detectAudioCues(videoPath, outputDir, profile) {
+    console.log('👂 Listening for audio cues...');
+    
+    const bands = {
+      full: '',
+      low: 'lowpass=f=300,',
+      high: 'highpass=f=2000,lowpass=f=5000,'
+    };
+    const envelopes = {};
+    
+    for (const [band, bandFilter] of Object.entries(bands)) {
+      const log = path.join(outputDir, `audio-${band}.log`);
+      await this.runMetadataPass(videoPath, `aresample=16000,${bandFilter}asetnsamples=n=320:p=0,astats=metadata=1:reset=1,ametadata=print:key=lavfi.astats.Overall.RMS_level:file=${log}`, { audio: true });
+      envelopes[band] = parseMetadataLog(await fs.readFile(log, 'utf8'), 'lavfi.astats.Overall.RMS_level');
+      await fs.remove(log);
+    }
+    
+    const cues = detectAudioCues(envelopes.full, envelopes.low, envelopes.high, profile.audioCues);
+    console.log(`👂 Found ${cues.length} audio cues: ${cues.map(cue => `${cue.type}@${cue.time}s`).join(', ') || 'none'}`);
+    
+    return cues;
+  }
+
+  // Decode the video (or with options.audio, its audio track) through a filter chain
+  // that writes per-frame metadata to a file
+  async runMetadataPass(videoPath, filter, options = {}) {
+    return new Promise((resolve, reject) => {
+      const command = options.audio
+        ? ffmpeg(videoPath).noVideo().audioFilter(filter)
+        : ffmpeg(videoPath).noAudio().videoFilter(filter);
+      
+      command
+        .format('null')
+        .output('-')
+        .on('end', () => {
+          clearTimeout(timeout);
+          resolve();
+        })
+        .on('error', (err) => {
+          clearTimeout(timeout);
+          reject(err);
+        });
+      
+      const timeout = setTimeout(() => {
+        command.kill('SIGKILL');
+        reject(new Error(options.audio ? 'Audio analysis timed out' : 'Frame scoring timed out'));
+      }, 300000);
+      
+      command.run();
     });
   }
 
@@ -248,7 +701,10 @@ class VideoProcessor {
     return imageBuffer.toString('base64');
   }
 
-  async createCleanVideo(inputPath, outputPath) {
+  // Re-encode to H.264, keeping the audio track as AAC unless options.keepAudio is false
+  async createCleanVideo(inputPath, outputPath, onProgress = null, options = {}) {
+    const keepAudio = options.keepAudio !== undefined ? options.keepAudio : config.KEEP_AUDIO;
+    
     return new Promise((resolve, reject) => {
       console.log('Creating clean video copy...');
       
@@ -259,7 +715,7 @@ class VideoProcessor {
           '-crf 23',
           '-preset fast',
           '-map_metadata -1', // Remove all metadata
-          '-an' // Remove audio
+          ...(keepAudio ? ['-c:a aac', '-b:a 128k'] : ['-an'])
         ])
         .output(outputPath)
         .on('start', (commandLine) => {
@@ -267,6 +723,9 @@ class VideoProcessor {
         })
         .on('progress', (progress) => {
           console.log(`Clean video progress: ${progress.percent}% done`);
+          if (onProgress && progress.percent) {
+            onProgress(Number(progress.percent.toFixed(1)));
+          }
         })
         .on('end', () => {
           console.log('Clean video created successfully');
@@ -280,96 +739,214 @@ class VideoProcessor {
     });
   }
 
-  async createVideoWithOverlay(inputPath, outputPath, frameAnalyses, fps) {
+  async createVideoWithOverlay(inputPath, outputPath, frameAnalyses, fps, options = {}) {
+    const profile = options.profile || sports.getProfile();
+    const timeline = options.timeline || reconcileEvents(frameAnalyses, profile);
+    const theme = overlayThemes.getTheme(options.theme);
+    const onProgress = options.onProgress;
+
+    let { width, height } = options;
+    if (!width || !height) {
+      ({ width, height } = this.getDisplaySize(await this.getVideoInfo(inputPath)));
+    }
+
+    console.log('🔄 Creating video with dynamic timestamp-based overlays...');
+    console.log(`Input: ${inputPath}`);
+    console.log(`Output: ${outputPath}`);
+    console.log(`Frame analyses: ${frameAnalyses.length}, theme: ${theme.id}, size: ${width}x${height}`);
+
+    // Filter out meaningful analyses only
+    const captions = this.buildCaptions(frameAnalyses, timeline);
+    let meaningfulAnalyses = this.filterMeaningfulCaptions(captions, options.leadIn);
+
+    // Captions (and chart markers) follow their moments past any inserted replays
+    const replayPlan = options.replays ? options.replays.plan : [];
+    if (replayPlan.length > 0) {
+      meaningfulAnalyses = replays.retimeCaptions(meaningfulAnalyses, replayPlan, options.replays.speed, CAPTION_DURATION);
+    }
+
+    console.log(`📊 Filtered to ${meaningfulAnalyses.length} meaningful analyses out of ${captions.length} total`);
+
+    // If no meaningful analyses, just copy the video without any overlays
+    if (meaningfulAnalyses.length === 0) {
+      console.log('⚠️ No meaningful analyses found - creating clean video copy');
+      return this.renderOverlay(inputPath, outputPath, null, onProgress);
+    }
+
+    // Picture-in-picture shot chart, when the sport has a court and events were located
+    const chartPoints = (profile.court ? options.chartPoints || [] : [])
+      .map(point => ({ ...point, seconds: replays.mapTime(replayPlan, point.seconds) }));
+
+    const layout = layoutOverlay({
+      captions: meaningfulAnalyses,
+      statsLines: this.createStatsLines(frameAnalyses, profile, timeline),
+      chartAspect: chartPoints.length > 0 ? shotChart.chartAspect(profile.court) : null,
+      width,
+      height,
+      theme,
+      duration: CAPTION_DURATION
+    });
+
+    layout.captions.forEach((caption, index) => {
+      const delayed = caption.delay > 0 ? ` (delayed ${caption.delay.toFixed(1)}s)` : '';
+      console.log(`📝 Caption ${index + 1}: ${caption.lines.length} line(s) at ${caption.start.toFixed(1)}s-${caption.end.toFixed(1)}s, y=${caption.y}${delayed}`);
+    });
+    if (layout.dropped.length > 0) {
+      console.log(`⚠️ Dropped ${layout.dropped.length} captions with no room on screen`);
+    }
+
+    // drawtext reads each block from a file, so feedback text needs no escaping
+    const workDir = this.claim(path.join(this.tempDir, `overlay-${uuidv4()}`));
+    await fs.ensureDir(workDir);
+
+    try {
+      const overlayFilters = [];
+      const blocks = layout.stats ? [layout.stats, ...layout.captions] : layout.captions;
+
+      for (const [index, block] of blocks.entries()) {
+        const textFile = path.join(workDir, `${index}.txt`);
+        await fs.writeFile(textFile, block.lines.join('\n'));
+
+        const enable = block.start !== undefined ? `between(t,${block.start.toFixed(3)},${block.end.toFixed(3)})` : null;
+        overlayFilters.push(this.buildDrawtextFilter(block, theme, textFile, width, enable));
+      }
+
+      let chart = null;
+      if (layout.chart) {
+        const listFile = await this.writeChartFrames(workDir, profile.court, chartPoints, layout.chart);
+        chart = { listFile, x: layout.chart.x, y: layout.chart.y };
+      }
+
+      console.log(`🎬 Created ${overlayFilters.length} dynamic overlays${chart ? ' and a shot chart' : ''}`);
+      await this.renderOverlay(inputPath, outputPath, overlayFilters.join(','), onProgress, chart);
+    } finally {
+      await fs.remove(workDir);
+      this.release(workDir);
+    }
+  }
+
+  /**
+   * Render the shot chart as it builds up over the video and write an ffconcat list
+   * that shows each image from its start time. Each event adds its marker, ringed
+   * while its caption is on screen. Returns the list file path.
+   */
+  async writeChartFrames(workDir, court, points, size) {
+    const frames = [{ start: 0, points: [], highlight: false }];
+
+    points.forEach((point, index) => {
+      const shown = points.slice(0, index + 1);
+      const next = points[index + 1];
+      frames.push({ start: point.seconds, points: shown, highlight: true });
+      if (!next || next.seconds > point.seconds + CAPTION_DURATION) {
+        frames.push({ start: point.seconds + CAPTION_DURATION, points: shown, highlight: false });
+      }
+    });
+
+    // Drop frames replaced before they are shown (e.g. by an event at 0s)
+    const visible = frames.filter((frame, index) => index === frames.length - 1 || frames[index + 1].start > frame.start);
+
+    const lines = ['ffconcat version 1.0'];
+    for (const [index, frame] of visible.entries()) {
+      const file = `chart-${index}.png`;
+      const png = shotChart.renderChart(court, frame.points, { width: size.width, height: size.height, highlightLast: frame.highlight });
+      await fs.writeFile(path.join(workDir, file), png);
+
+      lines.push(`file '${file}'`);
+      if (index < visible.length - 1) {
+        lines.push(`duration ${(visible[index + 1].start - frame.start).toFixed(3)}`);
+      }
+    }
+
+    const listFile = path.join(workDir, 'chart.ffconcat');
+    await fs.writeFile(listFile, lines.join('\n') + '\n');
+    return listFile;
+  }
+
+  // drawtext filter for a laid-out block; `enable` limits it to the block's time window
+  buildDrawtextFilter(block, theme, textFile, frameWidth, enable = null) {
+    const color = `${theme.box.color}@${theme.box.opacity}`;
+    // fontfile takes a font file or, when no such file exists, a fontconfig pattern
+    // (the `font` option only sets the family, so it can't ask for a bold face)
+    const font = theme.bold ? `${theme.font}:style=Bold` : theme.font;
+
+    // Position the text inside the laid-out box; centered and right-aligned blocks
+    // use the rendered width so estimation errors don't shift them
+    let x = String(block.x + block.padding);
+    if (block.align === 'center') {
+      x = '(w-text_w)/2';
+    } else if (block.align === 'right') {
+      x = `w-text_w-${frameWidth - block.x - block.width + block.padding}`;
+    }
+
+    const options = [
+      `textfile=${escapeFilterValue(textFile)}`,
+      'expansion=none',
+      `fontfile=${escapeFilterValue(font)}`,
+      `fontsize=${block.fontSize}`,
+      `fontcolor=${theme.textColor}`,
+      `line_spacing=${block.lineSpacing}`,
+      `x=${x}`,
+      `y=${block.y + block.padding}`
+    ];
+
+    if (theme.box.style === 'box') {
+      options.push('box=1', `boxcolor=${color}`, `boxborderw=${block.padding}`);
+    } else if (theme.box.style === 'outline') {
+      options.push(`borderw=${Math.max(1, Math.round(block.fontSize / 12))}`, `bordercolor=${color}`);
+    } else if (theme.box.style === 'shadow') {
+      const offset = Math.max(1, Math.round(block.fontSize / 10));
+      options.push(`shadowx=${offset}`, `shadowy=${offset}`, `shadowcolor=${color}`);
+    }
+
+    if (enable) {
+      options.push(`enable=${escapeFilterValue(enable)}`);
+    }
+
+    return `drawtext=${options.join(':')}`;
+  }
+
+  // Re-encode the video with an optional filter chain, and optionally overlay the shot
+  // chart image sequence (chart: { listFile, x, y }); the audio (if any) is copied through
+  renderOverlay(inputPath, outputPath, filterString, onProgress = null, chart = null) {
     return new Promise((resolve, reject) => {
-      console.log('🔄 Creating video with dynamic timestamp-based overlays...');
-      console.log(`Input: ${inputPath}`);
-      console.log(`Output: ${outputPath}`);
-      console.log(`Frame analyses: ${frameAnalyses.length}`);
-      
-      // Start with a clean FFmpeg command
       let command = ffmpeg(inputPath);
-      
-      // Filter out meaningful analyses only
-      const meaningfulAnalyses = frameAnalyses.filter(analysis => {
-        const text = analysis.analysis || '';
-        const timestamp = parseFloat(analysis.timestamp);
-        
-        const isValid = text.length > 20 && 
-                       timestamp > 0.5 && 
-                       !text.toLowerCase().includes('analysis failed') &&
-                       !text.toLowerCase().includes('unable to analyze');
-        
-        if (isValid) {
-          console.log(`✅ Including analysis at ${timestamp}s: "${text.substring(0, 50)}..."`);
-        } else {
-          console.log(`❌ Skipping analysis at ${timestamp}s: "${text.substring(0, 30)}..."`);
+
+      if (filterString) {
+        console.log(`🔍 Filter preview: ${filterString.substring(0, 200)}...`);
+      }
+
+      if (chart) {
+        // The chart keeps showing its last image after the list ends
+        const graph = [
+          '[1:v]format=rgba[chart]',
+          `[0:v][chart]overlay=x=${chart.x}:y=${chart.y}:eof_action=repeat${filterString ? '[pip]' : '[out]'}`
+        ];
+        if (filterString) {
+          graph.push(`[pip]${filterString}[out]`);
         }
-        
-        return isValid;
-      });
-      
-      console.log(`📊 Filtered to ${meaningfulAnalyses.length} meaningful analyses out of ${frameAnalyses.length} total`);
-      
-      // If no meaningful analyses, just copy the video without any overlays
-      if (meaningfulAnalyses.length === 0) {
-        console.log('⚠️ No meaningful analyses found - creating clean video copy');
-        command
-          .outputOptions(['-c:v', 'libx264', '-pix_fmt', 'yuv420p', '-crf', '23', '-preset', 'fast'])
-          .output(outputPath)
-          .on('end', resolve)
-          .on('error', reject)
-          .run();
-        return;
+
+        command = command
+          .input(chart.listFile)
+          .inputOptions(['-f', 'concat', '-safe', '0'])
+          .complexFilter(graph.join(';'), 'out')
+          .outputOptions(['-map', '0:a?']);
+      } else if (filterString) {
+        command = command.videoFilter(filterString);
       }
-      
-      // Create dynamic overlays based on timestamps
-      const overlayFilters = [];
-      
-      // Add stats overlay (always visible)
-      const statsText = this.createStatsText(meaningfulAnalyses);
-      overlayFilters.push(`drawtext=text='${statsText}':fontsize=18:fontcolor=white:x=20:y=20:shadowcolor=black:shadowx=2:shadowy=2:box=1:boxcolor=black@0.7:boxborderw=5`);
-      
-      // Add dynamic feedback overlays for each meaningful analysis
-      meaningfulAnalyses.forEach((analysis, index) => {
-        const timestamp = parseFloat(analysis.timestamp);
-        const feedbackText = this.escapeText(analysis.analysis);
-        
-        // Create overlay that appears at specific timestamp and stays for 3 seconds
-        const startTime = timestamp;
-        const endTime = timestamp + 3; // Show for 3 seconds
-        
-        const dynamicOverlay = `drawtext=text='${feedbackText}':fontsize=16:fontcolor=white:x=w/2-tw/2:y=h*0.7:shadowcolor=black:shadowx=2:shadowy=2:box=1:boxcolor=black@0.8:boxborderw=5:enable='between(t,${startTime},${endTime})'`;
-        
-        overlayFilters.push(dynamicOverlay);
-        
-        console.log(`📝 Added dynamic overlay ${index + 1}: "${feedbackText.substring(0, 50)}..." at ${startTime}s-${endTime}s`);
-      });
-      
-      // Combine all filters
-      const filterString = overlayFilters.join(',');
-      
-      console.log(`🎬 Created ${overlayFilters.length} dynamic overlays`);
-      console.log(`🔍 Filter preview: ${filterString.substring(0, 200)}...`);
-      
-      // Apply the video filter
-      command = command.videoFilter(filterString);
-      
-      // Set output options
+
       command
-        .outputOptions(['-c:v', 'libx264', '-pix_fmt', 'yuv420p', '-crf', '23', '-preset', 'fast'])
+        .outputOptions(['-c:v', 'libx264', '-pix_fmt', 'yuv420p', '-crf', '23', '-preset', 'fast', '-c:a', 'copy'])
         .output(outputPath)
         .on('start', (commandLine) => {
           console.log('🔄 FFmpeg command with dynamic overlays:');
           console.log(commandLine);
-          
-          // Verify dynamic approach
-          const drawtextCount = (commandLine.match(/drawtext/g) || []).length;
-          console.log(`🔍 Drawtext filters found: ${drawtextCount} (should be ${overlayFilters.length})`);
         })
         .on('progress', (progress) => {
           if (progress.percent) {
             console.log(`📊 Progress: ${progress.percent.toFixed(1)}% done`);
+            if (onProgress) {
+              onProgress(Number(progress.percent.toFixed(1)));
+            }
           }
         })
         .on('end', () => {
@@ -385,6 +962,385 @@ class VideoProcessor {
     });
   }
 
+  /**
+   * Cut the planned clips (see services/highlights.js) from the source video and join
+   * them into one MP4, each optionally preceded by a title card with its feedback.
+   * options.transition 'fade' fades every segment in and out through black; 'cut'
+   * joins them directly. The source's audio is kept when options.keepAudio is set,
+   * with silence under the title cards.
+   */
+  async createHighlightReel(inputPath, outputPath, clips, options = {}) {
+    const profile = options.profile || sports.getProfile();
+    const theme = overlayThemes.getTheme(options.theme);
+    const videoInfo = await this.getVideoInfo(inputPath);
+    const { width, height } = this.getDisplaySize(videoInfo);
+    const frameRate = this.getFrameRate(videoInfo);
+    const fade = options.transition === 'cut' ? 0 : config.HIGHLIGHT_FADE_SECONDS;
+    const titleSeconds = config.HIGHLIGHT_TITLE_SECONDS;
+    const audio = Boolean(options.keepAudio) && (videoInfo.streams || []).some(stream => stream.codec_type === 'audio');
+
+    const videoFormat = segmentVideoFormat(width, height, frameRate);
+    const fades = (duration, filter) => fade > 0 && duration > fade * 2
+      ? [`${filter}=t=in:st=0:d=${fade}`, `${filter}=t=out:st=${(duration - fade).toFixed(3)}:d=${fade}`]
+      : [];
+
+    const workDir = this.claim(path.join(this.tempDir, `highlights-${uuidv4()}`));
+    await fs.ensureDir(workDir);
+
+    try {
+      const graph = [];
+      const segments = [];
+      let total = 0;
+
+      for (const [index, clip] of clips.entries()) {
+        if (options.titles !== false) {
+          const card = highlights.titleCard(clip, profile);
+          const blocks = layoutTitleCard({ ...card, width, height, theme });
+          const drawtext = [];
+
+          for (const [blockIndex, block] of blocks.entries()) {
+            const textFile = path.join(workDir, `${index}-${blockIndex}.txt`);
+            await fs.writeFile(textFile, block.lines.join('\n'));
+            drawtext.push(this.buildDrawtextFilter(block, { ...theme, bold: block.bold }, textFile, width));
+          }
+
+          const background = escapeFilterValue(theme.box.color);
+          graph.push(`color=c=${background}:s=${width}x${height}:r=${frameRate}:d=${titleSeconds},${[videoFormat, ...drawtext, ...fades(titleSeconds, 'fade')].join(',')}[tv${index}]`);
+          segments.push(`[tv${index}]`);
+          if (audio) {
+            graph.push(`anullsrc=r=48000:cl=stereo,atrim=0:${titleSeconds},${SEGMENT_AUDIO_FORMAT}[ta${index}]`);
+            segments.push(`[ta${index}]`);
+          }
+          total += titleSeconds;
+        }
+
+        // Input N is the source seeked to clip N
+        const duration = clip.end - clip.start;
+        graph.push(`[${index}:v]${[videoFormat, ...fades(duration, 'fade')].join(',')}[cv${index}]`);
+        segments.push(`[cv${index}]`);
+        if (audio) {
+          // Pad or cut the audio to the clip's exact length so segments stay in sync
+          graph.push(`[${index}:a]${[SEGMENT_AUDIO_FORMAT, 'apad', `atrim=0:${duration.toFixed(3)}`, ...fades(duration, 'afade')].join(',')}[ca${index}]`);
+          segments.push(`[ca${index}]`);
+        }
+        total += duration;
+      }
+
+      await this.concatSegments(inputPath, clips, graph, segments, outputPath, { audio, total, onProgress: options.onProgress });
+      console.log(`🎞️ Highlight reel with ${clips.length} clips (${total.toFixed(1)}s) written to ${outputPath}`);
+    } finally {
+      await fs.remove(workDir);
+      this.release(workDir);
+    }
+  }
+
+  /**
+   * Cut the planned segments (sourceSegments.planSegments) out of a video and join
+   * them into one, cropped to options.crop ({ x, y, width, height }) when given. Any
+   * audio is kept for audio cue detection; createCleanVideo drops it later if asked.
+   */
+  async createSegmentVideo(inputPath, outputPath, plan, options = {}) {
+    const videoInfo = await this.getVideoInfo(inputPath);
+    const { width, height } = options.crop || this.getDisplaySize(videoInfo);
+    const frameRate = this.getFrameRate(videoInfo);
+    const audio = (videoInfo.streams || []).some(stream => stream.codec_type === 'audio');
+    const crop = options.crop ? [`crop=${width}:${height}:${options.crop.x}:${options.crop.y}`] : [];
+    const total = sourceSegments.totalLength(plan);
+
+    const graph = [];
+    const segments = [];
+    plan.forEach((segment, index) => {
+      graph.push(`[${index}:v]${[...crop, segmentVideoFormat(width, height, frameRate)].join(',')}[v${index}]`);
+      segments.push(`[v${index}]`);
+      if (audio) {
+        graph.push(`[${index}:a]${SEGMENT_AUDIO_FORMAT},apad,atrim=0:${(segment.end - segment.start).toFixed(3)}[a${index}]`);
+        segments.push(`[a${index}]`);
+      }
+    });
+
+    await this.concatSegments(inputPath, plan, graph, segments, outputPath, { audio, total, onProgress: options.onProgress });
+    console.log(`✂️ Cut ${plan.length} segments (${total.toFixed(1)}s)${options.crop ? `, cropped to ${width}x${height}` : ''}`);
+  }
+
+  /**
+   * Insert the planned slow-motion replays (see services/replays.js) into a video:
+   * it plays normally up to the end of each replay window, shows the window again at
+   * options.speed, then continues. options.interpolation picks how the missing frames
+   * are made (replays.INTERPOLATION_MODES). Replays are silent; the audio around them
+   * keeps its place relative to the picture.
+   */
+  async createReplayVideo(inputPath, outputPath, plan, options = {}) {
+    const videoInfo = await this.getVideoInfo(inputPath);
+    const { width, height } = this.getDisplaySize(videoInfo);
+    const frameRate = this.getFrameRate(videoInfo);
+    const duration = videoInfo.format.duration;
+    const audio = (videoInfo.streams || []).some(stream => stream.codec_type === 'audio');
+    const videoFormat = segmentVideoFormat(width, height, frameRate);
+    const interpolate = {
+      none: [],
+      blend: [`minterpolate=fps=${frameRate}:mi_mode=blend`],
+      motion: [`minterpolate=fps=${frameRate}:mi_mode=mci:mc_mode=aobmc:vsbmc=1`]
+    }[options.interpolation || 'none'];
+
+    // Normal-speed stretches between the replays, skipping slivers shorter than a frame
+    const windows = [];
+    let position = 0;
+    plan.forEach(replay => {
+      windows.push({ start: position, end: replay.end }, { start: replay.start, end: replay.end, replay: true });
+      position = replay.end;
+    });
+    windows.push({ start: position, end: duration });
+
+    const graph = [];
+    const segments = [];
+    let total = 0;
+    const kept = windows.filter(window => window.end - window.start >= 0.05);
+
+    kept.forEach((window, index) => {
+      const length = window.replay ? (window.end - window.start) / options.speed : window.end - window.start;
+      const slow = window.replay ? [`setpts=(PTS-STARTPTS)/${options.speed}`, ...interpolate] : [];
+
+      graph.push(`[${index}:v]${[...slow, videoFormat].join(',')}[v${index}]`);
+      segments.push(`[v${index}]`);
+      if (audio) {
+        graph.push(window.replay
+          ? `anullsrc=r=48000:cl=stereo,atrim=0:${length.toFixed(3)},${SEGMENT_AUDIO_FORMAT}[a${index}]`
+          : `[${index}:a]${SEGMENT_AUDIO_FORMAT},apad,atrim=0:${length.toFixed(3)}[a${index}]`);
+        segments.push(`[a${index}]`);
+      }
+      total += length;
+    });
+
+    await this.concatSegments(inputPath, kept, graph, segments, outputPath, { audio, total, onProgress: options.onProgress });
+    console.log(`🐢 Inserted ${plan.length} slow-motion replays at ${options.speed}x (${duration.toFixed(1)}s -> ${total.toFixed(1)}s)`);
+  }
+
+  /**
+   * Render two videos into one composite, side by side or stacked (options.layout),
+   * each cut so its synced event plays at the same moment (sessionComparison.syncWindow
+   * with options.preRoll/postRoll). Sides are { path, seconds, label } where seconds
+   * is the event's time in that video. The videos are scaled to a common height (side
+   * by side) or width (stacked) and each gets its label in a strip above it.
+   * options.audio ('before' or 'after') keeps that side's sound when it has any.
+   * Returns the window each video was cut to.
+   */
+  async createComparisonVideo(before, after, outputPath, options = {}) {
+    const theme = overlayThemes.getTheme(options.theme);
+    const infos = await Promise.all([this.getVideoInfo(before.path), this.getVideoInfo(after.path)]);
+    const window = sessionComparison.syncWindow(
+      { seconds: before.seconds, duration: infos[0].format.duration },
+      { seconds: after.seconds, duration: infos[1].format.duration },
+      { preRoll: options.preRoll, postRoll: options.postRoll }
+    );
+    if (!window) {
+      throw new Error('The synced events leave no footage to compare');
+    }
+
+    const stacked = options.layout === 'stacked';
+    const even = value => Math.max(2, Math.round(value / 2) * 2);
+    const sizes = infos.map(info => this.getDisplaySize(info));
+    const common = Math.min(...sizes.map(size => (stacked ? size.width : size.height)));
+    const tiles = sizes.map(size => (stacked
+      ? { width: even(common), height: even(size.height * common / size.width) }
+      : { width: even(size.width * common / size.height), height: even(common) }));
+    const frameRate = this.getFrameRate(infos[0]);
+
+    // Both label strips take the taller one's height so the tiles still line up
+    const labels = [before, after].map((side, index) => layoutLabel({ text: side.label, ...tiles[index], theme }));
+    const strip = Math.max(...labels.map(label => label.height));
+
+    const audioIndex = { before: 0, after: 1 }[options.audio];
+    const audio = audioIndex !== undefined && (infos[audioIndex].streams || []).some(stream => stream.codec_type === 'audio');
+
+    const workDir = this.claim(path.join(this.tempDir, `comparison-${uuidv4()}`));
+    await fs.ensureDir(workDir);
+
+    try {
+      const graph = [];
+      for (const [index, label] of labels.entries()) {
+        const textFile = path.join(workDir, `${index}.txt`);
+        await fs.writeFile(textFile, label.block.lines.join('\n'));
+
+        const block = { ...label.block, y: Math.round((strip - label.block.height) / 2) };
+        graph.push(`[${index}:v]${[
+          segmentVideoFormat(tiles[index].width, tiles[index].height, frameRate),
+          `pad=iw:ih+${strip}:0:${strip}:color=${escapeFilterValue(theme.box.color)}`,
+          this.buildDrawtextFilter(block, { ...theme, bold: true }, textFile, tiles[index].width)
+        ].join(',')}[v${index}]`);
+      }
+      graph.push(`[v0][v1]${stacked ? 'vstack' : 'hstack'}[outv]`);
+      if (audio) {
+        graph.push(`[${audioIndex}:a]${SEGMENT_AUDIO_FORMAT},apad,atrim=0:${window.length.toFixed(3)}[outa]`);
+      }
+
+      await new Promise((resolve, reject) => {
+        ffmpeg()
+          .input(before.path).inputOptions(['-ss', window.before.start.toFixed(3), '-t', window.length.toFixed(3)])
+          .input(after.path).inputOptions(['-ss', window.after.start.toFixed(3), '-t', window.length.toFixed(3)])
+          .complexFilter(graph.join(';'), audio ? ['outv', 'outa'] : ['outv'])
+          .outputOptions([
+            '-c:v', 'libx264', '-pix_fmt', 'yuv420p', '-crf', '23', '-preset', 'fast',
+            ...(audio ? ['-c:a', 'aac', '-b:a', '128k'] : ['-an']),
+            '-movflags', '+faststart'
+          ])
+          .output(outputPath)
+          .on('start', (commandLine) => {
+            console.log('🆚 Comparison FFmpeg command:', commandLine);
+          })
+          .on('progress', (progress) => {
+            const [hours, minutes, seconds] = (progress.timemark || '0:0:0').split(':').map(Number);
+            const percent = Math.min(100, (hours * 3600 + minutes * 60 + seconds) / window.length * 100);
+            if (options.onProgress && Number.isFinite(percent)) {
+              options.onProgress(Number(percent.toFixed(1)));
+            }
+          })
+          .on('end', () => resolve())
+          .on('error', (err) => {
+            console.error('❌ Comparison error:', err);
+            reject(err);
+          })
+          .run();
+      });
+
+      console.log(`🆚 Comparison video (${window.length.toFixed(1)}s, ${stacked ? 'stacked' : 'side by side'}) written to ${outputPath}`);
+      return window;
+    } finally {
+      await fs.remove(workDir);
+      this.release(workDir);
+    }
+  }
+
+  /**
+   * Join segments into one MP4 with the concat filter. Input N is the source seeked
+   * to windows[N] ({ start, end }); `graph` holds the filter chains that produce the
+   * `segments` pads (video and, with options.audio, audio for each, in play order).
+   * options.total is the output length in seconds, used for progress.
+   */
+  concatSegments(inputPath, windows, graph, segments, outputPath, options = {}) {
+    const audio = Boolean(options.audio);
+    const count = segments.length / (audio ? 2 : 1);
+    const filter = [...graph, `${segments.join('')}concat=n=${count}:v=1:a=${audio ? 1 : 0}[outv]${audio ? '[outa]' : ''}`];
+
+    return new Promise((resolve, reject) => {
+      let command = ffmpeg();
+      windows.forEach(window => {
+        command = command.input(inputPath).inputOptions(['-ss', window.start.toFixed(3), '-t', (window.end - window.start).toFixed(3)]);
+      });
+
+      command
+        .complexFilter(filter.join(';'), audio ? ['outv', 'outa'] : ['outv'])
+        .outputOptions([
+          '-c:v', 'libx264', '-pix_fmt', 'yuv420p', '-crf', '23', '-preset', 'fast',
+          ...(audio ? ['-c:a', 'aac', '-b:a', '128k'] : ['-an']),
+          '-movflags', '+faststart'
+        ])
+        .output(outputPath)
+        .on('start', (commandLine) => {
+          console.log('🎞️ Segment concat FFmpeg command:', commandLine);
+        })
+        .on('progress', (progress) => {
+          // Percent can't come from the inputs here, so use the output's own length
+          const [hours, minutes, seconds] = (progress.timemark || '0:0:0').split(':').map(Number);
+          const percent = Math.min(100, (hours * 3600 + minutes * 60 + seconds) / options.total * 100);
+          if (options.onProgress && Number.isFinite(percent)) {
+            options.onProgress(Number(percent.toFixed(1)));
+          }
+        })
+        .on('end', () => resolve())
+        .on('error', (err) => {
+          console.error('❌ Segment concat error:', err);
+          reject(err);
+        })
+        .run();
+    });
+  }
+
+  // Frame rate of the video stream as an FFmpeg rational, 30 when unknown
+  getFrameRate(videoInfo) {
+    const stream = (videoInfo.streams || []).find(s => s.codec_type === 'video') || {};
+    const rate = [stream.avg_frame_rate, stream.r_frame_rate].find(value => {
+      const [num, den] = String(value || '').split('/').map(Number);
+      return num > 0 && den > 0 && num / den <= 120;
+    });
+    return rate || '30';
+  }
+
+  // Caption each reconciled event once; fall back to per-frame text without structured data
+  buildCaptions(frameAnalyses, timeline) {
+    return timeline.length > 0
+      ? timeline.map(event => ({ timestamp: event.seconds, analysis: event.feedback }))
+      : frameAnalyses;
+  }
+
+  // Captions with real feedback, leaving out the lead-in (see frameSelector.LEAD_IN)
+  filterMeaningfulCaptions(captions, leadIn = LEAD_IN) {
+    return captions.filter(analysis => {
+      const text = analysis.analysis || '';
+      const timestamp = parseFloat(analysis.timestamp);
+      
+      const isValid = text.length > 20 && 
+                     timestamp >= leadIn && 
+                     !text.toLowerCase().includes('analysis failed') &&
+                     !text.toLowerCase().includes('unable to analyze');
+      
+      if (isValid) {
+        console.log(`✅ Including analysis at ${timestamp}s: "${text.substring(0, 50)}..."`);
+      } else {
+        console.log(`❌ Skipping analysis at ${timestamp}s: "${text.substring(0, 30)}..."`);
+      }
+      
+      return isValid;
+    });
+  }
+
+  // Write WebVTT, SRT and ASS tracks named after the video file
+  async writeSubtitles(videoPath, captions, options = {}) {
+    const cues = captions.map(caption => {
+      const start = parseFloat(caption.timestamp);
+      return { start, end: start + (caption.duration || CAPTION_DURATION), text: caption.analysis };
+    });
+    
+    const basePath = videoPath.replace(/\.mp4$/i, '');
+    const subtitlePaths = {
+      vtt: `${basePath}.vtt`,
+      srt: `${basePath}.srt`,
+      ass: `${basePath}.ass`
+    };
+    
+    await fs.writeFile(subtitlePaths.vtt, subtitles.toWebVTT(cues));
+    await fs.writeFile(subtitlePaths.srt, subtitles.toSRT(cues));
+    await fs.writeFile(subtitlePaths.ass, subtitles.toASS(cues, options));
+    
+    console.log(`📝 Wrote ${cues.length} subtitle cues to ${basePath}.{vtt,srt,ass}`);
+    return subtitlePaths;
+  }
+
+  // Add an SRT track to an MP4 as a toggleable mov_text subtitle stream
+  async muxSubtitles(videoPath, subtitlePath) {
+    const muxedPath = videoPath.replace(/\.mp4$/i, '-subs.mp4');
+    
+    await new Promise((resolve, reject) => {
+      ffmpeg(videoPath)
+        .input(subtitlePath)
+        .outputOptions([
+          '-map 0',
+          '-map 1',
+          '-c copy',
+          '-c:s mov_text',
+          '-metadata:s:s:0 language=eng'
+        ])
+        .output(muxedPath)
+        .on('end', resolve)
+        .on('error', (err) => {
+          console.error('Subtitle mux error:', err);
+          reject(err);
+        })
+        .run();
+    });
+    
+    await fs.move(muxedPath, videoPath, { overwrite: true });
+  }
+
   // Test method: Create video with NO overlays at all
   async createVideoWithNoOverlays(inputPath, outputPath) {
     return new Promise((resolve, reject) => {
@@ -417,84 +1373,54 @@ class VideoProcessor {
     });
   }
 
+  // Clean and escape text for a drawtext `text=` option (use with expansion=none)
   escapeText(text) {
     if (!text || typeof text !== 'string') {
       return '';
     }
-    
-    // Clean and escape text for FFmpeg drawtext filter
-    return text
-      .replace(/:/g, '\\:')           // Escape colons
-      .replace(/'/g, "\\'")           // Escape single quotes
-      .replace(/"/g, '\\"')           // Escape double quotes
-      .replace(/\n/g, ' ')            // Replace newlines with spaces
-      .replace(/\r/g, ' ')            // Replace carriage returns with spaces
-      .replace(/\t/g, ' ')            // Replace tabs with spaces
-      .replace(/\s+/g, ' ')           // Replace multiple spaces with single space
-      .substring(0, 120)              // Limit length for better fit
-      .trim();
+
+    return escapeFilterValue(cleanText(text));
   }
 
-  summarizeFeedback(frameAnalyses) {
+  summarizeFeedback(frameAnalyses, profile = sports.getProfile(), timeline = reconcileEvents(frameAnalyses, profile)) {
     // Check if we have structured data available
-    const structuredData = frameAnalyses.filter(f => f.structuredData).map(f => f.structuredData);
-    
-    if (structuredData.length > 0) {
-      // Use structured data for more accurate statistics
-      let totalShotsMade = 0;
-      let totalShotsMissed = 0;
-      let totalLayupsMade = 0;
-      let shotTypes = [];
-      
-      structuredData.forEach(data => {
-        if (data.shots) {
-          data.shots.forEach(shot => {
-            if (shot.result === 'made') {
-              totalShotsMade++;
-              if (shot.shot_type.toLowerCase().includes('layup')) {
-                totalLayupsMade++;
-              }
-            } else if (shot.result === 'missed') {
-              totalShotsMissed++;
-            }
-            shotTypes.push(shot.shot_type);
-          });
-        }
-      });
-      
-      const totalShots = totalShotsMade + totalShotsMissed;
-      const accuracy = totalShots > 0 ? (totalShotsMade / totalShots * 100).toFixed(1) + '%' : 'N/A';
-      
+    const hasStructuredData = frameAnalyses.some(f => f.structuredData);
+    
+    if (hasStructuredData) {
+      // Use the reconciled timeline and the sport's aggregator for accurate statistics
       return {
+        sport: profile.id,
         totalFrames: frameAnalyses.length,
-        totalShots,
-        totalShotsMade,
-        totalShotsMissed,
-        totalLayupsMade,
-        accuracy,
-        shotTypes: [...new Set(shotTypes)], // Unique shot types
+        ...profile.aggregate(timeline),
         hasStructuredData: true
       };
     } else {
-      // Fallback to text-based analysis for non-dev mode
-      const allAnalysis = frameAnalyses.map(f => f.analysis).join(' ');
-      
-      // Extract key metrics
-      const shotCount = (allAnalysis.match(/shot/gi) || []).length;
-      const madeCount = (allAnalysis.match(/made/gi) || []).length;
-      const missedCount = (allAnalysis.match(/missed/gi) || []).length;
-      
+      // Fallback to keyword counts when only free text is available
       return {
+        sport: profile.id,
         totalFrames: frameAnalyses.length,
-        shotCount,
-        madeCount,
-        missedCount,
-        accuracy: shotCount > 0 ? (madeCount / shotCount * 100).toFixed(1) + '%' : 'N/A',
+        ...this.estimateStatsFromText(frameAnalyses, profile),
         hasStructuredData: false
       };
     }
   }
 
+  // Rough stats from the sport's keywords in free-text analyses
+  estimateStatsFromText(analyses, profile) {
+    const allAnalysis = analyses.map(a => a.analysis || '').join(' ');
+    
+    const eventCount = countKeywords(allAnalysis, profile.keywords.event);
+    const successCount = countKeywords(allAnalysis, profile.keywords.success);
+    const failureCount = countKeywords(allAnalysis, profile.keywords.failure);
+    
+    return {
+      eventCount,
+      successCount,
+      failureCount,
+      accuracy: percentage(successCount, eventCount)
+    };
+  }
+
   // Create concatenated text from all analyses
   createConcatenatedText(analyses) {
     if (analyses.length === 0) {
@@ -524,86 +1450,36 @@ class VideoProcessor {
     return concatenatedText;
   }
 
-  // Create stats text for top-left overlay
-  createStatsText(analyses) {
+  // Lines of the stats panel overlay
+  createStatsLines(analyses, profile = sports.getProfile(), timeline = reconcileEvents(analyses, profile)) {
     // Check if we have structured data available
-    const structuredData = analyses.filter(a => a.structuredData).map(a => a.structuredData);
-    
-    if (structuredData.length > 0) {
-      // Use structured data for accurate statistics
-      let totalShotsMade = 0;
-      let totalShotsMissed = 0;
-      let totalLayupsMade = 0;
-      let totalThreePointers = 0;
-      
-      structuredData.forEach(data => {
-        if (data.shots) {
-          data.shots.forEach(shot => {
-            if (shot.result === 'made') {
-              totalShotsMade++;
-              if (shot.shot_type.toLowerCase().includes('layup')) {
-                totalLayupsMade++;
-              }
-              if (shot.shot_type.toLowerCase().includes('three') || shot.shot_type.toLowerCase().includes('3')) {
-                totalThreePointers++;
-              }
-            } else if (shot.result === 'missed') {
-              totalShotsMissed++;
-            }
-          });
-        }
-      });
-      
-      const totalShots = totalShotsMade + totalShotsMissed;
-      const accuracy = totalShots > 0 ? Math.round((totalShotsMade / totalShots) * 100) : 0;
-      
-      // Use escaped text for FFmpeg
-      return `Shots Made\\: ${totalShotsMade}\\nShots Missed\\: ${totalShotsMissed}\\nAccuracy\\: ${accuracy}%\\nLayups\\: ${totalLayupsMade}\\n3-Pointers\\: ${totalThreePointers}`;
-    } else {
-      // Fallback to text-based analysis
-      const madeCount = analyses.filter(a => 
-        a.analysis.toLowerCase().includes('made') || 
-        a.analysis.toLowerCase().includes('good') ||
-        a.analysis.toLowerCase().includes('great') ||
-        a.analysis.toLowerCase().includes('nice') ||
-        a.analysis.toLowerCase().includes('perfect')
-      ).length;
-      
-      const missedCount = analyses.filter(a => 
-        a.analysis.toLowerCase().includes('missed') || 
-        a.analysis.toLowerCase().includes('miss') ||
-        a.analysis.toLowerCase().includes('off') ||
-        a.analysis.toLowerCase().includes('wrong')
-      ).length;
-      
-      const totalShots = madeCount + missedCount;
-      const accuracy = totalShots > 0 ? Math.round((madeCount / totalShots) * 100) : 0;
-      
-      // Use escaped text for FFmpeg
-      return `Shots Made\\: ${madeCount}\\nShots Missed\\: ${missedCount}\\nAccuracy\\: ${accuracy}%`;
-    }
+    const hasStructuredData = analyses.some(a => a.structuredData);
+    
+    // The reconciled timeline's stats, or keyword counts from the free text
+    const feedback = hasStructuredData
+      ? { ...profile.aggregate(timeline), hasStructuredData }
+      : { ...this.estimateStatsFromText(analyses, profile), hasStructuredData };
+    const lines = sports.statsRows(profile, feedback);
+    
+    return lines.map(([label, value]) => `${label}: ${value}`);
   }
 
   // Create rotating feedback text that changes every 3 seconds
-  createRotatingFeedback(analyses) {
+  createRotatingFeedback(analyses, profile = sports.getProfile()) {
     if (analyses.length === 0) {
       return 'No feedback available';
     }
     
     // Check if we have structured data available
-    const structuredData = analyses.filter(a => a.structuredData).map(a => a.structuredData);
+    const timeline = reconcileEvents(analyses, profile);
     
-    if (structuredData.length > 0) {
-      // Extract feedback from structured data
+    if (timeline.length > 0) {
+      // Extract feedback from the reconciled timeline
       const allFeedback = [];
       
-      structuredData.forEach(data => {
-        if (data.shots) {
-          data.shots.forEach(shot => {
-            if (shot.feedback && shot.feedback.trim()) {
-              allFeedback.push(shot.feedback);
-            }
-          });
+      timeline.forEach(event => {
+        if (event.feedback && event.feedback.trim()) {
+          allFeedback.push(event.feedback);
         }
       });
       